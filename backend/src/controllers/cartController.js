@@ -2,13 +2,16 @@ import Cart from '../models/Cart.js';
 import Product from '../models/Product.js';
 import { asyncHandler } from '../utils/asyncHandler.js';
 import { AppError } from '../utils/appError.js';
+import { evaluateCoupons } from '../utils/couponEngine.js';
+import { isControlled, assertControlledQuantity } from '../utils/controlledSubstances.js';
+import { screenProducts, SCREENING_FIELDS } from '../utils/drugScreening.js';
 
 // @desc    Get user cart
 // @route   GET /api/v1/cart
 // @access  Private
 export const getCart = asyncHandler(async (req, res, next) => {
   let cart = await Cart.findOne({ user: req.user.id })
-    .populate('items.product', 'name price images stock prescriptionRequired manufacturer');
+    .populate('items.product', `name price images stock prescriptionRequired manufacturer ${SCREENING_FIELDS}`);
 
   if (!cart) {
     cart = await Cart.create({ user: req.user.id, items: [] });
@@ -26,9 +29,16 @@ export const getCart = asyncHandler(async (req, res, next) => {
     await cart.save();
   }
 
+  // Screen cart items against each other and the user's medical record
+  const warnings = screenProducts(
+    cart.items.map(item => item.product),
+    req.user.medicalInfo
+  );
+
   res.status(200).json({
     success: true,
-    cart
+    cart,
+    warnings
   });
 });
 
@@ -45,12 +55,12 @@ export const addToCart = asyncHandler(async (req, res, next) => {
   }
 
   // Check stock availability
-  if (product.stock.quantity < quantity) {
+  if (product.availableStock < quantity) {
     return next(new AppError('Insufficient stock available', 400));
   }
 
   // Check prescription requirement
-  if (product.prescriptionRequired && !prescriptionId) {
+  if ((product.prescriptionRequired || isControlled(product)) && !prescriptionId) {
     return next(new AppError('Prescription required for this product', 400));
   }
 
@@ -69,13 +79,17 @@ export const addToCart = asyncHandler(async (req, res, next) => {
     // Update quantity
     const newQuantity = cart.items[existingItemIndex].quantity + quantity;
     
-    if (product.stock.quantity < newQuantity) {
+    if (product.availableStock < newQuantity) {
       return next(new AppError('Insufficient stock for requested quantity', 400));
     }
 
+    assertControlledQuantity(product, newQuantity);
+
     cart.items[existingItemIndex].quantity = newQuantity;
     cart.items[existingItemIndex].addedAt = new Date();
   } else {
+    assertControlledQuantity(product, quantity);
+
     // Add new item
     cart.items.push({
       product: productId,
@@ -122,10 +136,12 @@ export const updateCartItem = asyncHandler(async (req, res, next) => {
 
   // Check stock availability
   const product = await Product.findById(cart.items[itemIndex].product);
-  if (!product || product.stock.quantity < quantity) {
+  if (!product || product.availableStock < quantity) {
     return next(new AppError('Insufficient stock available', 400));
   }
 
+  assertControlledQuantity(product, quantity);
+
   cart.items[itemIndex].quantity = quantity;
   cart.items[itemIndex].addedAt = new Date();
   
@@ -190,61 +206,76 @@ export const clearCart = asyncHandler(async (req, res, next) => {
 export const applyCoupon = asyncHandler(async (req, res, next) => {
   const { couponCode } = req.body;
 
+  if (!couponCode) {
+    return next(new AppError('Coupon code is required', 400));
+  }
+
   const cart = await Cart.findOne({ user: req.user.id })
-    .populate('items.product', 'name price');
+    .populate('items.product', 'name price category manufacturer prescriptionRequired');
 
   if (!cart) {
     return next(new AppError('Cart not found', 404));
   }
 
-  // Validate coupon (simplified - in real app, you'd have a Coupon model)
-  const validCoupons = {
-    'SAVE10': { discount: 10, type: 'percentage', minAmount: 50 },
-    'WELCOME20': { discount: 20, type: 'percentage', minAmount: 30 },
-    'FLAT5': { discount: 5, type: 'fixed', minAmount: 25 }
-  };
-
-  const coupon = validCoupons[couponCode.toUpperCase()];
-  if (!coupon) {
-    return next(new AppError('Invalid coupon code', 400));
-  }
-
-  const subtotal = cart.subtotal;
-  if (subtotal < coupon.minAmount) {
-    return next(new AppError(`Minimum order amount of $${coupon.minAmount} required for this coupon`, 400));
+  const code = couponCode.trim().toUpperCase();
+  if (cart.coupons.some(c => c.code === code)) {
+    return next(new AppError('Coupon already applied', 400));
   }
 
-  let discount = 0;
-  if (coupon.type === 'percentage') {
-    discount = (subtotal * coupon.discount) / 100;
-  } else {
-    discount = coupon.discount;
-  }
+  // Re-evaluate every applied coupon together so stacking rules hold
+  const { coupons, totalDiscount } = await evaluateCoupons(
+    [...cart.coupons.map(c => c.code), code],
+    {
+      userId: req.user.id,
+      items: cart.items.map(item => ({
+        product: item.product,
+        price: item.price,
+        quantity: item.quantity
+      }))
+    }
+  );
 
-  cart.couponCode = couponCode.toUpperCase();
-  cart.couponDiscount = discount;
+  cart.coupons = coupons;
+  cart.couponDiscount = totalDiscount;
   await cart.save();
 
   res.status(200).json({
     success: true,
     message: 'Coupon applied successfully',
     cart,
-    discount
+    discount: coupons.find(c => c.code === code).discount
   });
 });
 
 // @desc    Remove coupon from cart
-// @route   DELETE /api/v1/cart/coupon
+// @route   DELETE /api/v1/cart/coupon/:code?
 // @access  Private
 export const removeCoupon = asyncHandler(async (req, res, next) => {
-  const cart = await Cart.findOne({ user: req.user.id });
+  const cart = await Cart.findOne({ user: req.user.id })
+    .populate('items.product', 'name price category manufacturer prescriptionRequired');
 
   if (!cart) {
     return next(new AppError('Cart not found', 404));
   }
 
-  cart.couponCode = undefined;
-  cart.couponDiscount = 0;
+  const code = req.params.code?.toUpperCase();
+  const remaining = code ? cart.coupons.filter(c => c.code !== code) : [];
+
+  // Caps and stacking apply to the coupons left, as when one is added
+  const { coupons, totalDiscount } = await evaluateCoupons(
+    remaining.map(c => c.code),
+    {
+      userId: req.user.id,
+      items: cart.items.map(item => ({
+        product: item.product,
+        price: item.price,
+        quantity: item.quantity
+      }))
+    }
+  );
+
+  cart.coupons = coupons;
+  cart.couponDiscount = totalDiscount;
   await cart.save();
 
   res.status(200).json({
@@ -252,4 +283,4 @@ export const removeCoupon = asyncHandler(async (req, res, next) => {
     message: 'Coupon removed successfully',
     cart
   });
-});
\ No newline at end of file
+});
@@ -0,0 +1,142 @@
+import Coupon from '../models/Coupon.js';
+import CouponRedemption from '../models/CouponRedemption.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { AppError } from '../utils/appError.js';
+
+// @desc    Get all coupons (Admin only)
+// @route   GET /api/v1/coupons
+// @access  Private/Admin
+export const getCoupons = asyncHandler(async (req, res, next) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  const skip = (page - 1) * limit;
+
+  const filter = {};
+  if (req.query.isActive !== undefined) {
+    filter.isActive = req.query.isActive === 'true';
+  }
+  if (req.query.code) {
+    filter.code = req.query.code.toUpperCase();
+  }
+
+  const coupons = await Coupon.find(filter)
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limit);
+
+  const total = await Coupon.countDocuments(filter);
+
+  res.status(200).json({
+    success: true,
+    count: coupons.length,
+    total,
+    pagination: {
+      page,
+      pages: Math.ceil(total / limit),
+      limit,
+      hasNext: page < Math.ceil(total / limit),
+      hasPrev: page > 1
+    },
+    coupons
+  });
+});
+
+// @desc    Get single coupon with its redemptions, newest first (Admin only)
+// @route   GET /api/v1/coupons/:id
+// @access  Private/Admin
+export const getCoupon = asyncHandler(async (req, res, next) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 50;
+  const skip = (page - 1) * limit;
+
+  const coupon = await Coupon.findById(req.params.id)
+    .populate('applicableCategories', 'name slug')
+    .populate('applicableProducts', 'name sku');
+
+  if (!coupon) {
+    return next(new AppError('Coupon not found', 404));
+  }
+
+  const [redemptions, total] = await Promise.all([
+    CouponRedemption.find({ coupon: coupon._id })
+      .populate('user', 'firstName lastName email')
+      .populate('order', 'orderNumber status')
+      .sort({ redeemedAt: -1 })
+      .skip(skip)
+      .limit(limit),
+    CouponRedemption.countDocuments({ coupon: coupon._id })
+  ]);
+
+  res.status(200).json({
+    success: true,
+    coupon,
+    total,
+    pagination: {
+      page,
+      pages: Math.ceil(total / limit),
+      limit,
+      hasNext: page < Math.ceil(total / limit),
+      hasPrev: page > 1
+    },
+    redemptions
+  });
+});
+
+// @desc    Create coupon (Admin only)
+// @route   POST /api/v1/coupons
+// @access  Private/Admin
+export const createCoupon = asyncHandler(async (req, res, next) => {
+  const { usedCount, ...data } = req.body;
+
+  const coupon = await Coupon.create({
+    ...data,
+    createdBy: req.user.id
+  });
+
+  res.status(201).json({
+    success: true,
+    coupon
+  });
+});
+
+// @desc    Update coupon (Admin only)
+// @route   PUT /api/v1/coupons/:id
+// @access  Private/Admin
+export const updateCoupon = asyncHandler(async (req, res, next) => {
+  const coupon = await Coupon.findById(req.params.id);
+
+  if (!coupon) {
+    return next(new AppError('Coupon not found', 404));
+  }
+
+  // Usage counters are only changed through redemption
+  const { usedCount, createdBy, ...updates } = req.body;
+
+  Object.assign(coupon, updates);
+  await coupon.save();
+
+  res.status(200).json({
+    success: true,
+    coupon
+  });
+});
+
+// @desc    Delete coupon (Admin only)
+// @route   DELETE /api/v1/coupons/:id
+// @access  Private/Admin
+export const deleteCoupon = asyncHandler(async (req, res, next) => {
+  const coupon = await Coupon.findById(req.params.id);
+
+  if (!coupon) {
+    return next(new AppError('Coupon not found', 404));
+  }
+
+  // Soft delete - redemptions stay attached to past orders
+  coupon.isActive = false;
+  await coupon.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Coupon deleted successfully'
+  });
+});
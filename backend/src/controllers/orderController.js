@@ -1,11 +1,26 @@
 import Order from '../models/Order.js';
-import Product from '../models/Product.js';
-import Cart from '../models/Cart.js';
 import Prescription from '../models/Prescription.js';
 import { asyncHandler } from '../utils/asyncHandler.js';
 import { AppError } from '../utils/appError.js';
 import { sendEmail } from '../utils/email.js';
 import { logger } from '../utils/logger.js';
+import { placeOrder } from '../utils/orderPlacement.js';
+import { transitionOrder, getNextStatuses } from '../utils/orderStatus.js';
+import {
+  takePickupCodeAttempt,
+  issuePickupCode,
+  verifyPickupCode,
+  sendPickupCode
+} from '../utils/pickup.js';
+import { createShipmentLabel, getOrderTimeline } from '../utils/shipments.js';
+import {
+  getScheduleRules,
+  hasControlledItems,
+  findControlledSignOff
+} from '../utils/controlledSubstances.js';
+import { recordAudit, snapshot } from '../utils/auditLogger.js';
+
+const STATUS_AUDIT_FIELDS = ['status', 'shipping.trackingNumber', 'shipping.estimatedDelivery'];
 
 // @desc    Create new order
 // @route   POST /api/v1/orders
@@ -16,7 +31,10 @@ export const createOrder = asyncHandler(async (req, res, next) => {
     shippingAddress,
     billingAddress,
     paymentMethod,
+    shippingMethod,
+    pickupStore,
     couponCode,
+    couponCodes,
     customerNotes,
     prescriptions
   } = req.body;
@@ -29,84 +47,20 @@ export const createOrder = asyncHandler(async (req, res, next) => {
     return next(new AppError('Shipping address is required', 400));
   }
 
-  // Validate and calculate pricing
-  let subtotal = 0;
-  const orderItems = [];
-
-  for (const item of items) {
-    const product = await Product.findById(item.product);
-    
-    if (!product || !product.isActive) {
-      return next(new AppError(`Product ${item.product} not found or inactive`, 400));
-    }
-
-    if (product.stock.quantity < item.quantity) {
-      return next(new AppError(`Insufficient stock for ${product.name}`, 400));
-    }
-
-    // Check prescription requirement
-    if (product.prescriptionRequired) {
-      const validPrescription = prescriptions?.find(p => 
-        p.medications.some(med => 
-          med.name.toLowerCase().includes(product.name.toLowerCase()) ||
-          product.name.toLowerCase().includes(med.name.toLowerCase())
-        )
-      );
-
-      if (!validPrescription) {
-        return next(new AppError(`Prescription required for ${product.name}`, 400));
-      }
-    }
-
-    const itemTotal = product.price * item.quantity;
-    subtotal += itemTotal;
-
-    orderItems.push({
-      product: product._id,
-      name: product.name,
-      price: product.price,
-      quantity: item.quantity,
-      prescription: item.prescription,
-      prescriptionRequired: product.prescriptionRequired
-    });
-
-    // Reserve stock
-    product.stock.reserved += item.quantity;
-    await product.save();
-  }
-
-  // Calculate tax and shipping
-  const taxRate = 0.08; // 8% tax
-  const tax = subtotal * taxRate;
-  const shipping = subtotal >= 50 ? 0 : 5.99;
-  const total = subtotal + tax + shipping;
-
-  // Create order
-  const order = await Order.create({
-    customer: req.user.id,
-    items: orderItems,
-    pricing: {
-      subtotal,
-      tax,
-      shipping,
-      total
-    },
+  // Pricing, stock reservation, coupon redemption and cart clearing run in one transaction
+  const order = await placeOrder({
+    customerId: req.user.id,
+    items,
     shippingAddress,
-    billingAddress: billingAddress || { ...shippingAddress, sameAsShipping: true },
-    payment: {
-      method: paymentMethod
-    },
-    prescriptions: prescriptions?.map(p => p._id) || [],
+    billingAddress,
+    paymentMethod,
+    shippingMethod,
+    pickupStore,
+    couponCodes: couponCodes || (couponCode ? [couponCode] : undefined),
     customerNotes,
-    status: 'pending'
+    prescriptions
   });
 
-  // Clear user's cart
-  await Cart.findOneAndUpdate(
-    { user: req.user.id },
-    { $set: { items: [] } }
-  );
-
   // Send order confirmation email
   try {
     await sendEmail({
@@ -127,7 +81,8 @@ export const createOrder = asyncHandler(async (req, res, next) => {
 
   res.status(201).json({
     success: true,
-    order
+    order,
+    warnings: order.screening.warnings
   });
 });
 
@@ -155,6 +110,7 @@ export const getOrder = asyncHandler(async (req, res, next) => {
     .populate('customer', 'firstName lastName email phone')
     .populate('items.product', 'name images manufacturer')
     .populate('prescriptions')
+    .populate('shipping.pickup.store', 'name code address phone openingHours')
     .populate('statusHistory.updatedBy', 'firstName lastName');
 
   if (!order) {
@@ -169,7 +125,9 @@ export const getOrder = asyncHandler(async (req, res, next) => {
 
   res.status(200).json({
     success: true,
-    order
+    order,
+    // Statuses the caller may move the order to next (guards not yet checked)
+    nextStatuses: getNextStatuses(order, req.user.role)
   });
 });
 
@@ -186,16 +144,7 @@ export const updateOrderStatus = asyncHandler(async (req, res, next) => {
     return next(new AppError('Order not found', 404));
   }
 
-  const oldStatus = order.status;
-  order.status = status;
-
-  // Add to status history
-  order.statusHistory.push({
-    status,
-    note,
-    updatedBy: req.user.id,
-    timestamp: new Date()
-  });
+  const before = snapshot(order, STATUS_AUDIT_FIELDS);
 
   // Update shipping info if provided
   if (trackingNumber) {
@@ -205,104 +154,302 @@ export const updateOrderStatus = asyncHandler(async (req, res, next) => {
     order.shipping.estimatedDelivery = new Date(estimatedDelivery);
   }
 
-  // Handle status-specific logic
-  switch (status) {
-    case 'confirmed':
-      // Deduct from actual stock and clear reserved stock
-      for (const item of order.items) {
-        const product = await Product.findById(item.product);
-        if (product) {
-          product.stock.quantity -= item.quantity;
-          product.stock.reserved = Math.max(0, product.stock.reserved - item.quantity);
-          await product.save();
-        }
-      }
-      break;
-
-    case 'cancelled':
-      // Release reserved stock
-      for (const item of order.items) {
-        const product = await Product.findById(item.product);
-        if (product) {
-          product.stock.reserved = Math.max(0, product.stock.reserved - item.quantity);
-          await product.save();
-        }
-      }
-      break;
+  // Rejects moves the status graph does not allow, runs the stock, refund and
+  // email side effects, and saves
+  await transitionOrder(order, status, {
+    role: req.user.role,
+    actor: req.user.id,
+    note
+  });
+
+  await recordAudit(req, {
+    action: 'order.status_change',
+    entityType: 'Order',
+    entityId: order._id,
+    before,
+    after: snapshot(order, STATUS_AUDIT_FIELDS),
+    metadata: { orderNumber: order.orderNumber, note }
+  });
 
-    case 'delivered':
-      order.shipping.actualDelivery = new Date();
-      break;
+  res.status(200).json({
+    success: true,
+    order
+  });
+});
+
+// @desc    Override high-severity screening warnings
+// @route   PATCH /api/v1/orders/:id/screening-override
+// @access  Private/Pharmacist
+export const overrideScreening = asyncHandler(async (req, res, next) => {
+  const { note } = req.body;
+
+  if (!note) {
+    return next(new AppError('A note explaining the override is required', 400));
   }
 
-  await order.save();
+  const order = await Order.findById(req.params.id);
 
-  // Send status update email
-  try {
-    await sendEmail({
-      email: order.customer.email,
-      subject: `Order ${status.replace('_', ' ').toUpperCase()} - MedCare`,
-      template: 'orderStatusUpdate',
-      data: {
-        customerName: order.customer.firstName,
-        orderNumber: order.orderNumber,
-        status: status.replace('_', ' '),
-        note,
-        trackingNumber: order.shipping.trackingNumber,
-        trackingUrl: order.shipping.trackingNumber ? 
-          `${process.env.FRONTEND_URL}/track/${order.shipping.trackingNumber}` : null
-      }
+  if (!order) {
+    return next(new AppError('Order not found', 404));
+  }
+
+  if (!order.screening?.requiresOverride || order.screening.overriddenAt) {
+    return next(new AppError('Order has no screening warnings awaiting review', 400));
+  }
+
+  const before = snapshot(order, ['status', 'screening.overriddenAt']);
+
+  order.screening.overriddenBy = req.user.id;
+  order.screening.overriddenAt = new Date();
+  order.screening.overrideNote = note;
+
+  // Release the hold back into the normal flow
+  if (order.status === 'prescription_verification') {
+    await transitionOrder(order, order.payment.status === 'completed' ? 'confirmed' : 'pending', {
+      role: req.user.role,
+      actor: req.user.id,
+      note: `Screening warnings overridden: ${note}`
     });
-  } catch (error) {
-    logger.error('Failed to send status update email:', error);
+  } else {
+    order.statusHistory.push({
+      status: order.status,
+      note: `Screening warnings overridden: ${note}`,
+      updatedBy: req.user.id,
+      timestamp: new Date()
+    });
+
+    await order.save();
   }
 
+  await recordAudit(req, {
+    action: 'order.screening_override',
+    entityType: 'Order',
+    entityId: order._id,
+    before,
+    after: snapshot(order, ['status', 'screening.overriddenAt']),
+    metadata: {
+      orderNumber: order.orderNumber,
+      note,
+      warnings: order.screening.warnings.map(warning => warning.message)
+    }
+  });
+
   res.status(200).json({
     success: true,
     order
   });
 });
 
-// @desc    Cancel order
-// @route   PATCH /api/v1/orders/:id/cancel
-// @access  Private
-export const cancelOrder = asyncHandler(async (req, res, next) => {
+// @desc    Record pharmacist sign-off for controlled substances
+// @route   PATCH /api/v1/orders/:id/controlled-signoff
+// @access  Private/Pharmacist
+export const signOffControlledOrder = asyncHandler(async (req, res, next) => {
+  const { note } = req.body;
+
   const order = await Order.findById(req.params.id);
 
   if (!order) {
     return next(new AppError('Order not found', 404));
   }
 
-  // Check if user owns this order
-  if (order.customer.toString() !== req.user.id) {
-    return next(new AppError('Not authorized to cancel this order', 403));
+  if (!hasControlledItems(order)) {
+    return next(new AppError('Order does not contain controlled substances', 400));
   }
 
-  // Check if order can be cancelled
-  const cancellableStatuses = ['pending', 'confirmed', 'prescription_verification'];
-  if (!cancellableStatuses.includes(order.status)) {
-    return next(new AppError('Order cannot be cancelled at this stage', 400));
+  if (['cancelled', 'refunded', 'returned'].includes(order.status)) {
+    return next(new AppError('Cannot sign off a closed order', 400));
   }
 
-  // Release reserved stock
-  for (const item of order.items) {
-    const product = await Product.findById(item.product);
-    if (product) {
-      product.stock.reserved = Math.max(0, product.stock.reserved - item.quantity);
-      await product.save();
-    }
+  if (findControlledSignOff(order)) {
+    return next(new AppError('Controlled substances on this order are already signed off', 400));
   }
 
-  order.status = 'cancelled';
   order.statusHistory.push({
-    status: 'cancelled',
-    note: req.body.reason || 'Cancelled by customer',
+    status: order.status,
+    note: note ? `Controlled substance sign-off: ${note}` : 'Controlled substance sign-off',
     updatedBy: req.user.id,
+    signOff: true,
     timestamp: new Date()
   });
 
   await order.save();
 
+  await recordAudit(req, {
+    action: 'order.controlled_signoff',
+    entityType: 'Order',
+    entityId: order._id,
+    before: { signedOff: false },
+    after: { signedOff: true },
+    metadata: {
+      orderNumber: order.orderNumber,
+      note,
+      items: order.items
+        .filter(item => getScheduleRules(item.scheduleType))
+        .map(item => ({ product: item.product, quantity: item.quantity, scheduleType: item.scheduleType }))
+    }
+  });
+
+  res.status(200).json({
+    success: true,
+    order
+  });
+});
+
+// @desc    Buy a shipping label from a carrier for an order being prepared
+// @route   POST /api/v1/orders/:id/shipment/label
+// @access  Private/Admin/Pharmacist
+export const createOrderShipmentLabel = asyncHandler(async (req, res, next) => {
+  const { carrier, service } = req.body;
+
+  const order = await Order.findById(req.params.id);
+
+  if (!order) {
+    return next(new AppError('Order not found', 404));
+  }
+
+  const before = snapshot(order, STATUS_AUDIT_FIELDS);
+
+  try {
+    await createShipmentLabel(order, { carrier, service, actor: req.user.id });
+  } catch (error) {
+    if (error instanceof AppError) return next(error);
+
+    // Carrier failures are logged, not passed on to the client
+    logger.error(`Creating a label for order ${order.orderNumber} failed:`, error);
+    return next(new AppError('Label creation failed', 500));
+  }
+
+  await recordAudit(req, {
+    action: 'order.shipment_label',
+    entityType: 'Order',
+    entityId: order._id,
+    before,
+    after: snapshot(order, STATUS_AUDIT_FIELDS),
+    metadata: { orderNumber: order.orderNumber, carrier: order.shipping.carrier }
+  });
+
+  res.status(201).json({
+    success: true,
+    order
+  });
+});
+
+// @desc    Hand a pickup order over at the store after checking its code and ID
+// @route   POST /api/v1/orders/:id/pickup/handover
+// @access  Private/Admin/Pharmacist
+export const handOverPickupOrder = asyncHandler(async (req, res, next) => {
+  const { code, idType, idLast4, collectedByName, note } = req.body;
+
+  const found = await Order.findById(req.params.id).select('shipping.method status');
+
+  if (!found) {
+    return next(new AppError('Order not found', 404));
+  }
+
+  if (found.shipping.method !== 'pickup' || found.status !== 'ready_for_pickup') {
+    return next(new AppError('Only orders ready for pickup can be handed over', 400));
+  }
+
+  // Every try counts as a wrong code until the code checks out
+  const order = await takePickupCodeAttempt(found._id);
+
+  if (!order) {
+    return next(new AppError('Too many wrong pickup codes. The customer must request a new code', 429));
+  }
+
+  if (!verifyPickupCode(order, code)) {
+    return next(new AppError('Pickup code is incorrect', 400));
+  }
+
+  order.shipping.pickup.failedAttempts -= 1;
+  order.shipping.pickup.collectedAt = new Date();
+  order.shipping.pickup.collectedByName = collectedByName;
+  order.shipping.pickup.handedOverBy = req.user.id;
+  order.shipping.pickup.idCheck = { type: idType, last4: idLast4 };
+  // The code is single use
+  order.shipping.pickup.codeHash = undefined;
+
+  await transitionOrder(order, 'delivered', {
+    role: req.user.role,
+    actor: req.user.id,
+    note: note || `Collected from the store by ${collectedByName}`
+  });
+
+  await recordAudit(req, {
+    action: 'order.pickup_handover',
+    entityType: 'Order',
+    entityId: order._id,
+    before: { status: 'ready_for_pickup' },
+    after: { status: order.status },
+    metadata: {
+      orderNumber: order.orderNumber,
+      store: order.shipping.pickup.store,
+      collectedByName,
+      idType,
+      note
+    }
+  });
+
+  res.status(200).json({
+    success: true,
+    order
+  });
+});
+
+// @desc    Send the customer a new pickup code
+// @route   POST /api/v1/orders/:id/pickup/code
+// @access  Private
+export const resendPickupCode = asyncHandler(async (req, res, next) => {
+  const order = await Order.findById(req.params.id);
+
+  if (!order) {
+    return next(new AppError('Order not found', 404));
+  }
+
+  if (order.customer.toString() !== req.user.id &&
+      !['admin', 'pharmacist'].includes(req.user.role)) {
+    return next(new AppError('Not authorized to access this order', 403));
+  }
+
+  if (order.status !== 'ready_for_pickup') {
+    return next(new AppError('Pickup codes are only sent for orders ready for pickup', 400));
+  }
+
+  // Replaces the old code and clears any wrong attempts against it
+  const code = issuePickupCode(order);
+  await order.save();
+
+  await sendPickupCode(order, code);
+
+  res.status(200).json({
+    success: true,
+    message: 'A new pickup code has been sent to your email'
+  });
+});
+
+// @desc    Cancel order
+// @route   PATCH /api/v1/orders/:id/cancel
+// @access  Private
+export const cancelOrder = asyncHandler(async (req, res, next) => {
+  const order = await Order.findById(req.params.id);
+
+  if (!order) {
+    return next(new AppError('Order not found', 404));
+  }
+
+  // Check if user owns this order
+  if (order.customer.toString() !== req.user.id) {
+    return next(new AppError('Not authorized to cancel this order', 403));
+  }
+
+  // The status graph decides whether the order can still be cancelled; paid
+  // orders are refunded and their stock goes back on sale
+  await transitionOrder(order, 'cancelled', {
+    role: 'user',
+    actor: req.user.id,
+    note: req.body.reason || 'Cancelled by customer'
+  });
+
   res.status(200).json({
     success: true,
     message: 'Order cancelled successfully',
@@ -326,7 +473,9 @@ export const trackOrder = asyncHandler(async (req, res, next) => {
 
   res.status(200).json({
     success: true,
-    order
+    order,
+    // Status changes and carrier scans together, oldest first
+    timeline: getOrderTimeline(order)
   });
 });
 
@@ -345,6 +494,9 @@ export const getAllOrders = asyncHandler(async (req, res, next) => {
   if (req.query.paymentStatus) {
     filter['payment.status'] = req.query.paymentStatus;
   }
+  if (req.query.paymentMethod) {
+    filter['payment.method'] = req.query.paymentMethod;
+  }
 
   const orders = await Order.find(filter)
     .populate('customer', 'firstName lastName email phone')
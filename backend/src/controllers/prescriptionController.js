@@ -1,10 +1,26 @@
 import Prescription from '../models/Prescription.js';
-import User from '../models/User.js';
+import Product from '../models/Product.js';
 import { asyncHandler } from '../utils/asyncHandler.js';
 import { AppError } from '../utils/appError.js';
-import { processOCR } from '../utils/ocrProcessor.js';
+import { enqueuePrescriptionOcr } from '../utils/prescriptionOcr.js';
 import { sendEmail } from '../utils/email.js';
 import { logger } from '../utils/logger.js';
+import { findScheduleViolations } from '../utils/controlledSubstances.js';
+import { recordAudit, snapshot } from '../utils/auditLogger.js';
+import {
+  QUEUE_STATUSES,
+  MEDICATION_REVIEW_FIELDS,
+  claimPrescription,
+  releaseClaim,
+  isClaimActive,
+  getVerificationQueue,
+  notifyPharmacistsOfPrescription
+} from '../utils/prescriptionWorkbench.js';
+
+// What a patient may change on their own prescription, and while it is still
+// waiting for a pharmacist
+const PATIENT_EDITABLE_FIELDS = ['notes'];
+const PATIENT_EDITABLE_STATUSES = ['pending_upload', 'uploaded', 'pending_verification'];
 
 // @desc    Upload prescription
 // @route   POST /api/v1/prescriptions
@@ -72,52 +88,20 @@ export const uploadPrescription = asyncHandler(async (req, res, next) => {
     status: 'uploaded'
   });
 
-  // Process OCR if images are provided
+  // OCR runs in the job queue; without images the prescription goes straight to review
+  let ocrJob = null;
   if (images.length > 0) {
-    try {
-      prescription.status = 'processing';
-      await prescription.save();
-
-      const ocrResult = await processOCR(images[0].url);
-      prescription.extractedText = ocrResult.text;
-      prescription.ocrConfidence = ocrResult.confidence;
-      prescription.status = 'pending_verification';
-      
-      await prescription.save();
-    } catch (error) {
-      logger.error('OCR processing failed:', error);
-      prescription.status = 'pending_verification';
-      await prescription.save();
-    }
+    ocrJob = await enqueuePrescriptionOcr(prescription);
   } else {
     prescription.status = 'pending_verification';
     await prescription.save();
-  }
-
-  // Notify pharmacists
-  try {
-    const pharmacists = await User.find({ role: 'pharmacist', isActive: true });
-    
-    for (const pharmacist of pharmacists) {
-      await sendEmail({
-        email: pharmacist.email,
-        subject: 'New Prescription for Verification - MedCare',
-        template: 'newPrescription',
-        data: {
-          pharmacistName: pharmacist.firstName,
-          patientName: `${req.user.firstName} ${req.user.lastName}`,
-          prescriptionId: prescription._id,
-          verificationUrl: `${process.env.ADMIN_URL}/prescriptions/${prescription._id}`
-        }
-      });
-    }
-  } catch (error) {
-    logger.error('Failed to notify pharmacists:', error);
+    await notifyPharmacistsOfPrescription(prescription);
   }
 
   res.status(201).json({
     success: true,
-    prescription
+    prescription,
+    ocrJob: ocrJob && { id: ocrJob._id, status: ocrJob.status }
   });
 });
 
@@ -166,7 +150,7 @@ export const getPrescription = asyncHandler(async (req, res, next) => {
 // @route   PUT /api/v1/prescriptions/:id
 // @access  Private
 export const updatePrescription = asyncHandler(async (req, res, next) => {
-  let prescription = await Prescription.findById(req.params.id);
+  const prescription = await Prescription.findById(req.params.id);
 
   if (!prescription) {
     return next(new AppError('Prescription not found', 404));
@@ -177,19 +161,41 @@ export const updatePrescription = asyncHandler(async (req, res, next) => {
     return next(new AppError('Not authorized to update this prescription', 403));
   }
 
-  // Only allow updates if prescription is not verified
-  if (prescription.status === 'verified') {
-    return next(new AppError('Cannot update verified prescription', 400));
+  if (!PATIENT_EDITABLE_STATUSES.includes(prescription.status)) {
+    return next(new AppError(`Cannot update a prescription that is ${prescription.status.replace(/_/g, ' ')}`, 400));
   }
 
-  prescription = await Prescription.findByIdAndUpdate(req.params.id, req.body, {
-    new: true,
-    runValidators: true
-  });
+  // Status, medications and refills are only set by a pharmacist at verification
+  const rejected = Object.keys(req.body).filter(field => !PATIENT_EDITABLE_FIELDS.includes(field));
+  if (rejected.length > 0) {
+    return next(new AppError(`Only notes and new images can be changed here, not ${rejected.join(', ')}`, 400));
+  }
+
+  if (req.body.notes !== undefined) {
+    prescription.notes = req.body.notes;
+  }
+
+  // New pages are added to the ones already uploaded and read again
+  const images = (req.files || []).map(file => ({
+    url: file.path, // Cloudinary URL
+    publicId: file.filename,
+    originalName: file.originalname,
+    size: file.size,
+    mimeType: file.mimetype
+  }));
+  prescription.images.push(...images);
+
+  let ocrJob = null;
+  if (images.length > 0) {
+    ocrJob = await enqueuePrescriptionOcr(prescription);
+  } else {
+    await prescription.save();
+  }
 
   res.status(200).json({
     success: true,
-    prescription
+    prescription,
+    ocrJob: ocrJob && { id: ocrJob._id, status: ocrJob.status }
   });
 });
 
@@ -227,17 +233,39 @@ export const deletePrescription = asyncHandler(async (req, res, next) => {
 export const verifyPrescription = asyncHandler(async (req, res, next) => {
   const { isApproved, notes, rejectionReason } = req.body;
 
+  // Verifying takes (or extends) the caller's claim so nobody else can act on it concurrently
+  await claimPrescription(req.params.id, req.user.id);
+
   const prescription = await Prescription.findById(req.params.id)
     .populate('patient', 'firstName lastName email');
 
-  if (!prescription) {
-    return next(new AppError('Prescription not found', 404));
-  }
+  if (isApproved) {
+    // Medications not reviewed one by one are approved as written
+    for (const medication of prescription.medications) {
+      if (medication.review?.status && medication.review.status !== 'pending') continue;
+      medication.review = { status: 'approved', reviewedBy: req.user.id, reviewedAt: new Date() };
+    }
+
+    if (prescription.medications.every(med => med.review.status === 'rejected')) {
+      return next(new AppError('Cannot approve a prescription whose medications were all rejected', 400));
+    }
 
-  if (prescription.status === 'verified') {
-    return next(new AppError('Prescription is already verified', 400));
+    // Controlled-substance medications must respect their schedule's refill and quantity limits
+    const productIds = prescription.medications.map(med => med.product).filter(Boolean);
+    const products = await Product.find({ _id: { $in: productIds } }).select('name scheduleType');
+    const violations = findScheduleViolations(
+      prescription,
+      new Map(products.map(product => [product._id.toString(), product]))
+    );
+
+    if (violations.length > 0) {
+      return next(new AppError('Prescription exceeds controlled-substance limits', 400, violations));
+    }
   }
 
+  const auditFields = ['status', 'verificationStatus.isVerified', 'verificationStatus.rejectionReason'];
+  const before = snapshot(prescription, auditFields);
+
   // Update verification status
   prescription.verificationStatus = {
     isVerified: isApproved,
@@ -248,8 +276,20 @@ export const verifyPrescription = asyncHandler(async (req, res, next) => {
   };
 
   prescription.status = isApproved ? 'verified' : 'rejected';
+  prescription.sla.completedAt = new Date();
+  prescription.sla.pausedAt = undefined;
+  prescription.claim = undefined;
   await prescription.save();
 
+  await recordAudit(req, {
+    action: isApproved ? 'prescription.verify' : 'prescription.reject',
+    entityType: 'Prescription',
+    entityId: prescription._id,
+    before,
+    after: snapshot(prescription, auditFields),
+    metadata: { prescriptionNumber: prescription.prescriptionNumber, notes }
+  });
+
   // Send notification email to patient
   try {
     const emailTemplate = isApproved ? 'prescriptionApproved' : 'prescriptionRejected';
@@ -278,20 +318,264 @@ export const verifyPrescription = asyncHandler(async (req, res, next) => {
   });
 });
 
-// @desc    Get prescriptions for verification (Pharmacist only)
-// @route   GET /api/v1/prescriptions/pending-verification
+// @desc    Get prescription verification queue (Pharmacist only)
+// @route   GET /api/v1/prescriptions/admin/pending
 // @access  Private/Pharmacist
 export const getPendingPrescriptions = asyncHandler(async (req, res, next) => {
-  const prescriptions = await Prescription.find({ 
-    status: 'pending_verification' 
-  })
-    .populate('patient', 'firstName lastName email phone')
-    .sort({ priority: -1, createdAt: 1 });
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  const { status, claimed } = req.query;
+
+  if (status && !QUEUE_STATUSES.includes(status)) {
+    return next(new AppError(`Status must be one of: ${QUEUE_STATUSES.join(', ')}`, 400));
+  }
+
+  const { entries, total } = await getVerificationQueue({
+    status,
+    claimed,
+    breached: req.query.breached === 'true',
+    userId: req.user.id,
+    page,
+    limit
+  });
 
   res.status(200).json({
     success: true,
-    count: prescriptions.length,
-    prescriptions
+    count: entries.length,
+    total,
+    pagination: {
+      page,
+      pages: Math.ceil(total / limit),
+      limit,
+      hasNext: page < Math.ceil(total / limit),
+      hasPrev: page > 1
+    },
+    prescriptions: entries
+  });
+});
+
+// @desc    Get prescription review workspace (Pharmacist only)
+// @route   GET /api/v1/prescriptions/admin/:id/review
+// @access  Private/Pharmacist
+export const getPrescriptionReview = asyncHandler(async (req, res, next) => {
+  const prescription = await Prescription.findById(req.params.id)
+    .populate('patient', 'firstName lastName email phone dateOfBirth medicalInfo')
+    .populate('medications.product', 'name sku strength dosageForm activeIngredient scheduleType prescriptionRequired')
+    .populate('ocrParsed.medications.product', 'name sku strength dosageForm scheduleType')
+    .populate('medications.review.reviewedBy', 'firstName lastName')
+    .populate('claim.pharmacist', 'firstName lastName')
+    .populate('infoRequests.requestedBy', 'firstName lastName');
+
+  if (!prescription) {
+    return next(new AppError('Prescription not found', 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    review: {
+      prescription,
+      // OCR output next to the structured medications it should support
+      ocr: {
+        extractedText: prescription.extractedText,
+        confidence: prescription.ocrConfidence,
+        pages: prescription.ocrPages,
+        parsed: prescription.ocrParsed,
+        images: prescription.images
+      },
+      medications: prescription.medications,
+      slaStatus: prescription.getSlaStatus(),
+      claim: isClaimActive(prescription) ? prescription.claim : null
+    }
+  });
+});
+
+// @desc    Claim prescription for review (Pharmacist only)
+// @route   POST /api/v1/prescriptions/:id/claim
+// @access  Private/Pharmacist
+export const claimPrescriptionForReview = asyncHandler(async (req, res, next) => {
+  const prescription = await claimPrescription(req.params.id, req.user.id);
+
+  res.status(200).json({
+    success: true,
+    claim: prescription.claim,
+    slaStatus: prescription.getSlaStatus()
+  });
+});
+
+// @desc    Release claim on prescription (Pharmacist only)
+// @route   DELETE /api/v1/prescriptions/:id/claim
+// @access  Private/Pharmacist
+export const releasePrescriptionClaim = asyncHandler(async (req, res, next) => {
+  const prescription = await releaseClaim(req.params.id, req.user.id, {
+    force: req.user.role === 'admin'
+  });
+
+  if (!prescription) {
+    return next(new AppError('You do not hold a claim on this prescription', 400));
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Claim released'
+  });
+});
+
+// @desc    Approve, modify or reject a single medication (Pharmacist only)
+// @route   PATCH /api/v1/prescriptions/:id/medications/:medicationId
+// @access  Private/Pharmacist
+export const reviewMedication = asyncHandler(async (req, res, next) => {
+  const { action, note, product } = req.body;
+
+  const prescription = await claimPrescription(req.params.id, req.user.id);
+  const medication = prescription.medications.id(req.params.medicationId);
+
+  if (!medication) {
+    return next(new AppError('Medication not found on this prescription', 404));
+  }
+
+  const auditFields = [...MEDICATION_REVIEW_FIELDS, 'product', 'review.status'];
+  const before = snapshot(medication, auditFields);
+
+  // Map (or unmap with null) the medication to a catalogue product
+  if (product !== undefined) {
+    if (product && !(await Product.exists({ _id: product, isActive: true }))) {
+      return next(new AppError('Product not found', 404));
+    }
+    medication.product = product || undefined;
+  }
+
+  if (action === 'modify') {
+    const updates = MEDICATION_REVIEW_FIELDS.filter(field => req.body[field] !== undefined);
+
+    if (updates.length === 0 && product === undefined) {
+      return next(new AppError('No medication changes supplied', 400));
+    }
+
+    updates.forEach(field => { medication[field] = req.body[field]; });
+  }
+
+  medication.review = {
+    status: { approve: 'approved', modify: 'modified', reject: 'rejected' }[action],
+    note,
+    reviewedBy: req.user.id,
+    reviewedAt: new Date()
+  };
+
+  await prescription.save();
+
+  await recordAudit(req, {
+    action: 'prescription.medication_review',
+    entityType: 'Prescription',
+    entityId: prescription._id,
+    before,
+    after: snapshot(medication, auditFields),
+    metadata: { prescriptionNumber: prescription.prescriptionNumber, medication: medication._id, action, note }
+  });
+
+  res.status(200).json({
+    success: true,
+    medication,
+    prescription
+  });
+});
+
+// @desc    Ask the patient for more information (Pharmacist only)
+// @route   POST /api/v1/prescriptions/:id/request-info
+// @access  Private/Pharmacist
+export const requestPrescriptionInfo = asyncHandler(async (req, res, next) => {
+  const { message } = req.body;
+
+  await claimPrescription(req.params.id, req.user.id);
+
+  const prescription = await Prescription.findById(req.params.id)
+    .populate('patient', 'firstName lastName email');
+
+  if (prescription.status !== 'pending_verification') {
+    return next(new AppError('Information can only be requested for prescriptions awaiting verification', 400));
+  }
+
+  const before = snapshot(prescription, ['status']);
+
+  prescription.infoRequests.push({ message, requestedBy: req.user.id });
+  prescription.status = 'awaiting_information';
+  // The SLA clock stops until the patient answers. Prescriptions queued before
+  // SLAs existed have no clock; theirs starts when the patient answers.
+  if (prescription.sla?.dueAt) {
+    prescription.sla.pausedAt = new Date();
+  }
+  prescription.claim = undefined;
+  await prescription.save();
+
+  await recordAudit(req, {
+    action: 'prescription.info_request',
+    entityType: 'Prescription',
+    entityId: prescription._id,
+    before,
+    after: snapshot(prescription, ['status']),
+    metadata: { prescriptionNumber: prescription.prescriptionNumber, message }
+  });
+
+  try {
+    await sendEmail({
+      email: prescription.patient.email,
+      template: 'prescriptionInfoRequested',
+      data: {
+        patientName: prescription.patient.firstName,
+        prescriptionNumber: prescription.prescriptionNumber,
+        message,
+        prescriptionUrl: `${process.env.FRONTEND_URL}/prescriptions/${prescription._id}`
+      }
+    });
+  } catch (error) {
+    logger.error('Failed to send information request email:', error);
+  }
+
+  res.status(200).json({
+    success: true,
+    prescription
+  });
+});
+
+// @desc    Answer a pharmacist's information request
+// @route   POST /api/v1/prescriptions/:id/respond-info
+// @access  Private
+export const respondToInfoRequest = asyncHandler(async (req, res, next) => {
+  const { response } = req.body;
+
+  const prescription = await Prescription.findById(req.params.id);
+
+  if (!prescription) {
+    return next(new AppError('Prescription not found', 404));
+  }
+
+  if (prescription.patient.toString() !== req.user.id) {
+    return next(new AppError('Not authorized to update this prescription', 403));
+  }
+
+  const request = [...prescription.infoRequests].reverse().find(entry => !entry.respondedAt);
+
+  if (prescription.status !== 'awaiting_information' || !request) {
+    return next(new AppError('No information request is awaiting a response', 400));
+  }
+
+  request.response = response;
+  request.respondedAt = new Date();
+
+  // Back into the queue with the SLA extended by the time spent waiting on the
+  // patient. Without an SLA, going back to pending_verification starts one.
+  const now = new Date();
+  if (prescription.sla?.pausedAt) {
+    if (prescription.sla.dueAt) {
+      prescription.sla.dueAt = new Date(prescription.sla.dueAt.getTime() + (now - prescription.sla.pausedAt));
+    }
+    prescription.sla.pausedAt = undefined;
+  }
+  prescription.status = 'pending_verification';
+  await prescription.save();
+
+  res.status(200).json({
+    success: true,
+    prescription
   });
 });
 
@@ -309,26 +593,55 @@ export const reprocessPrescription = asyncHandler(async (req, res, next) => {
     return next(new AppError('No images available for processing', 400));
   }
 
-  try {
-    prescription.status = 'processing';
-    await prescription.save();
+  if (!['uploaded', 'processing', 'pending_verification'].includes(prescription.status)) {
+    return next(new AppError(`Cannot reprocess a ${prescription.status} prescription`, 400));
+  }
 
-    const ocrResult = await processOCR(prescription.images[0].url);
-    prescription.extractedText = ocrResult.text;
-    prescription.ocrConfidence = ocrResult.confidence;
-    prescription.status = 'pending_verification';
-    
-    await prescription.save();
+  // Any job still running for this prescription is superseded by the new one
+  const ocrJob = await enqueuePrescriptionOcr(prescription);
 
-    res.status(200).json({
-      success: true,
-      prescription
-    });
-  } catch (error) {
-    logger.error('OCR reprocessing failed:', error);
-    prescription.status = 'pending_verification';
-    await prescription.save();
-    
-    return next(new AppError('Failed to reprocess prescription', 500));
+  res.status(202).json({
+    success: true,
+    prescription,
+    ocrJob: { id: ocrJob._id, status: ocrJob.status }
+  });
+});
+
+// @desc    Get OCR job status for a prescription
+// @route   GET /api/v1/prescriptions/:id/ocr-status
+// @access  Private
+export const getOcrStatus = asyncHandler(async (req, res, next) => {
+  const prescription = await Prescription.findById(req.params.id)
+    .select('patient status ocrJob ocrPages ocrConfidence images')
+    .populate('ocrJob', 'status attempts maxAttempts progress lastError runAt completedAt failedAt');
+
+  if (!prescription) {
+    return next(new AppError('Prescription not found', 404));
   }
-});
\ No newline at end of file
+
+  if (prescription.patient.toString() !== req.user.id &&
+      !['admin', 'pharmacist'].includes(req.user.role)) {
+    return next(new AppError('Not authorized to access this prescription', 403));
+  }
+
+  const job = prescription.ocrJob;
+
+  res.status(200).json({
+    success: true,
+    prescriptionStatus: prescription.status,
+    job: job && {
+      id: job._id,
+      status: job.status,
+      attempts: job.attempts,
+      maxAttempts: job.maxAttempts,
+      progress: job.progress,
+      lastError: job.lastError,
+      nextAttemptAt: job.status === 'queued' && job.attempts > 0 ? job.runAt : undefined,
+      completedAt: job.completedAt,
+      failedAt: job.failedAt
+    },
+    pages: prescription.ocrPages.map(({ page, confidence, processedAt }) => ({ page, confidence, processedAt })),
+    totalPages: prescription.images.length,
+    confidence: prescription.ocrConfidence
+  });
+});
@@ -4,6 +4,15 @@ import Review from '../models/Review.js';
 import { asyncHandler } from '../utils/asyncHandler.js';
 import { AppError } from '../utils/appError.js';
 import { APIFeatures } from '../utils/apiFeatures.js';
+import { recordAudit, snapshot, diffSnapshots } from '../utils/auditLogger.js';
+import { isLotTracked, openUntrackedStock, receiveStockLot, adjustStockLot } from '../utils/stockLots.js';
+import { applyStockMovement, recordOpeningBalance } from '../utils/inventoryLedger.js';
+import { runInTransaction } from '../utils/transaction.js';
+import StockLot from '../models/StockLot.js';
+import StockMovement from '../models/StockMovement.js';
+
+const PRICE_FIELDS = ['price', 'originalPrice', 'discount'];
+const STOCK_FIELDS = ['stock.quantity', 'stock.lowStockThreshold'];
 
 // @desc    Get all products
 // @route   GET /api/v1/products
@@ -196,7 +205,13 @@ export const createProduct = asyncHandler(async (req, res, next) => {
   // Add user to req.body
   req.body.createdBy = req.user.id;
 
+  // Nothing can be on hold for a product that did not exist
+  if (req.body.stock) {
+    delete req.body.stock.reserved;
+  }
+
   const product = await Product.create(req.body);
+  await recordOpeningBalance(product, { actor: req.user.id, note: 'Stock on product creation' });
 
   res.status(201).json({
     success: true,
@@ -214,11 +229,62 @@ export const updateProduct = asyncHandler(async (req, res, next) => {
     return next(new AppError('Product not found', 404));
   }
 
-  product = await Product.findByIdAndUpdate(req.params.id, req.body, {
-    new: true,
-    runValidators: true
+  const previous = product;
+
+  // Stock counts only change through the inventory ledger
+  const { stock, ...updates } = req.body;
+  if (stock?.lowStockThreshold !== undefined) {
+    updates['stock.lowStockThreshold'] = stock.lowStockThreshold;
+  }
+
+  const quantityChange = stock?.quantity !== undefined
+    ? Number(stock.quantity) - previous.stock.quantity
+    : 0;
+
+  if (quantityChange !== 0 && await isLotTracked(previous._id)) {
+    return next(new AppError('Stock for this product is tracked by lot; receive or adjust its lots instead', 400));
+  }
+
+  // The stock guard and the other fields commit together, so a lost race
+  // leaves the product as it was
+  product = await runInTransaction(async (session) => {
+    if (quantityChange !== 0) {
+      const movement = await applyStockMovement({
+        product: previous._id,
+        reason: 'adjustment',
+        quantity: quantityChange,
+        note: 'Stock edited with the product',
+        actor: req.user.id,
+        condition: { 'stock.quantity': previous.stock.quantity }
+      }, { session });
+
+      if (!movement) {
+        throw new AppError('Stock changed while the product was being updated, please retry', 409);
+      }
+    }
+
+    return Product.findByIdAndUpdate(req.params.id, updates, {
+      new: true,
+      runValidators: true,
+      session
+    });
   });
 
+  // Price and stock edits are audited separately so each can be filtered on its own
+  for (const [action, fields] of [['product.price_change', PRICE_FIELDS], ['product.stock_change', STOCK_FIELDS]]) {
+    const changes = diffSnapshots(snapshot(previous, fields), snapshot(product, fields));
+    if (changes.length === 0) continue;
+
+    await recordAudit(req, {
+      action,
+      entityType: 'Product',
+      entityId: product._id,
+      before: snapshot(previous, fields),
+      after: snapshot(product, fields),
+      metadata: { sku: product.sku, name: product.name }
+    });
+  }
+
   res.status(200).json({
     success: true,
     product
@@ -249,32 +315,239 @@ export const deleteProduct = asyncHandler(async (req, res, next) => {
 // @route   PATCH /api/v1/products/:id/stock
 // @access  Private/Admin
 export const updateProductStock = asyncHandler(async (req, res, next) => {
-  const { quantity, operation } = req.body; // operation: 'add', 'subtract', 'set'
+  const { quantity, operation, note } = req.body; // operation: 'add', 'subtract', 'set'
+  const reason = req.body.reason || (operation === 'add' ? 'receipt' : 'adjustment');
 
-  const product = await Product.findById(req.params.id);
+  let product = await Product.findById(req.params.id);
 
   if (!product) {
     return next(new AppError('Product not found', 404));
   }
 
+  if (await isLotTracked(product._id)) {
+    return next(new AppError('Stock for this product is tracked by lot; receive or adjust its lots instead', 400));
+  }
+
+  const before = snapshot(product, ['stock.quantity']);
+
+  let change;
   switch (operation) {
     case 'add':
-      product.stock.quantity += quantity;
+      change = quantity;
       break;
     case 'subtract':
-      product.stock.quantity = Math.max(0, product.stock.quantity - quantity);
+      change = -quantity;
       break;
     case 'set':
-      product.stock.quantity = quantity;
+      change = quantity - product.stock.quantity;
       break;
     default:
       return next(new AppError('Invalid operation', 400));
   }
 
-  await product.save();
+  const movement = await applyStockMovement({
+    product: product._id,
+    reason,
+    quantity: change,
+    note,
+    actor: req.user.id,
+    // A set is only valid against the count it was based on
+    condition: operation === 'set' ? { 'stock.quantity': product.stock.quantity } : {}
+  });
+
+  if (!movement && change !== 0) {
+    return next(new AppError('Stock changed while it was being updated, please retry', 409));
+  }
+
+  product = await Product.findById(product._id);
+
+  await recordAudit(req, {
+    action: 'product.stock_change',
+    entityType: 'Product',
+    entityId: product._id,
+    before,
+    after: snapshot(product, ['stock.quantity']),
+    metadata: { sku: product.sku, name: product.name, operation, quantity, reason }
+  });
 
   res.status(200).json({
     success: true,
-    product
+    product,
+    movement
+  });
+});
+
+// @desc    Get stock movement history for a product
+// @route   GET /api/v1/products/:id/movements
+// @access  Private/Admin
+export const getProductMovements = asyncHandler(async (req, res, next) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 50;
+  const skip = (page - 1) * limit;
+
+  const filter = { product: req.params.id };
+  if (req.query.reason) {
+    filter.reason = req.query.reason;
+  }
+  if (req.query.from || req.query.to) {
+    filter.createdAt = {};
+    if (req.query.from) filter.createdAt.$gte = new Date(req.query.from);
+    if (req.query.to) filter.createdAt.$lte = new Date(req.query.to);
+  }
+
+  const [movements, total] = await Promise.all([
+    StockMovement.find(filter)
+      .populate('actor', 'firstName lastName')
+      .populate('order', 'orderNumber')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit),
+    StockMovement.countDocuments(filter)
+  ]);
+
+  res.status(200).json({
+    success: true,
+    count: movements.length,
+    total,
+    pagination: {
+      page,
+      pages: Math.ceil(total / limit),
+      limit,
+      hasNext: page < Math.ceil(total / limit),
+      hasPrev: page > 1
+    },
+    movements
+  });
+});
+
+// @desc    Get stock lots for a product
+// @route   GET /api/v1/products/:id/lots
+// @access  Private/Admin
+export const getProductLots = asyncHandler(async (req, res, next) => {
+  const filter = { product: req.params.id };
+  if (req.query.status) {
+    filter.status = req.query.status;
+  }
+
+  const lots = await StockLot.find(filter).sort({ expiryDate: 1 });
+
+  res.status(200).json({
+    success: true,
+    count: lots.length,
+    lots
+  });
+});
+
+// @desc    Receive a stock lot
+// @route   POST /api/v1/products/:id/lots
+// @access  Private/Admin
+export const receiveProductLot = asyncHandler(async (req, res, next) => {
+  const { lotNumber, expiryDate, manufacturingDate, quantity, costPrice } = req.body;
+
+  let product = await Product.findById(req.params.id);
+
+  if (!product) {
+    return next(new AppError('Product not found', 404));
+  }
+
+  const before = snapshot(product, ['stock.quantity']);
+
+  const lot = await receiveStockLot({
+    product: req.params.id,
+    lotNumber,
+    expiryDate,
+    manufacturingDate,
+    quantity,
+    costPrice
+  }, { actor: req.user.id, reference: req.body.reference });
+
+  product = await Product.findById(req.params.id);
+
+  await recordAudit(req, {
+    action: 'product.stock_change',
+    entityType: 'Product',
+    entityId: product._id,
+    before,
+    after: snapshot(product, ['stock.quantity']),
+    metadata: { sku: product.sku, name: product.name, operation: 'receive_lot', lotNumber: lot.lotNumber, quantity }
   });
-});
\ No newline at end of file
+
+  res.status(201).json({
+    success: true,
+    lot,
+    stock: product.stock
+  });
+});
+
+// @desc    Put stock that predates lot tracking into an opening lot
+// @route   POST /api/v1/products/:id/lots/opening
+// @access  Private/Admin
+export const openProductLot = asyncHandler(async (req, res, next) => {
+  const { lotNumber, expiryDate, manufacturingDate } = req.body;
+
+  const product = await Product.findById(req.params.id);
+
+  if (!product) {
+    return next(new AppError('Product not found', 404));
+  }
+
+  const lot = await openUntrackedStock(req.params.id, { lotNumber, expiryDate, manufacturingDate }, { actor: req.user.id });
+
+  if (!lot) {
+    return next(new AppError('There is no untracked stock to put into a lot', 400));
+  }
+
+  await recordAudit(req, {
+    action: 'product.stock_change',
+    entityType: 'Product',
+    entityId: product._id,
+    metadata: { sku: product.sku, name: product.name, operation: 'open_lot', lotNumber: lot.lotNumber, quantity: lot.quantity }
+  });
+
+  res.status(201).json({
+    success: true,
+    lot,
+    stock: product.stock
+  });
+});
+
+// @desc    Correct the on-hand count of a stock lot
+// @route   PATCH /api/v1/products/:id/lots/:lotId
+// @access  Private/Admin
+export const adjustProductLot = asyncHandler(async (req, res, next) => {
+  const { quantity, reason, note } = req.body;
+
+  const existing = await StockLot.findOne({ _id: req.params.lotId, product: req.params.id });
+
+  if (!existing) {
+    return next(new AppError('Stock lot not found', 404));
+  }
+
+  const before = snapshot(await Product.findById(req.params.id), ['stock.quantity']);
+
+  const { lot } = await adjustStockLot(existing._id, quantity, { reason, note, actor: req.user.id });
+  const product = await Product.findById(req.params.id);
+
+  await recordAudit(req, {
+    action: 'product.stock_change',
+    entityType: 'Product',
+    entityId: product._id,
+    before,
+    after: snapshot(product, ['stock.quantity']),
+    metadata: {
+      sku: product.sku,
+      name: product.name,
+      operation: 'adjust_lot',
+      lotNumber: lot.lotNumber,
+      lotQuantity: { before: existing.quantity, after: lot.quantity },
+      reason,
+      note
+    }
+  });
+
+  res.status(200).json({
+    success: true,
+    lot,
+    stock: product.stock
+  });
+});
@@ -0,0 +1,272 @@
+import PurchaseOrder from '../models/PurchaseOrder.js';
+import Supplier from '../models/Supplier.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { AppError } from '../utils/appError.js';
+import { sendEmail } from '../utils/email.js';
+import { logger } from '../utils/logger.js';
+import {
+  buildReorderSuggestions,
+  buildPurchaseOrderItems,
+  draftPurchaseOrder,
+  receiveGoods
+} from '../utils/purchasing.js';
+
+// @desc    Get purchase orders (Admin only)
+// @route   GET /api/v1/purchase-orders
+// @access  Private/Admin
+export const getPurchaseOrders = asyncHandler(async (req, res, next) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  const skip = (page - 1) * limit;
+
+  const filter = {};
+  if (req.query.status) {
+    filter.status = req.query.status;
+  }
+  if (req.query.supplier) {
+    filter.supplier = req.query.supplier;
+  }
+  if (req.query.product) {
+    filter['items.product'] = req.query.product;
+  }
+
+  const purchaseOrders = await PurchaseOrder.find(filter)
+    .select('-receipts -statusHistory')
+    .populate('supplier', 'name code')
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limit);
+
+  const total = await PurchaseOrder.countDocuments(filter);
+
+  res.status(200).json({
+    success: true,
+    count: purchaseOrders.length,
+    total,
+    pagination: {
+      page,
+      pages: Math.ceil(total / limit),
+      limit,
+      hasNext: page < Math.ceil(total / limit),
+      hasPrev: page > 1
+    },
+    purchaseOrders
+  });
+});
+
+// @desc    Get reorder suggestions (Admin only)
+// @route   GET /api/v1/purchase-orders/suggestions
+// @access  Private/Admin
+export const getReorderSuggestions = asyncHandler(async (req, res, next) => {
+  const suggestions = await buildReorderSuggestions({
+    supplier: req.query.supplier,
+    category: req.query.category
+  });
+
+  res.status(200).json({
+    success: true,
+    count: suggestions.length,
+    generatedAt: new Date().toISOString(),
+    suggestions
+  });
+});
+
+// @desc    Draft purchase orders from reorder suggestions, one per supplier (Admin only)
+// @route   POST /api/v1/purchase-orders/from-suggestions
+// @access  Private/Admin
+export const createPurchaseOrdersFromSuggestions = asyncHandler(async (req, res, next) => {
+  const { supplier, products } = req.body;
+
+  let suggestions = await buildReorderSuggestions({ supplier });
+  if (products?.length) {
+    suggestions = suggestions.filter(suggestion => products.includes(suggestion.product._id.toString()));
+  }
+
+  const bySupplier = new Map();
+  for (const suggestion of suggestions.filter(entry => entry.supplier)) {
+    const key = suggestion.supplier._id.toString();
+    if (!bySupplier.has(key)) bySupplier.set(key, []);
+    bySupplier.get(key).push({
+      product: suggestion.product._id,
+      quantity: suggestion.suggestedQuantity,
+      unitCost: suggestion.unitCost
+    });
+  }
+
+  const purchaseOrders = [];
+  for (const [supplierId, items] of bySupplier) {
+    purchaseOrders.push(await draftPurchaseOrder(
+      { supplier: supplierId, items, notes: 'Drafted from reorder suggestions' },
+      { userId: req.user.id }
+    ));
+  }
+
+  res.status(201).json({
+    success: true,
+    count: purchaseOrders.length,
+    // Products no active supplier carries need a supplier before they can be ordered
+    withoutSupplier: suggestions.filter(entry => !entry.supplier).map(entry => entry.product),
+    purchaseOrders
+  });
+});
+
+// @desc    Get single purchase order (Admin only)
+// @route   GET /api/v1/purchase-orders/:id
+// @access  Private/Admin
+export const getPurchaseOrder = asyncHandler(async (req, res, next) => {
+  const purchaseOrder = await PurchaseOrder.findById(req.params.id)
+    .populate('supplier', 'name code email phone leadTimeDays')
+    .populate('items.product', 'name sku stock')
+    .populate('receipts.receivedBy', 'firstName lastName')
+    .populate('createdBy', 'firstName lastName');
+
+  if (!purchaseOrder) {
+    return next(new AppError('Purchase order not found', 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    purchaseOrder
+  });
+});
+
+// @desc    Create purchase order (Admin only)
+// @route   POST /api/v1/purchase-orders
+// @access  Private/Admin
+export const createPurchaseOrder = asyncHandler(async (req, res, next) => {
+  const { supplier, items, expectedAt, notes } = req.body;
+
+  const purchaseOrder = await draftPurchaseOrder(
+    { supplier, items, expectedAt, notes },
+    { userId: req.user.id }
+  );
+
+  res.status(201).json({
+    success: true,
+    purchaseOrder
+  });
+});
+
+// @desc    Update a draft purchase order (Admin only)
+// @route   PUT /api/v1/purchase-orders/:id
+// @access  Private/Admin
+export const updatePurchaseOrder = asyncHandler(async (req, res, next) => {
+  const purchaseOrder = await PurchaseOrder.findById(req.params.id);
+
+  if (!purchaseOrder) {
+    return next(new AppError('Purchase order not found', 404));
+  }
+
+  if (purchaseOrder.status !== 'draft') {
+    return next(new AppError('Only draft purchase orders can be edited', 400));
+  }
+
+  const { items, expectedAt, notes } = req.body;
+
+  if (items) {
+    const supplier = await Supplier.findById(purchaseOrder.supplier);
+    purchaseOrder.items = await buildPurchaseOrderItems(supplier, items);
+  }
+  if (expectedAt !== undefined) purchaseOrder.expectedAt = expectedAt;
+  if (notes !== undefined) purchaseOrder.notes = notes;
+
+  await purchaseOrder.save();
+
+  res.status(200).json({
+    success: true,
+    purchaseOrder
+  });
+});
+
+// @desc    Send a draft purchase order to its supplier (Admin only)
+// @route   POST /api/v1/purchase-orders/:id/send
+// @access  Private/Admin
+export const sendPurchaseOrder = asyncHandler(async (req, res, next) => {
+  const purchaseOrder = await PurchaseOrder.findById(req.params.id).populate('supplier');
+
+  if (!purchaseOrder) {
+    return next(new AppError('Purchase order not found', 404));
+  }
+
+  if (purchaseOrder.status !== 'draft') {
+    return next(new AppError('Only draft purchase orders can be sent', 400));
+  }
+
+  const now = new Date();
+  purchaseOrder.status = 'sent';
+  purchaseOrder.sentAt = now;
+  purchaseOrder.statusHistory.push({
+    status: 'sent',
+    timestamp: now,
+    note: `Sent to ${purchaseOrder.supplier.email}`,
+    updatedBy: req.user.id
+  });
+  await purchaseOrder.save();
+
+  try {
+    await sendEmail({
+      email: purchaseOrder.supplier.email,
+      template: 'purchaseOrder',
+      data: {
+        supplierName: purchaseOrder.supplier.contactName || purchaseOrder.supplier.name,
+        poNumber: purchaseOrder.poNumber,
+        expectedAt: purchaseOrder.expectedAt,
+        items: purchaseOrder.items,
+        total: purchaseOrder.total
+      }
+    });
+  } catch (error) {
+    logger.error(`Failed to email purchase order ${purchaseOrder.poNumber}:`, error);
+  }
+
+  res.status(200).json({
+    success: true,
+    purchaseOrder
+  });
+});
+
+// @desc    Receive goods against a purchase order (Admin only)
+// @route   POST /api/v1/purchase-orders/:id/receive
+// @access  Private/Admin
+export const receivePurchaseOrder = asyncHandler(async (req, res, next) => {
+  const { lines, note } = req.body;
+
+  const purchaseOrder = await receiveGoods(req.params.id, { lines, note }, { userId: req.user.id });
+
+  res.status(200).json({
+    success: true,
+    message: purchaseOrder.status === 'received'
+      ? 'Purchase order fully received'
+      : 'Delivery recorded; items are still outstanding',
+    purchaseOrder
+  });
+});
+
+// @desc    Cancel a purchase order nothing has been received on (Admin only)
+// @route   POST /api/v1/purchase-orders/:id/cancel
+// @access  Private/Admin
+export const cancelPurchaseOrder = asyncHandler(async (req, res, next) => {
+  const purchaseOrder = await PurchaseOrder.findById(req.params.id);
+
+  if (!purchaseOrder) {
+    return next(new AppError('Purchase order not found', 404));
+  }
+
+  if (!['draft', 'sent'].includes(purchaseOrder.status)) {
+    return next(new AppError(`Cannot cancel a ${purchaseOrder.status.replace('_', ' ')} purchase order`, 400));
+  }
+
+  purchaseOrder.status = 'cancelled';
+  purchaseOrder.statusHistory.push({
+    status: 'cancelled',
+    timestamp: new Date(),
+    note: req.body.reason,
+    updatedBy: req.user.id
+  });
+  await purchaseOrder.save();
+
+  res.status(200).json({
+    success: true,
+    purchaseOrder
+  });
+});
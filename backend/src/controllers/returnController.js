@@ -0,0 +1,340 @@
+import ReturnRequest from '../models/ReturnRequest.js';
+import Order from '../models/Order.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { AppError } from '../utils/appError.js';
+import { logger } from '../utils/logger.js';
+import { recordAudit, snapshot } from '../utils/auditLogger.js';
+import {
+  getReturnableItems,
+  buildReturnRequest,
+  setReturnStatus,
+  completeReturn,
+  sendReturnUpdate
+} from '../utils/returns.js';
+
+const RETURN_AUDIT_FIELDS = ['status', 'refund.amount'];
+
+const isStaff = (user) => ['admin', 'pharmacist'].includes(user.role);
+
+// Load a return request for a staff action
+const findReturnRequest = async (id) => {
+  const returnRequest = await ReturnRequest.findById(id);
+
+  if (!returnRequest) {
+    throw new AppError('Return request not found', 404);
+  }
+
+  return returnRequest;
+};
+
+// @desc    Check which items of an order can be returned
+// @route   GET /api/v1/returns/orders/:orderId/eligibility
+// @access  Private
+export const getReturnEligibility = asyncHandler(async (req, res, next) => {
+  const order = await Order.findById(req.params.orderId);
+
+  if (!order) {
+    return next(new AppError('Order not found', 404));
+  }
+
+  if (order.customer.toString() !== req.user.id && !isStaff(req.user)) {
+    return next(new AppError('Not authorized to access this order', 403));
+  }
+
+  res.status(200).json({
+    success: true,
+    orderNumber: order.orderNumber,
+    items: await getReturnableItems(order)
+  });
+});
+
+// @desc    Request a return
+// @route   POST /api/v1/returns
+// @access  Private
+export const createReturnRequest = asyncHandler(async (req, res, next) => {
+  const { order: orderId, items, comments } = req.body;
+
+  const order = await Order.findById(orderId);
+
+  if (!order || order.customer.toString() !== req.user.id) {
+    return next(new AppError('Order not found', 404));
+  }
+
+  const photos = (req.files || []).map(file => ({
+    url: file.path, // Cloudinary URL
+    publicId: file.filename,
+    originalName: file.originalname
+  }));
+
+  const returnRequest = await buildReturnRequest(order, items, {
+    customer: req.user.id,
+    comments,
+    photos
+  });
+  await returnRequest.save();
+
+  res.status(201).json({
+    success: true,
+    returnRequest
+  });
+});
+
+// @desc    Get user return requests
+// @route   GET /api/v1/returns
+// @access  Private
+export const getMyReturnRequests = asyncHandler(async (req, res, next) => {
+  const returnRequests = await ReturnRequest.find({ customer: req.user.id })
+    .populate('order', 'orderNumber')
+    .sort({ createdAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    count: returnRequests.length,
+    returnRequests
+  });
+});
+
+// @desc    Get single return request
+// @route   GET /api/v1/returns/:id
+// @access  Private
+export const getReturnRequest = asyncHandler(async (req, res, next) => {
+  const returnRequest = await ReturnRequest.findById(req.params.id)
+    .populate('order', 'orderNumber status shipping.actualDelivery')
+    .populate('customer', 'firstName lastName email')
+    .populate('statusHistory.updatedBy', 'firstName lastName');
+
+  if (!returnRequest) {
+    return next(new AppError('Return request not found', 404));
+  }
+
+  if (returnRequest.customer._id.toString() !== req.user.id && !isStaff(req.user)) {
+    return next(new AppError('Not authorized to access this return request', 403));
+  }
+
+  res.status(200).json({
+    success: true,
+    returnRequest
+  });
+});
+
+// @desc    Cancel a return request before the goods arrive
+// @route   PATCH /api/v1/returns/:id/cancel
+// @access  Private
+export const cancelReturnRequest = asyncHandler(async (req, res, next) => {
+  const returnRequest = await ReturnRequest.findById(req.params.id);
+
+  if (!returnRequest) {
+    return next(new AppError('Return request not found', 404));
+  }
+
+  if (returnRequest.customer.toString() !== req.user.id) {
+    return next(new AppError('Not authorized to cancel this return request', 403));
+  }
+
+  setReturnStatus(returnRequest, 'cancelled', {
+    actor: req.user.id,
+    note: req.body.reason || 'Cancelled by customer'
+  });
+  await returnRequest.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Return request cancelled successfully',
+    returnRequest
+  });
+});
+
+// @desc    Get all return requests (Admin/Pharmacist only)
+// @route   GET /api/v1/returns/admin/all
+// @access  Private/Admin/Pharmacist
+export const getAllReturnRequests = asyncHandler(async (req, res, next) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  const skip = (page - 1) * limit;
+
+  const filter = {};
+  if (req.query.status) {
+    filter.status = req.query.status;
+  }
+  if (req.query.order) {
+    filter.order = req.query.order;
+  }
+
+  const returnRequests = await ReturnRequest.find(filter)
+    .populate('order', 'orderNumber status')
+    .populate('customer', 'firstName lastName email')
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limit);
+
+  const total = await ReturnRequest.countDocuments(filter);
+
+  res.status(200).json({
+    success: true,
+    count: returnRequests.length,
+    total,
+    pagination: {
+      page,
+      pages: Math.ceil(total / limit),
+      limit,
+      hasNext: page < Math.ceil(total / limit),
+      hasPrev: page > 1
+    },
+    returnRequests
+  });
+});
+
+// @desc    Approve a return request
+// @route   PATCH /api/v1/returns/:id/approve
+// @access  Private/Admin/Pharmacist
+export const approveReturnRequest = asyncHandler(async (req, res, next) => {
+  const returnRequest = await findReturnRequest(req.params.id);
+  const before = snapshot(returnRequest, RETURN_AUDIT_FIELDS);
+
+  setReturnStatus(returnRequest, 'approved', { actor: req.user.id, note: req.body.note });
+  returnRequest.approvedBy = req.user.id;
+  await returnRequest.save();
+
+  await recordAudit(req, {
+    action: 'return.approve',
+    entityType: 'ReturnRequest',
+    entityId: returnRequest._id,
+    before,
+    after: snapshot(returnRequest, RETURN_AUDIT_FIELDS),
+    metadata: { returnNumber: returnRequest.returnNumber, note: req.body.note }
+  });
+
+  await sendReturnUpdate(returnRequest, {
+    heading: 'Return Approved',
+    message: `Your return ${returnRequest.returnNumber} has been approved. Please send the items back to us.` +
+      (req.body.note ? ` ${req.body.note}` : '')
+  });
+
+  res.status(200).json({
+    success: true,
+    returnRequest
+  });
+});
+
+// @desc    Reject a return request
+// @route   PATCH /api/v1/returns/:id/reject
+// @access  Private/Admin/Pharmacist
+export const rejectReturnRequest = asyncHandler(async (req, res, next) => {
+  const { reason } = req.body;
+
+  const returnRequest = await findReturnRequest(req.params.id);
+  const before = snapshot(returnRequest, RETURN_AUDIT_FIELDS);
+
+  setReturnStatus(returnRequest, 'rejected', { actor: req.user.id, note: reason });
+  returnRequest.rejectionReason = reason;
+  await returnRequest.save();
+
+  await recordAudit(req, {
+    action: 'return.reject',
+    entityType: 'ReturnRequest',
+    entityId: returnRequest._id,
+    before,
+    after: snapshot(returnRequest, RETURN_AUDIT_FIELDS),
+    metadata: { returnNumber: returnRequest.returnNumber, reason }
+  });
+
+  await sendReturnUpdate(returnRequest, {
+    heading: 'Return Not Accepted',
+    message: `We could not accept your return ${returnRequest.returnNumber}: ${reason}`
+  });
+
+  res.status(200).json({
+    success: true,
+    returnRequest
+  });
+});
+
+// @desc    Record returned goods as received
+// @route   PATCH /api/v1/returns/:id/receive
+// @access  Private/Admin/Pharmacist
+export const receiveReturnRequest = asyncHandler(async (req, res, next) => {
+  const returnRequest = await findReturnRequest(req.params.id);
+  const before = snapshot(returnRequest, RETURN_AUDIT_FIELDS);
+
+  setReturnStatus(returnRequest, 'received', { actor: req.user.id, note: req.body.note });
+  returnRequest.receivedBy = req.user.id;
+  await returnRequest.save();
+
+  await recordAudit(req, {
+    action: 'return.receive',
+    entityType: 'ReturnRequest',
+    entityId: returnRequest._id,
+    before,
+    after: snapshot(returnRequest, RETURN_AUDIT_FIELDS),
+    metadata: { returnNumber: returnRequest.returnNumber, note: req.body.note }
+  });
+
+  res.status(200).json({
+    success: true,
+    returnRequest
+  });
+});
+
+// @desc    Inspect returned goods: restock or destroy each line and refund
+// @route   PATCH /api/v1/returns/:id/inspect
+// @access  Private/Admin/Pharmacist
+export const inspectReturnRequest = asyncHandler(async (req, res, next) => {
+  const { items, refundAmount, note } = req.body;
+
+  const returnRequest = await findReturnRequest(req.params.id);
+  const order = await Order.findById(returnRequest.order);
+
+  if (!order) {
+    return next(new AppError('Order not found', 404));
+  }
+
+  const before = snapshot(returnRequest, RETURN_AUDIT_FIELDS);
+
+  try {
+    await completeReturn(returnRequest, order, {
+      dispositions: items,
+      refundAmount,
+      note,
+      actor: req.user.id,
+      role: req.user.role
+    });
+  } catch (error) {
+    if (error instanceof AppError) return next(error);
+
+    // Provider failures are logged, not passed on to the client
+    logger.error(`Completing return ${returnRequest.returnNumber} failed:`, error);
+    return next(new AppError('Return processing failed', 500));
+  }
+
+  await recordAudit(req, {
+    action: 'return.inspect',
+    entityType: 'ReturnRequest',
+    entityId: returnRequest._id,
+    before,
+    after: snapshot(returnRequest, RETURN_AUDIT_FIELDS),
+    metadata: {
+      returnNumber: returnRequest.returnNumber,
+      orderNumber: order.orderNumber,
+      refundId: returnRequest.refund?.providerRefundId,
+      dispositions: returnRequest.items.map(line => ({
+        product: line.product,
+        quantity: line.quantity,
+        disposition: line.disposition
+      })),
+      note
+    }
+  });
+
+  await sendReturnUpdate(returnRequest, {
+    heading: 'Return Completed',
+    message: returnRequest.refund?.amount > 0
+      ? `We have received your return ${returnRequest.returnNumber} and refunded $${returnRequest.refund.amount.toFixed(2)}.`
+      : `We have received and processed your return ${returnRequest.returnNumber}.`
+  });
+
+  res.status(200).json({
+    success: true,
+    returnRequest,
+    order
+  });
+});
@@ -0,0 +1,342 @@
+import mongoose from 'mongoose';
+import Review from '../models/Review.js';
+import Product from '../models/Product.js';
+import Order from '../models/Order.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { AppError } from '../utils/appError.js';
+import { recordAudit, snapshot } from '../utils/auditLogger.js';
+
+const REVIEW_SORTS = {
+  newest: { createdAt: -1 },
+  oldest: { createdAt: 1 },
+  highest: { rating: -1, createdAt: -1 },
+  lowest: { rating: 1, createdAt: -1 },
+  helpful: { helpfulVotes: -1, createdAt: -1 }
+};
+
+const MODERATION_AUDIT_FIELDS = ['moderationStatus', 'isApproved', 'moderationNotes'];
+
+// Approved reviews that collect this many reports go back to the moderation queue
+const getReportThreshold = () => parseInt(process.env.REVIEW_REPORT_THRESHOLD) || 3;
+
+// @desc    Get approved reviews for a product
+// @route   GET /api/v1/products/:id/reviews
+// @access  Public
+export const getProductReviews = asyncHandler(async (req, res, next) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 10;
+  const skip = (page - 1) * limit;
+
+  const product = await Product.findById(req.params.id).select('isActive rating');
+
+  if (!product || !product.isActive) {
+    return next(new AppError('Product not found', 404));
+  }
+
+  const filter = { product: product._id, isApproved: true };
+  if (req.query.rating) {
+    filter.rating = parseInt(req.query.rating);
+  }
+  if (req.query.verified === 'true') {
+    filter.isVerifiedPurchase = true;
+  }
+
+  const [reviews, total, distribution] = await Promise.all([
+    Review.find(filter)
+      .populate('user', 'firstName lastName avatar')
+      .sort(REVIEW_SORTS[req.query.sort] || REVIEW_SORTS.newest)
+      .skip(skip)
+      .limit(limit),
+    Review.countDocuments(filter),
+    Review.aggregate([
+      { $match: { product: product._id, isApproved: true } },
+      { $group: { _id: '$rating', count: { $sum: 1 } } }
+    ])
+  ]);
+
+  res.status(200).json({
+    success: true,
+    count: reviews.length,
+    total,
+    pagination: {
+      page,
+      pages: Math.ceil(total / limit),
+      limit,
+      hasNext: page < Math.ceil(total / limit),
+      hasPrev: page > 1
+    },
+    summary: {
+      average: product.rating.average,
+      count: product.rating.count,
+      distribution: Object.fromEntries(
+        [5, 4, 3, 2, 1].map(rating => [rating, distribution.find(entry => entry._id === rating)?.count || 0])
+      )
+    },
+    reviews
+  });
+});
+
+// @desc    Review a product from a delivered order
+// @route   POST /api/v1/products/:id/reviews
+// @access  Private
+export const createReview = asyncHandler(async (req, res, next) => {
+  const { order: orderId, rating, title, comment, pros, cons, wouldRecommend } = req.body;
+
+  const product = await Product.findById(req.params.id).select('name isActive');
+
+  if (!product || !product.isActive) {
+    return next(new AppError('Product not found', 404));
+  }
+
+  const existing = await Review.exists({ product: product._id, user: req.user.id });
+  if (existing) {
+    return next(new AppError('You have already reviewed this product', 400));
+  }
+
+  const orderFilter = {
+    customer: req.user.id,
+    status: 'delivered',
+    'items.product': product._id
+  };
+  if (orderId) {
+    orderFilter._id = orderId;
+  }
+
+  const order = await Order.findOne(orderFilter).sort({ createdAt: -1 }).select('_id');
+
+  if (!order) {
+    return next(new AppError('You can only review products from a delivered order', 403));
+  }
+
+  const review = await Review.create({
+    product: product._id,
+    user: req.user.id,
+    order: order._id,
+    rating,
+    title,
+    comment,
+    pros,
+    cons,
+    wouldRecommend,
+    isVerifiedPurchase: true
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Review submitted and awaiting moderation',
+    review
+  });
+});
+
+// @desc    Mark a review as helpful
+// @route   POST /api/v1/reviews/:id/helpful
+// @access  Private
+export const voteReviewHelpful = asyncHandler(async (req, res, next) => {
+  const userId = new mongoose.Types.ObjectId(req.user.id);
+
+  // One vote per user, and never on your own review
+  const review = await Review.findOneAndUpdate(
+    { _id: req.params.id, isApproved: true, user: { $ne: userId }, helpfulVoters: { $ne: userId } },
+    { $addToSet: { helpfulVoters: userId }, $inc: { helpfulVotes: 1 } },
+    { new: true }
+  );
+
+  if (!review) {
+    const existing = await Review.findById(req.params.id).select('+helpfulVoters user isApproved');
+
+    if (!existing || !existing.isApproved) {
+      return next(new AppError('Review not found', 404));
+    }
+    if (existing.user.toString() === req.user.id) {
+      return next(new AppError('You cannot vote on your own review', 400));
+    }
+    return next(new AppError('You have already marked this review as helpful', 400));
+  }
+
+  res.status(200).json({
+    success: true,
+    helpfulVotes: review.helpfulVotes
+  });
+});
+
+// @desc    Withdraw a helpful vote
+// @route   DELETE /api/v1/reviews/:id/helpful
+// @access  Private
+export const removeHelpfulVote = asyncHandler(async (req, res, next) => {
+  const userId = new mongoose.Types.ObjectId(req.user.id);
+
+  const review = await Review.findOneAndUpdate(
+    { _id: req.params.id, helpfulVoters: userId },
+    { $pull: { helpfulVoters: userId }, $inc: { helpfulVotes: -1 } },
+    { new: true }
+  );
+
+  if (!review) {
+    return next(new AppError('You have not marked this review as helpful', 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    helpfulVotes: review.helpfulVotes
+  });
+});
+
+// @desc    Report a review
+// @route   POST /api/v1/reviews/:id/report
+// @access  Private
+export const reportReview = asyncHandler(async (req, res, next) => {
+  const { reason, details } = req.body;
+  const userId = new mongoose.Types.ObjectId(req.user.id);
+
+  const review = await Review.findOneAndUpdate(
+    { _id: req.params.id, user: { $ne: userId }, 'reports.user': { $ne: userId } },
+    {
+      $push: { reports: { user: userId, reason, details, reportedAt: new Date() } },
+      $inc: { reportCount: 1 }
+    },
+    { new: true }
+  );
+
+  if (!review) {
+    const existing = await Review.findById(req.params.id).select('user');
+
+    if (!existing) {
+      return next(new AppError('Review not found', 404));
+    }
+    if (existing.user.toString() === req.user.id) {
+      return next(new AppError('You cannot report your own review', 400));
+    }
+    return next(new AppError('You have already reported this review', 400));
+  }
+
+  // Hide heavily reported reviews until a moderator has looked at them
+  const hidden = await Review.updateOne(
+    { _id: review._id, isApproved: true, reportCount: { $gte: getReportThreshold() } },
+    { $set: { moderationStatus: 'pending', isApproved: false } }
+  );
+
+  if (hidden.modifiedCount > 0) {
+    await Review.updateProductRating(review.product);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Review reported. Our team will take a look.'
+  });
+});
+
+// @desc    Delete a review
+// @route   DELETE /api/v1/reviews/:id
+// @access  Private (Owner or Admin)
+export const deleteReview = asyncHandler(async (req, res, next) => {
+  const review = await Review.findById(req.params.id);
+
+  if (!review) {
+    return next(new AppError('Review not found', 404));
+  }
+
+  const isOwner = review.user.toString() === req.user.id;
+  if (!isOwner && req.user.role !== 'admin') {
+    return next(new AppError('Not authorized to delete this review', 403));
+  }
+
+  const before = snapshot(review, ['rating', 'title', 'moderationStatus', 'reportCount']);
+
+  // Document deleteOne runs the hook that recalculates the product rating
+  await review.deleteOne();
+
+  if (!isOwner) {
+    await recordAudit(req, {
+      action: 'review.remove',
+      entityType: 'Review',
+      entityId: review._id,
+      before,
+      after: {},
+      metadata: { product: review.product, user: review.user }
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Review deleted successfully'
+  });
+});
+
+// @desc    Get reviews awaiting moderation
+// @route   GET /api/v1/reviews/moderation
+// @access  Private (Admin)
+export const getModerationQueue = asyncHandler(async (req, res, next) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  const skip = (page - 1) * limit;
+
+  const filter = { moderationStatus: req.query.status || 'pending' };
+  if (req.query.reported === 'true') {
+    filter.reportCount = { $gt: 0 };
+  }
+
+  const [reviews, total] = await Promise.all([
+    Review.find(filter)
+      .select('+reports')
+      .populate('user', 'firstName lastName email')
+      .populate('product', 'name sku')
+      .populate('reports.user', 'firstName lastName')
+      // Reported reviews first, then oldest submissions
+      .sort({ reportCount: -1, createdAt: 1 })
+      .skip(skip)
+      .limit(limit),
+    Review.countDocuments(filter)
+  ]);
+
+  res.status(200).json({
+    success: true,
+    count: reviews.length,
+    total,
+    pagination: {
+      page,
+      pages: Math.ceil(total / limit),
+      limit,
+      hasNext: page < Math.ceil(total / limit),
+      hasPrev: page > 1
+    },
+    reviews
+  });
+});
+
+// @desc    Approve or reject a review
+// @route   PATCH /api/v1/reviews/:id/moderate
+// @access  Private (Admin)
+export const moderateReview = asyncHandler(async (req, res, next) => {
+  const { action, notes } = req.body;
+
+  const review = await Review.findById(req.params.id);
+
+  if (!review) {
+    return next(new AppError('Review not found', 404));
+  }
+
+  const before = snapshot(review, MODERATION_AUDIT_FIELDS);
+
+  review.moderationStatus = action === 'approve' ? 'approved' : 'rejected';
+  review.moderationNotes = notes;
+  review.moderatedBy = req.user.id;
+  review.moderatedAt = new Date();
+
+  // Saving runs the hook that recalculates the product rating
+  await review.save();
+
+  await recordAudit(req, {
+    action: 'review.moderate',
+    entityType: 'Review',
+    entityId: review._id,
+    before,
+    after: snapshot(review, MODERATION_AUDIT_FIELDS),
+    metadata: { product: review.product, reportCount: review.reportCount }
+  });
+
+  res.status(200).json({
+    success: true,
+    message: `Review ${review.moderationStatus}`,
+    review
+  });
+});
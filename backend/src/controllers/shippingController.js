@@ -0,0 +1,149 @@
+import ShippingZone from '../models/ShippingZone.js';
+import Product from '../models/Product.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { AppError } from '../utils/appError.js';
+import { logger } from '../utils/logger.js';
+import { quoteShipping } from '../utils/shippingRates.js';
+import { getCarrier } from '../utils/carriers/index.js';
+import { ingestTrackingEvents } from '../utils/shipments.js';
+
+// @desc    Quote shipping for items to an address
+// @route   POST /api/v1/shipping/quote
+// @access  Public
+export const getShippingQuote = asyncHandler(async (req, res, next) => {
+  const { shippingAddress, items } = req.body;
+
+  const products = await Product.find({
+    _id: { $in: items.map(item => item.product) },
+    isActive: true
+  }).select('name price shipping');
+  const productsById = new Map(products.map(product => [product._id.toString(), product]));
+
+  const pricedItems = [];
+  for (const item of items) {
+    const product = productsById.get(item.product);
+    if (!product) {
+      return next(new AppError(`Product ${item.product} not found or inactive`, 400));
+    }
+    pricedItems.push({ product, price: product.price, quantity: item.quantity });
+  }
+
+  const quote = await quoteShipping(pricedItems, { address: shippingAddress });
+
+  res.status(200).json({
+    success: true,
+    subtotal: Math.round(pricedItems.reduce((total, item) => total + item.price * item.quantity, 0) * 100) / 100,
+    ...quote
+  });
+});
+
+// @desc    Receive tracking events pushed by a carrier
+// @route   POST /api/v1/shipping/webhook/:carrier
+// @access  Public (carrier)
+export const handleCarrierWebhook = asyncHandler(async (req, res, next) => {
+  const carrier = getCarrier(req.params.carrier);
+
+  let events;
+  try {
+    events = carrier.parseWebhook(req.body, req.headers);
+  } catch (error) {
+    logger.error(`${carrier.name} webhook rejected:`, error);
+    return res.status(400).send(`Webhook Error: ${error.message}`);
+  }
+
+  const { applied, unmatched } = await ingestTrackingEvents(carrier, events);
+
+  if (unmatched > 0) {
+    logger.warn(`${unmatched} ${carrier.name} tracking events matched no order`);
+  }
+
+  res.status(200).json({ received: true, applied, unmatched });
+});
+
+// @desc    Get shipping zones (Admin only)
+// @route   GET /api/v1/shipping/zones
+// @access  Private/Admin
+export const getShippingZones = asyncHandler(async (req, res, next) => {
+  const filter = {};
+  if (req.query.isActive !== undefined) {
+    filter.isActive = req.query.isActive === 'true';
+  }
+  if (req.query.state) {
+    filter.states = req.query.state.toUpperCase();
+  }
+
+  const zones = await ShippingZone.find(filter).sort({ priority: -1, name: 1 });
+
+  res.status(200).json({
+    success: true,
+    count: zones.length,
+    zones
+  });
+});
+
+// @desc    Get single shipping zone (Admin only)
+// @route   GET /api/v1/shipping/zones/:id
+// @access  Private/Admin
+export const getShippingZone = asyncHandler(async (req, res, next) => {
+  const zone = await ShippingZone.findById(req.params.id);
+
+  if (!zone) {
+    return next(new AppError('Shipping zone not found', 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    zone
+  });
+});
+
+// @desc    Create shipping zone (Admin only)
+// @route   POST /api/v1/shipping/zones
+// @access  Private/Admin
+export const createShippingZone = asyncHandler(async (req, res, next) => {
+  const zone = await ShippingZone.create(req.body);
+
+  res.status(201).json({
+    success: true,
+    zone
+  });
+});
+
+// @desc    Update shipping zone (Admin only)
+// @route   PUT /api/v1/shipping/zones/:id
+// @access  Private/Admin
+export const updateShippingZone = asyncHandler(async (req, res, next) => {
+  const zone = await ShippingZone.findById(req.params.id);
+
+  if (!zone) {
+    return next(new AppError('Shipping zone not found', 404));
+  }
+
+  Object.assign(zone, req.body);
+  await zone.save();
+
+  res.status(200).json({
+    success: true,
+    zone
+  });
+});
+
+// @desc    Delete shipping zone (Admin only)
+// @route   DELETE /api/v1/shipping/zones/:id
+// @access  Private/Admin
+export const deleteShippingZone = asyncHandler(async (req, res, next) => {
+  const zone = await ShippingZone.findById(req.params.id);
+
+  if (!zone) {
+    return next(new AppError('Shipping zone not found', 404));
+  }
+
+  // Soft delete - keeps the rates past orders were priced from
+  zone.isActive = false;
+  await zone.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Shipping zone deleted successfully'
+  });
+});
@@ -0,0 +1,88 @@
+import Store from '../models/Store.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { AppError } from '../utils/appError.js';
+
+// @desc    Get stores open for pickup
+// @route   GET /api/v1/stores
+// @access  Public
+export const getStores = asyncHandler(async (req, res, next) => {
+  const filter = { isActive: true };
+  if (req.query.state) {
+    filter['address.state'] = String(req.query.state).toUpperCase();
+  }
+
+  const stores = await Store.find(filter).sort({ name: 1 });
+
+  res.status(200).json({
+    success: true,
+    count: stores.length,
+    stores
+  });
+});
+
+// @desc    Get single store
+// @route   GET /api/v1/stores/:id
+// @access  Public
+export const getStore = asyncHandler(async (req, res, next) => {
+  const store = await Store.findById(req.params.id);
+
+  if (!store) {
+    return next(new AppError('Store not found', 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    store
+  });
+});
+
+// @desc    Create store (Admin only)
+// @route   POST /api/v1/stores
+// @access  Private/Admin
+export const createStore = asyncHandler(async (req, res, next) => {
+  const store = await Store.create(req.body);
+
+  res.status(201).json({
+    success: true,
+    store
+  });
+});
+
+// @desc    Update store (Admin only)
+// @route   PUT /api/v1/stores/:id
+// @access  Private/Admin
+export const updateStore = asyncHandler(async (req, res, next) => {
+  const store = await Store.findById(req.params.id);
+
+  if (!store) {
+    return next(new AppError('Store not found', 404));
+  }
+
+  Object.assign(store, req.body);
+  await store.save();
+
+  res.status(200).json({
+    success: true,
+    store
+  });
+});
+
+// @desc    Delete store (Admin only)
+// @route   DELETE /api/v1/stores/:id
+// @access  Private/Admin
+export const deleteStore = asyncHandler(async (req, res, next) => {
+  const store = await Store.findById(req.params.id);
+
+  if (!store) {
+    return next(new AppError('Store not found', 404));
+  }
+
+  // Soft delete - orders keep their pickup store
+  store.isActive = false;
+  await store.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Store deleted successfully'
+  });
+});
@@ -0,0 +1,290 @@
+import Subscription from '../models/Subscription.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { AppError } from '../utils/appError.js';
+import { checkSubscriptionItems, getEarliestRunAt } from '../utils/subscriptions.js';
+import { getProviderForMethod } from '../utils/paymentProviders/index.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Load a subscription the current user may change; staff can only view others'
+const findOwnSubscription = async (req, next) => {
+  const subscription = await Subscription.findById(req.params.id);
+
+  if (!subscription) {
+    next(new AppError('Subscription not found', 404));
+    return null;
+  }
+
+  if (subscription.user.toString() !== req.user.id) {
+    next(new AppError('Not authorized to change this subscription', 403));
+    return null;
+  }
+
+  return subscription;
+};
+
+// @desc    Get user subscriptions
+// @route   GET /api/v1/subscriptions
+// @access  Private
+export const getMySubscriptions = asyncHandler(async (req, res, next) => {
+  const subscriptions = await Subscription.find({ user: req.user.id })
+    .select('-history')
+    .populate('items.product', 'name price images')
+    .populate('prescription', 'prescriptionNumber status expiryDate')
+    .sort({ createdAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    count: subscriptions.length,
+    subscriptions
+  });
+});
+
+// @desc    Get all subscriptions (Admin/Pharmacist only)
+// @route   GET /api/v1/subscriptions/admin/all
+// @access  Private/Admin/Pharmacist
+export const getAllSubscriptions = asyncHandler(async (req, res, next) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  const skip = (page - 1) * limit;
+
+  const filter = {};
+  if (req.query.status) {
+    filter.status = req.query.status;
+  }
+  if (req.query.user) {
+    filter.user = req.query.user;
+  }
+
+  const subscriptions = await Subscription.find(filter)
+    .select('-history')
+    .populate('user', 'firstName lastName email')
+    .populate('prescription', 'prescriptionNumber status expiryDate')
+    .sort({ nextRunAt: 1 })
+    .skip(skip)
+    .limit(limit);
+
+  const total = await Subscription.countDocuments(filter);
+
+  res.status(200).json({
+    success: true,
+    count: subscriptions.length,
+    total,
+    pagination: {
+      page,
+      pages: Math.ceil(total / limit),
+      limit,
+      hasNext: page < Math.ceil(total / limit),
+      hasPrev: page > 1
+    },
+    subscriptions
+  });
+});
+
+// @desc    Get single subscription
+// @route   GET /api/v1/subscriptions/:id
+// @access  Private
+export const getSubscription = asyncHandler(async (req, res, next) => {
+  const subscription = await Subscription.findById(req.params.id)
+    .populate('items.product', 'name price images')
+    .populate('prescription', 'prescriptionNumber status expiryDate refillsUsed medications')
+    .populate('lastOrder', 'orderNumber status pricing.total createdAt')
+    .populate('history.order', 'orderNumber');
+
+  if (!subscription) {
+    return next(new AppError('Subscription not found', 404));
+  }
+
+  if (subscription.user.toString() !== req.user.id &&
+      !['admin', 'pharmacist'].includes(req.user.role)) {
+    return next(new AppError('Not authorized to access this subscription', 403));
+  }
+
+  res.status(200).json({
+    success: true,
+    subscription
+  });
+});
+
+// @desc    Subscribe to automatic refills
+// @route   POST /api/v1/subscriptions
+// @access  Private
+export const createSubscription = asyncHandler(async (req, res, next) => {
+  const { prescription, items, intervalDays, nextRunAt, shippingAddress, paymentMethod } = req.body;
+  const now = new Date();
+
+  // Refills can only be placed with a payment method a provider handles
+  getProviderForMethod(paymentMethod);
+  await checkSubscriptionItems(req.user.id, { items, prescription }, now);
+
+  // The first refill is one interval out by default, and never inside the notice period
+  const requestedRunAt = nextRunAt ? new Date(nextRunAt) : new Date(now.getTime() + intervalDays * DAY_MS);
+  const earliestRunAt = getEarliestRunAt(now);
+
+  const subscription = await Subscription.create({
+    user: req.user.id,
+    prescription,
+    items,
+    intervalDays,
+    nextRunAt: requestedRunAt < earliestRunAt ? earliestRunAt : requestedRunAt,
+    shippingAddress,
+    paymentMethod,
+    history: [{ event: 'created', by: req.user.id }]
+  });
+
+  res.status(201).json({
+    success: true,
+    subscription
+  });
+});
+
+// @desc    Update subscription items, interval, address or payment method
+// @route   PUT /api/v1/subscriptions/:id
+// @access  Private
+export const updateSubscription = asyncHandler(async (req, res, next) => {
+  const subscription = await findOwnSubscription(req, next);
+  if (!subscription) return;
+
+  if (!['active', 'paused'].includes(subscription.status)) {
+    return next(new AppError(`Cannot change a ${subscription.status} subscription`, 400));
+  }
+
+  const { prescription, items, intervalDays, nextRunAt, shippingAddress, paymentMethod } = req.body;
+  const now = new Date();
+
+  if (items || prescription !== undefined) {
+    await checkSubscriptionItems(req.user.id, {
+      items: items || subscription.items,
+      prescription: prescription !== undefined ? prescription : subscription.prescription
+    }, now);
+
+    if (items) subscription.items = items;
+    if (prescription !== undefined) subscription.prescription = prescription || undefined;
+  }
+
+  if (intervalDays) subscription.intervalDays = intervalDays;
+  if (shippingAddress) subscription.shippingAddress = shippingAddress;
+  if (paymentMethod) {
+    getProviderForMethod(paymentMethod);
+    subscription.paymentMethod = paymentMethod;
+  }
+
+  if (nextRunAt) {
+    const earliestRunAt = getEarliestRunAt(now);
+    if (new Date(nextRunAt) < earliestRunAt) {
+      return next(new AppError(`Next refill must be on or after ${earliestRunAt.toDateString()}`, 400));
+    }
+    subscription.nextRunAt = nextRunAt;
+  }
+
+  subscription.history.push({ event: 'updated', nextRunAt: subscription.nextRunAt, by: req.user.id });
+  await subscription.save();
+
+  res.status(200).json({
+    success: true,
+    subscription
+  });
+});
+
+// @desc    Pause automatic refills
+// @route   POST /api/v1/subscriptions/:id/pause
+// @access  Private
+export const pauseSubscription = asyncHandler(async (req, res, next) => {
+  const subscription = await findOwnSubscription(req, next);
+  if (!subscription) return;
+
+  if (subscription.status !== 'active') {
+    return next(new AppError(`Cannot pause a ${subscription.status} subscription`, 400));
+  }
+
+  subscription.status = 'paused';
+  subscription.history.push({ event: 'paused', note: req.body.reason, by: req.user.id });
+  await subscription.save();
+
+  res.status(200).json({
+    success: true,
+    subscription
+  });
+});
+
+// @desc    Resume a paused subscription
+// @route   POST /api/v1/subscriptions/:id/resume
+// @access  Private
+export const resumeSubscription = asyncHandler(async (req, res, next) => {
+  const subscription = await findOwnSubscription(req, next);
+  if (!subscription) return;
+
+  if (subscription.status !== 'paused') {
+    return next(new AppError(`Cannot resume a ${subscription.status} subscription`, 400));
+  }
+
+  // A run date that came up while paused moves out far enough for a fresh notice
+  const earliestRunAt = getEarliestRunAt();
+  if (subscription.nextRunAt < earliestRunAt) {
+    subscription.nextRunAt = earliestRunAt;
+  }
+
+  subscription.status = 'active';
+  subscription.failedAttempts = 0;
+  subscription.lastError = undefined;
+  subscription.history.push({ event: 'resumed', nextRunAt: subscription.nextRunAt, by: req.user.id });
+  await subscription.save();
+
+  res.status(200).json({
+    success: true,
+    subscription
+  });
+});
+
+// @desc    Skip the next refill
+// @route   POST /api/v1/subscriptions/:id/skip
+// @access  Private
+export const skipSubscription = asyncHandler(async (req, res, next) => {
+  const subscription = await findOwnSubscription(req, next);
+  if (!subscription) return;
+
+  if (subscription.status !== 'active') {
+    return next(new AppError(`Cannot skip a refill on a ${subscription.status} subscription`, 400));
+  }
+
+  const skippedRunAt = subscription.nextRunAt;
+  let nextRunAt = new Date(skippedRunAt.getTime() + subscription.intervalDays * DAY_MS);
+  while (nextRunAt <= new Date()) {
+    nextRunAt = new Date(nextRunAt.getTime() + subscription.intervalDays * DAY_MS);
+  }
+  subscription.nextRunAt = nextRunAt;
+  subscription.history.push({
+    event: 'skipped',
+    note: `Skipped refill due ${skippedRunAt.toDateString()}`,
+    nextRunAt: subscription.nextRunAt,
+    by: req.user.id
+  });
+  await subscription.save();
+
+  res.status(200).json({
+    success: true,
+    subscription
+  });
+});
+
+// @desc    Cancel a subscription
+// @route   POST /api/v1/subscriptions/:id/cancel
+// @access  Private
+export const cancelSubscription = asyncHandler(async (req, res, next) => {
+  const subscription = await findOwnSubscription(req, next);
+  if (!subscription) return;
+
+  if (!['active', 'paused'].includes(subscription.status)) {
+    return next(new AppError(`Cannot cancel a ${subscription.status} subscription`, 400));
+  }
+
+  subscription.status = 'cancelled';
+  subscription.history.push({ event: 'cancelled', note: req.body.reason, by: req.user.id });
+  await subscription.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Subscription cancelled',
+    subscription
+  });
+});
@@ -0,0 +1,116 @@
+import Supplier from '../models/Supplier.js';
+import PurchaseOrder from '../models/PurchaseOrder.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { AppError } from '../utils/appError.js';
+
+// @desc    Get all suppliers (Admin only)
+// @route   GET /api/v1/suppliers
+// @access  Private/Admin
+export const getSuppliers = asyncHandler(async (req, res, next) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  const skip = (page - 1) * limit;
+
+  const filter = {};
+  if (req.query.isActive !== undefined) {
+    filter.isActive = req.query.isActive === 'true';
+  }
+  if (req.query.product) {
+    filter['products.product'] = req.query.product;
+  }
+
+  const suppliers = await Supplier.find(filter)
+    .sort({ name: 1 })
+    .skip(skip)
+    .limit(limit);
+
+  const total = await Supplier.countDocuments(filter);
+
+  res.status(200).json({
+    success: true,
+    count: suppliers.length,
+    total,
+    pagination: {
+      page,
+      pages: Math.ceil(total / limit),
+      limit,
+      hasNext: page < Math.ceil(total / limit),
+      hasPrev: page > 1
+    },
+    suppliers
+  });
+});
+
+// @desc    Get single supplier with recent purchase orders (Admin only)
+// @route   GET /api/v1/suppliers/:id
+// @access  Private/Admin
+export const getSupplier = asyncHandler(async (req, res, next) => {
+  const supplier = await Supplier.findById(req.params.id)
+    .populate('products.product', 'name sku stock');
+
+  if (!supplier) {
+    return next(new AppError('Supplier not found', 404));
+  }
+
+  const purchaseOrders = await PurchaseOrder.find({ supplier: supplier._id })
+    .select('poNumber status expectedAt receivedAt items createdAt')
+    .sort({ createdAt: -1 })
+    .limit(10);
+
+  res.status(200).json({
+    success: true,
+    supplier,
+    purchaseOrders
+  });
+});
+
+// @desc    Create supplier (Admin only)
+// @route   POST /api/v1/suppliers
+// @access  Private/Admin
+export const createSupplier = asyncHandler(async (req, res, next) => {
+  const supplier = await Supplier.create(req.body);
+
+  res.status(201).json({
+    success: true,
+    supplier
+  });
+});
+
+// @desc    Update supplier (Admin only)
+// @route   PUT /api/v1/suppliers/:id
+// @access  Private/Admin
+export const updateSupplier = asyncHandler(async (req, res, next) => {
+  const supplier = await Supplier.findById(req.params.id);
+
+  if (!supplier) {
+    return next(new AppError('Supplier not found', 404));
+  }
+
+  Object.assign(supplier, req.body);
+  await supplier.save();
+
+  res.status(200).json({
+    success: true,
+    supplier
+  });
+});
+
+// @desc    Delete supplier (Admin only)
+// @route   DELETE /api/v1/suppliers/:id
+// @access  Private/Admin
+export const deleteSupplier = asyncHandler(async (req, res, next) => {
+  const supplier = await Supplier.findById(req.params.id);
+
+  if (!supplier) {
+    return next(new AppError('Supplier not found', 404));
+  }
+
+  // Soft delete - purchase orders keep their supplier
+  supplier.isActive = false;
+  await supplier.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Supplier deleted successfully'
+  });
+});
@@ -0,0 +1,153 @@
+import TaxRule from '../models/TaxRule.js';
+import Product from '../models/Product.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { AppError } from '../utils/appError.js';
+import { calculateTax, getProductType } from '../utils/taxEngine.js';
+
+// @desc    Get tax rules (Admin only)
+// @route   GET /api/v1/tax-rules
+// @access  Private/Admin
+export const getTaxRules = asyncHandler(async (req, res, next) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  const skip = (page - 1) * limit;
+
+  const filter = {};
+  if (req.query.isActive !== undefined) {
+    filter.isActive = req.query.isActive === 'true';
+  }
+  if (req.query.state) {
+    filter.state = req.query.state.toUpperCase();
+  }
+  if (req.query.productType) {
+    filter.productType = req.query.productType;
+  }
+
+  const rules = await TaxRule.find(filter)
+    .populate('category', 'name')
+    .sort({ state: 1, priority: -1, name: 1 })
+    .skip(skip)
+    .limit(limit);
+
+  const total = await TaxRule.countDocuments(filter);
+
+  res.status(200).json({
+    success: true,
+    count: rules.length,
+    total,
+    pagination: {
+      page,
+      pages: Math.ceil(total / limit),
+      limit,
+      hasNext: page < Math.ceil(total / limit),
+      hasPrev: page > 1
+    },
+    rules
+  });
+});
+
+// @desc    Get single tax rule (Admin only)
+// @route   GET /api/v1/tax-rules/:id
+// @access  Private/Admin
+export const getTaxRule = asyncHandler(async (req, res, next) => {
+  const rule = await TaxRule.findById(req.params.id)
+    .populate('category', 'name')
+    .populate('createdBy', 'firstName lastName');
+
+  if (!rule) {
+    return next(new AppError('Tax rule not found', 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    rule
+  });
+});
+
+// @desc    Create tax rule (Admin only)
+// @route   POST /api/v1/tax-rules
+// @access  Private/Admin
+export const createTaxRule = asyncHandler(async (req, res, next) => {
+  const rule = await TaxRule.create({
+    ...req.body,
+    createdBy: req.user.id
+  });
+
+  res.status(201).json({
+    success: true,
+    rule
+  });
+});
+
+// @desc    Update tax rule (Admin only)
+// @route   PUT /api/v1/tax-rules/:id
+// @access  Private/Admin
+export const updateTaxRule = asyncHandler(async (req, res, next) => {
+  const rule = await TaxRule.findById(req.params.id);
+
+  if (!rule) {
+    return next(new AppError('Tax rule not found', 404));
+  }
+
+  Object.assign(rule, req.body);
+  await rule.save();
+
+  res.status(200).json({
+    success: true,
+    rule
+  });
+});
+
+// @desc    Delete tax rule (Admin only)
+// @route   DELETE /api/v1/tax-rules/:id
+// @access  Private/Admin
+export const deleteTaxRule = asyncHandler(async (req, res, next) => {
+  const rule = await TaxRule.findById(req.params.id);
+
+  if (!rule) {
+    return next(new AppError('Tax rule not found', 404));
+  }
+
+  // Soft delete - orders keep a reference to the rule that taxed them
+  rule.isActive = false;
+  await rule.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Tax rule deleted successfully'
+  });
+});
+
+// @desc    Preview the tax on items shipped to an address (Admin only)
+// @route   POST /api/v1/tax-rules/preview
+// @access  Private/Admin
+export const previewTax = asyncHandler(async (req, res, next) => {
+  const { shippingAddress, items, discount = 0 } = req.body;
+
+  const products = await Product.find({ _id: { $in: items.map(item => item.product) } })
+    .select('name price category prescriptionRequired scheduleType')
+    .populate('category', 'name');
+  const productsById = new Map(products.map(product => [product._id.toString(), product]));
+
+  const pricedItems = items.map(item => {
+    const product = productsById.get(item.product);
+    if (!product) {
+      throw new AppError(`Product ${item.product} not found`, 404);
+    }
+    return { product, price: product.price, quantity: item.quantity };
+  });
+
+  const { lines, total } = await calculateTax(pricedItems, { address: shippingAddress, discount });
+
+  res.status(200).json({
+    success: true,
+    lines: lines.map((line, index) => ({
+      product: pricedItems[index].product._id,
+      name: pricedItems[index].product.name,
+      category: pricedItems[index].product.category?.name,
+      productType: getProductType(pricedItems[index].product),
+      ...line
+    })),
+    total
+  });
+});
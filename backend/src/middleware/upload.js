@@ -46,6 +46,18 @@ const avatarStorage = new CloudinaryStorage({
   }
 });
 
+// Cloudinary storage for photos of items customers want to return
+const returnStorage = new CloudinaryStorage({
+  cloudinary: cloudinary,
+  params: {
+    folder: 'medcare/returns',
+    allowed_formats: ['jpg', 'jpeg', 'png'],
+    transformation: [
+      { width: 1200, height: 1200, crop: 'limit', quality: 'auto' }
+    ]
+  }
+});
+
 // File filter function
 const fileFilter = (allowedTypes) => (req, file, cb) => {
   if (allowedTypes.includes(file.mimetype)) {
@@ -110,6 +122,20 @@ export const uploadAvatar = multer({
   ])
 }).single('avatar');
 
+// Return request photo upload
+export const uploadReturnPhotos = multer({
+  storage: returnStorage,
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB
+    files: 5 // Maximum 5 files
+  },
+  fileFilter: fileFilter([
+    'image/jpeg',
+    'image/jpg',
+    'image/png'
+  ])
+}).array('returnPhotos', 5);
+
 // Error handling middleware for multer
 export const handleUploadError = (error, req, res, next) => {
   if (error instanceof multer.MulterError) {
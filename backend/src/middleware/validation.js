@@ -1,5 +1,6 @@
 import { body, param, query, validationResult } from 'express-validator';
 import { AppError } from '../utils/appError.js';
+import { MANUAL_MOVEMENT_REASONS } from '../models/StockMovement.js';
 
 // Handle validation errors
 export const handleValidationErrors = (req, res, next) => {
@@ -177,6 +178,11 @@ export const validateOrder = [
     .isInt({ min: 1, max: 100 })
     .withMessage('Quantity must be between 1 and 100'),
   
+  body(['items.*.prescription', 'prescriptions.*'])
+    .optional()
+    .isMongoId()
+    .withMessage('Valid prescription ID is required'),
+  
   body('shippingAddress.firstName')
     .trim()
     .isLength({ min: 2, max: 50 })
@@ -215,6 +221,21 @@ export const validateOrder = [
     .isIn(['card', 'paypal', 'bank_transfer', 'cash_on_delivery'])
     .withMessage('Invalid payment method'),
   
+  body('shippingMethod')
+    .optional()
+    .isIn(['standard', 'express', 'overnight', 'pickup'])
+    .withMessage('Invalid shipping method'),
+  
+  body('pickupStore')
+    .if(body('shippingMethod').equals('pickup'))
+    .isMongoId()
+    .withMessage('Choose a store to pick the order up from'),
+  
+  body('couponCodes')
+    .optional()
+    .isArray({ max: 5 })
+    .withMessage('Coupon codes must be a list of at most 5 codes'),
+  
   handleValidationErrors
 ];
 
@@ -237,6 +258,909 @@ export const validateAddToCart = [
   handleValidationErrors
 ];
 
+// Coupon validation rules
+export const validateCoupon = [
+  body('code')
+    .trim()
+    .isLength({ min: 3, max: 50 })
+    .withMessage('Coupon code must be between 3 and 50 characters'),
+  
+  body('type')
+    .isIn(['percentage', 'fixed'])
+    .withMessage('Coupon type must be percentage or fixed'),
+  
+  body('value')
+    .isFloat({ min: 0 })
+    .withMessage('Coupon value must be a positive number'),
+  
+  body('minOrderAmount')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Minimum order amount must be a positive number'),
+  
+  body('validFrom')
+    .optional()
+    .isISO8601()
+    .withMessage('Valid start date is required'),
+  
+  body('validUntil')
+    .optional()
+    .isISO8601()
+    .withMessage('Valid end date is required'),
+  
+  body('usageLimit')
+    .optional({ values: 'null' })
+    .isInt({ min: 1 })
+    .withMessage('Usage limit must be a positive integer, or null for unlimited'),
+  
+  body('usageLimitPerUser')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Per-user usage limit must be a positive integer'),
+  
+  body(['applicableCategories.*', 'applicableProducts.*'])
+    .optional()
+    .isMongoId()
+    .withMessage('Valid category and product IDs are required'),
+  
+  handleValidationErrors
+];
+
+// Per-medication review validation rules
+export const validateMedicationReview = [
+  body('action')
+    .isIn(['approve', 'modify', 'reject'])
+    .withMessage('Action must be approve, modify or reject'),
+  
+  body('product')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Valid product ID is required'),
+  
+  body(['name', 'dosage', 'frequency', 'duration'])
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Medication fields cannot be empty'),
+  
+  body('quantity')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Quantity must be at least 1'),
+  
+  body('refills')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Refills cannot be negative'),
+  
+  body('note')
+    .if(body('action').equals('reject'))
+    .trim()
+    .notEmpty()
+    .withMessage('A note is required when rejecting a medication'),
+  
+  handleValidationErrors
+];
+
+// Information request / response validation rules
+export const validateInfoMessage = (field) => [
+  body(field)
+    .trim()
+    .isLength({ min: 5, max: 2000 })
+    .withMessage(`${field.charAt(0).toUpperCase() + field.slice(1)} must be between 5 and 2000 characters`),
+  
+  handleValidationErrors
+];
+
+// Review validation rules
+export const validateReview = [
+  body('rating')
+    .isInt({ min: 1, max: 5 })
+    .withMessage('Rating must be between 1 and 5'),
+  
+  body('title')
+    .trim()
+    .isLength({ min: 3, max: 100 })
+    .withMessage('Title must be between 3 and 100 characters'),
+  
+  body('comment')
+    .trim()
+    .isLength({ min: 10, max: 1000 })
+    .withMessage('Comment must be between 10 and 1000 characters'),
+  
+  body(['pros', 'cons'])
+    .optional()
+    .isArray({ max: 10 })
+    .withMessage('Pros and cons must be lists of at most 10 entries'),
+  
+  body('wouldRecommend')
+    .optional()
+    .isBoolean()
+    .withMessage('Would recommend must be true or false'),
+  
+  body('order')
+    .optional()
+    .isMongoId()
+    .withMessage('Valid order ID is required'),
+  
+  handleValidationErrors
+];
+
+export const validateReviewQuery = [
+  query('sort')
+    .optional()
+    .isIn(['newest', 'oldest', 'highest', 'lowest', 'helpful'])
+    .withMessage('Sort must be newest, oldest, highest, lowest or helpful'),
+  
+  query('rating')
+    .optional()
+    .isInt({ min: 1, max: 5 })
+    .withMessage('Rating must be between 1 and 5'),
+  
+  query('verified')
+    .optional()
+    .isBoolean()
+    .withMessage('Verified must be true or false'),
+  
+  handleValidationErrors
+];
+
+export const validateReviewReport = [
+  body('reason')
+    .isIn(['spam', 'offensive', 'off_topic', 'medical_misinformation', 'other'])
+    .withMessage('Invalid report reason'),
+  
+  body('details')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Details cannot exceed 500 characters'),
+  
+  handleValidationErrors
+];
+
+export const validateReviewModeration = [
+  body('action')
+    .isIn(['approve', 'reject'])
+    .withMessage('Action must be approve or reject'),
+  
+  body('notes')
+    .if(body('action').equals('reject'))
+    .trim()
+    .notEmpty()
+    .withMessage('Notes are required when rejecting a review'),
+  
+  handleValidationErrors
+];
+
+// Stock lot validation rules
+export const validateStockLot = [
+  body('lotNumber')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Lot number must be between 1 and 50 characters'),
+  
+  body('expiryDate')
+    .isISO8601()
+    .withMessage('Valid expiry date is required'),
+  
+  body('manufacturingDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Valid manufacturing date is required'),
+  
+  body('quantity')
+    .isInt({ min: 1 })
+    .withMessage('Quantity must be at least 1')
+    .toInt(),
+  
+  body('costPrice')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Cost price must be a positive number'),
+  
+  handleValidationErrors
+];
+
+// Lot number and expiry default to the batch on the product record
+export const validateOpeningLot = [
+  body('lotNumber')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Lot number must be between 1 and 50 characters'),
+  
+  body('expiryDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Valid expiry date is required'),
+  
+  body('manufacturingDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Valid manufacturing date is required'),
+  
+  handleValidationErrors
+];
+
+export const validateStockLotAdjustment = [
+  body('quantity')
+    .isInt({ min: 0 })
+    .withMessage('Quantity must be a non-negative integer')
+    .toInt(),
+  
+  body('reason')
+    .optional()
+    .isIn(MANUAL_MOVEMENT_REASONS)
+    .withMessage(`Reason must be one of ${MANUAL_MOVEMENT_REASONS.join(', ')}`),
+  
+  body('note')
+    .trim()
+    .isLength({ min: 3, max: 500 })
+    .withMessage('Note must be between 3 and 500 characters'),
+  
+  handleValidationErrors
+];
+
+// Manual stock change validation rules
+export const validateStockUpdate = [
+  body('operation')
+    .isIn(['add', 'subtract', 'set'])
+    .withMessage('Operation must be add, subtract or set'),
+  
+  body('quantity')
+    .isInt({ min: 0 })
+    .withMessage('Quantity must be a non-negative integer')
+    .toInt(),
+  
+  body('reason')
+    .optional()
+    .isIn(MANUAL_MOVEMENT_REASONS)
+    .withMessage(`Reason must be one of ${MANUAL_MOVEMENT_REASONS.join(', ')}`),
+  
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Note cannot exceed 500 characters'),
+  
+  handleValidationErrors
+];
+
+// Supplier validation rules
+export const validateSupplier = [
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 200 })
+    .withMessage('Supplier name must be between 2 and 200 characters'),
+  
+  body('code')
+    .trim()
+    .isLength({ min: 2, max: 20 })
+    .withMessage('Supplier code must be between 2 and 20 characters'),
+  
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+  
+  body('leadTimeDays')
+    .optional()
+    .isInt({ min: 0, max: 365 })
+    .withMessage('Lead time must be between 0 and 365 days'),
+  
+  body('products.*.product')
+    .isMongoId()
+    .withMessage('Valid product ID is required'),
+  
+  body('products.*.unitCost')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Unit cost must be a positive number'),
+  
+  body('products.*.minOrderQuantity')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Minimum order quantity must be at least 1'),
+  
+  handleValidationErrors
+];
+
+// Purchase order validation rules
+export const validatePurchaseOrder = [
+  body('supplier')
+    .if((value, { req }) => req.method === 'POST')
+    .isMongoId()
+    .withMessage('Valid supplier ID is required'),
+  
+  body('items')
+    .if((value, { req }) => req.method === 'POST' || value !== undefined)
+    .isArray({ min: 1 })
+    .withMessage('At least one item is required'),
+  
+  body('items.*.product')
+    .isMongoId()
+    .withMessage('Valid product ID is required'),
+  
+  body('items.*.quantity')
+    .isInt({ min: 1 })
+    .withMessage('Quantity must be at least 1')
+    .toInt(),
+  
+  body('items.*.unitCost')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Unit cost must be a positive number')
+    .toFloat(),
+  
+  body('expectedAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Valid expected date is required'),
+  
+  handleValidationErrors
+];
+
+export const validatePurchaseOrderReceipt = [
+  body('lines')
+    .isArray({ min: 1 })
+    .withMessage('At least one received line is required'),
+  
+  body('lines.*.item')
+    .isMongoId()
+    .withMessage('Valid purchase order item ID is required'),
+  
+  body('lines.*.quantity')
+    .isInt({ min: 1 })
+    .withMessage('Received quantity must be at least 1')
+    .toInt(),
+  
+  body('lines.*.lotNumber')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Lot number must be between 1 and 50 characters'),
+  
+  body('lines.*.expiryDate')
+    .isISO8601()
+    .withMessage('Valid expiry date is required'),
+  
+  body('lines.*.manufacturingDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Valid manufacturing date is required'),
+  
+  handleValidationErrors
+];
+
+// Subscription validation rules (fields are optional on update)
+const onCreateOrPresent = (value, { req }) => req.method === 'POST' || value !== undefined;
+
+export const validateSubscription = [
+  body('prescription')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Valid prescription ID is required'),
+  
+  body('items')
+    .if(onCreateOrPresent)
+    .isArray({ min: 1, max: 20 })
+    .withMessage('Subscription must contain between 1 and 20 items'),
+  
+  body('items.*.product')
+    .isMongoId()
+    .withMessage('Valid product ID is required'),
+  
+  body('items.*.quantity')
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Quantity must be between 1 and 100')
+    .toInt(),
+  
+  body('intervalDays')
+    .if(onCreateOrPresent)
+    .isInt({ min: 7, max: 180 })
+    .withMessage('Interval must be between 7 and 180 days')
+    .toInt(),
+  
+  body('nextRunAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Valid next refill date is required'),
+  
+  body('shippingAddress')
+    .if(onCreateOrPresent)
+    .isObject()
+    .withMessage('Shipping address is required'),
+  
+  body(['shippingAddress.firstName', 'shippingAddress.lastName'])
+    .if(body('shippingAddress').exists())
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('Name must be between 2 and 50 characters'),
+  
+  body('shippingAddress.street')
+    .if(body('shippingAddress').exists())
+    .trim()
+    .isLength({ min: 5, max: 200 })
+    .withMessage('Street address must be between 5 and 200 characters'),
+  
+  body('shippingAddress.city')
+    .if(body('shippingAddress').exists())
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('City must be between 2 and 100 characters'),
+  
+  body('shippingAddress.state')
+    .if(body('shippingAddress').exists())
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('State must be between 2 and 50 characters'),
+  
+  body('shippingAddress.zipCode')
+    .if(body('shippingAddress').exists())
+    .trim()
+    .matches(/^\d{5}(-\d{4})?$/)
+    .withMessage('Please provide a valid ZIP code'),
+  
+  body('shippingAddress.phone')
+    .if(body('shippingAddress').exists())
+    .isMobilePhone()
+    .withMessage('Please provide a valid phone number'),
+  
+  body('paymentMethod')
+    .if(onCreateOrPresent)
+    .isIn(['card', 'paypal', 'bank_transfer', 'cash_on_delivery'])
+    .withMessage('Invalid payment method'),
+  
+  handleValidationErrors
+];
+
+// Refund validation rules
+export const validateRefund = [
+  body('orderId')
+    .isMongoId()
+    .withMessage('Valid order ID is required'),
+  
+  body('amount')
+    .optional()
+    .isFloat({ min: 0.01 })
+    .withMessage('Refund amount must be at least 0.01')
+    .toFloat(),
+  
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters'),
+  
+  body('restock')
+    .optional()
+    .isBoolean()
+    .withMessage('Restock must be true or false')
+    .toBoolean(),
+  
+  body('items')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('Restock items must be a non-empty list'),
+  
+  body('items.*.item')
+    .isMongoId()
+    .withMessage('Valid order item ID is required'),
+  
+  body('items.*.quantity')
+    .isInt({ min: 1 })
+    .withMessage('Restock quantity must be at least 1')
+    .toInt(),
+  
+  handleValidationErrors
+];
+
+// Tax rule validation rules
+export const validateTaxRule = [
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Rule name must be between 2 and 100 characters'),
+  
+  body('state')
+    .optional({ values: 'null' })
+    .trim()
+    .isLength({ min: 2, max: 2 })
+    .withMessage('State must be a two-letter code'),
+  
+  body('zipPrefixes')
+    .optional()
+    .isArray({ max: 100 })
+    .withMessage('ZIP prefixes must be a list of at most 100 prefixes'),
+  
+  body('zipPrefixes.*')
+    .trim()
+    .matches(/^\d{1,5}$/)
+    .withMessage('ZIP prefixes must be 1 to 5 digits'),
+  
+  body('category')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Valid category ID is required'),
+  
+  body('productType')
+    .optional()
+    .isIn(['any', 'prescription', 'otc'])
+    .withMessage('Product type must be any, prescription or otc'),
+  
+  body('rate')
+    .isFloat({ min: 0, max: 1 })
+    .withMessage('Tax rate must be a fraction between 0 and 1')
+    .toFloat(),
+  
+  body('priority')
+    .optional()
+    .isInt({ min: -100, max: 100 })
+    .withMessage('Priority must be between -100 and 100')
+    .toInt(),
+  
+  handleValidationErrors
+];
+
+export const validateTaxPreview = [
+  body('shippingAddress.state')
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('State must be between 2 and 50 characters'),
+  
+  body('shippingAddress.zipCode')
+    .trim()
+    .matches(/^\d{5}(-\d{4})?$/)
+    .withMessage('Please provide a valid ZIP code'),
+  
+  body('items')
+    .isArray({ min: 1, max: 50 })
+    .withMessage('Between 1 and 50 items are required'),
+  
+  body('items.*.product')
+    .isMongoId()
+    .withMessage('Valid product ID is required'),
+  
+  body('items.*.quantity')
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Quantity must be between 1 and 100')
+    .toInt(),
+  
+  body('discount')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Discount must be a positive number')
+    .toFloat(),
+  
+  handleValidationErrors
+];
+
+// Shipping validation rules
+export const validateShippingZone = [
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Zone name must be between 2 and 100 characters'),
+  
+  body('states')
+    .optional()
+    .isArray()
+    .withMessage('States must be a list of state codes'),
+  
+  body('states.*')
+    .trim()
+    .isLength({ min: 2, max: 2 })
+    .withMessage('States must be two-letter codes'),
+  
+  body('zipPrefixes.*')
+    .trim()
+    .matches(/^\d{1,5}$/)
+    .withMessage('ZIP prefixes must be 1 to 5 digits'),
+  
+  body('rates')
+    .isArray({ min: 1, max: 3 })
+    .withMessage('Between 1 and 3 shipping rates are required'),
+  
+  body('rates.*.method')
+    .isIn(['standard', 'express', 'overnight'])
+    .withMessage('Rate method must be standard, express or overnight'),
+  
+  body(['rates.*.baseRate', 'rates.*.includedWeight', 'rates.*.perPoundRate'])
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Rates and weights must be positive numbers')
+    .toFloat(),
+  
+  body('rates.*.freeShippingThreshold')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0 })
+    .withMessage('Free shipping threshold must be a positive number')
+    .toFloat(),
+  
+  body(['rates.*.minDays', 'rates.*.maxDays'])
+    .optional()
+    .isInt({ min: 0, max: 60 })
+    .withMessage('Delivery days must be between 0 and 60')
+    .toInt(),
+  
+  body(['surcharges.temperatureControlled', 'surcharges.specialHandling'])
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Surcharges must be positive numbers')
+    .toFloat(),
+  
+  body('dimDivisor')
+    .optional()
+    .isFloat({ min: 1 })
+    .withMessage('Dimensional weight divisor must be at least 1')
+    .toFloat(),
+  
+  handleValidationErrors
+];
+
+export const validateShippingQuote = [
+  body('shippingAddress.state')
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('State must be between 2 and 50 characters'),
+  
+  body('shippingAddress.zipCode')
+    .trim()
+    .matches(/^\d{5}(-\d{4})?$/)
+    .withMessage('Please provide a valid ZIP code'),
+  
+  body('items')
+    .isArray({ min: 1, max: 50 })
+    .withMessage('Between 1 and 50 items are required'),
+  
+  body('items.*.product')
+    .isMongoId()
+    .withMessage('Valid product ID is required'),
+  
+  body('items.*.quantity')
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Quantity must be between 1 and 100')
+    .toInt(),
+  
+  handleValidationErrors
+];
+
+// Order status update validation rules. Which moves are allowed is checked
+// against the status graph in utils/orderStatus.js.
+export const validateOrderStatus = [
+  body('status')
+    .isIn([
+      'pending',
+      'confirmed',
+      'prescription_verification',
+      'preparing',
+      'ready_for_pickup',
+      'shipped',
+      'out_for_delivery',
+      'delivered',
+      'cancelled',
+      'returned',
+      'refunded'
+    ])
+    .withMessage('Invalid order status'),
+  
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Note cannot exceed 500 characters'),
+  
+  body('trackingNumber')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Tracking number must be between 1 and 100 characters'),
+  
+  body('estimatedDelivery')
+    .optional()
+    .isISO8601()
+    .withMessage('Estimated delivery must be a valid date'),
+  
+  handleValidationErrors
+];
+
+// Return request validation rules
+export const validateReturnRequest = [
+  body('order')
+    .isMongoId()
+    .withMessage('Valid order ID is required'),
+  
+  body('items')
+    .isArray({ min: 1, max: 50 })
+    .withMessage('Between 1 and 50 items are required'),
+  
+  body('items.*.item')
+    .isMongoId()
+    .withMessage('Valid order item ID is required'),
+  
+  body('items.*.quantity')
+    .isInt({ min: 1 })
+    .withMessage('Quantity must be at least 1')
+    .toInt(),
+  
+  body('items.*.reason')
+    .isIn(['damaged', 'defective', 'wrong_item', 'expired', 'adverse_reaction', 'no_longer_needed', 'other'])
+    .withMessage('Invalid return reason'),
+  
+  body('comments')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Comments cannot exceed 1000 characters'),
+  
+  handleValidationErrors
+];
+
+// Return rejection validation rules
+export const validateReturnDecision = [
+  body('reason')
+    .trim()
+    .isLength({ min: 5, max: 500 })
+    .withMessage('Reason must be between 5 and 500 characters'),
+  
+  handleValidationErrors
+];
+
+// Return inspection validation rules
+export const validateReturnInspection = [
+  body('items')
+    .isArray({ min: 1 })
+    .withMessage('A disposition is required for each returned item'),
+  
+  body('items.*.item')
+    .isMongoId()
+    .withMessage('Valid order item ID is required'),
+  
+  body('items.*.disposition')
+    .isIn(['restock', 'destroy'])
+    .withMessage('Disposition must be restock or destroy'),
+  
+  body('items.*.note')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Inspection note cannot exceed 500 characters'),
+  
+  body('refundAmount')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Refund amount cannot be negative')
+    .toFloat(),
+  
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Note cannot exceed 500 characters'),
+  
+  handleValidationErrors
+];
+
+// Store validation rules
+export const validateStore = [
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 200 })
+    .withMessage('Store name must be between 2 and 200 characters'),
+  
+  body('code')
+    .trim()
+    .isLength({ min: 2, max: 20 })
+    .withMessage('Store code must be between 2 and 20 characters'),
+  
+  body('address.street')
+    .trim()
+    .isLength({ min: 5, max: 200 })
+    .withMessage('Street address must be between 5 and 200 characters'),
+  
+  body('address.city')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('City must be between 2 and 100 characters'),
+  
+  body('address.state')
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('State must be between 2 and 50 characters'),
+  
+  body('address.zipCode')
+    .trim()
+    .matches(/^\d{5}(-\d{4})?$/)
+    .withMessage('Please provide a valid ZIP code'),
+  
+  body('phone')
+    .optional()
+    .isMobilePhone()
+    .withMessage('Please provide a valid phone number'),
+  
+  body('openingHours')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Opening hours cannot exceed 200 characters'),
+  
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be true or false'),
+  
+  handleValidationErrors
+];
+
+// Pickup handover validation rules
+export const validatePickupHandover = [
+  body('code')
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage('Pickup code must be 6 digits'),
+  
+  body('idType')
+    .isIn(['drivers_license', 'state_id', 'passport', 'other'])
+    .withMessage('Invalid ID type'),
+  
+  body('idLast4')
+    .optional()
+    .trim()
+    .isLength({ min: 4, max: 4 })
+    .withMessage('Enter the last 4 characters of the ID number'),
+  
+  body('collectedByName')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Name of the person collecting must be between 2 and 100 characters'),
+  
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Note cannot exceed 500 characters'),
+  
+  handleValidationErrors
+];
+
+// Shipping label validation rules
+export const validateShipmentLabel = [
+  body('carrier')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Carrier must be between 1 and 50 characters'),
+  
+  body('service')
+    .optional()
+    .isIn(['standard', 'express', 'overnight'])
+    .withMessage('Service must be standard, express or overnight'),
+  
+  handleValidationErrors
+];
+
+// Offline payment (cash collected, bank transfer reconciled) validation rules
+export const validatePaymentReceipt = [
+  body('amount')
+    .isFloat({ min: 0.01 })
+    .withMessage('Amount received is required')
+    .toFloat(),
+  
+  body('transactionId')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Transaction reference must be between 1 and 100 characters'),
+  
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Note cannot exceed 500 characters'),
+  
+  handleValidationErrors
+];
+
 // MongoDB ObjectId validation
 export const validateObjectId = (paramName = 'id') => [
   param(paramName)
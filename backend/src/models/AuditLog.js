@@ -0,0 +1,98 @@
+import mongoose from 'mongoose';
+
+const auditLogSchema = new mongoose.Schema({
+  sequence: {
+    type: Number,
+    required: [true, 'Sequence is required'],
+    unique: true,
+    min: [1, 'Sequence must be at least 1']
+  },
+  action: {
+    type: String,
+    required: [true, 'Action is required'],
+    enum: [
+      'prescription.verify',
+      'prescription.reject',
+      'prescription.medication_review',
+      'prescription.info_request',
+      'order.status_change',
+      'order.screening_override',
+      'order.controlled_signoff',
+      'order.pickup_handover',
+      'order.shipment_label',
+      'payment.refund',
+      'payment.dispute',
+      'payment.collect',
+      'payment.reconcile',
+      'return.approve',
+      'return.reject',
+      'return.receive',
+      'return.inspect',
+      'user.role_change',
+      'product.price_change',
+      'product.stock_change',
+      'review.moderate',
+      'review.remove'
+    ]
+  },
+  entityType: {
+    type: String,
+    required: [true, 'Entity type is required'],
+    enum: ['Order', 'Prescription', 'User', 'Product', 'Review', 'ReturnRequest']
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'Entity ID is required']
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  actorRole: String,
+  ip: String,
+  userAgent: String,
+  changes: [{
+    _id: false,
+    field: String,
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }],
+  metadata: mongoose.Schema.Types.Mixed,
+  previousHash: {
+    type: String,
+    required: [true, 'Previous hash is required']
+  },
+  hash: {
+    type: String,
+    required: [true, 'Hash is required']
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes
+auditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ createdAt: -1 });
+
+// Entries are append-only; block every update and delete path
+const rejectMutation = function(next) {
+  next(new Error('Audit log entries are immutable'));
+};
+
+auditLogSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  rejectMutation
+);
+
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return rejectMutation(next);
+  }
+  next();
+});
+
+export default mongoose.model('AuditLog', auditLogSchema);
@@ -35,10 +35,22 @@ const cartSchema = new mongoose.Schema({
     unique: true
   },
   items: [cartItemSchema],
-  couponCode: {
-    type: String,
-    trim: true
-  },
+  coupons: [{
+    coupon: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Coupon'
+    },
+    code: {
+      type: String,
+      trim: true,
+      uppercase: true
+    },
+    discount: {
+      type: Number,
+      default: 0,
+      min: [0, 'Coupon discount cannot be negative']
+    }
+  }],
   couponDiscount: {
     type: Number,
     default: 0,
@@ -57,6 +57,13 @@ const categorySchema = new mongoose.Schema({
   prescriptionRequired: {
     type: Boolean,
     default: false
+  },
+  // Days after delivery its products can be returned; null uses the parent
+  // category's window or RETURN_WINDOW_DAYS, 0 means no returns
+  returnWindowDays: {
+    type: Number,
+    default: null,
+    min: [0, 'Return window cannot be negative']
   }
 }, {
   timestamps: true,
@@ -0,0 +1,123 @@
+import mongoose from 'mongoose';
+
+const couponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Coupon code is required'],
+    unique: true,
+    trim: true,
+    uppercase: true,
+    maxlength: [50, 'Coupon code cannot exceed 50 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  type: {
+    type: String,
+    enum: ['percentage', 'fixed'],
+    required: [true, 'Coupon type is required']
+  },
+  value: {
+    type: Number,
+    required: [true, 'Coupon value is required'],
+    min: [0, 'Coupon value cannot be negative'],
+    validate: {
+      validator: function(value) {
+        return this.type !== 'percentage' || value <= 100;
+      },
+      message: 'Percentage discount cannot exceed 100'
+    }
+  },
+  maxDiscount: {
+    type: Number,
+    min: [0, 'Maximum discount cannot be negative']
+  },
+  minOrderAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Minimum order amount cannot be negative']
+  },
+  validFrom: {
+    type: Date,
+    default: Date.now
+  },
+  validUntil: {
+    type: Date,
+    validate: {
+      validator: function(value) {
+        return !value || !this.validFrom || value >= this.validFrom;
+      },
+      message: 'Coupon end date must be after its start date'
+    }
+  },
+  // Total redemptions allowed across all customers; null means unlimited
+  usageLimit: {
+    type: Number,
+    default: null,
+    min: [1, 'Usage limit must be at least 1']
+  },
+  usageLimitPerUser: {
+    type: Number,
+    default: 1,
+    min: [1, 'Per-user usage limit must be at least 1']
+  },
+  usedCount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Used count cannot be negative']
+  },
+  applicableCategories: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  }],
+  applicableProducts: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  }],
+  applicableManufacturers: [{
+    type: String,
+    trim: true
+  }],
+  excludePrescriptionItems: {
+    type: Boolean,
+    default: true
+  },
+  stackable: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for remaining global uses
+couponSchema.virtual('remainingUses').get(function() {
+  if (this.usageLimit == null) return null;
+  return Math.max(0, this.usageLimit - this.usedCount);
+});
+
+// Virtual for current validity window
+couponSchema.virtual('isCurrentlyValid').get(function() {
+  const now = new Date();
+  return this.isActive &&
+    (!this.validFrom || this.validFrom <= now) &&
+    (!this.validUntil || this.validUntil >= now);
+});
+
+// Indexes
+couponSchema.index({ code: 1 });
+couponSchema.index({ isActive: 1, validUntil: 1 });
+
+export default mongoose.model('Coupon', couponSchema);
@@ -0,0 +1,38 @@
+import mongoose from 'mongoose';
+
+// One use of a coupon by an order. Kept apart from the coupon so popular coupons
+// do not grow without bound; Coupon.usedCount is the running total.
+const couponRedemptionSchema = new mongoose.Schema({
+  coupon: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon',
+    required: [true, 'Coupon is required']
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: [true, 'Order is required']
+  },
+  discount: {
+    type: Number,
+    required: [true, 'Discount is required'],
+    min: [0, 'Discount cannot be negative']
+  },
+  redeemedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes
+couponRedemptionSchema.index({ coupon: 1, order: 1 }, { unique: true });
+couponRedemptionSchema.index({ coupon: 1, user: 1 });
+couponRedemptionSchema.index({ coupon: 1, redeemedAt: -1 });
+couponRedemptionSchema.index({ order: 1 });
+
+export default mongoose.model('CouponRedemption', couponRedemptionSchema);
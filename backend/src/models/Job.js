@@ -0,0 +1,65 @@
+import mongoose from 'mongoose';
+
+const jobSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: [true, 'Job type is required'],
+    trim: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed'],
+    default: 'queued'
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+    min: [0, 'Attempts cannot be negative']
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5,
+    min: [1, 'Max attempts must be at least 1']
+  },
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedBy: String,
+  lockExpiresAt: Date,
+  progress: {
+    completed: {
+      type: Number,
+      default: 0
+    },
+    total: {
+      type: Number,
+      default: 0
+    }
+  },
+  result: mongoose.Schema.Types.Mixed,
+  lastError: String,
+  startedAt: Date,
+  completedAt: Date,
+  failedAt: Date
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for whether the job has reached a terminal state
+jobSchema.virtual('isFinished').get(function() {
+  return ['completed', 'failed'].includes(this.status);
+});
+
+// Indexes
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index({ status: 1, lockExpiresAt: 1 });
+jobSchema.index({ type: 1, createdAt: -1 });
+
+export default mongoose.model('Job', jobSchema);
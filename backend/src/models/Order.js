@@ -27,6 +27,39 @@ const orderItemSchema = new mongoose.Schema({
   prescriptionRequired: {
     type: Boolean,
     default: false
+  },
+  scheduleType: {
+    type: String,
+    enum: ['non-controlled', 'schedule-ii', 'schedule-iii', 'schedule-iv', 'schedule-v'],
+    default: 'non-controlled'
+  },
+  // Stock lots the item was filled from, earliest expiry first
+  lots: [{
+    _id: false,
+    lot: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'StockLot'
+    },
+    lotNumber: String,
+    expiryDate: Date,
+    quantity: Number
+  }],
+  // Units put back on sale after a refund or return
+  restockedQuantity: {
+    type: Number,
+    default: 0,
+    min: [0, 'Restocked quantity cannot be negative']
+  },
+  // Tax on the line after its share of the order discount, and the rule that set it
+  tax: {
+    rate: Number,
+    taxableAmount: Number,
+    amount: Number,
+    rule: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'TaxRule'
+    },
+    ruleName: String
   }
 });
 
@@ -134,15 +167,62 @@ const orderSchema = new mongoose.Schema({
     },
     status: {
       type: String,
-      enum: ['pending', 'processing', 'completed', 'failed', 'refunded', 'cancelled'],
+      enum: ['pending', 'processing', 'completed', 'failed', 'partially_refunded', 'refunded', 'cancelled'],
       default: 'pending'
     },
+    // Adapter in utils/paymentProviders the order pays through, and its payment
+    // reference there (Stripe payment intent, bank transfer reference)
+    provider: {
+      type: String,
+      enum: ['stripe', 'cash_on_delivery', 'bank_transfer', 'fake']
+    },
+    reference: String,
     transactionId: String,
+    // Stripe intent on orders paid before payment.reference was recorded
     stripePaymentIntentId: String,
     paidAt: Date,
+    // Staff member who collected the cash or reconciled the transfer
+    receivedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    // Latest refund, and the total of every refund not failed or cancelled
     refundedAt: Date,
     refundAmount: Number,
-    refundReason: String
+    refundReason: String,
+    refunds: [{
+      providerRefundId: String,
+      amount: {
+        type: Number,
+        required: [true, 'Refund amount is required'],
+        min: [0, 'Refund amount cannot be negative']
+      },
+      status: {
+        type: String,
+        enum: ['pending', 'succeeded', 'failed', 'canceled'],
+        default: 'pending'
+      },
+      reason: String,
+      restocked: {
+        type: Boolean,
+        default: false
+      },
+      createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      createdAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    dispute: {
+      providerDisputeId: String,
+      amount: Number,
+      reason: String,
+      status: String,
+      openedAt: Date
+    }
   },
   status: {
     type: String,
@@ -174,6 +254,10 @@ const orderSchema = new mongoose.Schema({
     updatedBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
+    },
+    signOff: {
+      type: Boolean,
+      default: false
     }
   }],
   shipping: {
@@ -182,16 +266,105 @@ const orderSchema = new mongoose.Schema({
       enum: ['standard', 'express', 'overnight', 'pickup'],
       default: 'standard'
     },
+    // Zone, billable weight and surcharges the shipping cost was worked out from
+    zone: String,
+    billableWeight: Number,
+    surcharges: [{
+      _id: false,
+      type: {
+        type: String,
+        enum: ['temperature_controlled', 'special_handling']
+      },
+      amount: Number
+    }],
+    // Name of the carrier adapter in utils/carriers the parcel went out with
     carrier: String,
     trackingNumber: String,
+    label: {
+      url: String,
+      service: String,
+      createdAt: Date
+    },
+    // Scans reported by the carrier, oldest first, keyed by the carrier's event ID
+    trackingEvents: [{
+      _id: false,
+      eventId: String,
+      status: {
+        type: String,
+        enum: ['label_created', 'in_transit', 'out_for_delivery', 'delivered', 'exception']
+      },
+      description: String,
+      location: String,
+      occurredAt: Date,
+      recordedAt: Date
+    }],
     estimatedDelivery: Date,
     actualDelivery: Date,
-    deliveryInstructions: String
+    deliveryInstructions: String,
+    // Store pickup: where, the one-time code (stored hashed) and the handover
+    pickup: {
+      store: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Store'
+      },
+      codeHash: {
+        type: String,
+        select: false
+      },
+      codeIssuedAt: Date,
+      failedAttempts: {
+        type: Number,
+        default: 0
+      },
+      readyAt: Date,
+      // Cancelled if not collected by then
+      collectBy: Date,
+      collectedAt: Date,
+      collectedByName: String,
+      handedOverBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      idCheck: {
+        type: {
+          type: String,
+          enum: ['drivers_license', 'state_id', 'passport', 'other']
+        },
+        last4: String
+      }
+    }
   },
   prescriptions: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Prescription'
   }],
+  screening: {
+    warnings: [{
+      kind: {
+        type: String,
+        enum: ['drug_interaction', 'medication_interaction', 'allergy', 'condition', 'duplicate_therapy']
+      },
+      severity: {
+        type: String,
+        enum: ['low', 'moderate', 'high']
+      },
+      message: String,
+      products: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product'
+      }]
+    }],
+    requiresOverride: {
+      type: Boolean,
+      default: false
+    },
+    overriddenBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    overriddenAt: Date,
+    overrideNote: String
+  },
   pharmacistNotes: {
     type: String,
     trim: true
@@ -200,6 +373,11 @@ const orderSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // Auto-refill subscription that placed the order
+  subscription: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subscription'
+  },
   priority: {
     type: String,
     enum: ['low', 'normal', 'high', 'urgent'],
@@ -210,7 +388,17 @@ const orderSchema = new mongoose.Schema({
     default: false
   },
   giftMessage: String,
-  couponCode: String,
+  coupons: [{
+    coupon: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Coupon'
+    },
+    code: String,
+    discount: {
+      type: Number,
+      min: [0, 'Coupon discount cannot be negative']
+    }
+  }],
   loyaltyPointsUsed: {
     type: Number,
     default: 0,
@@ -241,8 +429,14 @@ orderSchema.index({ customer: 1, createdAt: -1 });
 orderSchema.index({ orderNumber: 1 });
 orderSchema.index({ status: 1 });
 orderSchema.index({ 'payment.status': 1 });
+orderSchema.index({ 'payment.stripePaymentIntentId': 1 });
+orderSchema.index({ 'payment.reference': 1 });
 orderSchema.index({ createdAt: -1 });
 orderSchema.index({ 'shipping.trackingNumber': 1 });
+orderSchema.index({ 'shipping.carrier': 1, status: 1 });
+orderSchema.index({ 'items.scheduleType': 1, createdAt: 1 });
+orderSchema.index({ subscription: 1 });
+orderSchema.index({ status: 1, 'shipping.pickup.collectBy': 1 });
 
 // Pre-save middleware
 orderSchema.pre('save', function(next) {
@@ -253,14 +447,6 @@ orderSchema.pre('save', function(next) {
     this.orderNumber = `ORD${timestamp.slice(-6)}${random}`;
   }
   
-  // Add status to history if status changed
-  if (this.isModified('status') && !this.isNew) {
-    this.statusHistory.push({
-      status: this.status,
-      timestamp: new Date()
-    });
-  }
-  
   next();
 });
 
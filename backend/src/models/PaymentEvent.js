@@ -0,0 +1,51 @@
+import mongoose from 'mongoose';
+
+// One row per payment provider webhook event, keyed on the provider's event ID,
+// so a redelivered event is recognised and not applied to its order twice
+const paymentEventSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: [true, 'Provider is required'],
+    default: 'stripe'
+  },
+  eventId: {
+    type: String,
+    required: [true, 'Event ID is required']
+  },
+  type: {
+    type: String,
+    required: [true, 'Event type is required']
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'processed', 'ignored', 'failed'],
+    default: 'processing'
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  paymentIntentId: String,
+  // Provider object the event is about (payment intent, charge or dispute)
+  objectId: String,
+  attempts: {
+    type: Number,
+    default: 1
+  },
+  error: String,
+  providerCreatedAt: Date,
+  processedAt: Date,
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    select: false
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+paymentEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+paymentEventSchema.index({ order: 1, createdAt: -1 });
+paymentEventSchema.index({ status: 1, updatedAt: 1 });
+
+export default mongoose.model('PaymentEvent', paymentEventSchema);
@@ -1,5 +1,13 @@
 import mongoose from 'mongoose';
 
+// Hours a prescription may wait in the verification queue, by priority
+export const PRIORITY_SLA_HOURS = {
+  urgent: 1,
+  high: 4,
+  normal: 24,
+  low: 48
+};
+
 const medicationSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -38,6 +46,19 @@ const medicationSchema = new mongoose.Schema({
   product: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Product'
+  },
+  review: {
+    status: {
+      type: String,
+      enum: ['pending', 'approved', 'modified', 'rejected'],
+      default: 'pending'
+    },
+    note: String,
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewedAt: Date
   }
 });
 
@@ -109,6 +130,56 @@ const prescriptionSchema = new mongoose.Schema({
     min: [0, 'OCR confidence cannot be negative'],
     max: [100, 'OCR confidence cannot exceed 100']
   },
+  ocrPages: [{
+    page: {
+      type: Number,
+      required: true
+    },
+    imageUrl: String,
+    text: String,
+    confidence: Number,
+    processedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  ocrJob: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job'
+  },
+  // Structured reading of the OCR text; suggestions for the pharmacist, never dispensed against
+  ocrParsed: {
+    doctorName: String,
+    doctorLicenseNumber: String,
+    patientName: String,
+    date: String,
+    diagnosis: String,
+    instructions: String,
+    medications: [{
+      _id: false,
+      name: String,
+      strength: String,
+      dosageForm: String,
+      dose: String,
+      frequency: String,
+      timesPerDay: Number,
+      asNeeded: Boolean,
+      route: String,
+      duration: String,
+      quantity: Number,
+      refills: Number,
+      instructions: String,
+      product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product'
+      },
+      productName: String,
+      raw: String,
+      confidence: mongoose.Schema.Types.Mixed
+    }],
+    confidence: mongoose.Schema.Types.Mixed,
+    parsedAt: Date
+  },
   status: {
     type: String,
     enum: [
@@ -116,6 +187,7 @@ const prescriptionSchema = new mongoose.Schema({
       'uploaded',
       'processing',
       'pending_verification',
+      'awaiting_information',
       'verified',
       'rejected',
       'expired',
@@ -165,6 +237,51 @@ const prescriptionSchema = new mongoose.Schema({
     type: String,
     enum: ['low', 'normal', 'high', 'urgent'],
     default: 'normal'
+  },
+  claim: {
+    pharmacist: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    claimedAt: Date,
+    expiresAt: Date
+  },
+  infoRequests: [{
+    message: {
+      type: String,
+      required: [true, 'Information request message is required'],
+      trim: true
+    },
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    requestedAt: {
+      type: Date,
+      default: Date.now
+    },
+    response: {
+      type: String,
+      trim: true
+    },
+    respondedAt: Date
+  }],
+  sla: {
+    queuedAt: Date,
+    dueAt: Date,
+    pausedAt: Date,
+    completedAt: Date
+  },
+  expiredAt: Date,
+  // Patient reminders already sent, so each goes out once
+  reminders: {
+    expirySentAt: Date,
+    // Last order a refill reminder was sent for; the next order re-arms it
+    refillOrder: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order'
+    },
+    refillSentAt: Date
   }
 }, {
   timestamps: true,
@@ -179,9 +296,28 @@ prescriptionSchema.virtual('isExpired').get(function() {
 
 // Virtual for remaining refills
 prescriptionSchema.virtual('remainingRefills').get(function() {
-  return Math.max(0, this.medications.reduce((total, med) => total + med.refills, 0) - this.refillsUsed);
+  return Math.max(0, this.medications
+    .filter(med => med.review?.status !== 'rejected')
+    .reduce((total, med) => total + med.refills, 0) - this.refillsUsed);
 });
 
+// Time left on the verification SLA; the clock stops while waiting on the patient
+prescriptionSchema.methods.getSlaStatus = function(now = new Date()) {
+  if (!this.sla?.dueAt) return null;
+
+  const reference = this.sla.completedAt || this.sla.pausedAt || now;
+  const remainingMinutes = Math.round((this.sla.dueAt - reference) / 60000);
+
+  return {
+    queuedAt: this.sla.queuedAt,
+    dueAt: this.sla.dueAt,
+    paused: !!this.sla.pausedAt,
+    completed: !!this.sla.completedAt,
+    remainingMinutes,
+    breached: remainingMinutes < 0
+  };
+};
+
 // Indexes
 prescriptionSchema.index({ patient: 1, createdAt: -1 });
 prescriptionSchema.index({ prescriptionNumber: 1 });
@@ -189,6 +325,8 @@ prescriptionSchema.index({ status: 1 });
 prescriptionSchema.index({ 'doctor.licenseNumber': 1 });
 prescriptionSchema.index({ prescriptionDate: -1 });
 prescriptionSchema.index({ expiryDate: 1 });
+prescriptionSchema.index({ status: 1, 'sla.dueAt': 1 });
+prescriptionSchema.index({ 'claim.pharmacist': 1 });
 
 // Pre-save middleware
 prescriptionSchema.pre('save', function(next) {
@@ -202,6 +340,15 @@ prescriptionSchema.pre('save', function(next) {
     this.expiryDate = new Date(this.prescriptionDate);
     this.expiryDate.setFullYear(this.expiryDate.getFullYear() + 1);
   }
+
+  // Start the verification SLA the first time the prescription joins the queue
+  if (this.isModified('status') && this.status === 'pending_verification' && !this.sla?.queuedAt) {
+    const queuedAt = new Date();
+    this.sla = {
+      queuedAt,
+      dueAt: new Date(queuedAt.getTime() + (PRIORITY_SLA_HOURS[this.priority] || PRIORITY_SLA_HOURS.normal) * 60 * 60 * 1000)
+    };
+  }
   
   next();
 });
@@ -115,6 +115,11 @@ const productSchema = new mongoose.Schema({
       type: Number,
       default: 0,
       min: [0, 'Reserved stock cannot be negative']
+    },
+    // Set when a low-stock digest reports the product; cleared once stock recovers
+    lowStockAlertedAt: {
+      type: Date,
+      default: null
     }
   },
   prescriptionRequired: {
@@ -151,10 +156,6 @@ const productSchema = new mongoose.Schema({
       min: [0, 'Rating count cannot be negative']
     }
   },
-  reviews: [{
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'Review'
-  }],
   usage: {
     indications: [String],
     dosageInstructions: String,
@@ -197,7 +198,7 @@ const productSchema = new mongoose.Schema({
 });
 
 // Virtual for available stock
-userSchema.virtual('availableStock').get(function() {
+productSchema.virtual('availableStock').get(function() {
   return this.stock.quantity - this.stock.reserved;
 });
 
@@ -219,6 +220,13 @@ productSchema.virtual('isLowStock').get(function() {
   return this.stock.quantity <= this.stock.lowStockThreshold;
 });
 
+// Virtual for the product's reviews
+productSchema.virtual('reviews', {
+  ref: 'Review',
+  localField: '_id',
+  foreignField: 'product'
+});
+
 // Indexes for better query performance
 productSchema.index({ name: 'text', description: 'text' });
 productSchema.index({ category: 1 });
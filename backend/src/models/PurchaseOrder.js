@@ -0,0 +1,138 @@
+import mongoose from 'mongoose';
+
+const purchaseOrderItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Product is required']
+  },
+  name: {
+    type: String,
+    required: [true, 'Product name is required']
+  },
+  sku: String,
+  supplierSku: String,
+  quantityOrdered: {
+    type: Number,
+    required: [true, 'Quantity ordered is required'],
+    min: [1, 'Quantity ordered must be at least 1']
+  },
+  quantityReceived: {
+    type: Number,
+    default: 0,
+    min: [0, 'Quantity received cannot be negative']
+  },
+  unitCost: {
+    type: Number,
+    required: [true, 'Unit cost is required'],
+    min: [0, 'Unit cost cannot be negative']
+  }
+});
+
+const purchaseOrderSchema = new mongoose.Schema({
+  poNumber: {
+    type: String,
+    required: [true, 'PO number is required'],
+    unique: true,
+    trim: true
+  },
+  supplier: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier',
+    required: [true, 'Supplier is required']
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'sent', 'partially_received', 'received', 'cancelled'],
+    default: 'draft'
+  },
+  items: {
+    type: [purchaseOrderItemSchema],
+    validate: [items => items.length > 0, 'A purchase order needs at least one item']
+  },
+  // One entry per delivery, with the lots it created
+  receipts: [{
+    receivedAt: {
+      type: Date,
+      default: Date.now
+    },
+    receivedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    note: String,
+    lines: [{
+      _id: false,
+      item: mongoose.Schema.Types.ObjectId,
+      product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product'
+      },
+      lot: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'StockLot'
+      },
+      lotNumber: String,
+      expiryDate: Date,
+      quantity: Number
+    }]
+  }],
+  statusHistory: [{
+    status: {
+      type: String,
+      required: true
+    },
+    timestamp: {
+      type: Date,
+      default: Date.now
+    },
+    note: String,
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  }],
+  expectedAt: Date,
+  sentAt: Date,
+  receivedAt: Date,
+  notes: {
+    type: String,
+    trim: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for the order value at cost
+purchaseOrderSchema.virtual('total').get(function() {
+  return Math.round(this.items.reduce((sum, item) => sum + item.unitCost * item.quantityOrdered, 0) * 100) / 100;
+});
+
+// Virtual for units still to be delivered
+purchaseOrderSchema.virtual('outstandingQuantity').get(function() {
+  return this.items.reduce((sum, item) => sum + Math.max(0, item.quantityOrdered - item.quantityReceived), 0);
+});
+
+// Indexes
+purchaseOrderSchema.index({ supplier: 1, createdAt: -1 });
+purchaseOrderSchema.index({ status: 1, createdAt: -1 });
+purchaseOrderSchema.index({ 'items.product': 1, status: 1 });
+
+// Record status changes
+purchaseOrderSchema.pre('save', function(next) {
+  if (this.isModified('status')) {
+    const last = this.statusHistory[this.statusHistory.length - 1];
+    if (!last || last.status !== this.status) {
+      this.statusHistory.push({ status: this.status, timestamp: new Date() });
+    }
+  }
+  next();
+});
+
+export default mongoose.model('PurchaseOrder', purchaseOrderSchema);
@@ -0,0 +1,153 @@
+import mongoose from 'mongoose';
+
+// One order line being returned. `item` is the order item's _id.
+const returnItemSchema = new mongoose.Schema({
+  item: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'Order item is required']
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Product is required']
+  },
+  name: {
+    type: String,
+    required: [true, 'Product name is required']
+  },
+  quantity: {
+    type: Number,
+    required: [true, 'Quantity is required'],
+    min: [1, 'Quantity must be at least 1']
+  },
+  reason: {
+    type: String,
+    required: [true, 'Return reason is required'],
+    enum: ['damaged', 'defective', 'wrong_item', 'expired', 'adverse_reaction', 'no_longer_needed', 'other']
+  },
+  // Prescription and controlled items can be returned but never go back on sale
+  restockable: {
+    type: Boolean,
+    default: true
+  },
+  // What the customer paid for these units: price after discount, plus tax
+  refundAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Refund amount cannot be negative']
+  },
+  // Set when staff inspect the returned goods
+  disposition: {
+    type: String,
+    enum: ['restock', 'destroy']
+  },
+  inspectionNote: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Inspection note cannot exceed 500 characters']
+  }
+});
+
+// Customer request to return delivered order lines (RMA). Moves requested ->
+// approved -> received -> completed, or ends rejected or cancelled.
+const returnRequestSchema = new mongoose.Schema({
+  returnNumber: {
+    type: String,
+    required: [true, 'Return number is required'],
+    unique: true,
+    trim: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: [true, 'Order is required']
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Customer is required']
+  },
+  items: {
+    type: [returnItemSchema],
+    validate: {
+      validator: items => items.length > 0,
+      message: 'At least one item must be returned'
+    }
+  },
+  comments: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Comments cannot exceed 1000 characters']
+  },
+  photos: [{
+    url: String,
+    publicId: String,
+    originalName: String
+  }],
+  status: {
+    type: String,
+    enum: ['requested', 'approved', 'rejected', 'received', 'completed', 'cancelled'],
+    default: 'requested'
+  },
+  statusHistory: [{
+    status: {
+      type: String,
+      required: true
+    },
+    note: String,
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    timestamp: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  rejectionReason: {
+    type: String,
+    trim: true
+  },
+  refund: {
+    amount: {
+      type: Number,
+      default: 0
+    },
+    providerRefundId: String,
+    refundedAt: Date
+  },
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  receivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  inspectedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+returnRequestSchema.index({ customer: 1, createdAt: -1 });
+returnRequestSchema.index({ order: 1, status: 1 });
+returnRequestSchema.index({ status: 1, createdAt: -1 });
+
+// Pre-validate middleware, so the required return number is set first
+returnRequestSchema.pre('validate', function(next) {
+  // Generate return number if not provided
+  if (!this.returnNumber) {
+    const timestamp = Date.now().toString();
+    const random = Math.random().toString(36).substr(2, 4).toUpperCase();
+    this.returnNumber = `RMA${timestamp.slice(-6)}${random}`;
+  }
+
+  next();
+});
+
+export default mongoose.model('ReturnRequest', returnRequestSchema);
@@ -48,17 +48,58 @@ const reviewSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  moderationStatus: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending'
+  },
   moderationNotes: String,
+  moderatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  moderatedAt: Date,
   helpfulVotes: {
     type: Number,
     default: 0,
     min: [0, 'Helpful votes cannot be negative']
   },
+  helpfulVoters: {
+    type: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    select: false
+  },
   reportCount: {
     type: Number,
     default: 0,
     min: [0, 'Report count cannot be negative']
   },
+  reports: {
+    type: [{
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+      },
+      reason: {
+        type: String,
+        enum: ['spam', 'offensive', 'off_topic', 'medical_misinformation', 'other'],
+        required: [true, 'Report reason is required']
+      },
+      details: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Report details cannot exceed 500 characters']
+      },
+      reportedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    select: false
+  },
   images: [{
     url: String,
     publicId: String,
@@ -75,21 +116,30 @@ reviewSchema.index({ product: 1, user: 1 }, { unique: true });
 reviewSchema.index({ product: 1, isApproved: 1, createdAt: -1 });
 reviewSchema.index({ user: 1, createdAt: -1 });
 reviewSchema.index({ rating: -1 });
+reviewSchema.index({ moderationStatus: 1, reportCount: -1, createdAt: 1 });
+
+// Keep the approval flag in step with the moderation status
+reviewSchema.pre('save', function(next) {
+  if (this.isModified('moderationStatus')) {
+    this.isApproved = this.moderationStatus === 'approved';
+  }
+  next();
+});
 
 // Post-save middleware to update product rating
 reviewSchema.post('save', async function() {
   await this.constructor.updateProductRating(this.product);
 });
 
-// Post-remove middleware to update product rating
-reviewSchema.post('remove', async function() {
+// Post-delete middleware to update product rating
+reviewSchema.post('deleteOne', { document: true, query: false }, async function() {
   await this.constructor.updateProductRating(this.product);
 });
 
 // Static method to update product rating
 reviewSchema.statics.updateProductRating = async function(productId) {
   const stats = await this.aggregate([
-    { $match: { product: productId, isApproved: true } },
+    { $match: { product: new mongoose.Types.ObjectId(productId), isApproved: true } },
     {
       $group: {
         _id: '$product',
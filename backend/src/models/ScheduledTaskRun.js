@@ -0,0 +1,51 @@
+import mongoose from 'mongoose';
+
+const scheduledTaskRunSchema = new mongoose.Schema({
+  task: {
+    type: String,
+    required: [true, 'Task name is required'],
+    trim: true
+  },
+  trigger: {
+    type: String,
+    enum: ['schedule', 'manual'],
+    default: 'schedule'
+  },
+  // Scheduled fire time, to the minute; unique per task so only one server runs each slot
+  slot: {
+    type: Date,
+    required: [true, 'Slot is required']
+  },
+  status: {
+    type: String,
+    enum: ['running', 'succeeded', 'failed'],
+    default: 'running'
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  finishedAt: Date,
+  durationMs: Number,
+  result: mongoose.Schema.Types.Mixed,
+  error: String,
+  triggeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  host: String
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+scheduledTaskRunSchema.index({ task: 1, slot: 1, trigger: 1 }, {
+  unique: true,
+  partialFilterExpression: { trigger: 'schedule' }
+});
+scheduledTaskRunSchema.index({ task: 1, startedAt: -1 });
+scheduledTaskRunSchema.index({ status: 1, startedAt: -1 });
+
+export default mongoose.model('ScheduledTaskRun', scheduledTaskRunSchema);
@@ -0,0 +1,105 @@
+import mongoose from 'mongoose';
+
+// Rate table for one shipping method within a zone. Weights are in pounds.
+const shippingRateSchema = new mongoose.Schema({
+  method: {
+    type: String,
+    enum: ['standard', 'express', 'overnight'],
+    required: [true, 'Shipping method is required']
+  },
+  // Charged for the first `includedWeight` pounds
+  baseRate: {
+    type: Number,
+    required: [true, 'Base rate is required'],
+    min: [0, 'Base rate cannot be negative']
+  },
+  includedWeight: {
+    type: Number,
+    default: 1,
+    min: [0, 'Included weight cannot be negative']
+  },
+  // Charged for every pound, or part of one, above the included weight
+  perPoundRate: {
+    type: Number,
+    default: 0,
+    min: [0, 'Per pound rate cannot be negative']
+  },
+  // Orders with at least this item subtotal ship free by this method; null never does
+  freeShippingThreshold: {
+    type: Number,
+    default: null,
+    min: [0, 'Free shipping threshold cannot be negative']
+  },
+  minDays: {
+    type: Number,
+    min: [0, 'Delivery days cannot be negative']
+  },
+  maxDays: {
+    type: Number,
+    min: [0, 'Delivery days cannot be negative']
+  }
+}, { _id: false });
+
+// Where a set of shipping rates applies: states and/or ZIP prefixes, or every
+// address when both are empty. See utils/shippingRates.js for how the zone for
+// an address is picked.
+const shippingZoneSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Zone name is required'],
+    trim: true,
+    maxlength: [100, 'Zone name cannot exceed 100 characters']
+  },
+  // Two-letter state codes as used in shipping addresses
+  states: [{
+    type: String,
+    trim: true,
+    uppercase: true
+  }],
+  zipPrefixes: [{
+    type: String,
+    trim: true
+  }],
+  rates: {
+    type: [shippingRateSchema],
+    validate: {
+      validator: rates => new Set(rates.map(rate => rate.method)).size === rates.length,
+      message: 'Each shipping method can only have one rate per zone'
+    }
+  },
+  // Added once per order when any item needs it, free shipping or not
+  surcharges: {
+    temperatureControlled: {
+      type: Number,
+      default: 0,
+      min: [0, 'Surcharge cannot be negative']
+    },
+    specialHandling: {
+      type: Number,
+      default: 0,
+      min: [0, 'Surcharge cannot be negative']
+    }
+  },
+  // Cubic inches per pound of dimensional weight
+  dimDivisor: {
+    type: Number,
+    default: 139,
+    min: [1, 'Dimensional weight divisor must be at least 1']
+  },
+  // Higher priority wins over a more specific zone
+  priority: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+shippingZoneSchema.index({ isActive: 1, states: 1 });
+
+export default mongoose.model('ShippingZone', shippingZoneSchema);
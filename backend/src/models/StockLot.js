@@ -0,0 +1,76 @@
+import mongoose from 'mongoose';
+
+const stockLotSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Product is required']
+  },
+  lotNumber: {
+    type: String,
+    required: [true, 'Lot number is required'],
+    trim: true,
+    uppercase: true
+  },
+  expiryDate: {
+    type: Date,
+    required: [true, 'Expiry date is required']
+  },
+  manufacturingDate: Date,
+  quantity: {
+    type: Number,
+    required: [true, 'Quantity is required'],
+    min: [0, 'Lot quantity cannot be negative'],
+    default: 0
+  },
+  reserved: {
+    type: Number,
+    default: 0,
+    min: [0, 'Reserved quantity cannot be negative']
+  },
+  receivedQuantity: {
+    type: Number,
+    default: 0,
+    min: [0, 'Received quantity cannot be negative']
+  },
+  costPrice: {
+    type: Number,
+    min: [0, 'Cost price cannot be negative']
+  },
+  status: {
+    type: String,
+    enum: ['active', 'expired'],
+    default: 'active'
+  },
+  expiredAt: Date,
+  writtenOffQuantity: {
+    type: Number,
+    default: 0,
+    min: [0, 'Written-off quantity cannot be negative']
+  },
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for units that can still be allocated
+stockLotSchema.virtual('availableQuantity').get(function() {
+  return this.status === 'active' ? Math.max(0, this.quantity - this.reserved) : 0;
+});
+
+// Virtual for days until the lot expires (negative once expired)
+stockLotSchema.virtual('daysToExpiry').get(function() {
+  return Math.ceil((this.expiryDate - new Date()) / (24 * 60 * 60 * 1000));
+});
+
+// Indexes
+stockLotSchema.index({ product: 1, lotNumber: 1 }, { unique: true });
+stockLotSchema.index({ product: 1, status: 1, expiryDate: 1 });
+stockLotSchema.index({ status: 1, expiryDate: 1 });
+
+export default mongoose.model('StockLot', stockLotSchema);
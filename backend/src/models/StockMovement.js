@@ -0,0 +1,101 @@
+import mongoose from 'mongoose';
+
+export const MOVEMENT_REASONS = [
+  'opening_balance',
+  'receipt',
+  'sale',
+  'return',
+  'adjustment',
+  'write_off',
+  'expiry',
+  'reservation',
+  'reservation_release'
+];
+
+// Reasons staff can give for a manual stock change
+export const MANUAL_MOVEMENT_REASONS = ['receipt', 'return', 'adjustment', 'write_off'];
+
+const stockMovementSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Product is required']
+  },
+  reason: {
+    type: String,
+    required: [true, 'Reason is required'],
+    enum: MOVEMENT_REASONS
+  },
+  // Signed changes actually applied to stock.quantity and stock.reserved
+  quantityDelta: {
+    type: Number,
+    default: 0
+  },
+  reservedDelta: {
+    type: Number,
+    default: 0
+  },
+  // Balances right after the movement
+  quantityAfter: {
+    type: Number,
+    required: [true, 'Quantity after is required']
+  },
+  reservedAfter: {
+    type: Number,
+    required: [true, 'Reserved after is required']
+  },
+  lots: [{
+    _id: false,
+    lot: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'StockLot'
+    },
+    lotNumber: String,
+    quantity: Number
+  }],
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  reference: {
+    type: String,
+    trim: true
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot exceed 500 characters']
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes
+stockMovementSchema.index({ product: 1, createdAt: -1 });
+stockMovementSchema.index({ reason: 1, createdAt: -1 });
+stockMovementSchema.index({ order: 1 });
+
+// Movements are append-only; corrections are new movements
+const rejectMutation = function(next) {
+  next(new Error('Stock movements are immutable'));
+};
+
+stockMovementSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  rejectMutation
+);
+
+stockMovementSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return rejectMutation(next);
+  }
+  next();
+});
+
+export default mongoose.model('StockMovement', stockMovementSchema);
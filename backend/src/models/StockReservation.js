@@ -0,0 +1,60 @@
+import mongoose from 'mongoose';
+
+const stockReservationSchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: [true, 'Order is required']
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Product is required']
+  },
+  quantity: {
+    type: Number,
+    required: [true, 'Quantity is required'],
+    min: [1, 'Quantity must be at least 1']
+  },
+  lots: [{
+    _id: false,
+    lot: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'StockLot'
+    },
+    lotNumber: String,
+    expiryDate: Date,
+    quantity: Number
+  }],
+  status: {
+    type: String,
+    enum: ['active', 'committed', 'released', 'expired'],
+    default: 'active'
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  committedAt: Date,
+  releasedAt: Date,
+  releaseReason: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for reservation expiry
+stockReservationSchema.virtual('isExpired').get(function() {
+  return this.status === 'active' && !!this.expiresAt && this.expiresAt < new Date();
+});
+
+// Indexes
+stockReservationSchema.index({ order: 1, status: 1 });
+stockReservationSchema.index({ product: 1, status: 1 });
+stockReservationSchema.index({ status: 1, expiresAt: 1 });
+
+export default mongoose.model('StockReservation', stockReservationSchema);
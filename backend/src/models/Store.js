@@ -0,0 +1,67 @@
+import mongoose from 'mongoose';
+
+// Pharmacy location customers can pick orders up from
+const storeSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Store name is required'],
+    trim: true,
+    maxlength: [200, 'Store name cannot exceed 200 characters']
+  },
+  code: {
+    type: String,
+    required: [true, 'Store code is required'],
+    unique: true,
+    trim: true,
+    uppercase: true
+  },
+  address: {
+    street: {
+      type: String,
+      required: [true, 'Street address is required'],
+      trim: true
+    },
+    city: {
+      type: String,
+      required: [true, 'City is required'],
+      trim: true
+    },
+    state: {
+      type: String,
+      required: [true, 'State is required'],
+      trim: true,
+      uppercase: true
+    },
+    zipCode: {
+      type: String,
+      required: [true, 'ZIP code is required'],
+      trim: true
+    },
+    country: {
+      type: String,
+      default: 'United States',
+      trim: true
+    }
+  },
+  phone: {
+    type: String,
+    trim: true
+  },
+  // Shown to customers, e.g. "Mon-Fri 9am-7pm, Sat 10am-4pm"
+  openingHours: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Opening hours cannot exceed 200 characters']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+storeSchema.index({ isActive: 1, 'address.state': 1 });
+
+export default mongoose.model('Store', storeSchema);
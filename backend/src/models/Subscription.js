@@ -0,0 +1,138 @@
+import mongoose from 'mongoose';
+
+const subscriptionItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Product is required']
+  },
+  quantity: {
+    type: Number,
+    required: [true, 'Quantity is required'],
+    min: [1, 'Quantity must be at least 1']
+  }
+}, { _id: false });
+
+const subscriptionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  // Prescription each refill is dispensed against; required when any item needs one
+  prescription: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Prescription'
+  },
+  items: {
+    type: [subscriptionItemSchema],
+    validate: [items => items.length > 0, 'Subscription must contain at least one item']
+  },
+  intervalDays: {
+    type: Number,
+    required: [true, 'Interval is required'],
+    min: [7, 'Interval must be at least 7 days'],
+    max: [180, 'Interval cannot exceed 180 days']
+  },
+  nextRunAt: {
+    type: Date,
+    required: [true, 'Next run date is required']
+  },
+  status: {
+    type: String,
+    enum: ['active', 'paused', 'cancelled', 'ended'],
+    default: 'active'
+  },
+  shippingAddress: {
+    firstName: {
+      type: String,
+      required: [true, 'First name is required'],
+      trim: true
+    },
+    lastName: {
+      type: String,
+      required: [true, 'Last name is required'],
+      trim: true
+    },
+    street: {
+      type: String,
+      required: [true, 'Street address is required'],
+      trim: true
+    },
+    city: {
+      type: String,
+      required: [true, 'City is required'],
+      trim: true
+    },
+    state: {
+      type: String,
+      required: [true, 'State is required'],
+      trim: true
+    },
+    zipCode: {
+      type: String,
+      required: [true, 'ZIP code is required'],
+      trim: true
+    },
+    country: {
+      type: String,
+      default: 'United States',
+      trim: true
+    },
+    phone: {
+      type: String,
+      required: [true, 'Phone number is required'],
+      trim: true
+    }
+  },
+  paymentMethod: {
+    type: String,
+    enum: ['card', 'paypal', 'bank_transfer', 'cash_on_delivery'],
+    required: [true, 'Payment method is required']
+  },
+  // nextRunAt the customer was last told about; a refill is only placed after its notice
+  noticeSentFor: Date,
+  lastRunAt: Date,
+  lastOrder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  failedAttempts: {
+    type: Number,
+    default: 0
+  },
+  lastError: String,
+  endedReason: String,
+  history: [{
+    event: {
+      type: String,
+      enum: ['created', 'updated', 'paused', 'resumed', 'skipped', 'cancelled', 'ended', 'order_placed', 'order_failed'],
+      required: true
+    },
+    note: String,
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order'
+    },
+    nextRunAt: Date,
+    at: {
+      type: Date,
+      default: Date.now
+    },
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  }]
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+subscriptionSchema.index({ user: 1, createdAt: -1 });
+subscriptionSchema.index({ status: 1, nextRunAt: 1 });
+subscriptionSchema.index({ prescription: 1 });
+
+export default mongoose.model('Subscription', subscriptionSchema);
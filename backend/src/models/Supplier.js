@@ -0,0 +1,91 @@
+import mongoose from 'mongoose';
+
+const supplierSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Supplier name is required'],
+    trim: true,
+    maxlength: [200, 'Supplier name cannot exceed 200 characters']
+  },
+  code: {
+    type: String,
+    required: [true, 'Supplier code is required'],
+    unique: true,
+    trim: true,
+    uppercase: true
+  },
+  contactName: {
+    type: String,
+    trim: true
+  },
+  email: {
+    type: String,
+    required: [true, 'Supplier email is required'],
+    trim: true,
+    lowercase: true,
+    match: [/^\S+@\S+\.\S+$/, 'Please provide a valid email']
+  },
+  phone: {
+    type: String,
+    trim: true
+  },
+  address: {
+    street: String,
+    city: String,
+    state: String,
+    zipCode: String,
+    country: {
+      type: String,
+      default: 'US'
+    }
+  },
+  leadTimeDays: {
+    type: Number,
+    default: 7,
+    min: [0, 'Lead time cannot be negative']
+  },
+  paymentTerms: {
+    type: String,
+    trim: true
+  },
+  // Products this supplier can deliver and on what terms
+  products: [{
+    _id: false,
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true
+    },
+    supplierSku: {
+      type: String,
+      trim: true
+    },
+    unitCost: {
+      type: Number,
+      min: [0, 'Unit cost cannot be negative']
+    },
+    minOrderQuantity: {
+      type: Number,
+      default: 1,
+      min: [1, 'Minimum order quantity must be at least 1']
+    }
+  }],
+  notes: {
+    type: String,
+    trim: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+supplierSchema.index({ name: 1 });
+supplierSchema.index({ 'products.product': 1, isActive: 1 });
+
+export default mongoose.model('Supplier', supplierSchema);
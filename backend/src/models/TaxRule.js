@@ -0,0 +1,67 @@
+import mongoose from 'mongoose';
+
+// One row of the sales tax rate table. A rule applies to order lines shipped to
+// its state (and ZIP prefixes, when given) whose product is in its category or
+// of its product type; unset fields match everything. See utils/taxEngine.js
+// for how the rule for a line is picked.
+const taxRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Rule name is required'],
+    trim: true,
+    maxlength: [100, 'Rule name cannot exceed 100 characters']
+  },
+  // Two-letter state code as used in shipping addresses; null applies everywhere
+  state: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    default: null
+  },
+  zipPrefixes: [{
+    type: String,
+    trim: true
+  }],
+  category: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+  // Prescription covers controlled substances too; otc is everything else
+  productType: {
+    type: String,
+    enum: ['any', 'prescription', 'otc'],
+    default: 'any'
+  },
+  // Fraction of the taxable amount, e.g. 0.0725 for 7.25%; 0 makes lines exempt
+  rate: {
+    type: Number,
+    required: [true, 'Tax rate is required'],
+    min: [0, 'Tax rate cannot be negative'],
+    max: [1, 'Tax rate cannot exceed 100%']
+  },
+  // Higher priority wins over a more specific rule
+  priority: {
+    type: Number,
+    default: 0
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+taxRuleSchema.index({ isActive: 1, state: 1 });
+
+export default mongoose.model('TaxRule', taxRuleSchema);
@@ -1,10 +1,20 @@
 import express from 'express';
+import mongoose from 'mongoose';
 import User from '../models/User.js';
 import Product from '../models/Product.js';
 import Order from '../models/Order.js';
 import Prescription from '../models/Prescription.js';
+import AuditLog from '../models/AuditLog.js';
+import PurchaseOrder from '../models/PurchaseOrder.js';
+import ScheduledTaskRun from '../models/ScheduledTaskRun.js';
 import { asyncHandler } from '../utils/asyncHandler.js';
 import { protect, authorize } from '../middleware/auth.js';
+import { AppError } from '../utils/appError.js';
+import { buildDispensingLog, SCHEDULE_RULES } from '../utils/controlledSubstances.js';
+import { auditLogsToCsv, verifyAuditChain } from '../utils/auditLogger.js';
+import { getNearExpiryLots } from '../utils/stockLots.js';
+import { reconcileStock, recordOpeningBalance } from '../utils/inventoryLedger.js';
+import { getScheduledTasks, runScheduledTask } from '../utils/scheduler.js';
 
 const router = express.Router();
 
@@ -33,6 +43,7 @@ const getDashboardStats = asyncHandler(async (req, res, next) => {
     pendingOrders,
     pendingPrescriptions,
     lowStockProducts,
+    openPurchaseOrders,
     recentOrders,
     topProducts
   ] = await Promise.all([
@@ -49,6 +60,7 @@ const getDashboardStats = asyncHandler(async (req, res, next) => {
       isActive: true,
       $expr: { $lte: ['$stock.quantity', '$stock.lowStockThreshold'] }
     }),
+    PurchaseOrder.countDocuments({ status: { $in: ['sent', 'partially_received'] } }),
     Order.find()
       .populate('customer', 'firstName lastName')
       .sort({ createdAt: -1 })
@@ -101,7 +113,8 @@ const getDashboardStats = asyncHandler(async (req, res, next) => {
       },
       products: {
         total: totalProducts,
-        lowStock: lowStockProducts
+        lowStock: lowStockProducts,
+        openPurchaseOrders
       },
       orders: {
         total: totalOrders,
@@ -170,53 +183,247 @@ const getSystemHealth = asyncHandler(async (req, res, next) => {
 // @route   GET /api/v1/admin/audit-logs
 // @access  Private/Admin
 const getAuditLogs = asyncHandler(async (req, res, next) => {
-  // In a real application, you would have an AuditLog model
-  // For now, return recent activities from various models
-  
-  const recentActivities = await Promise.all([
-    User.find({ isActive: true })
-      .sort({ createdAt: -1 })
-      .limit(5)
-      .select('firstName lastName email createdAt')
-      .lean(),
-    Order.find()
-      .sort({ createdAt: -1 })
-      .limit(5)
-      .populate('customer', 'firstName lastName')
-      .select('orderNumber status createdAt customer')
-      .lean(),
-    Prescription.find()
-      .sort({ createdAt: -1 })
-      .limit(5)
-      .populate('patient', 'firstName lastName')
-      .select('prescriptionNumber status createdAt patient')
+  const page = parseInt(req.query.page) || 1;
+  const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+  const skip = (page - 1) * limit;
+  const { action, entityType, entityId, actor, from, to, format } = req.query;
+
+  const filter = {};
+  if (action) filter.action = action;
+  if (entityType) filter.entityType = entityType;
+
+  for (const [key, value] of [['entityId', entityId], ['actor', actor]]) {
+    if (!value) continue;
+    if (!mongoose.isValidObjectId(value)) {
+      return next(new AppError(`Invalid ${key}`, 400));
+    }
+    filter[key] = value;
+  }
+
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = new Date(from);
+    if (to) filter.createdAt.$lte = new Date(to);
+  }
+
+  // CSV export returns every matching entry in chain order
+  if (format === 'csv') {
+    const entries = await AuditLog.find(filter)
+      .populate('actor', 'email')
+      .sort({ sequence: 1 })
+      .lean();
+
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="audit-logs-${Date.now()}.csv"`);
+    return res.status(200).send(auditLogsToCsv(entries));
+  }
+
+  const logs = await AuditLog.find(filter)
+    .populate('actor', 'firstName lastName email role')
+    .sort({ sequence: -1 })
+    .skip(skip)
+    .limit(limit)
+    .lean();
+
+  const total = await AuditLog.countDocuments(filter);
+
+  res.status(200).json({
+    success: true,
+    count: logs.length,
+    total,
+    pagination: {
+      page,
+      pages: Math.ceil(total / limit),
+      limit,
+      hasNext: page < Math.ceil(total / limit),
+      hasPrev: page > 1
+    },
+    logs
+  });
+});
+
+// @desc    Verify the audit log hash chain
+// @route   GET /api/v1/admin/audit-logs/verify
+// @access  Private/Admin
+const verifyAuditLogs = asyncHandler(async (req, res, next) => {
+  const result = await verifyAuditChain();
+
+  res.status(200).json({
+    success: true,
+    ...result
+  });
+});
+
+// @desc    Get controlled-substance dispensing log
+// @route   GET /api/v1/admin/reports/controlled-dispensing
+// @access  Private/Admin
+const getControlledDispensingLog = asyncHandler(async (req, res, next) => {
+  const { from, to, scheduleType } = req.query;
+
+  if (scheduleType && !SCHEDULE_RULES[scheduleType]) {
+    return next(new AppError('Invalid schedule type', 400));
+  }
+
+  const entries = await buildDispensingLog({ from, to, scheduleType });
+
+  res.status(200).json({
+    success: true,
+    count: entries.length,
+    generatedAt: new Date().toISOString(),
+    entries
+  });
+});
+
+// @desc    Get stock lots expiring soon
+// @route   GET /api/v1/admin/reports/near-expiry
+// @access  Private/Admin
+const getNearExpiryReport = asyncHandler(async (req, res, next) => {
+  const days = req.query.days ? parseInt(req.query.days) : 90;
+
+  if (!Number.isInteger(days) || days < 0 || days > 730) {
+    return next(new AppError('Days must be between 0 and 730', 400));
+  }
+  if (req.query.category && !mongoose.Types.ObjectId.isValid(req.query.category)) {
+    return next(new AppError('Invalid category id', 400));
+  }
+
+  const entries = await getNearExpiryLots({
+    days,
+    includeExpired: req.query.includeExpired === 'true',
+    category: req.query.category
+  });
+
+  res.status(200).json({
+    success: true,
+    count: entries.length,
+    days,
+    totalUnits: entries.reduce((sum, entry) => sum + entry.quantity, 0),
+    totalValueAtCost: Math.round(entries.reduce((sum, entry) => sum + entry.valueAtCost, 0) * 100) / 100,
+    generatedAt: new Date().toISOString(),
+    entries
+  });
+});
+
+// @desc    Recompute stock from the inventory ledger and report drift
+// @route   GET /api/v1/admin/inventory/reconciliation
+// @access  Private/Admin
+const getStockReconciliation = asyncHandler(async (req, res, next) => {
+  if (req.query.product && !mongoose.Types.ObjectId.isValid(req.query.product)) {
+    return next(new AppError('Invalid product id', 400));
+  }
+
+  const entries = await reconcileStock({
+    product: req.query.product,
+    driftOnly: req.query.driftOnly === 'true'
+  });
+
+  res.status(200).json({
+    success: true,
+    count: entries.length,
+    drifting: entries.filter(entry => entry.drift.quantity !== 0 || entry.drift.reserved !== 0).length,
+    generatedAt: new Date().toISOString(),
+    entries
+  });
+});
+
+// @desc    Start the inventory ledger for products that have no movements yet
+// @route   POST /api/v1/admin/inventory/opening-balances
+// @access  Private/Admin
+const createOpeningBalances = asyncHandler(async (req, res, next) => {
+  const products = await Product.find().select('stock');
+  let created = 0;
+
+  for (const product of products) {
+    const movement = await recordOpeningBalance(product, {
+      actor: req.user.id,
+      note: 'Opening balance for the inventory ledger'
+    });
+    if (movement) created += 1;
+  }
+
+  res.status(201).json({
+    success: true,
+    created,
+    skipped: products.length - created
+  });
+});
+
+// @desc    Get scheduled tasks with their latest run
+// @route   GET /api/v1/admin/scheduled-tasks
+// @access  Private/Admin
+const getScheduledTaskList = asyncHandler(async (req, res, next) => {
+  const tasks = await Promise.all(getScheduledTasks().map(async (task) => ({
+    ...task,
+    lastRun: await ScheduledTaskRun.findOne({ task: task.name }).sort({ startedAt: -1 }).lean(),
+    lastSuccess: await ScheduledTaskRun.findOne({ task: task.name, status: 'succeeded' })
+      .sort({ startedAt: -1 })
+      .select('startedAt finishedAt')
       .lean()
-  ]);
+  })));
+
+  res.status(200).json({
+    success: true,
+    count: tasks.length,
+    tasks
+  });
+});
 
-  const activities = [
-    ...recentActivities[0].map(user => ({
-      type: 'user_registration',
-      description: `New user registered: ${user.firstName} ${user.lastName}`,
-      timestamp: user.createdAt,
-      userId: user._id
-    })),
-    ...recentActivities[1].map(order => ({
-      type: 'order_created',
-      description: `New order: ${order.orderNumber} by ${order.customer.firstName} ${order.customer.lastName}`,
-      timestamp: order.createdAt,
-      orderId: order._id
-    })),
-    ...recentActivities[2].map(prescription => ({
-      type: 'prescription_uploaded',
-      description: `Prescription uploaded: ${prescription.prescriptionNumber} by ${prescription.patient.firstName} ${prescription.patient.lastName}`,
-      timestamp: prescription.createdAt,
-      prescriptionId: prescription._id
-    }))
-  ].sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+// @desc    Get scheduled task run history
+// @route   GET /api/v1/admin/scheduled-tasks/runs
+// @access  Private/Admin
+const getScheduledTaskRuns = asyncHandler(async (req, res, next) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+  const skip = (page - 1) * limit;
+  const { task, status, trigger, from, to } = req.query;
+
+  const filter = {};
+  if (task) filter.task = task;
+  if (status) filter.status = status;
+  if (trigger) filter.trigger = trigger;
+
+  if (from || to) {
+    filter.startedAt = {};
+    if (from) filter.startedAt.$gte = new Date(from);
+    if (to) filter.startedAt.$lte = new Date(to);
+  }
+
+  const runs = await ScheduledTaskRun.find(filter)
+    .populate('triggeredBy', 'firstName lastName email')
+    .sort({ startedAt: -1 })
+    .skip(skip)
+    .limit(limit)
+    .lean();
+
+  const total = await ScheduledTaskRun.countDocuments(filter);
 
   res.status(200).json({
     success: true,
-    activities: activities.slice(0, 20)
+    count: runs.length,
+    total,
+    pagination: {
+      page,
+      pages: Math.ceil(total / limit),
+      limit,
+      hasNext: page < Math.ceil(total / limit),
+      hasPrev: page > 1
+    },
+    runs
+  });
+});
+
+// @desc    Run a scheduled task now
+// @route   POST /api/v1/admin/scheduled-tasks/:name/run
+// @access  Private/Admin
+const triggerScheduledTask = asyncHandler(async (req, res, next) => {
+  const run = await runScheduledTask(req.params.name, {
+    trigger: 'manual',
+    userId: req.user.id
+  });
+
+  res.status(200).json({
+    success: run.status === 'succeeded',
+    run
   });
 });
 
@@ -224,5 +431,13 @@ const getAuditLogs = asyncHandler(async (req, res, next) => {
 router.get('/dashboard', getDashboardStats);
 router.get('/health', getSystemHealth);
 router.get('/audit-logs', getAuditLogs);
+router.get('/audit-logs/verify', verifyAuditLogs);
+router.get('/reports/controlled-dispensing', getControlledDispensingLog);
+router.get('/reports/near-expiry', getNearExpiryReport);
+router.get('/inventory/reconciliation', getStockReconciliation);
+router.post('/inventory/opening-balances', createOpeningBalances);
+router.get('/scheduled-tasks', getScheduledTaskList);
+router.get('/scheduled-tasks/runs', getScheduledTaskRuns);
+router.post('/scheduled-tasks/:name/run', triggerScheduledTask);
 
 export default router;
\ No newline at end of file
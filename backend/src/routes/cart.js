@@ -23,5 +23,6 @@ router.delete('/items/:itemId', validateObjectId('itemId'), removeFromCart);
 router.delete('/', clearCart);
 router.post('/coupon', applyCoupon);
 router.delete('/coupon', removeCoupon);
+router.delete('/coupon/:code', removeCoupon);
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,24 @@
+import express from 'express';
+import {
+  getCoupons,
+  getCoupon,
+  createCoupon,
+  updateCoupon,
+  deleteCoupon
+} from '../controllers/couponController.js';
+import { protect, authorize } from '../middleware/auth.js';
+import { validateCoupon, validateObjectId, validatePagination } from '../middleware/validation.js';
+
+const router = express.Router();
+
+// All routes require admin access
+router.use(protect);
+router.use(authorize('admin'));
+
+router.get('/', validatePagination, getCoupons);
+router.get('/:id', validateObjectId(), getCoupon);
+router.post('/', validateCoupon, createCoupon);
+router.put('/:id', validateObjectId(), validateCoupon, updateCoupon);
+router.delete('/:id', validateObjectId(), deleteCoupon);
+
+export default router;
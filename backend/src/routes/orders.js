@@ -5,11 +5,23 @@ import {
   getOrder,
   updateOrderStatus,
   cancelOrder,
+  signOffControlledOrder,
+  overrideScreening,
+  createOrderShipmentLabel,
+  handOverPickupOrder,
+  resendPickupCode,
   trackOrder,
   getAllOrders
 } from '../controllers/orderController.js';
 import { protect, authorize } from '../middleware/auth.js';
-import { validateOrder, validateObjectId, validatePagination } from '../middleware/validation.js';
+import {
+  validateOrder,
+  validateOrderStatus,
+  validatePickupHandover,
+  validateShipmentLabel,
+  validateObjectId,
+  validatePagination
+} from '../middleware/validation.js';
 
 const router = express.Router();
 
@@ -19,14 +31,21 @@ router.get('/track/:trackingNumber', trackOrder);
 // Protected routes
 router.use(protect);
 
+// Admin/Pharmacist order list; registered before /:id, which would take `admin` as an id
+router.get('/admin/all', authorize('admin', 'pharmacist'), validatePagination, getAllOrders);
+
 // User routes
 router.post('/', validateOrder, createOrder);
 router.get('/', getUserOrders);
 router.get('/:id', validateObjectId(), getOrder);
 router.patch('/:id/cancel', validateObjectId(), cancelOrder);
+router.post('/:id/pickup/code', validateObjectId(), resendPickupCode);
 
 // Admin/Pharmacist routes
-router.get('/admin/all', authorize('admin', 'pharmacist'), validatePagination, getAllOrders);
-router.patch('/:id/status', validateObjectId(), authorize('admin', 'pharmacist'), updateOrderStatus);
+router.patch('/:id/status', validateObjectId(), authorize('admin', 'pharmacist'), validateOrderStatus, updateOrderStatus);
+router.patch('/:id/screening-override', validateObjectId(), authorize('pharmacist'), overrideScreening);
+router.patch('/:id/controlled-signoff', validateObjectId(), authorize('pharmacist'), signOffControlledOrder);
+router.post('/:id/shipment/label', validateObjectId(), authorize('admin', 'pharmacist'), validateShipmentLabel, createOrderShipmentLabel);
+router.post('/:id/pickup/handover', validateObjectId(), authorize('admin', 'pharmacist'), validatePickupHandover, handOverPickupOrder);
 
 export default router;
\ No newline at end of file
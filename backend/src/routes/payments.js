@@ -1,15 +1,53 @@
 import express from 'express';
-import Stripe from 'stripe';
 import Order from '../models/Order.js';
 import { asyncHandler } from '../utils/asyncHandler.js';
 import { AppError } from '../utils/appError.js';
-import { protect } from '../middleware/auth.js';
+import { protect, authorize } from '../middleware/auth.js';
+import { validateRefund, validatePaymentReceipt, validateObjectId } from '../middleware/validation.js';
 import { logger } from '../utils/logger.js';
+import { releaseReservation, restockOrderItems } from '../utils/stockReservation.js';
+import { recordAudit, snapshot } from '../utils/auditLogger.js';
+import { getDestroyedQuantities } from '../utils/returns.js';
+import { getPaymentProvider, getOrderProvider } from '../utils/paymentProviders/index.js';
+import { markOrderPaid, transitionOrder, canTransition } from '../utils/orderStatus.js';
+import {
+  getRefundableAmount,
+  findOrderByReference,
+  syncChargeRefunds,
+  applyRefundTotals,
+  issueRefund,
+  claimPaymentEvent
+} from '../utils/payments.js';
+
+const REFUND_AUDIT_FIELDS = ['status', 'payment.status', 'payment.refundAmount'];
+const DISPUTE_AUDIT_FIELDS = ['payment.dispute.status', 'payment.dispute.amount'];
+const RECEIPT_AUDIT_FIELDS = ['status', 'payment.status', 'payment.transactionId'];
+
+// Orders whose stock has not started leaving the pharmacy
+const PRE_DISPENSING_STATUSES = ['pending', 'confirmed', 'prescription_verification'];
 
 const router = express.Router();
-const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
 
-// @desc    Create payment intent
+// Every unit of an order not yet back on sale, less units destroyed at a return
+const getRestockableLines = async (order) => {
+  const destroyed = await getDestroyedQuantities(order._id);
+
+  return order.items.map(item => ({
+    item: item._id,
+    quantity: Math.max(0, item.quantity - item.restockedQuantity - (destroyed.get(item._id.toString()) || 0))
+  }));
+};
+
+// Errors raised by a provider adapter itself are passed on; anything else came
+// from the processor and is logged and reported generically
+const providerError = (error, message) => {
+  if (error instanceof AppError) return error;
+
+  logger.error(`${message}:`, error);
+  return new AppError(message, 500);
+};
+
+// @desc    Start payment: card payment intent or offline payment instructions
 // @route   POST /api/v1/payments/create-intent
 // @access  Private
 const createPaymentIntent = asyncHandler(async (req, res, next) => {
@@ -25,42 +63,44 @@ const createPaymentIntent = asyncHandler(async (req, res, next) => {
     return next(new AppError('Order not found', 404));
   }
 
+  if (!['pending', 'processing'].includes(order.payment.status)) {
+    return next(new AppError(`Cannot take payment for an order whose payment is ${order.payment.status}`, 400));
+  }
+
   // Verify amount matches order total
   if (Math.round(amount * 100) !== Math.round(order.pricing.total * 100)) {
     return next(new AppError('Amount mismatch', 400));
   }
 
-  try {
-    const paymentIntent = await stripe.paymentIntents.create({
-      amount: Math.round(amount * 100), // Convert to cents
-      currency,
-      metadata: {
-        orderId: orderId,
-        userId: req.user.id,
-        userEmail: req.user.email
-      },
-      automatic_payment_methods: {
-        enabled: true
-      }
-    });
+  const provider = getOrderProvider(order);
 
-    // Update order with payment intent ID
-    order.payment.stripePaymentIntentId = paymentIntent.id;
-    order.payment.status = 'processing';
-    await order.save();
+  // A retried request (double submit, dropped response) gets the same intent back
+  // instead of a second one; clients may send their own Idempotency-Key
+  const idempotencyKey = req.get('Idempotency-Key') ||
+    `intent-${order._id}-${Math.round(amount * 100)}-${currency}`;
 
-    res.status(200).json({
-      success: true,
-      clientSecret: paymentIntent.client_secret,
-      paymentIntentId: paymentIntent.id
-    });
+  let payment;
+  try {
+    payment = await provider.createPayment(order, { currency, user: req.user, idempotencyKey });
   } catch (error) {
-    logger.error('Stripe payment intent creation failed:', error);
-    return next(new AppError('Payment processing failed', 500));
+    return next(providerError(error, 'Payment processing failed'));
   }
+
+  order.payment.provider = provider.name;
+  order.payment.reference = payment.reference;
+  order.payment.status = payment.status;
+  await order.save();
+
+  res.status(200).json({
+    success: true,
+    provider: provider.name,
+    clientSecret: payment.clientSecret,
+    paymentIntentId: payment.reference,
+    instructions: payment.instructions
+  });
 });
 
-// @desc    Confirm payment
+// @desc    Confirm an online payment
 // @route   POST /api/v1/payments/confirm
 // @access  Private
 const confirmPayment = asyncHandler(async (req, res, next) => {
@@ -70,156 +110,416 @@ const confirmPayment = asyncHandler(async (req, res, next) => {
     return next(new AppError('Payment intent ID is required', 400));
   }
 
+  const order = await Order.findOne({
+    $or: [
+      { 'payment.reference': paymentIntentId },
+      { 'payment.stripePaymentIntentId': paymentIntentId }
+    ]
+  });
+
+  if (!order || order.customer.toString() !== req.user.id) {
+    return next(new AppError('Order not found', 404));
+  }
+
+  const provider = getOrderProvider(order);
+  if (!provider.online) {
+    return next(new AppError('This payment is confirmed by our staff once it is received', 400));
+  }
+
+  let result;
   try {
-    const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId);
-    
-    if (paymentIntent.status === 'succeeded') {
-      // Update order payment status
-      const order = await Order.findOne({ 
-        'payment.stripePaymentIntentId': paymentIntentId 
-      });
-
-      if (order) {
-        order.payment.status = 'completed';
-        order.payment.paidAt = new Date();
-        order.payment.transactionId = paymentIntent.id;
-        order.status = 'confirmed';
-        
-        // Add to status history
-        order.statusHistory.push({
-          status: 'confirmed',
-          note: 'Payment confirmed',
-          timestamp: new Date()
-        });
-
-        await order.save();
-
-        res.status(200).json({
-          success: true,
-          message: 'Payment confirmed successfully',
-          order
-        });
-      } else {
-        return next(new AppError('Order not found', 404));
-      }
-    } else {
-      return next(new AppError('Payment not completed', 400));
-    }
+    result = await provider.confirmPayment(order, { reference: paymentIntentId });
   } catch (error) {
-    logger.error('Payment confirmation failed:', error);
-    return next(new AppError('Payment confirmation failed', 500));
+    return next(providerError(error, 'Payment confirmation failed'));
+  }
+
+  if (result.status !== 'succeeded') {
+    return next(new AppError('Payment not completed', 400));
+  }
+
+  await markOrderPaid(order, { transactionId: result.transactionId });
+
+  res.status(200).json({
+    success: true,
+    message: order.status === 'cancelled'
+      ? 'The order was cancelled before the payment arrived, so the payment has been refunded'
+      : 'Payment confirmed successfully',
+    order
+  });
+});
+
+// Record an offline payment staff have received and confirm the order
+const receiveOfflinePayment = async (req, providerName, { action, note }) => {
+  const { amount, transactionId } = req.body;
+
+  const order = await Order.findById(req.params.orderId);
+  if (!order) {
+    throw new AppError('Order not found', 404);
+  }
+
+  const provider = getOrderProvider(order);
+  if (provider.name !== providerName) {
+    throw new AppError(`Order ${order.orderNumber} is not paid by ${providerName.replace(/_/g, ' ')}`, 400);
+  }
+
+  if (!['pending', 'processing', 'failed'].includes(order.payment.status)) {
+    throw new AppError(`Payment for order ${order.orderNumber} is already ${order.payment.status}`, 400);
   }
+
+  const result = await provider.confirmPayment(order, { amount, transactionId });
+
+  const before = snapshot(order, RECEIPT_AUDIT_FIELDS);
+
+  order.payment.provider = provider.name;
+  order.payment.receivedBy = req.user.id;
+  await markOrderPaid(order, {
+    transactionId: result.transactionId,
+    note: req.body.note || note,
+    updatedBy: req.user.id
+  });
+
+  await recordAudit(req, {
+    action,
+    entityType: 'Order',
+    entityId: order._id,
+    before,
+    after: snapshot(order, RECEIPT_AUDIT_FIELDS),
+    metadata: { orderNumber: order.orderNumber, amount, transactionId: result.transactionId }
+  });
+
+  return order;
+};
+
+// @desc    Record cash collected on delivery or pickup
+// @route   POST /api/v1/payments/orders/:orderId/collect
+// @access  Private/Admin/Pharmacist
+const collectCashPayment = asyncHandler(async (req, res, next) => {
+  const order = await receiveOfflinePayment(req, 'cash_on_delivery', {
+    action: 'payment.collect',
+    note: 'Cash collected on delivery'
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Cash payment recorded',
+    order
+  });
 });
 
-// @desc    Handle Stripe webhooks
-// @route   POST /api/v1/payments/webhook
-// @access  Public (Stripe)
+// @desc    Reconcile a bank transfer against an order
+// @route   POST /api/v1/payments/orders/:orderId/reconcile
+// @access  Private/Admin/Pharmacist
+const reconcileBankTransfer = asyncHandler(async (req, res, next) => {
+  const order = await receiveOfflinePayment(req, 'bank_transfer', {
+    action: 'payment.reconcile',
+    note: 'Bank transfer received'
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Bank transfer reconciled',
+    order
+  });
+});
+
+// Save an order after a refund, closing it as `refunded` once fully refunded.
+// Cancelled orders stay cancelled.
+const closeRefundedOrder = async (order, { role, actor, note }) => {
+  if (order.payment.status === 'refunded' && canTransition(order.status, 'refunded', role)) {
+    await transitionOrder(order, 'refunded', { role, actor, note });
+  } else {
+    await order.save();
+  }
+};
+
+// Webhook event handlers. Events use Stripe's shape whichever provider sent them.
+// Each returns the order it applied to, if any.
+const webhookHandlers = {
+  'payment_intent.succeeded': async (paymentIntent, { provider }) => {
+    logger.info(`Payment succeeded: ${paymentIntent.id}`);
+
+    const order = await findOrderByReference(provider.name, paymentIntent.id);
+    if (order) {
+      await markOrderPaid(order, { transactionId: paymentIntent.id });
+    }
+    return order;
+  },
+
+  'payment_intent.payment_failed': async (paymentIntent, { provider }) => {
+    logger.error(`Payment failed: ${paymentIntent.id}`);
+
+    const order = await findOrderByReference(provider.name, paymentIntent.id);
+
+    // A late failure for an intent that has since succeeded changes nothing
+    if (!order || !['pending', 'processing'].includes(order.payment.status)) {
+      return order;
+    }
+
+    // The customer can retry the same intent with another card, so the order
+    // and its stock are kept; an order still unpaid when its reservation
+    // expires is cancelled then
+    order.payment.status = 'failed';
+    order.statusHistory.push({
+      status: order.status,
+      note: `Payment failed${paymentIntent.last_payment_error?.message ? `: ${paymentIntent.last_payment_error.message}` : ''}`,
+      timestamp: new Date()
+    });
+    await order.save();
+    return order;
+  },
+
+  // Refunds made here arrive too and are already recorded; whoever made them
+  // (refund endpoint, cancellation, return inspection) already decided about
+  // stock. Refunds made in the provider's dashboard are picked up, and one that
+  // completes the refund of an order that never started leaving the pharmacy
+  // puts its stock back on sale. Units destroyed at a return never do.
+  'charge.refunded': async (charge, { provider }) => {
+    const order = await findOrderByReference(provider.name, charge.payment_intent);
+    if (!order) return null;
+
+    const statusBefore = order.status;
+    const recordedBefore = order.payment.refunds.length;
+
+    syncChargeRefunds(order, charge);
+    applyRefundTotals(order);
+
+    const dashboardRefund = order.payment.refunds.length > recordedBefore;
+
+    if (dashboardRefund && order.payment.status === 'refunded' && PRE_DISPENSING_STATUSES.includes(statusBefore)) {
+      await releaseReservation(order._id, { reason: 'Order refunded' });
+      await restockOrderItems(order, await getRestockableLines(order), { note: `Refund of order ${order.orderNumber}` });
+    }
+
+    await closeRefundedOrder(order, { role: 'system', note: 'Refunded by the payment provider' });
+    return order;
+  },
+
+  'charge.dispute.created': async (dispute, { provider, req }) => {
+    const order = await findOrderByReference(provider.name, dispute.payment_intent);
+    if (!order) return null;
+
+    logger.warn(`Payment for order ${order.orderNumber} disputed: ${dispute.reason}`);
+
+    const before = snapshot(order, DISPUTE_AUDIT_FIELDS);
+
+    order.payment.dispute = {
+      providerDisputeId: dispute.id,
+      amount: dispute.amount / 100,
+      reason: dispute.reason,
+      status: dispute.status,
+      openedAt: dispute.created ? new Date(dispute.created * 1000) : new Date()
+    };
+    order.statusHistory.push({
+      status: order.status,
+      note: `Payment disputed by the cardholder (${dispute.reason.replace(/_/g, ' ')}): $${(dispute.amount / 100).toFixed(2)}`,
+      timestamp: new Date()
+    });
+    await order.save();
+
+    await recordAudit(req, {
+      action: 'payment.dispute',
+      entityType: 'Order',
+      entityId: order._id,
+      before,
+      after: snapshot(order, DISPUTE_AUDIT_FIELDS),
+      metadata: { orderNumber: order.orderNumber, disputeId: dispute.id, reason: dispute.reason }
+    });
+    return order;
+  }
+};
+
+// @desc    Handle payment provider webhooks (Stripe at /webhook)
+// @route   POST /api/v1/payments/webhook/:provider
+// @access  Public (payment provider)
 const handleWebhook = asyncHandler(async (req, res, next) => {
-  const sig = req.headers['stripe-signature'];
-  let event;
+  const provider = getPaymentProvider(req.params.provider || 'stripe');
 
+  if (!provider.verifyWebhook) {
+    return next(new AppError(`The ${provider.name} provider does not send webhooks`, 404));
+  }
+
+  let event;
   try {
-    event = stripe.webhooks.constructEvent(
-      req.body,
-      sig,
-      process.env.STRIPE_WEBHOOK_SECRET
-    );
+    event = provider.verifyWebhook(req.body, req.headers);
   } catch (error) {
     logger.error('Webhook signature verification failed:', error);
     return res.status(400).send(`Webhook Error: ${error.message}`);
   }
 
-  // Handle the event
-  switch (event.type) {
-    case 'payment_intent.succeeded':
-      const paymentIntent = event.data.object;
-      logger.info(`Payment succeeded: ${paymentIntent.id}`);
-      
-      // Update order status
-      const order = await Order.findOne({ 
-        'payment.stripePaymentIntentId': paymentIntent.id 
-      });
-
-      if (order) {
-        order.payment.status = 'completed';
-        order.payment.paidAt = new Date();
-        order.status = 'confirmed';
-        await order.save();
-      }
-      break;
-
-    case 'payment_intent.payment_failed':
-      const failedPayment = event.data.object;
-      logger.error(`Payment failed: ${failedPayment.id}`);
-      
-      // Update order status
-      const failedOrder = await Order.findOne({ 
-        'payment.stripePaymentIntentId': failedPayment.id 
-      });
-
-      if (failedOrder) {
-        failedOrder.payment.status = 'failed';
-        await failedOrder.save();
-      }
-      break;
-
-    default:
+  // Providers deliver at least once; each event is applied once
+  const paymentEvent = await claimPaymentEvent(event, provider.name);
+  if (!paymentEvent) {
+    logger.info(`Duplicate ${provider.name} event ${event.id} (${event.type}) skipped`);
+    return res.status(200).json({ received: true, duplicate: true });
+  }
+
+  const handler = webhookHandlers[event.type];
+
+  try {
+    const order = handler ? await handler(event.data.object, { provider, req }) : null;
+
+    if (!handler) {
       logger.info(`Unhandled event type: ${event.type}`);
+    }
+
+    paymentEvent.status = handler ? 'processed' : 'ignored';
+    paymentEvent.order = order?._id;
+    paymentEvent.processedAt = new Date();
+    await paymentEvent.save();
+  } catch (error) {
+    logger.error(`Processing ${provider.name} event ${event.id} (${event.type}) failed:`, error);
+
+    paymentEvent.status = 'failed';
+    paymentEvent.error = error.message;
+    await paymentEvent.save();
+
+    // A non-2xx response makes the provider deliver the event again later
+    return next(new AppError('Webhook processing failed', 500));
   }
 
   res.status(200).json({ received: true });
 });
 
-// @desc    Process refund
+// @desc    Process a full or partial refund
 // @route   POST /api/v1/payments/refund
 // @access  Private/Admin
 const processRefund = asyncHandler(async (req, res, next) => {
-  const { orderId, amount, reason } = req.body;
+  const { orderId, amount, reason, restock, items } = req.body;
 
   const order = await Order.findById(orderId);
   if (!order) {
     return next(new AppError('Order not found', 404));
   }
 
-  if (order.payment.status !== 'completed') {
+  if (!['completed', 'partially_refunded'].includes(order.payment.status)) {
     return next(new AppError('Cannot refund unpaid order', 400));
   }
 
+  const refundable = getRefundableAmount(order);
+  const refundAmount = amount ? Math.round(amount * 100) / 100 : refundable;
+
+  if (refundAmount <= 0 || refundAmount > refundable) {
+    return next(new AppError(`Refund amount must be between 0.01 and ${refundable.toFixed(2)}`, 400));
+  }
+
+  // Check restock lines before any money moves
+  const restockable = await getRestockableLines(order);
+  for (const line of items || []) {
+    const item = order.items.id(line.item);
+    if (!item) {
+      return next(new AppError(`Item ${line.item} is not on this order`, 400));
+    }
+    const available = restockable.find(entry => entry.item.equals(item._id)).quantity;
+    if (line.quantity > available) {
+      return next(new AppError(`Only ${available} units of ${item.name} can be restocked`, 400));
+    }
+  }
+
+  const before = snapshot(order, REFUND_AUDIT_FIELDS);
+  const statusBefore = order.status;
+
+  let refunded;
   try {
-    const refund = await stripe.refunds.create({
-      payment_intent: order.payment.stripePaymentIntentId,
-      amount: amount ? Math.round(amount * 100) : undefined, // Partial or full refund
-      reason: 'requested_by_customer',
-      metadata: {
-        orderId: orderId,
-        reason: reason
-      }
+    refunded = await issueRefund(order, {
+      amount: refundAmount,
+      reason,
+      createdBy: req.user.id,
+      idempotencyKey: req.get('Idempotency-Key') ||
+        `refund-${order._id}-${order.payment.refunds.length}-${Math.round(refundAmount * 100)}`
     });
+  } catch (error) {
+    return next(providerError(error, 'Refund processing failed'));
+  }
+  const { provider, refund, entry } = refunded;
 
-    // Update order
-    order.payment.status = 'refunded';
-    order.payment.refundedAt = new Date();
-    order.payment.refundAmount = refund.amount / 100;
-    order.payment.refundReason = reason;
-    order.status = 'refunded';
+  const fullyRefunded = order.payment.status === 'refunded';
 
-    await order.save();
+  // By default only a full refund of an order that never started leaving the
+  // pharmacy goes back on sale; staff can restock returned items explicitly
+  const shouldRestock = restock ?? (fullyRefunded && PRE_DISPENSING_STATUSES.includes(statusBefore));
+  let restocked = { restocked: 0, rejected: 0 };
 
-    res.status(200).json({
-      success: true,
-      message: 'Refund processed successfully',
-      refund
+  if (fullyRefunded) {
+    // Stock still held for an unpaid part of the order goes back on sale
+    await releaseReservation(order._id, { reason: 'Order refunded' });
+  }
+  if (shouldRestock) {
+    restocked = await restockOrderItems(order, items || restockable, {
+      actor: req.user.id,
+      note: `Refund of order ${order.orderNumber}`
     });
-  } catch (error) {
-    logger.error('Refund processing failed:', error);
-    return next(new AppError('Refund processing failed', 500));
+    entry.restocked = true;
   }
+
+  await closeRefundedOrder(order, {
+    role: req.user.role,
+    actor: req.user.id,
+    note: reason || 'Order refunded'
+  });
+
+  await recordAudit(req, {
+    action: 'payment.refund',
+    entityType: 'Order',
+    entityId: order._id,
+    before,
+    after: snapshot(order, REFUND_AUDIT_FIELDS),
+    metadata: {
+      orderNumber: order.orderNumber,
+      provider: provider.name,
+      refundId: refund.id,
+      amount: refundAmount,
+      restocked: restocked.restocked,
+      reason
+    }
+  });
+
+  res.status(200).json({
+    success: true,
+    message: fullyRefunded ? 'Refund processed successfully' : 'Partial refund processed successfully',
+    refund,
+    restocked,
+    payment: order.payment
+  });
+});
+
+// @desc    Get refunds for an order
+// @route   GET /api/v1/payments/orders/:orderId/refunds
+// @access  Private
+const getOrderRefunds = asyncHandler(async (req, res, next) => {
+  const order = await Order.findById(req.params.orderId)
+    .select('customer orderNumber pricing.total payment')
+    .populate('payment.refunds.createdBy', 'firstName lastName');
+
+  if (!order) {
+    return next(new AppError('Order not found', 404));
+  }
+
+  if (order.customer.toString() !== req.user.id &&
+      !['admin', 'pharmacist'].includes(req.user.role)) {
+    return next(new AppError('Not authorized to access this order', 403));
+  }
+
+  res.status(200).json({
+    success: true,
+    orderNumber: order.orderNumber,
+    total: order.pricing.total,
+    refundedAmount: order.payment.refundAmount || 0,
+    refundableAmount: ['completed', 'partially_refunded'].includes(order.payment.status)
+      ? getRefundableAmount(order)
+      : 0,
+    paymentStatus: order.payment.status,
+    refunds: order.payment.refunds
+  });
 });
 
 // Routes
-router.post('/create-intent', createPaymentIntent);
-router.post('/confirm', confirmPayment);
 router.post('/webhook', express.raw({ type: 'application/json' }), handleWebhook);
-router.post('/refund', authorize('admin', 'pharmacist'), processRefund);
+router.post('/webhook/:provider', express.raw({ type: 'application/json' }), handleWebhook);
+router.post('/create-intent', protect, createPaymentIntent);
+router.post('/confirm', protect, confirmPayment);
+router.post('/refund', protect, authorize('admin', 'pharmacist'), validateRefund, processRefund);
+router.get('/orders/:orderId/refunds', protect, getOrderRefunds);
+router.post('/orders/:orderId/collect', protect, authorize('admin', 'pharmacist'), validateObjectId('orderId'), validatePaymentReceipt, collectCashPayment);
+router.post('/orders/:orderId/reconcile', protect, authorize('admin', 'pharmacist'), validateObjectId('orderId'), validatePaymentReceipt, reconcileBankTransfer);
 
-export default router;
\ No newline at end of file
+export default router;
@@ -7,10 +7,23 @@ import {
   deletePrescription,
   verifyPrescription,
   getPendingPrescriptions,
-  reprocessPrescription
+  reprocessPrescription,
+  getOcrStatus,
+  getPrescriptionReview,
+  claimPrescriptionForReview,
+  releasePrescriptionClaim,
+  reviewMedication,
+  requestPrescriptionInfo,
+  respondToInfoRequest
 } from '../controllers/prescriptionController.js';
 import { protect, authorize } from '../middleware/auth.js';
-import { validatePrescription, validateObjectId } from '../middleware/validation.js';
+import {
+  validatePrescription,
+  validateObjectId,
+  validatePagination,
+  validateMedicationReview,
+  validateInfoMessage
+} from '../middleware/validation.js';
 import { uploadPrescriptionImages } from '../middleware/upload.js';
 
 const router = express.Router();
@@ -18,15 +31,31 @@ const router = express.Router();
 // All routes are protected
 router.use(protect);
 
+// Verification queue; registered before /:id, which would take `admin` as an id
+router.get('/admin/pending', authorize('pharmacist', 'admin'), validatePagination, getPendingPrescriptions);
+
 // User routes
 router.post('/', uploadPrescriptionImages, validatePrescription, uploadPrescription);
 router.get('/', getUserPrescriptions);
 router.get('/:id', validateObjectId(), getPrescription);
-router.put('/:id', validateObjectId(), updatePrescription);
+router.get('/:id/ocr-status', validateObjectId(), getOcrStatus);
+router.put('/:id', validateObjectId(), uploadPrescriptionImages, updatePrescription);
 router.delete('/:id', validateObjectId(), deletePrescription);
+router.post('/:id/respond-info', validateObjectId(), validateInfoMessage('response'), respondToInfoRequest);
 
 // Pharmacist routes
-router.get('/admin/pending', authorize('pharmacist', 'admin'), getPendingPrescriptions);
+router.get('/admin/:id/review', validateObjectId(), authorize('pharmacist', 'admin'), getPrescriptionReview);
+router.post('/:id/claim', validateObjectId(), authorize('pharmacist', 'admin'), claimPrescriptionForReview);
+router.delete('/:id/claim', validateObjectId(), authorize('pharmacist', 'admin'), releasePrescriptionClaim);
+router.patch(
+  '/:id/medications/:medicationId',
+  validateObjectId(),
+  validateObjectId('medicationId'),
+  authorize('pharmacist', 'admin'),
+  validateMedicationReview,
+  reviewMedication
+);
+router.post('/:id/request-info', validateObjectId(), authorize('pharmacist', 'admin'), validateInfoMessage('message'), requestPrescriptionInfo);
 router.patch('/:id/verify', validateObjectId(), authorize('pharmacist', 'admin'), verifyPrescription);
 router.post('/:id/reprocess', validateObjectId(), authorize('pharmacist', 'admin'), reprocessPrescription);
 
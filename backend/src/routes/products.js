@@ -9,14 +9,26 @@ import {
   createProduct,
   updateProduct,
   deleteProduct,
-  updateProductStock
+  updateProductStock,
+  getProductLots,
+  receiveProductLot,
+  openProductLot,
+  adjustProductLot,
+  getProductMovements
 } from '../controllers/productController.js';
+import { getProductReviews, createReview } from '../controllers/reviewController.js';
 import { protect, authorize, optionalAuth } from '../middleware/auth.js';
 import { 
   validateProduct, 
   validateObjectId, 
   validatePagination, 
-  validateSearch 
+  validateSearch,
+  validateReview,
+  validateReviewQuery,
+  validateStockLot,
+  validateOpeningLot,
+  validateStockLotAdjustment,
+  validateStockUpdate
 } from '../middleware/validation.js';
 
 const router = express.Router();
@@ -28,6 +40,10 @@ router.get('/search', validateSearch, searchProducts);
 router.get('/category/:slug', validatePagination, getProductsByCategory);
 router.get('/:id', validateObjectId(), optionalAuth, getProduct);
 router.get('/:id/recommendations', validateObjectId(), getProductRecommendations);
+router.get('/:id/reviews', validateObjectId(), validatePagination, validateReviewQuery, getProductReviews);
+
+// Customer routes
+router.post('/:id/reviews', protect, validateObjectId(), validateReview, createReview);
 
 // Protected routes (Admin only)
 router.use(protect);
@@ -36,6 +52,11 @@ router.use(authorize('admin', 'pharmacist'));
 router.post('/', validateProduct, createProduct);
 router.put('/:id', validateObjectId(), validateProduct, updateProduct);
 router.delete('/:id', validateObjectId(), deleteProduct);
-router.patch('/:id/stock', validateObjectId(), updateProductStock);
+router.patch('/:id/stock', validateObjectId(), validateStockUpdate, updateProductStock);
+router.get('/:id/movements', validateObjectId(), validatePagination, getProductMovements);
+router.get('/:id/lots', validateObjectId(), getProductLots);
+router.post('/:id/lots', validateObjectId(), validateStockLot, receiveProductLot);
+router.post('/:id/lots/opening', validateObjectId(), validateOpeningLot, openProductLot);
+router.patch('/:id/lots/:lotId', validateObjectId(), validateObjectId('lotId'), validateStockLotAdjustment, adjustProductLot);
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,37 @@
+import express from 'express';
+import {
+  getPurchaseOrders,
+  getReorderSuggestions,
+  createPurchaseOrdersFromSuggestions,
+  getPurchaseOrder,
+  createPurchaseOrder,
+  updatePurchaseOrder,
+  sendPurchaseOrder,
+  receivePurchaseOrder,
+  cancelPurchaseOrder
+} from '../controllers/purchaseOrderController.js';
+import { protect, authorize } from '../middleware/auth.js';
+import {
+  validatePurchaseOrder,
+  validatePurchaseOrderReceipt,
+  validateObjectId,
+  validatePagination
+} from '../middleware/validation.js';
+
+const router = express.Router();
+
+// All routes require admin access
+router.use(protect);
+router.use(authorize('admin'));
+
+router.get('/', validatePagination, getPurchaseOrders);
+router.get('/suggestions', getReorderSuggestions);
+router.post('/from-suggestions', createPurchaseOrdersFromSuggestions);
+router.get('/:id', validateObjectId(), getPurchaseOrder);
+router.post('/', validatePurchaseOrder, createPurchaseOrder);
+router.put('/:id', validateObjectId(), validatePurchaseOrder, updatePurchaseOrder);
+router.post('/:id/send', validateObjectId(), sendPurchaseOrder);
+router.post('/:id/receive', validateObjectId(), validatePurchaseOrderReceipt, receivePurchaseOrder);
+router.post('/:id/cancel', validateObjectId(), cancelPurchaseOrder);
+
+export default router;
@@ -0,0 +1,45 @@
+import express from 'express';
+import {
+  getReturnEligibility,
+  createReturnRequest,
+  getMyReturnRequests,
+  getReturnRequest,
+  cancelReturnRequest,
+  getAllReturnRequests,
+  approveReturnRequest,
+  rejectReturnRequest,
+  receiveReturnRequest,
+  inspectReturnRequest
+} from '../controllers/returnController.js';
+import { protect, authorize } from '../middleware/auth.js';
+import { uploadReturnPhotos, handleUploadError } from '../middleware/upload.js';
+import {
+  validateReturnRequest,
+  validateReturnDecision,
+  validateReturnInspection,
+  validateObjectId,
+  validatePagination
+} from '../middleware/validation.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+// Admin/Pharmacist routes
+router.get('/admin/all', authorize('admin', 'pharmacist'), validatePagination, getAllReturnRequests);
+
+// User routes
+router.get('/orders/:orderId/eligibility', validateObjectId('orderId'), getReturnEligibility);
+router.post('/', uploadReturnPhotos, handleUploadError, validateReturnRequest, createReturnRequest);
+router.get('/', getMyReturnRequests);
+router.get('/:id', validateObjectId(), getReturnRequest);
+router.patch('/:id/cancel', validateObjectId(), cancelReturnRequest);
+
+// Admin/Pharmacist actions
+router.patch('/:id/approve', validateObjectId(), authorize('admin', 'pharmacist'), approveReturnRequest);
+router.patch('/:id/reject', validateObjectId(), authorize('admin', 'pharmacist'), validateReturnDecision, rejectReturnRequest);
+router.patch('/:id/receive', validateObjectId(), authorize('admin', 'pharmacist'), receiveReturnRequest);
+router.patch('/:id/inspect', validateObjectId(), authorize('admin', 'pharmacist'), validateReturnInspection, inspectReturnRequest);
+
+export default router;
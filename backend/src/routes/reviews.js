@@ -0,0 +1,33 @@
+import express from 'express';
+import {
+  voteReviewHelpful,
+  removeHelpfulVote,
+  reportReview,
+  deleteReview,
+  getModerationQueue,
+  moderateReview
+} from '../controllers/reviewController.js';
+import { protect, authorize } from '../middleware/auth.js';
+import {
+  validateObjectId,
+  validatePagination,
+  validateReviewReport,
+  validateReviewModeration
+} from '../middleware/validation.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+// Admin routes
+router.get('/moderation', authorize('admin'), validatePagination, getModerationQueue);
+router.patch('/:id/moderate', authorize('admin'), validateObjectId(), validateReviewModeration, moderateReview);
+
+// Customer routes
+router.post('/:id/helpful', validateObjectId(), voteReviewHelpful);
+router.delete('/:id/helpful', validateObjectId(), removeHelpfulVote);
+router.post('/:id/report', validateObjectId(), validateReviewReport, reportReview);
+router.delete('/:id', validateObjectId(), deleteReview);
+
+export default router;
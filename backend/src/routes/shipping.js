@@ -0,0 +1,30 @@
+import express from 'express';
+import {
+  getShippingQuote,
+  handleCarrierWebhook,
+  getShippingZones,
+  getShippingZone,
+  createShippingZone,
+  updateShippingZone,
+  deleteShippingZone
+} from '../controllers/shippingController.js';
+import { protect, authorize } from '../middleware/auth.js';
+import { validateShippingQuote, validateShippingZone, validateObjectId } from '../middleware/validation.js';
+
+const router = express.Router();
+
+// Public routes
+router.post('/quote', validateShippingQuote, getShippingQuote);
+router.post('/webhook/:carrier', express.raw({ type: 'application/json' }), handleCarrierWebhook);
+
+// Admin routes
+router.use(protect);
+router.use(authorize('admin'));
+
+router.get('/zones', getShippingZones);
+router.get('/zones/:id', validateObjectId(), getShippingZone);
+router.post('/zones', validateShippingZone, createShippingZone);
+router.put('/zones/:id', validateObjectId(), validateShippingZone, updateShippingZone);
+router.delete('/zones/:id', validateObjectId(), deleteShippingZone);
+
+export default router;
@@ -0,0 +1,26 @@
+import express from 'express';
+import {
+  getStores,
+  getStore,
+  createStore,
+  updateStore,
+  deleteStore
+} from '../controllers/storeController.js';
+import { protect, authorize } from '../middleware/auth.js';
+import { validateStore, validateObjectId } from '../middleware/validation.js';
+
+const router = express.Router();
+
+// Public routes
+router.get('/', getStores);
+router.get('/:id', validateObjectId(), getStore);
+
+// Admin routes
+router.use(protect);
+router.use(authorize('admin'));
+
+router.post('/', validateStore, createStore);
+router.put('/:id', validateObjectId(), validateStore, updateStore);
+router.delete('/:id', validateObjectId(), deleteStore);
+
+export default router;
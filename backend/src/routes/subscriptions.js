@@ -0,0 +1,34 @@
+import express from 'express';
+import {
+  getMySubscriptions,
+  getAllSubscriptions,
+  getSubscription,
+  createSubscription,
+  updateSubscription,
+  pauseSubscription,
+  resumeSubscription,
+  skipSubscription,
+  cancelSubscription
+} from '../controllers/subscriptionController.js';
+import { protect, authorize } from '../middleware/auth.js';
+import { validateSubscription, validateObjectId, validatePagination } from '../middleware/validation.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+// Admin/Pharmacist routes
+router.get('/admin/all', authorize('admin', 'pharmacist'), validatePagination, getAllSubscriptions);
+
+// User routes
+router.get('/', getMySubscriptions);
+router.post('/', validateSubscription, createSubscription);
+router.get('/:id', validateObjectId(), getSubscription);
+router.put('/:id', validateObjectId(), validateSubscription, updateSubscription);
+router.post('/:id/pause', validateObjectId(), pauseSubscription);
+router.post('/:id/resume', validateObjectId(), resumeSubscription);
+router.post('/:id/skip', validateObjectId(), skipSubscription);
+router.post('/:id/cancel', validateObjectId(), cancelSubscription);
+
+export default router;
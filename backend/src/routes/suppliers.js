@@ -0,0 +1,24 @@
+import express from 'express';
+import {
+  getSuppliers,
+  getSupplier,
+  createSupplier,
+  updateSupplier,
+  deleteSupplier
+} from '../controllers/supplierController.js';
+import { protect, authorize } from '../middleware/auth.js';
+import { validateSupplier, validateObjectId, validatePagination } from '../middleware/validation.js';
+
+const router = express.Router();
+
+// All routes require admin access
+router.use(protect);
+router.use(authorize('admin'));
+
+router.get('/', validatePagination, getSuppliers);
+router.get('/:id', validateObjectId(), getSupplier);
+router.post('/', validateSupplier, createSupplier);
+router.put('/:id', validateObjectId(), validateSupplier, updateSupplier);
+router.delete('/:id', validateObjectId(), deleteSupplier);
+
+export default router;
@@ -0,0 +1,31 @@
+import express from 'express';
+import {
+  getTaxRules,
+  getTaxRule,
+  createTaxRule,
+  updateTaxRule,
+  deleteTaxRule,
+  previewTax
+} from '../controllers/taxRuleController.js';
+import { protect, authorize } from '../middleware/auth.js';
+import {
+  validateTaxRule,
+  validateTaxPreview,
+  validateObjectId,
+  validatePagination
+} from '../middleware/validation.js';
+
+const router = express.Router();
+
+// All routes require admin access
+router.use(protect);
+router.use(authorize('admin'));
+
+router.get('/', validatePagination, getTaxRules);
+router.post('/preview', validateTaxPreview, previewTax);
+router.get('/:id', validateObjectId(), getTaxRule);
+router.post('/', validateTaxRule, createTaxRule);
+router.put('/:id', validateObjectId(), validateTaxRule, updateTaxRule);
+router.delete('/:id', validateObjectId(), deleteTaxRule);
+
+export default router;
@@ -5,6 +5,7 @@ import { AppError } from '../utils/appError.js';
 import { protect, authorize } from '../middleware/auth.js';
 import { validateObjectId } from '../middleware/validation.js';
 import { uploadAvatar } from '../middleware/upload.js';
+import { recordAudit } from '../utils/auditLogger.js';
 
 const router = express.Router();
 
@@ -194,6 +195,12 @@ const getUser = asyncHandler(async (req, res, next) => {
 // @route   PUT /api/v1/users/:id
 // @access  Private/Admin
 const updateUser = asyncHandler(async (req, res, next) => {
+  const previous = await User.findById(req.params.id).select('role');
+
+  if (!previous) {
+    return next(new AppError('User not found', 404));
+  }
+
   const user = await User.findByIdAndUpdate(req.params.id, req.body, {
     new: true,
     runValidators: true
@@ -203,6 +210,17 @@ const updateUser = asyncHandler(async (req, res, next) => {
     return next(new AppError('User not found', 404));
   }
 
+  if (user.role !== previous.role) {
+    await recordAudit(req, {
+      action: 'user.role_change',
+      entityType: 'User',
+      entityId: user._id,
+      before: { role: previous.role },
+      after: { role: user.role },
+      metadata: { email: user.email }
+    });
+  }
+
   res.status(200).json({
     success: true,
     user
@@ -0,0 +1,53 @@
+import dotenv from 'dotenv';
+import { connectDB } from '../config/database.js';
+import Coupon from '../models/Coupon.js';
+import CouponRedemption from '../models/CouponRedemption.js';
+import { logger } from '../utils/logger.js';
+
+// Load environment variables
+dotenv.config();
+
+// Move redemptions stored inside coupon documents into the CouponRedemption
+// collection. Safe to run again: redemptions already moved are skipped.
+export const migrateCouponRedemptions = async () => {
+  const coupons = Coupon.collection.find(
+    { 'redemptions.0': { $exists: true } },
+    { projection: { redemptions: 1 } }
+  );
+
+  let moved = 0;
+
+  for await (const coupon of coupons) {
+    const result = await CouponRedemption.bulkWrite(coupon.redemptions.map(redemption => ({
+      updateOne: {
+        filter: { coupon: coupon._id, order: redemption.order },
+        update: {
+          $setOnInsert: {
+            user: redemption.user,
+            discount: redemption.discount,
+            redeemedAt: redemption.redeemedAt
+          }
+        },
+        upsert: true
+      }
+    })));
+
+    await Coupon.collection.updateOne({ _id: coupon._id }, { $unset: { redemptions: '' } });
+    moved += result.upsertedCount;
+  }
+
+  logger.info(`Moved ${moved} coupon redemptions into their own collection`);
+
+  return moved;
+};
+
+// Run the migration if called directly
+if (process.argv[2] === '--migrate') {
+  connectDB()
+    .then(migrateCouponRedemptions)
+    .then(() => process.exit(0))
+    .catch(error => {
+      logger.error('Coupon redemption migration failed:', error);
+      process.exit(1);
+    });
+}
@@ -1,6 +1,7 @@
 import mongoose from 'mongoose';
 import Product from '../models/Product.js';
 import Category from '../models/Category.js';
+import { recordOpeningBalance } from '../utils/inventoryLedger.js';
 import { logger } from '../utils/logger.js';
 
 export const seedProducts = async () => {
@@ -137,8 +138,11 @@ export const seedProducts = async () => {
     // Clear existing products
     await Product.deleteMany({});
     
-    // Insert new products
-    await Product.insertMany(products);
+    // Insert new products and start their inventory ledger
+    const inserted = await Product.insertMany(products);
+    for (const product of inserted) {
+      await recordOpeningBalance(product, { note: 'Seeded stock' });
+    }
     
     logger.info('Products seeded successfully');
   } catch (error) {
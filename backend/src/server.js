@@ -12,12 +12,14 @@ import cookieParser from 'cookie-parser';
 import session from 'express-session';
 import MongoStore from 'connect-mongo';
 import dotenv from 'dotenv';
-import cron from 'node-cron';
 
 import { connectDB } from './config/database.js';
 import { logger } from './utils/logger.js';
 import { errorHandler } from './middleware/errorHandler.js';
 import { notFound } from './middleware/notFound.js';
+import { startJobWorkers } from './utils/jobQueue.js';
+import { startScheduler } from './utils/scheduler.js';
+import { registerScheduledTasks } from './utils/scheduledTasks.js';
 
 // Route imports
 import authRoutes from './routes/auth.js';
@@ -30,6 +32,15 @@ import cartRoutes from './routes/cart.js';
 import paymentRoutes from './routes/payments.js';
 import uploadRoutes from './routes/uploads.js';
 import adminRoutes from './routes/admin.js';
+import couponRoutes from './routes/coupons.js';
+import reviewRoutes from './routes/reviews.js';
+import supplierRoutes from './routes/suppliers.js';
+import purchaseOrderRoutes from './routes/purchaseOrders.js';
+import subscriptionRoutes from './routes/subscriptions.js';
+import taxRuleRoutes from './routes/taxRules.js';
+import shippingRoutes from './routes/shipping.js';
+import returnRoutes from './routes/returns.js';
+import storeRoutes from './routes/stores.js';
 
 // Load environment variables
 dotenv.config();
@@ -74,10 +85,15 @@ app.use(cors({
   origin: process.env.CORS_ORIGIN || 'http://localhost:3000',
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Idempotency-Key'],
 }));
 
+const apiVersion = process.env.API_VERSION || 'v1';
+
 // Body parsing middleware
+// Stripe signs the raw webhook body, so it must reach the route unparsed
+app.use(`/api/${apiVersion}/payments/webhook`, express.raw({ type: 'application/json' }));
+app.use(`/api/${apiVersion}/shipping/webhook`, express.raw({ type: 'application/json' }));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 app.use(cookieParser());
@@ -122,7 +138,6 @@ app.get('/health', (req, res) => {
 });
 
 // API routes
-const apiVersion = process.env.API_VERSION || 'v1';
 app.use(`/api/${apiVersion}/auth`, authRoutes);
 app.use(`/api/${apiVersion}/users`, userRoutes);
 app.use(`/api/${apiVersion}/products`, productRoutes);
@@ -133,24 +148,49 @@ app.use(`/api/${apiVersion}/cart`, cartRoutes);
 app.use(`/api/${apiVersion}/payments`, paymentRoutes);
 app.use(`/api/${apiVersion}/uploads`, uploadRoutes);
 app.use(`/api/${apiVersion}/admin`, adminRoutes);
+app.use(`/api/${apiVersion}/coupons`, couponRoutes);
+app.use(`/api/${apiVersion}/reviews`, reviewRoutes);
+app.use(`/api/${apiVersion}/suppliers`, supplierRoutes);
+app.use(`/api/${apiVersion}/purchase-orders`, purchaseOrderRoutes);
+app.use(`/api/${apiVersion}/subscriptions`, subscriptionRoutes);
+app.use(`/api/${apiVersion}/tax-rules`, taxRuleRoutes);
+app.use(`/api/${apiVersion}/shipping`, shippingRoutes);
+app.use(`/api/${apiVersion}/returns`, returnRoutes);
+app.use(`/api/${apiVersion}/stores`, storeRoutes);
 
 // Error handling middleware
 app.use(notFound);
 app.use(errorHandler);
 
-// Scheduled tasks
-cron.schedule('0 0 * * *', () => {
-  logger.info('Running daily cleanup tasks');
-  // Add cleanup tasks here (e.g., remove expired sessions, cleanup temp files)
-});
+// Scheduled tasks (each run is recorded; see /admin/scheduled-tasks)
+registerScheduledTasks();
+
+let stopScheduler = () => {};
+if (process.env.SCHEDULER_ENABLED !== 'false') {
+  mongoose.connection.once('open', () => {
+    stopScheduler = startScheduler();
+  });
+}
+
+// Background job workers (handlers register themselves when their modules load)
+let stopJobWorkers = () => {};
+if (process.env.JOB_WORKERS_ENABLED !== 'false') {
+  mongoose.connection.once('open', () => {
+    stopJobWorkers = startJobWorkers();
+  });
+}
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
+  stopJobWorkers();
+  stopScheduler();
   logger.info('SIGTERM received, shutting down gracefully');
   process.exit(0);
 });
 
 process.on('SIGINT', () => {
+  stopJobWorkers();
+  stopScheduler();
   logger.info('SIGINT received, shutting down gracefully');
   process.exit(0);
 });
@@ -0,0 +1,156 @@
+import crypto from 'crypto';
+import AuditLog from '../models/AuditLog.js';
+import { logger } from './logger.js';
+
+const GENESIS_HASH = '0'.repeat(64);
+const MAX_APPEND_ATTEMPTS = 5;
+
+// JSON with sorted keys so the same entry always hashes the same way
+const canonicalize = (value) => {
+  if (value === undefined) return 'null';
+  if (value === null || typeof value !== 'object') return JSON.stringify(value);
+  if (value instanceof Date) return JSON.stringify(value.toISOString());
+  if (typeof value.toHexString === 'function') return JSON.stringify(value.toHexString());
+  if (Array.isArray(value)) return `[${value.map(canonicalize).join(',')}]`;
+
+  return `{${Object.keys(value)
+    .sort()
+    .map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`)
+    .join(',')}}`;
+};
+
+const hashEntry = (entry) => crypto
+  .createHash('sha256')
+  .update(canonicalize({
+    sequence: entry.sequence,
+    action: entry.action,
+    entityType: entry.entityType,
+    entityId: entry.entityId,
+    actor: entry.actor,
+    actorRole: entry.actorRole,
+    ip: entry.ip,
+    userAgent: entry.userAgent,
+    changes: entry.changes,
+    metadata: entry.metadata,
+    previousHash: entry.previousHash,
+    createdAt: entry.createdAt
+  }))
+  .digest('hex');
+
+const getPath = (source, path) =>
+  path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), source);
+
+// Plain-value snapshot of the given fields so later mutation of the document cannot leak in
+export const snapshot = (doc, fields) => {
+  const source = typeof doc?.toObject === 'function' ? doc.toObject() : doc;
+  return Object.fromEntries(
+    fields.map(field => [field, JSON.parse(JSON.stringify(getPath(source, field) ?? null))])
+  );
+};
+
+// Field-level differences between two snapshots
+export const diffSnapshots = (before = {}, after = {}) => {
+  const fields = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+
+  return fields
+    .filter(field => canonicalize(before[field]) !== canonicalize(after[field]))
+    .map(field => ({ field, before: before[field] ?? null, after: after[field] ?? null }));
+};
+
+// Append an entry to the hash chain. Each entry stores the previous entry's
+// hash, and the unique sequence index makes concurrent appends retry instead of forking.
+export const appendAuditLog = async ({ action, entityType, entityId, actor, actorRole, ip, userAgent, changes = [], metadata }) => {
+  for (let attempt = 1; attempt <= MAX_APPEND_ATTEMPTS; attempt++) {
+    const last = await AuditLog.findOne().sort({ sequence: -1 }).select('sequence hash').lean();
+
+    const entry = {
+      sequence: (last?.sequence || 0) + 1,
+      action,
+      entityType,
+      entityId,
+      actor,
+      actorRole,
+      ip,
+      userAgent,
+      changes,
+      // Plain JSON so the stored value hashes the same as the one written
+      metadata: metadata === undefined ? undefined : JSON.parse(JSON.stringify(metadata)),
+      previousHash: last?.hash || GENESIS_HASH,
+      createdAt: new Date()
+    };
+    entry.hash = hashEntry(entry);
+
+    try {
+      return await AuditLog.create(entry);
+    } catch (error) {
+      if (error.code !== 11000 || attempt === MAX_APPEND_ATTEMPTS) throw error;
+    }
+  }
+};
+
+// Record a privileged action performed through an HTTP request. Audit failures are
+// logged rather than surfaced so they never undo the action that was already applied.
+export const recordAudit = async (req, { action, entityType, entityId, before, after, metadata }) => {
+  try {
+    return await appendAuditLog({
+      action,
+      entityType,
+      entityId,
+      actor: req.user?._id,
+      actorRole: req.user?.role,
+      ip: req.ip,
+      userAgent: req.get?.('user-agent'),
+      changes: diffSnapshots(before, after),
+      metadata
+    });
+  } catch (error) {
+    logger.error(`Failed to write audit log for ${action} on ${entityType} ${entityId}:`, error);
+    return null;
+  }
+};
+
+// Walk the chain in order and report the first entry whose hash or link does not match
+export const verifyAuditChain = async () => {
+  let previousHash = GENESIS_HASH;
+  let previousSequence = 0;
+  let checked = 0;
+
+  const cursor = AuditLog.find().sort({ sequence: 1 }).lean().cursor();
+
+  for await (const entry of cursor) {
+    const problem =
+      (entry.sequence !== previousSequence + 1 && 'sequence gap') ||
+      (entry.previousHash !== previousHash && 'broken link') ||
+      (hashEntry(entry) !== entry.hash && 'hash mismatch');
+
+    if (problem) {
+      return { valid: false, checked, brokenAt: entry.sequence, reason: problem };
+    }
+
+    previousHash = entry.hash;
+    previousSequence = entry.sequence;
+    checked += 1;
+  }
+
+  return { valid: true, checked };
+};
+
+const CSV_COLUMNS = ['sequence', 'createdAt', 'action', 'entityType', 'entityId', 'actor', 'actorRole', 'ip', 'changes', 'metadata', 'hash', 'previousHash'];
+
+const csvCell = (value) => {
+  if (value == null) return '';
+
+  let text = String(value);
+  if (value instanceof Date) text = value.toISOString();
+  else if (typeof value === 'object' && typeof value.toHexString !== 'function') text = JSON.stringify(value);
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// CSV export of audit entries; the actor column holds the email when populated
+export const auditLogsToCsv = (entries) => [
+  CSV_COLUMNS.join(','),
+  ...entries.map(entry => CSV_COLUMNS
+    .map(column => csvCell(column === 'actor' ? (entry.actor?.email || entry.actor?._id || entry.actor) : entry[column]))
+    .join(','))
+].join('\n');
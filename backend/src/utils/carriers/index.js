@@ -0,0 +1,37 @@
+import { AppError } from '../appError.js';
+import simulatedCarrier from './simulated.js';
+
+// Every carrier implements:
+//   createLabel(order, { service, idempotencyKey })
+//     -> { trackingNumber, labelUrl, service, estimatedDelivery? }
+//   getTracking(trackingNumber, { now }) -> tracking events, oldest first
+//   parseWebhook(rawBody, headers) -> tracking events (throws on a bad signature)
+// Tracking events are normalised to { eventId, trackingNumber, status,
+// description, location?, occurredAt }, where status is one of label_created,
+// in_transit, out_for_delivery, delivered or exception. Each carrier maps its
+// own scan codes onto these.
+const carriers = Object.fromEntries(
+  [simulatedCarrier].map(carrier => [carrier.name, carrier])
+);
+
+export const getCarrier = (name) => {
+  const carrier = carriers[name];
+
+  if (!carrier) {
+    throw new AppError(`Unknown carrier: ${name}`, 400);
+  }
+
+  if (carrier === simulatedCarrier) {
+    if (process.env.NODE_ENV === 'production') {
+      throw new AppError('The simulated carrier cannot be used in production', 500);
+    }
+    if (!process.env.SIMULATED_CARRIER_WEBHOOK_SECRET) {
+      throw new AppError('SIMULATED_CARRIER_WEBHOOK_SECRET must be set to use the simulated carrier', 500);
+    }
+  }
+
+  return carrier;
+};
+
+// Carrier labels are bought from unless staff pick another
+export const getDefaultCarrier = () => getCarrier(process.env.SHIPPING_CARRIER || 'simulated');
@@ -0,0 +1,150 @@
+import crypto from 'crypto';
+import { AppError } from '../appError.js';
+
+// In-memory stand-in for a parcel carrier, for tests and local development.
+// Each label gets a scripted journey (picked up, in transit, out for delivery,
+// delivered by the order's estimated delivery date) that polling reveals as
+// time passes. Tests can add scans with addSimulatedScan. Webhooks take
+// { scans: [...] } in the carrier's own format, signed with
+// SIMULATED_CARRIER_WEBHOOK_SECRET in the X-Simulated-Signature header.
+const shipments = new Map();
+const idempotentResults = new Map();
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Days in transit when the order has no estimated delivery date
+const TRANSIT_DAYS = {
+  overnight: 1,
+  express: 2,
+  standard: 5
+};
+
+// The carrier's scan codes and what they mean
+const SCAN_CODES = {
+  LC: { status: 'label_created', description: 'Shipping label created' },
+  PU: { status: 'in_transit', description: 'Picked up by carrier' },
+  IT: { status: 'in_transit', description: 'In transit' },
+  OD: { status: 'out_for_delivery', description: 'Out for delivery' },
+  DL: { status: 'delivered', description: 'Delivered' },
+  EX: { status: 'exception', description: 'Delivery exception' }
+};
+
+// There is no default: a known secret would let anyone mark parcels delivered by webhook
+const getWebhookSecret = () => {
+  if (!process.env.SIMULATED_CARRIER_WEBHOOK_SECRET) {
+    throw new AppError('SIMULATED_CARRIER_WEBHOOK_SECRET must be set to use the simulated carrier', 500);
+  }
+  return process.env.SIMULATED_CARRIER_WEBHOOK_SECRET;
+};
+
+const newTrackingNumber = () => `SIM${crypto.randomBytes(6).toString('hex').toUpperCase()}`;
+
+const scan = (trackingNumber, code, at, { message, city } = {}) => ({
+  event_id: `${trackingNumber}-${code}-${at.getTime()}`,
+  tracking_number: trackingNumber,
+  code,
+  message,
+  city,
+  timestamp: at.toISOString()
+});
+
+// Carrier scan -> normalised tracking event
+const toTrackingEvent = (raw) => {
+  const meaning = SCAN_CODES[raw.code];
+  if (!meaning) return null;
+
+  return {
+    eventId: raw.event_id,
+    trackingNumber: raw.tracking_number,
+    status: meaning.status,
+    description: raw.message || meaning.description,
+    location: raw.city,
+    occurredAt: new Date(raw.timestamp)
+  };
+};
+
+export const getSimulatedShipment = (trackingNumber) => shipments.get(trackingNumber);
+
+// Record an extra scan on a shipment, e.g. an exception or an early delivery
+export const addSimulatedScan = (trackingNumber, code, { at = new Date(), message, city } = {}) => {
+  const shipment = shipments.get(trackingNumber);
+  if (!shipment) return null;
+
+  const added = scan(trackingNumber, code, at, { message, city });
+  shipment.scans.push(added);
+  shipment.scans.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  return added;
+};
+
+export const signSimulatedWebhook = (rawBody) =>
+  crypto.createHmac('sha256', getWebhookSecret()).update(rawBody).digest('hex');
+
+export const resetSimulatedCarrier = () => {
+  shipments.clear();
+  idempotentResults.clear();
+};
+
+const simulatedCarrier = {
+  name: 'simulated',
+
+  createLabel: async (order, { service, idempotencyKey, now = new Date() } = {}) => {
+    if (idempotencyKey && idempotentResults.has(idempotencyKey)) {
+      return idempotentResults.get(idempotencyKey);
+    }
+
+    const trackingNumber = newTrackingNumber();
+    const method = service || order.shipping.method;
+    const deliverAt = order.shipping.estimatedDelivery && order.shipping.estimatedDelivery > now
+      ? order.shipping.estimatedDelivery
+      : new Date(now.getTime() + (TRANSIT_DAYS[method] || TRANSIT_DAYS.standard) * DAY_MS);
+    const city = order.shippingAddress?.city;
+
+    shipments.set(trackingNumber, {
+      trackingNumber,
+      service: method,
+      scans: [
+        scan(trackingNumber, 'LC', now),
+        scan(trackingNumber, 'PU', new Date(now.getTime() + HOUR_MS), { city: 'Simulated Hub' }),
+        scan(trackingNumber, 'IT', new Date((now.getTime() + deliverAt.getTime()) / 2), { city: 'Simulated Sort Facility' }),
+        scan(trackingNumber, 'OD', new Date(deliverAt.getTime() - 4 * HOUR_MS), { city }),
+        scan(trackingNumber, 'DL', deliverAt, { city })
+      ]
+    });
+
+    const label = {
+      trackingNumber,
+      labelUrl: `https://carrier.example.test/labels/${trackingNumber}.pdf`,
+      service: method,
+      estimatedDelivery: deliverAt
+    };
+    if (idempotencyKey) {
+      idempotentResults.set(idempotencyKey, label);
+    }
+    return label;
+  },
+
+  getTracking: async (trackingNumber, { now = new Date() } = {}) => {
+    const shipment = shipments.get(trackingNumber);
+    if (!shipment) return [];
+
+    return shipment.scans
+      .filter(raw => new Date(raw.timestamp) <= now)
+      .map(toTrackingEvent)
+      .filter(Boolean);
+  },
+
+  parseWebhook: (rawBody, headers) => {
+    const expected = Buffer.from(signSimulatedWebhook(rawBody));
+    const received = Buffer.from(headers['x-simulated-signature'] || '');
+
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      throw new Error('Invalid simulated carrier webhook signature');
+    }
+
+    const { scans = [] } = JSON.parse(rawBody.toString());
+    return scans.map(toTrackingEvent).filter(Boolean);
+  }
+};
+
+export default simulatedCarrier;
@@ -0,0 +1,182 @@
+import Order from '../models/Order.js';
+import { AppError } from './appError.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Dispensing constraints per DEA schedule. `maxRefills: null` means no schedule-level cap,
+// `validityDays` is counted from the prescription date and `maxQuantityPerOrder` is in units.
+export const SCHEDULE_RULES = {
+  'schedule-ii': {
+    label: 'Schedule II',
+    maxRefills: 0,
+    validityDays: 90,
+    maxQuantityPerOrder: 90,
+    requiresPharmacistSignOff: true
+  },
+  'schedule-iii': {
+    label: 'Schedule III',
+    maxRefills: 5,
+    validityDays: 183,
+    maxQuantityPerOrder: 120,
+    requiresPharmacistSignOff: true
+  },
+  'schedule-iv': {
+    label: 'Schedule IV',
+    maxRefills: 5,
+    validityDays: 183,
+    maxQuantityPerOrder: 120,
+    requiresPharmacistSignOff: true
+  },
+  'schedule-v': {
+    label: 'Schedule V',
+    maxRefills: null,
+    validityDays: 365,
+    maxQuantityPerOrder: 240,
+    requiresPharmacistSignOff: true
+  }
+};
+
+// Statuses in which a controlled item is physically leaving the pharmacy
+export const DISPENSING_STATUSES = ['preparing', 'ready_for_pickup', 'shipped', 'out_for_delivery', 'delivered'];
+
+export const getScheduleRules = (scheduleType) => SCHEDULE_RULES[scheduleType] || null;
+
+export const isControlled = (product) => !!getScheduleRules(product?.scheduleType);
+
+// Per-order quantity cap for a controlled product
+export const assertControlledQuantity = (product, quantity) => {
+  const rules = getScheduleRules(product.scheduleType);
+  if (!rules) return;
+
+  if (quantity > rules.maxQuantityPerOrder) {
+    throw new AppError(
+      `${rules.label} products are limited to ${rules.maxQuantityPerOrder} units per order (${product.name})`,
+      400
+    );
+  }
+};
+
+// Check that a prescription may still be dispensed for a controlled product:
+// schedule-ii is single fill, iii/iv cap refills at five within six months
+export const assertControlledDispensing = (product, quantity, prescription, now = new Date()) => {
+  const rules = getScheduleRules(product.scheduleType);
+  if (!rules) return;
+
+  assertControlledQuantity(product, quantity);
+
+  if (!prescription) {
+    throw new AppError(`${rules.label} products require a prescription (${product.name})`, 400);
+  }
+
+  const writtenAt = new Date(prescription.prescriptionDate);
+  if (now.getTime() - writtenAt.getTime() > rules.validityDays * DAY_MS) {
+    throw new AppError(
+      `Prescription ${prescription.prescriptionNumber} is older than the ${rules.validityDays} days allowed for ${rules.label} products`,
+      400
+    );
+  }
+
+  const fills = prescription.orders?.length || 0;
+  if (rules.maxRefills !== null && fills > rules.maxRefills) {
+    throw new AppError(
+      rules.maxRefills === 0
+        ? `${rules.label} prescriptions cannot be refilled (${product.name})`
+        : `${rules.label} prescriptions allow at most ${rules.maxRefills} refills (${product.name})`,
+      400
+    );
+  }
+};
+
+// Refill counts a pharmacist may approve on a prescription for the mapped controlled products
+export const findScheduleViolations = (prescription, productsById) => {
+  const violations = [];
+
+  for (const medication of prescription.medications) {
+    if (medication.review?.status === 'rejected') continue;
+
+    const product = medication.product && productsById.get(medication.product.toString());
+    const rules = product && getScheduleRules(product.scheduleType);
+    if (!rules) continue;
+
+    if (rules.maxRefills !== null && medication.refills > rules.maxRefills) {
+      violations.push(
+        `${medication.name}: ${rules.label} allows ${rules.maxRefills} refills, prescribed ${medication.refills}`
+      );
+    }
+
+    if (medication.quantity > rules.maxQuantityPerOrder) {
+      violations.push(
+        `${medication.name}: ${rules.label} allows ${rules.maxQuantityPerOrder} units per fill, prescribed ${medication.quantity}`
+      );
+    }
+  }
+
+  return violations;
+};
+
+export const hasControlledItems = (order) =>
+  order.items.some(item => getScheduleRules(item.scheduleType));
+
+// Latest pharmacist sign-off recorded in the order's status history
+export const findControlledSignOff = (order) =>
+  [...order.statusHistory].reverse().find(entry => entry.signOff && entry.updatedBy);
+
+// Build the controlled-substance dispensing log for audit
+export const buildDispensingLog = async ({ from, to, scheduleType } = {}) => {
+  const match = {
+    'items.scheduleType': scheduleType || { $in: Object.keys(SCHEDULE_RULES) },
+    status: { $in: DISPENSING_STATUSES }
+  };
+
+  if (from || to) {
+    match.createdAt = {};
+    if (from) match.createdAt.$gte = new Date(from);
+    if (to) match.createdAt.$lte = new Date(to);
+  }
+
+  const orders = await Order.find(match)
+    .populate('customer', 'firstName lastName email dateOfBirth')
+    .populate('items.prescription', 'prescriptionNumber prescriptionDate doctor.name doctor.licenseNumber')
+    .populate('statusHistory.updatedBy', 'firstName lastName role')
+    .sort({ createdAt: 1 })
+    .lean();
+
+  const entries = [];
+
+  for (const order of orders) {
+    const signOff = findControlledSignOff(order);
+
+    for (const item of order.items) {
+      if (!getScheduleRules(item.scheduleType)) continue;
+      if (scheduleType && item.scheduleType !== scheduleType) continue;
+
+      entries.push({
+        orderNumber: order.orderNumber,
+        orderDate: order.createdAt,
+        status: order.status,
+        patient: order.customer && {
+          id: order.customer._id,
+          name: `${order.customer.firstName} ${order.customer.lastName}`,
+          dateOfBirth: order.customer.dateOfBirth
+        },
+        product: item.product,
+        productName: item.name,
+        scheduleType: item.scheduleType,
+        quantity: item.quantity,
+        prescription: item.prescription && {
+          number: item.prescription.prescriptionNumber,
+          date: item.prescription.prescriptionDate,
+          prescriber: item.prescription.doctor?.name,
+          prescriberLicense: item.prescription.doctor?.licenseNumber
+        },
+        signedOffBy: signOff?.updatedBy && {
+          id: signOff.updatedBy._id,
+          name: `${signOff.updatedBy.firstName} ${signOff.updatedBy.lastName}`
+        },
+        signedOffAt: signOff?.timestamp
+      });
+    }
+  }
+
+  return entries;
+};
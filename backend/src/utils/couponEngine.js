@@ -0,0 +1,186 @@
+import mongoose from 'mongoose';
+import Coupon from '../models/Coupon.js';
+import CouponRedemption from '../models/CouponRedemption.js';
+import { AppError } from './appError.js';
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+const lineTotal = (items) => items.reduce((total, item) => total + item.price * item.quantity, 0);
+
+// Check whether a product falls inside a coupon's category/product/manufacturer scope
+const isProductEligible = (coupon, product) => {
+  if (coupon.excludePrescriptionItems && product.prescriptionRequired) {
+    return false;
+  }
+
+  const hasScope = coupon.applicableCategories.length > 0 ||
+    coupon.applicableProducts.length > 0 ||
+    coupon.applicableManufacturers.length > 0;
+
+  if (!hasScope) return true;
+
+  const productId = product._id.toString();
+  const categoryId = (product.category?._id || product.category)?.toString();
+  const manufacturer = product.manufacturer?.toLowerCase();
+
+  return coupon.applicableProducts.some(id => id.toString() === productId) ||
+    coupon.applicableCategories.some(id => id.toString() === categoryId) ||
+    coupon.applicableManufacturers.some(name => name.toLowerCase() === manufacturer);
+};
+
+// Validate a single coupon against a set of priced items.
+// Items are `{ product, price, quantity }` where `product` is a populated Product document;
+// `userRedemptions` is how many times the customer has already used the coupon.
+export const calculateCouponDiscount = (coupon, { items, userRedemptions = 0, now = new Date() }) => {
+  if (!coupon || !coupon.isActive) {
+    throw new AppError('Invalid coupon code', 400);
+  }
+
+  if (coupon.validFrom && coupon.validFrom > now) {
+    throw new AppError(`Coupon ${coupon.code} is not active yet`, 400);
+  }
+
+  if (coupon.validUntil && coupon.validUntil < now) {
+    throw new AppError(`Coupon ${coupon.code} has expired`, 400);
+  }
+
+  if (coupon.usageLimit != null && coupon.usedCount >= coupon.usageLimit) {
+    throw new AppError(`Coupon ${coupon.code} has reached its usage limit`, 400);
+  }
+
+  if (userRedemptions >= coupon.usageLimitPerUser) {
+    throw new AppError(`You have already used coupon ${coupon.code}`, 400);
+  }
+
+  const subtotal = lineTotal(items);
+  if (subtotal < coupon.minOrderAmount) {
+    throw new AppError(`Minimum order amount of $${coupon.minOrderAmount} required for coupon ${coupon.code}`, 400);
+  }
+
+  const eligibleSubtotal = lineTotal(items.filter(item => isProductEligible(coupon, item.product)));
+  if (eligibleSubtotal === 0) {
+    throw new AppError(`Coupon ${coupon.code} does not apply to any items in your order`, 400);
+  }
+
+  let discount = coupon.type === 'percentage'
+    ? (eligibleSubtotal * coupon.value) / 100
+    : coupon.value;
+
+  if (coupon.maxDiscount) {
+    discount = Math.min(discount, coupon.maxDiscount);
+  }
+
+  return {
+    discount: roundCurrency(Math.min(discount, eligibleSubtotal)),
+    eligibleSubtotal: roundCurrency(eligibleSubtotal)
+  };
+};
+
+// Resolve coupon codes, enforce stacking rules and compute the combined discount
+export const evaluateCoupons = async (codes, { userId, items, session = null }) => {
+  const uniqueCodes = [...new Set(
+    (codes || []).filter(Boolean).map(code => code.trim().toUpperCase())
+  )];
+
+  if (uniqueCodes.length === 0) {
+    return { coupons: [], totalDiscount: 0 };
+  }
+
+  const found = await Coupon.find({ code: { $in: uniqueCodes } }, null, { session });
+  const coupons = uniqueCodes.map(code => {
+    const coupon = found.find(c => c.code === code);
+    if (!coupon) {
+      throw new AppError(`Invalid coupon code ${code}`, 400);
+    }
+    return coupon;
+  });
+
+  if (coupons.length > 1) {
+    const exclusive = coupons.find(coupon => !coupon.stackable);
+    if (exclusive) {
+      throw new AppError(`Coupon ${exclusive.code} cannot be combined with other coupons`, 400);
+    }
+  }
+
+  const usedByUser = userId
+    ? await CouponRedemption.aggregate([
+      {
+        $match: {
+          coupon: { $in: coupons.map(coupon => coupon._id) },
+          user: new mongoose.Types.ObjectId(userId)
+        }
+      },
+      { $group: { _id: '$coupon', count: { $sum: 1 } } }
+    ]).session(session)
+    : [];
+
+  // Discounts apply in the order the codes were entered and never exceed the subtotal
+  let remaining = lineTotal(items);
+  const applied = coupons.map(coupon => {
+    const userRedemptions = usedByUser.find(entry => entry._id.equals(coupon._id))?.count || 0;
+    const { discount } = calculateCouponDiscount(coupon, { items, userRedemptions });
+    const capped = roundCurrency(Math.min(discount, remaining));
+    remaining -= capped;
+
+    return { coupon: coupon._id, code: coupon.code, discount: capped };
+  });
+
+  return {
+    coupons: applied,
+    totalDiscount: roundCurrency(applied.reduce((total, entry) => total + entry.discount, 0))
+  };
+};
+
+// Record redemptions for an order. The usage count is taken with a filter on the
+// global cap, and the per-user cap is checked after the redemption is written, so
+// concurrent checkouts cannot over-redeem either.
+export const redeemCoupons = async (applied, { userId, orderId, session = null }) => {
+  const user = new mongoose.Types.ObjectId(userId);
+
+  for (const entry of applied) {
+    const coupon = await Coupon.findOneAndUpdate(
+      {
+        _id: entry.coupon,
+        isActive: true,
+        $or: [
+          { usageLimit: null },
+          { $expr: { $lt: ['$usedCount', '$usageLimit'] } }
+        ]
+      },
+      { $inc: { usedCount: 1 } },
+      { new: true, session }
+    );
+
+    if (coupon) {
+      await CouponRedemption.create([{
+        coupon: coupon._id,
+        user,
+        order: orderId,
+        discount: entry.discount,
+        redeemedAt: new Date()
+      }], { session });
+    }
+
+    const overUserLimit = coupon &&
+      await CouponRedemption.countDocuments({ coupon: coupon._id, user }).session(session) > coupon.usageLimitPerUser;
+
+    if (!coupon || overUserLimit) {
+      await releaseCoupons(orderId, { session });
+      throw new AppError(`Coupon ${entry.code} is no longer available`, 409);
+    }
+  }
+};
+
+// Undo the redemptions recorded for an order (e.g. when it is cancelled). Each
+// redemption gives its use back once, however many releases run at the same time.
+export const releaseCoupons = async (orderId, { session = null } = {}) => {
+  const redemptions = await CouponRedemption.find({ order: orderId }).select('_id coupon').session(session);
+
+  for (const redemption of redemptions) {
+    const removed = await CouponRedemption.findOneAndDelete({ _id: redemption._id }, { session });
+
+    if (removed) {
+      await Coupon.updateOne({ _id: removed.coupon }, { $inc: { usedCount: -1 } }, { session });
+    }
+  }
+};
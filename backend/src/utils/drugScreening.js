@@ -0,0 +1,120 @@
+// Screening of cart/order items against each other and the patient's medical record.
+// Products are matched on name and active ingredient against the free-text
+// `usage.interactions` / `usage.contraindications` lists.
+
+const SEVERITY_RANK = { low: 1, moderate: 2, high: 3 };
+
+const HIGH_SEVERITY_KEYWORDS = ['contraindicated', 'avoid', 'severe', 'major', 'fatal', 'do not'];
+const LOW_SEVERITY_KEYWORDS = ['minor', 'mild'];
+
+const normalize = (value) => (value || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+// Whether `text` mentions `term` as a whole word sequence
+const mentions = (text, term) => {
+  const haystack = normalize(text);
+  const needle = normalize(term);
+  if (needle.length < 3) return false;
+  return ` ${haystack} `.includes(` ${needle} `);
+};
+
+const productTerms = (product) =>
+  [product.activeIngredient, product.name].filter(Boolean);
+
+const severityOf = (text) => {
+  const value = normalize(text);
+  if (HIGH_SEVERITY_KEYWORDS.some(keyword => value.includes(keyword))) return 'high';
+  if (LOW_SEVERITY_KEYWORDS.some(keyword => value.includes(keyword))) return 'low';
+  return 'moderate';
+};
+
+// Interaction entries on `product` that mention any of `terms`
+const findInteraction = (product, terms) =>
+  (product.usage?.interactions || []).find(entry => terms.some(term => mentions(entry, term)));
+
+// Screen a list of products for a patient. Returns warnings ordered by severity.
+export const screenProducts = (products, medicalInfo = {}) => {
+  const warnings = [];
+  const { allergies = [], currentMedications = [], chronicConditions = [] } = medicalInfo || {};
+
+  products.forEach((product, index) => {
+    // Interactions between items in the same cart/order
+    for (const other of products.slice(index + 1)) {
+      if (product._id.toString() === other._id.toString()) continue;
+
+      if (
+        product.activeIngredient &&
+        normalize(product.activeIngredient) === normalize(other.activeIngredient)
+      ) {
+        warnings.push({
+          kind: 'duplicate_therapy',
+          severity: 'moderate',
+          products: [product._id, other._id],
+          message: `${product.name} and ${other.name} contain the same active ingredient (${product.activeIngredient})`
+        });
+        continue;
+      }
+
+      const interaction = findInteraction(product, productTerms(other)) ||
+        findInteraction(other, productTerms(product));
+
+      if (interaction) {
+        warnings.push({
+          kind: 'drug_interaction',
+          severity: severityOf(interaction),
+          products: [product._id, other._id],
+          message: `${product.name} interacts with ${other.name}: ${interaction}`
+        });
+      }
+    }
+
+    // Interactions with medication the patient already takes
+    for (const medication of currentMedications) {
+      const interaction = findInteraction(product, [medication]);
+      if (interaction) {
+        warnings.push({
+          kind: 'medication_interaction',
+          severity: severityOf(interaction),
+          products: [product._id],
+          message: `${product.name} interacts with your current medication ${medication}: ${interaction}`
+        });
+      }
+    }
+
+    // Allergies to the product itself or listed as a contraindication
+    for (const allergy of allergies) {
+      const allergic = productTerms(product).some(term => mentions(term, allergy) || mentions(allergy, term)) ||
+        (product.usage?.contraindications || []).some(entry => /allerg/i.test(entry) && mentions(entry, allergy));
+
+      if (allergic) {
+        warnings.push({
+          kind: 'allergy',
+          severity: 'high',
+          products: [product._id],
+          message: `${product.name} may contain ${allergy}, which is recorded as an allergy`
+        });
+      }
+    }
+
+    // Contraindicated chronic conditions
+    for (const condition of chronicConditions) {
+      const contraindication = (product.usage?.contraindications || [])
+        .find(entry => mentions(entry, condition) || mentions(condition, entry));
+
+      if (contraindication) {
+        warnings.push({
+          kind: 'condition',
+          severity: 'high',
+          products: [product._id],
+          message: `${product.name} is contraindicated with ${condition}: ${contraindication}`
+        });
+      }
+    }
+  });
+
+  return warnings.sort((a, b) => SEVERITY_RANK[b.severity] - SEVERITY_RANK[a.severity]);
+};
+
+export const hasHighSeverity = (warnings) => warnings.some(warning => warning.severity === 'high');
+
+// Product fields the screening needs when populating cart or order items
+export const SCREENING_FIELDS = 'name activeIngredient usage.interactions usage.contraindications';
@@ -75,6 +75,288 @@ const emailTemplates = {
     `
   }),
 
+  prescriptionInfoRequested: (data) => ({
+    subject: `More Information Needed for Prescription ${data.prescriptionNumber} - MedCare`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #2563eb;">We Need a Little More Information</h2>
+        <p>Hello ${data.patientName},</p>
+        <p>Our pharmacist is reviewing prescription <strong>${data.prescriptionNumber}</strong> and needs more information before it can be verified:</p>
+        <blockquote style="margin: 20px 0; padding: 12px 16px; background-color: #f3f4f6; border-left: 4px solid #2563eb;">
+          ${data.message}
+        </blockquote>
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${data.prescriptionUrl}" 
+             style="background-color: #2563eb; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block;">
+            Respond to Pharmacist
+          </a>
+        </div>
+        <hr style="margin: 30px 0; border: none; border-top: 1px solid #eee;">
+        <p style="color: #666; font-size: 12px;">
+          MedCare - Your Trusted Medical Partner<br>
+          123 Healthcare Street, Medical District, New York, NY 10001
+        </p>
+      </div>
+    `
+  }),
+
+  prescriptionExpiring: (data) => ({
+    subject: `Your Prescription ${data.prescriptionNumber} Expires Soon - MedCare`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #2563eb;">Your Prescription Expires Soon</h2>
+        <p>Hello ${data.patientName},</p>
+        <p>Prescription <strong>${data.prescriptionNumber}</strong> from ${data.doctorName} expires on <strong>${new Date(data.expiryDate).toDateString()}</strong>.</p>
+        ${data.remainingRefills > 0 ? `<p>You still have <strong>${data.remainingRefills}</strong> refill${data.remainingRefills === 1 ? '' : 's'} on it. Refills can't be ordered once it expires.</p>` : ''}
+        <p>If you need to keep taking ${data.medications.join(', ')}, please ask your doctor for a new prescription and upload it to your account.</p>
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${data.prescriptionUrl}" 
+             style="background-color: #2563eb; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block;">
+            View Prescription
+          </a>
+        </div>
+        <hr style="margin: 30px 0; border: none; border-top: 1px solid #eee;">
+        <p style="color: #666; font-size: 12px;">
+          MedCare - Your Trusted Medical Partner<br>
+          123 Healthcare Street, Medical District, New York, NY 10001
+        </p>
+      </div>
+    `
+  }),
+
+  refillReminder: (data) => ({
+    subject: `Time to Refill Prescription ${data.prescriptionNumber} - MedCare`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #2563eb;">Time for a Refill</h2>
+        <p>Hello ${data.patientName},</p>
+        <p>Based on your last order on ${new Date(data.lastOrderedAt).toDateString()}, your supply of ${data.medications.join(', ')} will run out around <strong>${new Date(data.dueAt).toDateString()}</strong>.</p>
+        <p>Prescription <strong>${data.prescriptionNumber}</strong> has ${data.remainingRefills} refill${data.remainingRefills === 1 ? '' : 's'} remaining and is valid until ${new Date(data.expiryDate).toDateString()}.</p>
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${data.prescriptionUrl}" 
+             style="background-color: #2563eb; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block;">
+            Order a Refill
+          </a>
+        </div>
+        <hr style="margin: 30px 0; border: none; border-top: 1px solid #eee;">
+        <p style="color: #666; font-size: 12px;">
+          MedCare - Your Trusted Medical Partner<br>
+          123 Healthcare Street, Medical District, New York, NY 10001
+        </p>
+      </div>
+    `
+  }),
+
+  purchaseOrder: (data) => ({
+    subject: `Purchase Order ${data.poNumber} - MedCare`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #2563eb;">Purchase Order ${data.poNumber}</h2>
+        <p>Hello ${data.supplierName},</p>
+        <p>Please supply the following items${data.expectedAt ? ` by <strong>${new Date(data.expectedAt).toDateString()}</strong>` : ''}:</p>
+
+        <table style="width: 100%; border-collapse: collapse; margin: 20px 0;">
+          <tr style="background-color: #f8f9fa;">
+            <th style="text-align: left; padding: 8px;">Item</th>
+            <th style="text-align: left; padding: 8px;">Your SKU</th>
+            <th style="text-align: right; padding: 8px;">Quantity</th>
+            <th style="text-align: right; padding: 8px;">Unit Cost</th>
+          </tr>
+          ${data.items.map(item => `
+            <tr>
+              <td style="padding: 8px;">${item.name}</td>
+              <td style="padding: 8px;">${item.supplierSku || '-'}</td>
+              <td style="text-align: right; padding: 8px;">${item.quantityOrdered}</td>
+              <td style="text-align: right; padding: 8px;">$${item.unitCost.toFixed(2)}</td>
+            </tr>
+          `).join('')}
+        </table>
+
+        <p><strong>Order Total:</strong> $${data.total.toFixed(2)}</p>
+        <p>Please include lot numbers and expiry dates on the delivery note and quote ${data.poNumber} on your invoice.</p>
+        <hr style="margin: 30px 0; border: none; border-top: 1px solid #eee;">
+        <p style="color: #666; font-size: 12px;">
+          MedCare - Your Trusted Medical Partner<br>
+          123 Healthcare Street, Medical District, New York, NY 10001
+        </p>
+      </div>
+    `
+  }),
+
+  lowStockDigest: (data) => ({
+    subject: `Low stock: ${data.items.length} product${data.items.length === 1 ? '' : 's'} need reordering - MedCare`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #dc2626;">Low Stock Alert</h2>
+        <p>Hello ${data.name},</p>
+        <p>The following products have reached their low-stock threshold:</p>
+
+        <table style="width: 100%; border-collapse: collapse; margin: 20px 0;">
+          <tr style="background-color: #f8f9fa;">
+            <th style="text-align: left; padding: 8px;">Product</th>
+            <th style="text-align: right; padding: 8px;">In Stock</th>
+            <th style="text-align: right; padding: 8px;">Threshold</th>
+            <th style="text-align: right; padding: 8px;">On Order</th>
+            <th style="text-align: right; padding: 8px;">Suggested</th>
+          </tr>
+          ${data.items.map(item => `
+            <tr>
+              <td style="padding: 8px;">${item.name}<br><span style="color: #666; font-size: 12px;">${item.sku}${item.supplier ? ` &middot; ${item.supplier}` : ''}</span></td>
+              <td style="text-align: right; padding: 8px;">${item.quantity}</td>
+              <td style="text-align: right; padding: 8px;">${item.threshold}</td>
+              <td style="text-align: right; padding: 8px;">${item.onOrder}</td>
+              <td style="text-align: right; padding: 8px;">${item.suggestedQuantity ?? '-'}</td>
+            </tr>
+          `).join('')}
+        </table>
+
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${data.reorderUrl}" 
+             style="background-color: #2563eb; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block;">
+            Review Reorder Suggestions
+          </a>
+        </div>
+        <p style="color: #666; font-size: 12px;">You won't be alerted about these products again until their stock recovers.</p>
+        <hr style="margin: 30px 0; border: none; border-top: 1px solid #eee;">
+        <p style="color: #666; font-size: 12px;">
+          MedCare - Your Trusted Medical Partner<br>
+          123 Healthcare Street, Medical District, New York, NY 10001
+        </p>
+      </div>
+    `
+  }),
+
+  subscriptionReminder: (data) => ({
+    subject: `Your Auto-Refill Ships on ${new Date(data.runAt).toDateString()} - MedCare`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #2563eb;">Your Refill Is Coming Up</h2>
+        <p>Hello ${data.name},</p>
+        <p>On <strong>${new Date(data.runAt).toDateString()}</strong> we'll place your auto-refill order and ${data.paymentMethod === 'cash_on_delivery' ? 'you can pay on delivery' : 'ask you to complete payment'}:</p>
+
+        <table style="width: 100%; border-collapse: collapse; margin: 20px 0;">
+          ${data.items.map(item => `
+            <tr>
+              <td style="padding: 8px;">${item.name}</td>
+              <td style="text-align: right; padding: 8px;">x${item.quantity}</td>
+              <td style="text-align: right; padding: 8px;">$${(item.price * item.quantity).toFixed(2)}</td>
+            </tr>
+          `).join('')}
+        </table>
+
+        <p><strong>Estimated Subtotal:</strong> $${data.subtotal.toFixed(2)} (tax and shipping are added when the order is placed)</p>
+        <p>Need to change something? You can skip this refill, pause or cancel your subscription before then.</p>
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${data.manageUrl}" 
+             style="background-color: #2563eb; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block;">
+            Manage Subscription
+          </a>
+        </div>
+        <hr style="margin: 30px 0; border: none; border-top: 1px solid #eee;">
+        <p style="color: #666; font-size: 12px;">
+          MedCare - Your Trusted Medical Partner<br>
+          123 Healthcare Street, Medical District, New York, NY 10001
+        </p>
+      </div>
+    `
+  }),
+
+  subscriptionUpdate: (data) => ({
+    subject: `${data.heading} - MedCare`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #2563eb;">${data.heading}</h2>
+        <p>Hello ${data.name},</p>
+        <p>${data.message}</p>
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${data.manageUrl}" 
+             style="background-color: #2563eb; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block;">
+            Manage Subscription
+          </a>
+        </div>
+        <hr style="margin: 30px 0; border: none; border-top: 1px solid #eee;">
+        <p style="color: #666; font-size: 12px;">
+          MedCare - Your Trusted Medical Partner<br>
+          123 Healthcare Street, Medical District, New York, NY 10001
+        </p>
+      </div>
+    `
+  }),
+
+  returnUpdate: (data) => ({
+    subject: `${data.heading} (${data.returnNumber}) - MedCare`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #2563eb;">${data.heading}</h2>
+        <p>Hello ${data.name},</p>
+        <p>${data.message}</p>
+        <p><strong>Return Number:</strong> ${data.returnNumber}</p>
+        <hr style="margin: 30px 0; border: none; border-top: 1px solid #eee;">
+        <p style="color: #666; font-size: 12px;">
+          MedCare - Your Trusted Medical Partner<br>
+          123 Healthcare Street, Medical District, New York, NY 10001
+        </p>
+      </div>
+    `
+  }),
+
+  orderStatusUpdate: (data) => ({
+    subject: `Order ${data.orderNumber} is ${data.status} - MedCare`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #2563eb;">Order Update</h2>
+        <p>Hello ${data.customerName},</p>
+        <p>Your order <strong>${data.orderNumber}</strong> is now <strong>${data.status}</strong>.</p>
+        ${data.note ? `<p>${data.note}</p>` : ''}
+        ${data.trackingUrl ? `
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${data.trackingUrl}" 
+             style="background-color: #2563eb; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block;">
+            Track Your Order
+          </a>
+        </div>
+        ` : ''}
+        <hr style="margin: 30px 0; border: none; border-top: 1px solid #eee;">
+        <p style="color: #666; font-size: 12px;">
+          MedCare - Your Trusted Medical Partner<br>
+          123 Healthcare Street, Medical District, New York, NY 10001
+        </p>
+      </div>
+    `
+  }),
+
+  pickupReady: (data) => ({
+    subject: `Order ${data.orderNumber} is Ready for Pickup - MedCare`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #2563eb;">Ready for Pickup</h2>
+        <p>Hello ${data.customerName},</p>
+        <p>Your order <strong>${data.orderNumber}</strong> is waiting for you at the store.</p>
+        ${data.note ? `<p>${data.note}</p>` : ''}
+        
+        <div style="background-color: #f8f9fa; padding: 20px; border-radius: 6px; margin: 20px 0; text-align: center;">
+          <p style="margin-top: 0;">Your pickup code</p>
+          <p style="font-size: 32px; letter-spacing: 8px; font-weight: bold; margin: 10px 0;">${data.code}</p>
+          <p style="margin-bottom: 0; color: #666;">Show this code and a photo ID at the counter. It can only be used once.</p>
+        </div>
+
+        ${data.store ? `
+        <p><strong>${data.store.name}</strong><br>
+          ${data.store.address.street}<br>
+          ${data.store.address.city}, ${data.store.address.state} ${data.store.address.zipCode}
+          ${data.store.openingHours ? `<br>${data.store.openingHours}` : ''}
+        </p>
+        ` : ''}
+        <p>Please collect it by <strong>${new Date(data.collectBy).toDateString()}</strong>. Orders not collected by then are cancelled and refunded.</p>
+        <hr style="margin: 30px 0; border: none; border-top: 1px solid #eee;">
+        <p style="color: #666; font-size: 12px;">
+          MedCare - Your Trusted Medical Partner<br>
+          123 Healthcare Street, Medical District, New York, NY 10001
+        </p>
+      </div>
+    `
+  }),
+
   orderConfirmation: (data) => ({
     subject: `Order Confirmation #${data.orderNumber} - MedCare`,
     html: `
@@ -88,6 +370,7 @@ const emailTemplates = {
           <p><strong>Order Number:</strong> ${data.orderNumber}</p>
           <p><strong>Total:</strong> $${data.total.toFixed(2)}</p>
         </div>
+        ${data.paymentNote ? `<p><strong>${data.paymentNote}</strong></p>` : ''}
 
         <h3>Items Ordered:</h3>
         <ul>
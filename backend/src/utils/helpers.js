@@ -12,6 +12,11 @@ export const generateOrderNumber = () => {
   return generateUniqueId('ORD', 6);
 };
 
+// Generate purchase order number
+export const generatePurchaseOrderNumber = () => {
+  return generateUniqueId('PO', 6);
+};
+
 // Generate prescription number
 export const generatePrescriptionNumber = () => {
   return generateUniqueId('RX', 6);
@@ -72,30 +77,6 @@ export const isValidObjectId = (id) => {
   return /^[0-9a-fA-F]{24}$/.test(id);
 };
 
-// Calculate tax
-export const calculateTax = (amount, taxRate = 0.08) => {
-  return Math.round(amount * taxRate * 100) / 100;
-};
-
-// Calculate shipping cost
-export const calculateShipping = (subtotal, weight = 0, distance = 0) => {
-  if (subtotal >= 50) return 0; // Free shipping over $50
-  
-  let baseCost = 5.99;
-  
-  // Add weight-based cost
-  if (weight > 1) {
-    baseCost += (weight - 1) * 0.5;
-  }
-  
-  // Add distance-based cost
-  if (distance > 50) {
-    baseCost += Math.ceil((distance - 50) / 25) * 2;
-  }
-  
-  return Math.round(baseCost * 100) / 100;
-};
-
 // Mask sensitive data
 export const maskEmail = (email) => {
   const [username, domain] = email.split('@');
@@ -0,0 +1,117 @@
+import mongoose from 'mongoose';
+import Product from '../models/Product.js';
+import StockMovement from '../models/StockMovement.js';
+
+// Every change to a product's stock.quantity or stock.reserved goes through
+// applyStockMovement, which updates the product and appends a StockMovement row
+// with the change that was actually applied. Summing a product's movements must
+// give its current stock; reconcileStock reports where it does not.
+
+// Apply signed `quantity`/`reserved` changes to a product (neither goes below zero)
+// and record them. `condition` narrows the product filter for guarded updates such
+// as reservations; when it does not match nothing changes and null is returned.
+export const applyStockMovement = async (
+  { product, reason, quantity = 0, reserved = 0, lots, order, reference, note, actor, condition = {} },
+  { session = null } = {}
+) => {
+  if (quantity === 0 && reserved === 0) return null;
+
+  // The document as it was, so the change actually applied can be worked out
+  const before = await Product.findOneAndUpdate(
+    { _id: product, ...condition },
+    [{
+      $set: {
+        'stock.quantity': { $max: [0, { $add: ['$stock.quantity', quantity] }] },
+        'stock.reserved': { $max: [0, { $add: ['$stock.reserved', reserved] }] }
+      }
+    }],
+    { session, projection: { stock: 1 } }
+  );
+
+  if (!before) return null;
+
+  const quantityAfter = Math.max(0, before.stock.quantity + quantity);
+  const reservedAfter = Math.max(0, before.stock.reserved + reserved);
+
+  const [movement] = await StockMovement.create([{
+    product,
+    reason,
+    quantityDelta: quantityAfter - before.stock.quantity,
+    reservedDelta: reservedAfter - before.stock.reserved,
+    quantityAfter,
+    reservedAfter,
+    lots: lots?.map(({ lot, lotNumber, quantity: lotQuantity }) => ({ lot, lotNumber, quantity: lotQuantity })),
+    order,
+    reference,
+    note,
+    actor
+  }], { session });
+
+  return movement;
+};
+
+// Start the ledger for a product at its current stock, without changing it.
+// Does nothing when the product already has movements.
+export const recordOpeningBalance = async (product, { actor, note, session = null } = {}) => {
+  if (await StockMovement.exists({ product: product._id }).session(session)) return null;
+
+  const [movement] = await StockMovement.create([{
+    product: product._id,
+    reason: 'opening_balance',
+    quantityDelta: product.stock.quantity,
+    reservedDelta: product.stock.reserved,
+    quantityAfter: product.stock.quantity,
+    reservedAfter: product.stock.reserved,
+    note,
+    actor
+  }], { session });
+
+  return movement;
+};
+
+// Compare each product's stock with the sum of its ledger movements
+export const reconcileStock = async ({ product, driftOnly = false } = {}) => {
+  const productFilter = product ? { _id: new mongoose.Types.ObjectId(product) } : {};
+
+  const [products, totals] = await Promise.all([
+    Product.find(productFilter).select('name sku stock').lean(),
+    StockMovement.aggregate([
+      { $match: product ? { product: productFilter._id } : {} },
+      {
+        $group: {
+          _id: '$product',
+          quantity: { $sum: '$quantityDelta' },
+          reserved: { $sum: '$reservedDelta' },
+          movements: { $sum: 1 },
+          lastMovementAt: { $max: '$createdAt' }
+        }
+      }
+    ])
+  ]);
+
+  const totalsByProduct = new Map(totals.map(total => [total._id.toString(), total]));
+
+  const entries = products.map(entry => {
+    const ledger = totalsByProduct.get(entry._id.toString());
+    const ledgerQuantity = ledger?.quantity || 0;
+    const ledgerReserved = ledger?.reserved || 0;
+
+    return {
+      product: entry._id,
+      name: entry.name,
+      sku: entry.sku,
+      stock: { quantity: entry.stock.quantity, reserved: entry.stock.reserved },
+      ledger: { quantity: ledgerQuantity, reserved: ledgerReserved },
+      drift: {
+        quantity: entry.stock.quantity - ledgerQuantity,
+        reserved: entry.stock.reserved - ledgerReserved
+      },
+      movements: ledger?.movements || 0,
+      lastMovementAt: ledger?.lastMovementAt || null
+    };
+  });
+
+  return driftOnly
+    ? entries.filter(entry => entry.drift.quantity !== 0 || entry.drift.reserved !== 0)
+    : entries;
+};
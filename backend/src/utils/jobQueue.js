@@ -0,0 +1,176 @@
+import os from 'os';
+import Job from '../models/Job.js';
+import { logger } from './logger.js';
+
+// MongoDB-backed job queue. Jobs are claimed with an atomic update and hold a lock
+// that expires, so a worker that dies mid-job only delays it until the lock runs out.
+
+const handlers = new Map();
+
+const BASE_BACKOFF_MS = 30 * 1000;
+const MAX_BACKOFF_MS = 60 * 60 * 1000;
+
+const getLockTimeoutMs = () => (parseInt(process.env.JOB_LOCK_TIMEOUT_MINUTES) || 10) * 60 * 1000;
+
+// Exponential backoff with jitter: 30s, 60s, 120s ... capped at an hour
+export const getBackoffDelay = (attempts) => {
+  const delay = BASE_BACKOFF_MS * 2 ** Math.max(0, attempts - 1);
+  return Math.round(Math.min(delay * (0.8 + Math.random() * 0.4), MAX_BACKOFF_MS));
+};
+
+// Register the function that runs jobs of `type`. `onFailed` runs once retries are exhausted.
+export const registerJobHandler = (type, handler, { onFailed } = {}) => {
+  handlers.set(type, { handler, onFailed });
+};
+
+export const enqueueJob = (type, payload = {}, { maxAttempts, runAt } = {}) =>
+  Job.create({ type, payload, maxAttempts, runAt: runAt || new Date() });
+
+// Record progress on a running job so pollers can show it. Progress also renews the
+// lock, so a long job that keeps reporting is not taken over by another worker.
+export const updateJobProgress = (job, completed, total) =>
+  Job.updateOne(
+    { _id: job._id, status: 'running', lockedBy: job.lockedBy },
+    { $set: { progress: { completed, total }, lockExpiresAt: new Date(Date.now() + getLockTimeoutMs()) } }
+  );
+
+// Take the next due job, or one whose previous worker let its lock expire and
+// that still has attempts left
+export const claimNextJob = (workerId, now = new Date()) =>
+  Job.findOneAndUpdate(
+    {
+      type: { $in: [...handlers.keys()] },
+      $or: [
+        { status: 'queued', runAt: { $lte: now } },
+        { status: 'running', lockExpiresAt: { $lte: now }, $expr: { $lt: ['$attempts', '$maxAttempts'] } }
+      ]
+    },
+    {
+      $set: {
+        status: 'running',
+        lockedBy: workerId,
+        lockExpiresAt: new Date(now.getTime() + getLockTimeoutMs()),
+        startedAt: now
+      },
+      $inc: { attempts: 1 }
+    },
+    { new: true, sort: { runAt: 1 } }
+  );
+
+const runFailureHook = async (job, error) => {
+  const { onFailed } = handlers.get(job.type) || {};
+  if (!onFailed) return;
+
+  try {
+    await onFailed(job, error);
+  } catch (hookError) {
+    logger.error(`Failure hook for job ${job._id} (${job.type}) failed:`, hookError);
+  }
+};
+
+// Fail jobs whose worker died on their last attempt, so they are neither retried
+// past maxAttempts nor left running forever
+export const failAbandonedJobs = async (now = new Date()) => {
+  let failed = 0;
+  let job;
+
+  while ((job = await Job.findOneAndUpdate(
+    {
+      type: { $in: [...handlers.keys()] },
+      status: 'running',
+      lockExpiresAt: { $lte: now },
+      $expr: { $gte: ['$attempts', '$maxAttempts'] }
+    },
+    {
+      $set: { status: 'failed', lastError: 'The worker stopped before the job finished', failedAt: now },
+      $unset: { lockedBy: 1, lockExpiresAt: 1 }
+    },
+    { new: true }
+  ))) {
+    logger.error(`Job ${job._id} (${job.type}) failed: its worker stopped on attempt ${job.attempts}/${job.maxAttempts}`);
+    await runFailureHook(job, new Error(job.lastError));
+    failed += 1;
+  }
+
+  return failed;
+};
+
+// Run a claimed job and record the outcome. Updates are guarded on lockedBy so a
+// worker whose lock was taken over cannot overwrite the new owner's result.
+export const runJob = async (job, workerId) => {
+  const { handler } = handlers.get(job.type) || {};
+  const owned = { _id: job._id, status: 'running', lockedBy: workerId };
+
+  try {
+    if (!handler) {
+      throw new Error(`No handler registered for job type ${job.type}`);
+    }
+
+    const result = await handler(job);
+
+    await Job.updateOne(owned, {
+      $set: { status: 'completed', result, completedAt: new Date() },
+      $unset: { lockedBy: 1, lockExpiresAt: 1, lastError: 1 }
+    });
+  } catch (error) {
+    const exhausted = job.attempts >= job.maxAttempts;
+
+    logger.error(`Job ${job._id} (${job.type}) failed on attempt ${job.attempts}/${job.maxAttempts}:`, error);
+
+    await Job.updateOne(owned, {
+      $set: exhausted
+        ? { status: 'failed', lastError: error.message, failedAt: new Date() }
+        : { status: 'queued', lastError: error.message, runAt: new Date(Date.now() + getBackoffDelay(job.attempts)) },
+      $unset: { lockedBy: 1, lockExpiresAt: 1 }
+    });
+
+    if (exhausted) {
+      await runFailureHook(job, error);
+    }
+  }
+};
+
+// Start polling workers. Returns a function that stops them once their current job ends.
+export const startJobWorkers = ({
+  concurrency = parseInt(process.env.JOB_WORKER_CONCURRENCY) || 1,
+  pollIntervalMs = parseInt(process.env.JOB_POLL_INTERVAL_MS) || 5000
+} = {}) => {
+  let stopped = false;
+  const timers = new Set();
+
+  const work = async (workerId) => {
+    if (stopped) return;
+
+    try {
+      await failAbandonedJobs();
+
+      // Drain everything that is due before going back to sleep
+      let job;
+      while (!stopped && (job = await claimNextJob(workerId))) {
+        await runJob(job, workerId);
+      }
+    } catch (error) {
+      logger.error(`Job worker ${workerId} failed to poll:`, error);
+    }
+
+    if (!stopped) {
+      const timer = setTimeout(() => {
+        timers.delete(timer);
+        work(workerId);
+      }, pollIntervalMs);
+      timers.add(timer);
+    }
+  };
+
+  for (let i = 0; i < concurrency; i++) {
+    work(`${os.hostname()}:${process.pid}:${i}`);
+  }
+
+  logger.info(`Started ${concurrency} job worker(s)`);
+
+  return () => {
+    stopped = true;
+    timers.forEach(timer => clearTimeout(timer));
+    timers.clear();
+  };
+};
@@ -0,0 +1,87 @@
+import Product from '../models/Product.js';
+import User from '../models/User.js';
+import { sendEmail } from './email.js';
+import { buildReorderSuggestions } from './purchasing.js';
+import { logger } from './logger.js';
+
+const lowStockExpr = { $lte: ['$stock.quantity', '$stock.lowStockThreshold'] };
+
+// Email pharmacists and admins one digest of products that have fallen to their
+// low-stock threshold since the last digest. A product is only reported once until
+// its stock recovers above the threshold, when its alert is cleared.
+export const sendLowStockDigest = async (now = new Date()) => {
+  const recovered = await Product.updateMany(
+    { 'stock.lowStockAlertedAt': { $ne: null }, $expr: { $gt: ['$stock.quantity', '$stock.lowStockThreshold'] } },
+    { $set: { 'stock.lowStockAlertedAt': null } }
+  );
+
+  const products = await Product.find({
+    isActive: true,
+    'stock.lowStockAlertedAt': null,
+    $expr: lowStockExpr
+  })
+    .select('name sku stock')
+    .sort({ 'stock.quantity': 1 });
+
+  if (products.length === 0) {
+    return { alerted: 0, recovered: recovered.modifiedCount, recipients: 0 };
+  }
+
+  const recipients = await User.find({
+    role: { $in: ['pharmacist', 'admin'] },
+    isActive: true,
+    'preferences.emailNotifications': { $ne: false }
+  }).select('firstName email');
+
+  const suggestions = new Map(
+    (await buildReorderSuggestions({}, now)).map(suggestion => [suggestion.product._id.toString(), suggestion])
+  );
+
+  const items = products.map(product => {
+    const suggestion = suggestions.get(product._id.toString());
+
+    return {
+      name: product.name,
+      sku: product.sku,
+      quantity: product.stock.quantity,
+      threshold: product.stock.lowStockThreshold,
+      onOrder: suggestion?.onOrder || 0,
+      suggestedQuantity: suggestion?.suggestedQuantity,
+      supplier: suggestion?.supplier?.name
+    };
+  });
+
+  let delivered = 0;
+  for (const recipient of recipients) {
+    try {
+      await sendEmail({
+        email: recipient.email,
+        template: 'lowStockDigest',
+        data: {
+          name: recipient.firstName,
+          items,
+          reorderUrl: `${process.env.ADMIN_URL}/purchase-orders/suggestions`
+        }
+      });
+      delivered += 1;
+    } catch (error) {
+      logger.error(`Failed to send low-stock digest to ${recipient.email}:`, error);
+    }
+  }
+
+  // Products stay unflagged when nobody could be told, so the next run tries again
+  if (delivered === 0) {
+    throw new Error(`Low-stock digest for ${products.length} product(s) could not be delivered`);
+  }
+
+  await Product.updateMany(
+    { _id: { $in: products.map(product => product._id) }, 'stock.lowStockAlertedAt': null },
+    { $set: { 'stock.lowStockAlertedAt': now } }
+  );
+
+  return {
+    alerted: products.length,
+    recovered: recovered.modifiedCount,
+    recipients: delivered
+  };
+};
@@ -0,0 +1,231 @@
+import mongoose from 'mongoose';
+import Order from '../models/Order.js';
+import Product from '../models/Product.js';
+import Cart from '../models/Cart.js';
+import User from '../models/User.js';
+import Store from '../models/Store.js';
+import { AppError } from './appError.js';
+import { generateOrderNumber } from './helpers.js';
+import { evaluateCoupons, redeemCoupons, releaseCoupons } from './couponEngine.js';
+import { reserveStock, releaseReservation, getReservationExpiry } from './stockReservation.js';
+import { runInTransaction } from './transaction.js';
+import {
+  loadPrescriptionsForOrder,
+  matchPrescription,
+  linkPrescriptionToOrder,
+  unlinkPrescriptionsFromOrder
+} from './prescriptionFulfillment.js';
+import { isControlled, assertControlledDispensing } from './controlledSubstances.js';
+import { screenProducts, hasHighSeverity } from './drugScreening.js';
+import { getProviderForMethod } from './paymentProviders/index.js';
+import { calculateTax } from './taxEngine.js';
+import { calculateShipping } from './shippingRates.js';
+
+// Price, reserve, redeem and persist an order using the given session.
+// Every read and write goes through `session` so the caller's transaction
+// commits or rolls back the whole placement. Orders placed by a subscription
+// leave the customer's cart alone and may hold stock for longer than checkout.
+export const buildAndSaveOrder = async ({
+  customerId,
+  items,
+  shippingAddress,
+  billingAddress,
+  paymentMethod,
+  shippingMethod = 'standard',
+  pickupStore,
+  couponCodes,
+  customerNotes,
+  prescriptions,
+  subscription,
+  reservationExpiresAt
+}, session) => {
+  // Fails for payment methods no provider handles yet
+  const paymentProvider = getProviderForMethod(paymentMethod);
+
+  // Pickup orders are collected from, and taxed at, the store the customer chose
+  let store = null;
+  if (shippingMethod === 'pickup') {
+    store = pickupStore && await Store.findOne({ _id: pickupStore, isActive: true }).session(session);
+    if (!store) {
+      throw new AppError('Choose an open store to pick the order up from', 400);
+    }
+  }
+
+  // Prescriptions are loaded server-side; the client only sends their ids
+  const loadedPrescriptions = await loadPrescriptionsForOrder(customerId, prescriptions, session);
+  const allocated = new Map();
+  const usedPrescriptions = new Map();
+  const controlledQuantities = new Map();
+
+  // Validate and calculate pricing
+  let subtotal = 0;
+  const orderItems = [];
+  const pricedItems = [];
+
+  for (const item of items) {
+    const product = await Product.findById(item.product).session(session);
+
+    if (!product || !product.isActive) {
+      throw new AppError(`Product ${item.product} not found or inactive`, 400);
+    }
+
+    if (product.availableStock < item.quantity) {
+      throw new AppError(`Insufficient stock for ${product.name}`, 400);
+    }
+
+    // Check prescription requirement (controlled substances always need one)
+    let prescriptionId;
+    if (product.prescriptionRequired || isControlled(product)) {
+      const { prescription } = matchPrescription(product, item.quantity, loadedPrescriptions, {
+        preferredId: item.prescription,
+        allocated
+      });
+
+      if (isControlled(product)) {
+        const key = product._id.toString();
+        const quantity = (controlledQuantities.get(key) || 0) + item.quantity;
+        controlledQuantities.set(key, quantity);
+        assertControlledDispensing(product, quantity, prescription);
+      }
+
+      prescriptionId = prescription._id;
+      usedPrescriptions.set(prescriptionId.toString(), prescriptionId);
+    }
+
+    const itemTotal = product.price * item.quantity;
+    subtotal += itemTotal;
+
+    orderItems.push({
+      product: product._id,
+      name: product.name,
+      price: product.price,
+      quantity: item.quantity,
+      prescription: prescriptionId,
+      prescriptionRequired: product.prescriptionRequired,
+      scheduleType: product.scheduleType
+    });
+    pricedItems.push({ product, price: product.price, quantity: item.quantity });
+  }
+
+  // Screen for interactions, allergies and contraindications; high-severity
+  // hits hold the order for a pharmacist to review
+  const customer = await User.findById(customerId).select('medicalInfo').session(session);
+  const warnings = screenProducts(pricedItems.map(item => item.product), customer?.medicalInfo);
+  const requiresOverride = hasHighSeverity(warnings);
+
+  // Re-validate coupons against the final items (falls back to those applied to the cart)
+  let requestedCodes = couponCodes;
+  if (!requestedCodes && !subscription) {
+    const cart = await Cart.findOne({ user: customerId }).select('coupons').session(session);
+    requestedCodes = cart ? cart.coupons.map(c => c.code) : [];
+  }
+
+  const { coupons, totalDiscount: discount } = await evaluateCoupons(requestedCodes, {
+    userId: customerId,
+    items: pricedItems,
+    session
+  });
+
+  // Tax each line by the rate table for the shipping address (the store for pickup)
+  const { lines: taxLines, total: tax } = await calculateTax(pricedItems, {
+    address: store ? store.address : shippingAddress,
+    discount,
+    session
+  });
+  taxLines.forEach((line, index) => {
+    orderItems[index].tax = line;
+  });
+
+  // Price the chosen shipping method by the zone rate table for the address
+  const shippingQuote = await calculateShipping(pricedItems, {
+    address: shippingAddress,
+    method: shippingMethod,
+    session
+  });
+  const shipping = shippingQuote.cost;
+  const total = subtotal - discount + tax + shipping;
+
+  // Reserve stock and redeem coupons against the order id before the order is written
+  const orderId = new mongoose.Types.ObjectId();
+  const reservations = await reserveStock(orderItems, {
+    orderId,
+    expiresAt: reservationExpiresAt !== undefined ? reservationExpiresAt : getReservationExpiry(paymentMethod),
+    session
+  });
+  reservations.forEach((reservation, index) => {
+    orderItems[index].lots = reservation.toObject().lots;
+  });
+  await redeemCoupons(coupons, { userId: customerId, orderId, session });
+
+  const order = new Order({
+    _id: orderId,
+    orderNumber: generateOrderNumber(),
+    customer: customerId,
+    items: orderItems,
+    pricing: {
+      subtotal,
+      tax,
+      shipping,
+      discount,
+      total
+    },
+    coupons,
+    shippingAddress,
+    billingAddress: billingAddress || { ...shippingAddress, sameAsShipping: true },
+    shipping: {
+      method: shippingMethod,
+      zone: shippingQuote.zone,
+      billableWeight: shippingQuote.billableWeight,
+      surcharges: shippingQuote.surcharges,
+      estimatedDelivery: shippingQuote.estimatedDelivery,
+      pickup: store ? { store: store._id } : undefined
+    },
+    payment: {
+      method: paymentMethod,
+      provider: paymentProvider.name
+    },
+    prescriptions: [...usedPrescriptions.values()],
+    screening: {
+      warnings,
+      requiresOverride
+    },
+    customerNotes,
+    subscription,
+    status: requiresOverride ? 'prescription_verification' : 'pending',
+    statusHistory: requiresOverride ? [{
+      status: 'prescription_verification',
+      note: 'High-severity screening warning - pharmacist review required',
+      timestamp: new Date()
+    }] : []
+  });
+  await order.save({ session });
+
+  // Record the fill on each prescription used (refill accounting)
+  for (const prescriptionId of usedPrescriptions.values()) {
+    await linkPrescriptionToOrder(prescriptionId, orderId, session);
+  }
+
+  // Clear user's cart
+  if (!subscription) {
+    await Cart.findOneAndUpdate(
+      { user: customerId },
+      { $set: { items: [], coupons: [], couponDiscount: 0 } },
+      { session }
+    );
+  }
+
+  return order;
+};
+
+// Place an order atomically: pricing, stock reservation, prescription linkage,
+// coupon redemption, order creation and cart clearing commit or roll back together.
+export const placeOrder = (orderData) =>
+  runInTransaction(session => buildAndSaveOrder(orderData, session));
+
+// Give back everything an order was holding when it is cancelled:
+// reserved stock, coupon redemptions and prescription fills
+export const releaseOrderHolds = async (orderId, { reason, session = null } = {}) => {
+  await releaseReservation(orderId, { reason, session });
+  await releaseCoupons(orderId, { session });
+  await unlinkPrescriptionsFromOrder(orderId, session);
+};
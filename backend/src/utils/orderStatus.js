@@ -0,0 +1,370 @@
+import Order from '../models/Order.js';
+import Prescription from '../models/Prescription.js';
+import StockReservation from '../models/StockReservation.js';
+import User from '../models/User.js';
+import { AppError } from './appError.js';
+import { sendEmail } from './email.js';
+import { logger } from './logger.js';
+import { commitReservation, restockOrderItems } from './stockReservation.js';
+import { releaseOrderHolds } from './orderPlacement.js';
+import { hasControlledItems, findControlledSignOff } from './controlledSubstances.js';
+import { getRefundableAmount, issueRefund } from './payments.js';
+import { startPickupHold, sendPickupCode } from './pickup.js';
+
+// Who moves orders along: customers (`user`), staff, and the store itself
+// (payment webhooks, scheduled tasks, carrier updates) as `system`
+const STAFF = ['admin', 'pharmacist'];
+const STAFF_OR_SYSTEM = [...STAFF, 'system'];
+const ANYONE = ['user', ...STAFF_OR_SYSTEM];
+
+const ROLE_LABELS = {
+  user: 'Customers',
+  pharmacist: 'Pharmacists',
+  admin: 'Admins',
+  system: 'Automatic updates'
+};
+
+const PAID_STATUSES = ['completed', 'partially_refunded'];
+const VERIFIED_PRESCRIPTION_STATUSES = ['verified', 'fulfilled'];
+
+const formatStatus = (status) => status.replace(/_/g, ' ');
+
+// Guards return why an order cannot make a transition, or null when it can.
+// Cash on delivery orders are paid at the door, so they go ahead unpaid.
+const paymentReceived = (order) =>
+  PAID_STATUSES.includes(order.payment.status) || order.payment.method === 'cash_on_delivery'
+    ? null
+    : `Payment for order ${order.orderNumber} has not been completed`;
+
+// Cash for pickup orders is taken at the counter before the handover
+const paymentCollected = (order) =>
+  PAID_STATUSES.includes(order.payment.status)
+    ? null
+    : 'Payment must be collected before the order is handed over';
+
+const paymentRefunded = (order) =>
+  order.payment.status === 'refunded' ? null : 'Only fully refunded orders can be marked refunded';
+
+// High-severity screening warnings hold the order until a pharmacist overrides them
+const screeningCleared = (order) =>
+  order.screening?.requiresOverride && !order.screening.overriddenAt
+    ? 'Screening warnings must be reviewed by a pharmacist first'
+    : null;
+
+const prescriptionsVerified = async (order, { session }) => {
+  const ids = [...order.prescriptions, ...order.items.map(item => item.prescription)].filter(Boolean);
+  if (ids.length === 0) return null;
+
+  const unverified = await Prescription.findOne({
+    _id: { $in: ids },
+    status: { $nin: VERIFIED_PRESCRIPTION_STATUSES }
+  }).select('prescriptionNumber status').session(session);
+
+  return unverified
+    ? `Prescription ${unverified.prescriptionNumber} must be verified first (currently ${formatStatus(unverified.status)})`
+    : null;
+};
+
+// Controlled substances cannot be dispensed before a pharmacist signs off. Every
+// status past `preparing` is reached through it, so checking there is enough.
+const controlledSignedOff = (order) =>
+  hasControlledItems(order) && !findControlledSignOff(order)
+    ? 'Pharmacist sign-off is required before dispensing controlled substances'
+    : null;
+
+const pickupOrder = (order) =>
+  order.shipping.method === 'pickup' ? null : 'Only pickup orders can be made ready for pickup';
+
+const deliveryOrder = (order) =>
+  order.shipping.method !== 'pickup' ? null : 'Pickup orders are handed over at the store, not shipped';
+
+// Set by the handover endpoint once staff have checked the code and ID
+const pickupHandedOver = (order) =>
+  order.shipping.pickup?.collectedAt ? null : 'Pickup orders are handed over with the customer\'s pickup code';
+
+// Allowed moves between Order.status values: from -> to -> { roles, guards }.
+// Anything not listed here is rejected.
+export const ORDER_TRANSITIONS = {
+  pending: {
+    confirmed: { roles: STAFF_OR_SYSTEM, guards: [paymentReceived, screeningCleared] },
+    prescription_verification: { roles: STAFF },
+    cancelled: { roles: ANYONE }
+  },
+  confirmed: {
+    prescription_verification: { roles: STAFF },
+    preparing: { roles: STAFF, guards: [paymentReceived, screeningCleared, controlledSignedOff] },
+    cancelled: { roles: ANYONE }
+  },
+  prescription_verification: {
+    pending: { roles: STAFF, guards: [screeningCleared, prescriptionsVerified] },
+    confirmed: { roles: STAFF, guards: [paymentReceived, screeningCleared, prescriptionsVerified] },
+    cancelled: { roles: ANYONE }
+  },
+  preparing: {
+    ready_for_pickup: { roles: STAFF, guards: [pickupOrder] },
+    shipped: { roles: STAFF_OR_SYSTEM, guards: [deliveryOrder] },
+    cancelled: { roles: STAFF }
+  },
+  ready_for_pickup: {
+    delivered: { roles: STAFF, guards: [paymentCollected, pickupHandedOver] },
+    cancelled: { roles: STAFF_OR_SYSTEM }
+  },
+  shipped: {
+    out_for_delivery: { roles: STAFF_OR_SYSTEM },
+    delivered: { roles: STAFF_OR_SYSTEM },
+    returned: { roles: STAFF_OR_SYSTEM }
+  },
+  out_for_delivery: {
+    delivered: { roles: STAFF_OR_SYSTEM },
+    returned: { roles: STAFF_OR_SYSTEM }
+  },
+  delivered: {
+    returned: { roles: STAFF_OR_SYSTEM }
+  },
+  cancelled: {},
+  returned: {},
+  refunded: {}
+};
+
+// A full refund closes any order except a cancelled one, which stays cancelled
+for (const [from, transitions] of Object.entries(ORDER_TRANSITIONS)) {
+  if (!['cancelled', 'refunded'].includes(from)) {
+    transitions.refunded = { roles: STAFF_OR_SYSTEM, guards: [paymentRefunded] };
+  }
+}
+
+// Put back stock that was already taken off the shelf for this order
+const restockCommittedItems = async (order, { actor, note, session }) => {
+  const committed = await StockReservation.exists({ order: order._id, status: 'committed' }).session(session);
+  if (committed) {
+    await restockOrderItems(order, null, { actor, note: `Cancellation of order ${order.orderNumber}: ${note}`, session });
+  }
+};
+
+// Side effects of entering a status, run in order before the order is saved.
+// A failing effect stops the transition; refunds go first so a declined refund
+// leaves the stock untouched.
+const STATUS_EFFECTS = {
+  confirmed: [
+    (order, { session }) => commitReservation(order._id, { session })
+  ],
+  cancelled: [
+    async (order, { actor, note, session }) => {
+      if (!PAID_STATUSES.includes(order.payment.status)) return;
+
+      try {
+        await issueRefund(order, {
+          amount: getRefundableAmount(order),
+          reason: note,
+          createdBy: actor,
+          idempotencyKey: `cancel-${order._id}`
+        });
+      } catch (error) {
+        if (error instanceof AppError) throw error;
+
+        logger.error(`Refund on cancelling order ${order.orderNumber} failed:`, error);
+        throw new AppError('Refund failed, so the order was not cancelled', 500);
+      }
+    },
+    async (order, { actor, note, session }) => {
+      await restockCommittedItems(order, { actor, note, session });
+      await releaseOrderHolds(order._id, { reason: note, session });
+    }
+  ],
+  // The customer gets the code in the ready email
+  ready_for_pickup: [
+    (order, context) => {
+      context.pickupCode = startPickupHold(order, context.now);
+    }
+  ],
+  delivered: [
+    (order, { now }) => {
+      order.shipping.actualDelivery = now;
+    }
+  ]
+};
+
+const notifyCustomer = async (order, note) => {
+  try {
+    const customer = order.customer?.email
+      ? order.customer
+      : await User.findById(order.customer).select('firstName email');
+    if (!customer) return;
+
+    await sendEmail({
+      email: customer.email,
+      subject: `Order ${formatStatus(order.status).toUpperCase()} - MedCare`,
+      template: 'orderStatusUpdate',
+      data: {
+        customerName: customer.firstName,
+        orderNumber: order.orderNumber,
+        status: formatStatus(order.status),
+        note,
+        trackingNumber: order.shipping.trackingNumber,
+        trackingUrl: order.shipping.trackingNumber ?
+          `${process.env.FRONTEND_URL}/track/${order.shipping.trackingNumber}` : null
+      }
+    });
+  } catch (error) {
+    logger.error('Failed to send status update email:', error);
+  }
+};
+
+// Whether the graph lets `role` move an order from one status to another;
+// guards are not checked
+export const canTransition = (from, to, role) =>
+  !!ORDER_TRANSITIONS[from]?.[to]?.roles.includes(role);
+
+// Statuses `role` may move the order to next, guards aside
+export const getNextStatuses = (order, role) =>
+  Object.keys(ORDER_TRANSITIONS[order.status] || {}).filter(to => canTransition(order.status, to, role));
+
+// Check a transition against the graph, the role and its guards, throwing an
+// AppError explaining the first thing that rules it out
+export const assertTransition = async (order, to, { role, session = null } = {}) => {
+  const from = order.status;
+
+  if (!ORDER_TRANSITIONS[to]) {
+    throw new AppError(`Unknown order status: ${to}`, 400);
+  }
+  if (from === to) {
+    throw new AppError(`Order ${order.orderNumber} is already ${formatStatus(to)}`, 400);
+  }
+
+  const transition = ORDER_TRANSITIONS[from]?.[to];
+  if (!transition) {
+    throw new AppError(`An order that is ${formatStatus(from)} cannot be moved to ${formatStatus(to)}`, 400);
+  }
+  if (!transition.roles.includes(role)) {
+    throw new AppError(`${ROLE_LABELS[role] || role} cannot move an order from ${formatStatus(from)} to ${formatStatus(to)}`, 403);
+  }
+
+  for (const guard of transition.guards || []) {
+    const problem = await guard(order, { session });
+    if (problem) {
+      throw new AppError(problem, 400);
+    }
+  }
+};
+
+// Move an order to a new status: check the transition, run the status's side
+// effects, record it in statusHistory, save, and email the customer (not for
+// changes they made themselves). Every change of Order.status goes through here.
+export const transitionOrder = async (order, to, {
+  role,
+  actor,
+  note,
+  notify = role !== 'user',
+  session = null,
+  now = new Date()
+} = {}) => {
+  await assertTransition(order, to, { role, session });
+
+  const context = { actor, note: note || `Order ${formatStatus(to)}`, session, now };
+  for (const effect of STATUS_EFFECTS[to] || []) {
+    await effect(order, context);
+  }
+
+  order.status = to;
+  order.statusHistory.push({
+    status: to,
+    note,
+    updatedBy: actor,
+    timestamp: now
+  });
+
+  await order.save({ session });
+
+  if (context.pickupCode) {
+    await sendPickupCode(order, context.pickupCode, { note });
+  } else if (notify) {
+    await notifyCustomer(order, note);
+  }
+
+  return order;
+};
+
+// Mark an order paid and commit its stock. Pending orders are confirmed; orders
+// held for pharmacist review stay there until released, and orders already on
+// their way (cash on delivery) keep their status. A payment that lands after
+// the order was cancelled (e.g. a retried card after the reservation expired)
+// is refunded in full and the order stays cancelled. Safe to call again for
+// the same payment (confirm endpoint and webhook both do).
+export const markOrderPaid = async (order, { transactionId, note = 'Payment confirmed', updatedBy, now = new Date() } = {}) => {
+  if (order.status === 'cancelled') {
+    if (['pending', 'processing', 'failed', 'cancelled'].includes(order.payment.status)) {
+      order.payment.status = 'completed';
+      order.payment.paidAt = now;
+      order.payment.transactionId = transactionId;
+
+      await issueRefund(order, {
+        amount: getRefundableAmount(order),
+        reason: 'Payment received after the order was cancelled',
+        createdBy: updatedBy,
+        idempotencyKey: `late-payment-${order._id}`
+      });
+
+      order.statusHistory.push({
+        status: order.status,
+        note: 'Payment received after the order was cancelled; refunded in full',
+        timestamp: now,
+        updatedBy
+      });
+      await order.save();
+    }
+
+    return order;
+  }
+
+  if (['pending', 'processing', 'failed'].includes(order.payment.status)) {
+    order.payment.status = 'completed';
+    order.payment.paidAt = now;
+    order.payment.transactionId = transactionId;
+
+    if (order.status === 'pending') {
+      await transitionOrder(order, 'confirmed', { role: 'system', actor: updatedBy, note, now });
+    } else {
+      order.statusHistory.push({
+        status: order.status,
+        note,
+        timestamp: now,
+        updatedBy
+      });
+      await order.save();
+    }
+  }
+
+  await commitReservation(order._id);
+
+  return order;
+};
+
+// Cancel pickup orders left at the store past their collect-by date. The
+// cancellation refunds paid orders and puts their stock back on sale.
+export const cancelUncollectedPickups = async (now = new Date()) => {
+  const orders = await Order.find({
+    status: 'ready_for_pickup',
+    'shipping.pickup.collectBy': { $lte: now }
+  });
+
+  let cancelled = 0;
+  let failed = 0;
+
+  for (const order of orders) {
+    try {
+      await transitionOrder(order, 'cancelled', {
+        role: 'system',
+        note: 'Not collected from the store in time',
+        now
+      });
+      cancelled += 1;
+    } catch (error) {
+      logger.error(`Cancelling uncollected order ${order.orderNumber} failed:`, error);
+      failed += 1;
+    }
+  }
+
+  logger.info(`Cancelled ${cancelled} uncollected pickup orders (${failed} failed)`);
+
+  return { due: orders.length, cancelled, failed };
+};
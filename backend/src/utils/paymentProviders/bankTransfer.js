@@ -0,0 +1,62 @@
+import { AppError } from '../appError.js';
+
+const getBankAccount = () => ({
+  bankName: process.env.BANK_TRANSFER_BANK_NAME,
+  accountName: process.env.BANK_TRANSFER_ACCOUNT_NAME,
+  accountNumber: process.env.BANK_TRANSFER_ACCOUNT_NUMBER,
+  routingNumber: process.env.BANK_TRANSFER_ROUTING_NUMBER
+});
+
+// Transfers to the pharmacy's bank account, matched to orders by staff from the
+// bank statement using the reference the customer was asked to quote
+const bankTransferProvider = {
+  name: 'bank_transfer',
+  online: false,
+
+  createPayment: async (order) => {
+    const account = getBankAccount();
+
+    if (!account.accountNumber) {
+      throw new AppError('Bank transfer payments are not available', 503);
+    }
+
+    return {
+      reference: order.orderNumber,
+      status: 'pending',
+      instructions: {
+        ...account,
+        reference: order.orderNumber,
+        amount: order.pricing.total,
+        message: `Transfer $${order.pricing.total.toFixed(2)} quoting ${order.orderNumber} as the payment reference. We'll confirm your order once the transfer arrives.`
+      }
+    };
+  },
+
+  // Staff reconcile a transfer seen on the bank statement against the order
+  confirmPayment: async (order, { amount, transactionId }) => {
+    if (!transactionId) {
+      throw new AppError('Bank statement reference is required', 400);
+    }
+
+    if (Math.round(amount * 100) !== Math.round(order.pricing.total * 100)) {
+      throw new AppError(
+        `Amount received ($${Number(amount).toFixed(2)}) does not match the order total ($${order.pricing.total.toFixed(2)})`,
+        400
+      );
+    }
+
+    return {
+      status: 'succeeded',
+      transactionId
+    };
+  },
+
+  // Transfers back to the customer are made from online banking; this only records them
+  refundPayment: async (order, { amount }) => ({
+    amount: Math.round(amount * 100),
+    status: 'succeeded',
+    created: Math.floor(Date.now() / 1000)
+  })
+};
+
+export default bankTransferProvider;
@@ -0,0 +1,43 @@
+import { AppError } from '../appError.js';
+
+// Order statuses at which the driver or counter staff hand over the order
+const COLLECTION_STATUSES = ['ready_for_pickup', 'out_for_delivery', 'delivered'];
+
+// Cash collected by staff when the order is handed over
+const cashOnDeliveryProvider = {
+  name: 'cash_on_delivery',
+  online: false,
+
+  createPayment: async (order) => ({
+    status: 'pending',
+    instructions: {
+      message: `Please have $${order.pricing.total.toFixed(2)} in cash ready when your order arrives.`,
+      amount: order.pricing.total
+    }
+  }),
+
+  // Staff record the cash they took; it must cover the order in full
+  confirmPayment: async (order, { amount, transactionId }) => {
+    if (!COLLECTION_STATUSES.includes(order.status)) {
+      throw new AppError('Cash can only be collected once the order is out for delivery or ready for pickup', 400);
+    }
+
+    if (Math.round(amount * 100) !== Math.round(order.pricing.total * 100)) {
+      throw new AppError(`Amount collected must match the order total of $${order.pricing.total.toFixed(2)}`, 400);
+    }
+
+    return {
+      status: 'succeeded',
+      transactionId: transactionId || `COD-${order.orderNumber}`
+    };
+  },
+
+  // Cash refunds are paid out by staff; this only records them
+  refundPayment: async (order, { amount }) => ({
+    amount: Math.round(amount * 100),
+    status: 'succeeded',
+    created: Math.floor(Date.now() / 1000)
+  })
+};
+
+export default cashOnDeliveryProvider;
@@ -0,0 +1,103 @@
+import crypto from 'crypto';
+import { AppError } from '../appError.js';
+
+// In-memory stand-in for a card processor, for tests and local development.
+// Payments resolve to FAKE_PAYMENT_STATUS (default `succeeded`) unless a test
+// sets them with setFakePaymentStatus. Webhooks take Stripe-shaped events
+// signed with FAKE_PAYMENT_WEBHOOK_SECRET in the X-Fake-Signature header.
+const payments = new Map();
+const idempotentResults = new Map();
+
+// There is no default: a known secret would let anyone confirm payments by webhook
+const getWebhookSecret = () => {
+  if (!process.env.FAKE_PAYMENT_WEBHOOK_SECRET) {
+    throw new AppError('FAKE_PAYMENT_WEBHOOK_SECRET must be set to use the fake payment provider', 500);
+  }
+  return process.env.FAKE_PAYMENT_WEBHOOK_SECRET;
+};
+
+const newId = (prefix) => `${prefix}_fake_${crypto.randomBytes(8).toString('hex')}`;
+
+// Replay the first result for a repeated idempotency key, like Stripe does
+const once = (key, create) => {
+  if (!key) return create();
+  if (!idempotentResults.has(key)) {
+    idempotentResults.set(key, create());
+  }
+  return idempotentResults.get(key);
+};
+
+export const getFakePayment = (reference) => payments.get(reference);
+
+export const setFakePaymentStatus = (reference, status) => {
+  const payment = payments.get(reference);
+  if (payment) payment.status = status;
+  return payment;
+};
+
+export const signFakeWebhook = (rawBody) =>
+  crypto.createHmac('sha256', getWebhookSecret()).update(rawBody).digest('hex');
+
+export const resetFakePayments = () => {
+  payments.clear();
+  idempotentResults.clear();
+};
+
+const fakeProvider = {
+  name: 'fake',
+  online: true,
+
+  createPayment: async (order, { currency = 'usd', idempotencyKey }) => {
+    const payment = once(idempotencyKey, () => {
+      const created = {
+        id: newId('pi'),
+        amount: Math.round(order.pricing.total * 100),
+        currency,
+        status: process.env.FAKE_PAYMENT_STATUS || 'succeeded',
+        refunds: []
+      };
+      payments.set(created.id, created);
+      return created;
+    });
+
+    return {
+      reference: payment.id,
+      status: 'processing',
+      clientSecret: `${payment.id}_secret`
+    };
+  },
+
+  confirmPayment: async (order, { reference }) => {
+    const payment = payments.get(reference);
+
+    return {
+      status: payment?.status === 'succeeded' ? 'succeeded'
+        : payment?.status === 'failed' ? 'failed' : 'pending',
+      transactionId: reference
+    };
+  },
+
+  refundPayment: async (order, { amount, idempotencyKey }) => once(idempotencyKey, () => {
+    const refund = {
+      id: newId('re'),
+      amount: Math.round(amount * 100),
+      status: 'succeeded',
+      created: Math.floor(Date.now() / 1000)
+    };
+    payments.get(order.payment.reference)?.refunds.push(refund);
+    return refund;
+  }),
+
+  verifyWebhook: (rawBody, headers) => {
+    const expected = Buffer.from(signFakeWebhook(rawBody));
+    const received = Buffer.from(headers['x-fake-signature'] || '');
+
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      throw new Error('Invalid fake webhook signature');
+    }
+
+    return JSON.parse(rawBody.toString());
+  }
+};
+
+export default fakeProvider;
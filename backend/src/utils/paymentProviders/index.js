@@ -0,0 +1,63 @@
+import { AppError } from '../appError.js';
+import stripeProvider from './stripe.js';
+import cashOnDeliveryProvider from './cashOnDelivery.js';
+import bankTransferProvider from './bankTransfer.js';
+import fakeProvider from './fake.js';
+
+// Every provider implements:
+//   createPayment(order, { currency, user, idempotencyKey })
+//     -> { reference, status: 'processing' | 'pending', clientSecret?, instructions? }
+//   confirmPayment(order, { reference, amount, transactionId })
+//     -> { status: 'succeeded' | 'pending' | 'failed', transactionId }
+//   refundPayment(order, { amount, reason, idempotencyKey })
+//     -> Stripe-shaped refund: { id?, amount (cents), status, created }
+//   verifyWebhook(rawBody, headers) -> Stripe-shaped event (online providers only)
+// Online providers are confirmed by the customer and their webhooks; offline ones
+// (cash on delivery, bank transfer) by staff.
+const providers = Object.fromEntries(
+  [stripeProvider, cashOnDeliveryProvider, bankTransferProvider, fakeProvider]
+    .map(provider => [provider.name, provider])
+);
+
+// Provider behind each Order.payment.method. Card payments go through Stripe
+// unless CARD_PAYMENT_PROVIDER picks another (`fake` for tests).
+const METHOD_PROVIDERS = {
+  card: () => process.env.CARD_PAYMENT_PROVIDER || 'stripe',
+  cash_on_delivery: () => 'cash_on_delivery',
+  bank_transfer: () => 'bank_transfer'
+};
+
+export const getPaymentProvider = (name) => {
+  const provider = providers[name];
+
+  if (!provider) {
+    throw new AppError(`Unknown payment provider: ${name}`, 400);
+  }
+
+  if (provider === fakeProvider) {
+    if (process.env.NODE_ENV === 'production') {
+      throw new AppError('The fake payment provider cannot be used in production', 500);
+    }
+    if (!process.env.FAKE_PAYMENT_WEBHOOK_SECRET) {
+      throw new AppError('FAKE_PAYMENT_WEBHOOK_SECRET must be set to use the fake payment provider', 500);
+    }
+  }
+
+  return provider;
+};
+
+export const getProviderForMethod = (method) => {
+  const resolve = METHOD_PROVIDERS[method];
+
+  if (!resolve) {
+    throw new AppError(`Payment by ${method.replace(/_/g, ' ')} is not available`, 400);
+  }
+
+  return getPaymentProvider(resolve());
+};
+
+// Orders placed before providers were recorded on them paid by method alone
+export const getOrderProvider = (order) =>
+  order.payment.provider
+    ? getPaymentProvider(order.payment.provider)
+    : getProviderForMethod(order.payment.method);
@@ -0,0 +1,69 @@
+import Stripe from 'stripe';
+
+let client;
+
+// Created on first use so STRIPE_SECRET_KEY is read after dotenv has loaded
+const getClient = () => {
+  if (!client) {
+    client = new Stripe(process.env.STRIPE_SECRET_KEY);
+  }
+  return client;
+};
+
+// Card payments through Stripe payment intents
+const stripeProvider = {
+  name: 'stripe',
+  online: true,
+
+  createPayment: async (order, { currency = 'usd', user, idempotencyKey }) => {
+    const paymentIntent = await getClient().paymentIntents.create({
+      amount: Math.round(order.pricing.total * 100), // Convert to cents
+      currency,
+      metadata: {
+        orderId: order._id.toString(),
+        userId: user.id,
+        userEmail: user.email
+      },
+      automatic_payment_methods: {
+        enabled: true
+      }
+    }, { idempotencyKey });
+
+    return {
+      reference: paymentIntent.id,
+      status: 'processing',
+      clientSecret: paymentIntent.client_secret
+    };
+  },
+
+  // Only an intent Stripe reports as succeeded completes the order
+  confirmPayment: async (order, { reference }) => {
+    const paymentIntent = await getClient().paymentIntents.retrieve(reference);
+
+    return {
+      status: paymentIntent.status === 'succeeded' ? 'succeeded'
+        : paymentIntent.status === 'canceled' ? 'failed' : 'pending',
+      transactionId: paymentIntent.id
+    };
+  },
+
+  refundPayment: (order, { amount, reason, idempotencyKey }) =>
+    getClient().refunds.create({
+      payment_intent: order.payment.reference || order.payment.stripePaymentIntentId,
+      amount: Math.round(amount * 100),
+      reason: 'requested_by_customer',
+      metadata: {
+        orderId: order._id.toString(),
+        reason
+      }
+    }, { idempotencyKey }),
+
+  verifyWebhook: (rawBody, headers) =>
+    getClient().webhooks.constructEvent(
+      rawBody,
+      headers['stripe-signature'],
+      process.env.STRIPE_WEBHOOK_SECRET
+    )
+};
+
+export default stripeProvider;
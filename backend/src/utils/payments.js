@@ -0,0 +1,140 @@
+import Order from '../models/Order.js';
+import PaymentEvent from '../models/PaymentEvent.js';
+import { getOrderProvider } from './paymentProviders/index.js';
+
+// Amounts are stored in dollars; compare and add them in cents
+const toCents = (amount) => Math.round((amount || 0) * 100);
+
+// Refunds that have gone, or are going, back to the customer
+const ACTIVE_REFUND_STATUSES = ['pending', 'succeeded'];
+
+// A webhook still `processing` after this long is assumed to have died mid-way
+const STALE_EVENT_MS = 5 * 60 * 1000;
+
+const refundedCents = (order) => order.payment.refunds
+  .filter(refund => ACTIVE_REFUND_STATUSES.includes(refund.status))
+  .reduce((sum, refund) => sum + toCents(refund.amount), 0);
+
+export const getRefundableAmount = (order) =>
+  Math.max(0, toCents(order.pricing.total) - refundedCents(order)) / 100;
+
+// Find the order a provider payment reference belongs to. Stripe orders from
+// before providers were recorded only carry stripePaymentIntentId.
+export const findOrderByReference = (provider, reference) => {
+  if (!reference) return null;
+
+  return Order.findOne(provider === 'stripe'
+    ? { $or: [{ 'payment.reference': reference }, { 'payment.stripePaymentIntentId': reference }] }
+    : { 'payment.provider': provider, 'payment.reference': reference });
+};
+
+// Record a provider refund on the order, or update the status of one already recorded
+export const recordRefund = (order, refund, { reason, createdBy } = {}) => {
+  const existing = refund.id && order.payment.refunds.find(entry => entry.providerRefundId === refund.id);
+
+  if (existing) {
+    existing.status = refund.status;
+    return existing;
+  }
+
+  order.payment.refunds.push({
+    providerRefundId: refund.id,
+    amount: refund.amount / 100,
+    status: refund.status,
+    reason: reason || refund.metadata?.reason || refund.reason,
+    createdBy,
+    createdAt: refund.created ? new Date(refund.created * 1000) : new Date()
+  });
+
+  const recorded = order.payment.refunds[order.payment.refunds.length - 1];
+  order.payment.refundedAt = recorded.createdAt;
+  order.payment.refundReason = recorded.reason;
+
+  return recorded;
+};
+
+// Bring the order's refunds in line with a charge.refunded event. Refunds issued
+// from the provider's dashboard are added; when the charge does not list its refunds,
+// whatever amount_refunded has beyond what is recorded is added as one refund.
+export const syncChargeRefunds = (order, charge) => {
+  for (const refund of charge.refunds?.data || []) {
+    recordRefund(order, refund);
+  }
+
+  const missing = charge.amount_refunded - refundedCents(order);
+  if (missing > 0) {
+    recordRefund(order, {
+      amount: missing,
+      status: 'succeeded',
+      reason: 'Refunded by the payment provider'
+    });
+  }
+};
+
+// Set the refund total and payment status from the order's refunds. Moving a
+// fully refunded order to `refunded` is left to the caller (utils/orderStatus.js).
+export const applyRefundTotals = (order) => {
+  const refunded = refundedCents(order);
+  order.payment.refundAmount = refunded / 100;
+
+  if (refunded === 0) {
+    if (['partially_refunded', 'refunded'].includes(order.payment.status)) {
+      order.payment.status = 'completed';
+    }
+    return;
+  }
+
+  if (refunded < toCents(order.pricing.total)) {
+    order.payment.status = 'partially_refunded';
+    return;
+  }
+
+  order.payment.status = 'refunded';
+};
+
+// Refund `amount` through the order's payment provider and record it on the
+// order, which the caller saves. Offline providers only record the refund;
+// staff pay the customer back directly.
+export const issueRefund = async (order, { amount, reason, createdBy, idempotencyKey }) => {
+  const provider = getOrderProvider(order);
+  const refund = await provider.refundPayment(order, { amount, reason, idempotencyKey });
+
+  const entry = recordRefund(order, refund, { reason, createdBy });
+  applyRefundTotals(order);
+
+  return { provider, refund, entry };
+};
+
+// Claim a provider webhook event for processing. Returns null when the event has
+// already been handled, or another delivery of it is being handled right now.
+// Deliveries of events that failed (or whose handler died) are picked up again.
+export const claimPaymentEvent = async (event, provider = 'stripe') => {
+  const object = event.data.object;
+
+  try {
+    return await PaymentEvent.create({
+      provider,
+      eventId: event.id,
+      type: event.type,
+      paymentIntentId: object.object === 'payment_intent' ? object.id : object.payment_intent,
+      objectId: object.id,
+      providerCreatedAt: event.created ? new Date(event.created * 1000) : undefined,
+      payload: object
+    });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+
+  return PaymentEvent.findOneAndUpdate(
+    {
+      provider,
+      eventId: event.id,
+      $or: [
+        { status: 'failed' },
+        { status: 'processing', updatedAt: { $lt: new Date(Date.now() - STALE_EVENT_MS) } }
+      ]
+    },
+    { $set: { status: 'processing' }, $unset: { error: 1 }, $inc: { attempts: 1 } },
+    { new: true }
+  );
+};
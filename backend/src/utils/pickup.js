@@ -0,0 +1,87 @@
+import crypto from 'crypto';
+import Order from '../models/Order.js';
+import Store from '../models/Store.js';
+import User from '../models/User.js';
+import { sendEmail } from './email.js';
+import { logger } from './logger.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Wrong codes accepted for an order before staff must have a new one issued
+export const MAX_PICKUP_CODE_ATTEMPTS = 5;
+
+// Days a ready order waits at the store before it is cancelled
+export const getPickupHoldDays = () => {
+  const days = parseInt(process.env.PICKUP_HOLD_DAYS, 10);
+  return Number.isNaN(days) ? 7 : days;
+};
+
+const hashPickupCode = (code) =>
+  crypto.createHash('sha256').update(String(code)).digest('hex');
+
+// Give the order a new six-digit pickup code, replacing any earlier one. Only
+// its hash is stored; the code itself is returned for the customer's email.
+// The caller saves the order.
+export const issuePickupCode = (order, now = new Date()) => {
+  const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+
+  order.shipping.pickup.codeHash = hashPickupCode(code);
+  order.shipping.pickup.codeIssuedAt = now;
+  order.shipping.pickup.failedAttempts = 0;
+
+  return code;
+};
+
+// Whether `code` is the order's current pickup code. The order must have been
+// loaded with +shipping.pickup.codeHash.
+export const verifyPickupCode = (order, code) => {
+  const stored = order.shipping.pickup?.codeHash;
+  if (!stored || !code) return false;
+
+  return crypto.timingSafeEqual(Buffer.from(stored, 'hex'), Buffer.from(hashPickupCode(code), 'hex'));
+};
+
+// Count an attempt against the order's pickup code before the code is checked, so
+// guesses sent at the same moment cannot get past MAX_PICKUP_CODE_ATTEMPTS between
+// them. Returns the order with its code hash, or null once no attempts are left.
+export const takePickupCodeAttempt = (orderId) =>
+  Order.findOneAndUpdate(
+    { _id: orderId, 'shipping.pickup.failedAttempts': { $lt: MAX_PICKUP_CODE_ATTEMPTS } },
+    { $inc: { 'shipping.pickup.failedAttempts': 1 } },
+    { new: true }
+  ).select('+shipping.pickup.codeHash');
+
+// Email the customer their pickup code with the store and collect-by date. Never throws.
+export const sendPickupCode = async (order, code, { note } = {}) => {
+  try {
+    const [customer, store] = await Promise.all([
+      order.customer?.email ? order.customer : User.findById(order.customer).select('firstName email'),
+      Store.findById(order.shipping.pickup.store)
+    ]);
+    if (!customer) return;
+
+    await sendEmail({
+      email: customer.email,
+      template: 'pickupReady',
+      data: {
+        customerName: customer.firstName,
+        orderNumber: order.orderNumber,
+        code,
+        store,
+        collectBy: order.shipping.pickup.collectBy,
+        note
+      }
+    });
+  } catch (error) {
+    logger.error(`Failed to send pickup code for order ${order.orderNumber}:`, error);
+  }
+};
+
+// Mark an order ready at the store: issue its code and start the hold period.
+// Returns the code; the caller saves the order.
+export const startPickupHold = (order, now = new Date()) => {
+  order.shipping.pickup.readyAt = now;
+  order.shipping.pickup.collectBy = new Date(now.getTime() + getPickupHoldDays() * DAY_MS);
+
+  return issuePickupCode(order, now);
+};
@@ -0,0 +1,164 @@
+import mongoose from 'mongoose';
+import Prescription from '../models/Prescription.js';
+import { AppError } from './appError.js';
+
+// Refills across the medications a pharmacist did not reject
+const allowedRefillsExpr = {
+  $sum: {
+    $map: {
+      input: { $filter: { input: '$medications', cond: { $ne: ['$$this.review.status', 'rejected'] } } },
+      in: '$$this.refills'
+    }
+  }
+};
+
+const normalize = (value) => (value || '').toLowerCase().replace(/[^a-z0-9.]/g, '');
+
+// A medication covers a product when it was mapped to it by the pharmacist,
+// or when its name carries the product's active ingredient at the same strength.
+// Medications the pharmacist rejected never cover anything.
+export const medicationMatchesProduct = (medication, product) => {
+  if (medication.review?.status === 'rejected') return false;
+
+  if (medication.product) {
+    return medication.product.toString() === product._id.toString();
+  }
+
+  const ingredient = normalize(product.activeIngredient);
+  return !!ingredient &&
+    normalize(medication.name).includes(ingredient) &&
+    normalize(medication.dosage) === normalize(product.strength);
+};
+
+// Load the customer's prescriptions by id and make sure each one can be dispensed against
+export const loadPrescriptionsForOrder = async (customerId, prescriptionIds, session = null) => {
+  const ids = [...new Set((prescriptionIds || []).map(id => (id?._id || id).toString()))];
+
+  if (ids.length === 0) return [];
+
+  if (ids.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+    throw new AppError('Invalid prescription ID', 400);
+  }
+
+  const prescriptions = await Prescription.find({ _id: { $in: ids }, patient: customerId }, null, { session });
+
+  if (prescriptions.length !== ids.length) {
+    throw new AppError('Prescription not found', 404);
+  }
+
+  for (const prescription of prescriptions) {
+    if (prescription.status !== 'verified') {
+      throw new AppError(`Prescription ${prescription.prescriptionNumber} has not been verified`, 400);
+    }
+
+    if (prescription.isExpired) {
+      throw new AppError(`Prescription ${prescription.prescriptionNumber} has expired`, 400);
+    }
+
+    if (prescription.orders.length > 0 && prescription.remainingRefills === 0) {
+      throw new AppError(`Prescription ${prescription.prescriptionNumber} has no refills remaining`, 400);
+    }
+  }
+
+  return prescriptions;
+};
+
+// Find the prescription and medication that authorise `quantity` units of `product`.
+// `allocated` tracks quantities already drawn from each medication in this order.
+export const matchPrescription = (product, quantity, prescriptions, { preferredId, allocated }) => {
+  const candidates = preferredId
+    ? prescriptions.filter(p => p._id.toString() === preferredId.toString())
+    : prescriptions;
+
+  for (const prescription of candidates) {
+    for (const medication of prescription.medications) {
+      if (!medicationMatchesProduct(medication, product)) continue;
+
+      const key = medication._id.toString();
+      const used = allocated.get(key) || 0;
+
+      if (used + quantity > medication.quantity) {
+        throw new AppError(
+          `Quantity for ${product.name} exceeds the ${medication.quantity} prescribed on ${prescription.prescriptionNumber}`,
+          400
+        );
+      }
+
+      allocated.set(key, used + quantity);
+      return { prescription, medication };
+    }
+  }
+
+  throw new AppError(`Prescription required for ${product.name}`, 400);
+};
+
+// Record an order against a prescription. The first order is the original fill and
+// every later one uses a refill, so refillsUsed always equals orders - 1. The filter
+// re-checks status, expiry and the refill budget so concurrent orders cannot overdraw it.
+export const linkPrescriptionToOrder = async (prescriptionId, orderId, session = null) => {
+  // Pipeline updates are not cast by Mongoose
+  orderId = new mongoose.Types.ObjectId(orderId);
+
+  const prescription = await Prescription.findOneAndUpdate(
+    {
+      _id: prescriptionId,
+      status: 'verified',
+      expiryDate: { $gt: new Date() },
+      orders: { $ne: orderId },
+      $expr: { $lte: [{ $size: '$orders' }, allowedRefillsExpr] }
+    },
+    [
+      {
+        $set: {
+          orders: { $concatArrays: ['$orders', [orderId]] },
+          refillsUsed: { $size: '$orders' }
+        }
+      },
+      {
+        $set: {
+          status: {
+            $cond: [
+              { $gt: [{ $size: '$orders' }, allowedRefillsExpr] },
+              'fulfilled',
+              '$status'
+            ]
+          }
+        }
+      }
+    ],
+    { new: true, session }
+  );
+
+  if (!prescription) {
+    throw new AppError('Prescription is no longer available for dispensing', 409);
+  }
+
+  return prescription;
+};
+
+// Undo the linkage for a cancelled order and reopen a prescription it had exhausted
+export const unlinkPrescriptionsFromOrder = async (orderId, session = null) => {
+  orderId = new mongoose.Types.ObjectId(orderId);
+
+  await Prescription.updateMany(
+    { orders: orderId },
+    [
+      {
+        $set: {
+          orders: {
+            $filter: { input: '$orders', cond: { $ne: ['$$this', orderId] } }
+          }
+        }
+      },
+      {
+        $set: {
+          refillsUsed: { $max: [0, { $subtract: [{ $size: '$orders' }, 1] }] },
+          status: {
+            $cond: [{ $eq: ['$status', 'fulfilled'] }, 'verified', '$status']
+          }
+        }
+      }
+    ],
+    { session }
+  );
+};
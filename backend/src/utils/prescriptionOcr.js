@@ -0,0 +1,130 @@
+import Prescription from '../models/Prescription.js';
+import Product from '../models/Product.js';
+import { parsePrescriptionText } from '@medcare/prescription-parser';
+import { processOCR } from './ocrProcessor.js';
+import { enqueueJob, registerJobHandler, updateJobProgress } from './jobQueue.js';
+import { notifyPharmacistsOfPrescription } from './prescriptionWorkbench.js';
+import { logger } from './logger.js';
+
+export const PRESCRIPTION_OCR_JOB = 'prescription_ocr';
+
+// Queue OCR for every image on the prescription and hold it in `processing` until done
+export const enqueuePrescriptionOcr = async (prescription) => {
+  const job = await enqueueJob(
+    PRESCRIPTION_OCR_JOB,
+    { prescriptionId: prescription._id.toString() },
+    { maxAttempts: parseInt(process.env.OCR_JOB_MAX_ATTEMPTS) || 3 }
+  );
+
+  prescription.ocrJob = job._id;
+  prescription.ocrPages = [];
+  prescription.status = 'processing';
+  await prescription.save();
+
+  return job;
+};
+
+const combinePages = (pages) => {
+  const ordered = [...pages].sort((a, b) => a.page - b.page);
+
+  return {
+    text: ordered
+      .map(page => (ordered.length > 1 ? `--- Page ${page.page} ---\n${page.text}` : page.text))
+      .join('\n\n'),
+    confidence: ordered.length > 0
+      ? Math.round(ordered.reduce((sum, page) => sum + page.confidence, 0) / ordered.length)
+      : undefined
+  };
+};
+
+// Read medications and header fields out of the OCR text, matched against the live catalog
+const applyOcrResult = async (prescription, pages) => {
+  const combined = combinePages(pages);
+  prescription.extractedText = combined.text;
+  prescription.ocrConfidence = combined.confidence;
+
+  const catalog = await Product.find({ isActive: true })
+    .select('name activeIngredient strength dosageForm')
+    .lean();
+
+  prescription.ocrParsed = {
+    ...parsePrescriptionText(combined.text, { catalog, ocrConfidence: combined.confidence }),
+    parsedAt: new Date()
+  };
+
+  return combined;
+};
+
+// Save the OCR result and leave `processing` for the verification queue
+const releaseToVerification = async (prescription) => {
+  const entersQueue = prescription.status === 'processing';
+  const firstTimeQueued = entersQueue && !prescription.sla?.queuedAt;
+
+  if (entersQueue) {
+    prescription.status = 'pending_verification';
+  }
+  await prescription.save();
+
+  if (firstTimeQueued) {
+    await notifyPharmacistsOfPrescription(prescription);
+  }
+};
+
+// Superseded jobs (the prescription was reprocessed) must not touch the prescription
+const loadForJob = async (job) => {
+  const prescription = await Prescription.findById(job.payload.prescriptionId);
+
+  if (!prescription || prescription.ocrJob?.toString() !== job._id.toString()) {
+    return null;
+  }
+
+  return prescription;
+};
+
+const processPrescriptionOcrJob = async (job) => {
+  const prescription = await loadForJob(job);
+
+  if (!prescription) {
+    return { skipped: true };
+  }
+
+  const total = prescription.images.length;
+
+  for (const [index, image] of prescription.images.entries()) {
+    const page = index + 1;
+
+    // Pages finished by an earlier attempt are kept, so a retry resumes where it stopped
+    if (prescription.ocrPages.some(entry => entry.page === page)) continue;
+
+    const { text, confidence } = await processOCR(image.url);
+
+    prescription.ocrPages.push({ page, imageUrl: image.url, text, confidence });
+    await prescription.save();
+    await updateJobProgress(job, prescription.ocrPages.length, total);
+  }
+
+  const combined = await applyOcrResult(prescription, prescription.ocrPages);
+  await releaseToVerification(prescription);
+
+  return {
+    pages: prescription.ocrPages.length,
+    confidence: combined.confidence,
+    medications: prescription.ocrParsed.medications.length
+  };
+};
+
+// Out of retries: keep whatever pages were read and hand the scan to a pharmacist
+const handleOcrJobFailure = async (job, error) => {
+  const prescription = await loadForJob(job);
+  if (!prescription) return;
+
+  logger.warn(`OCR gave up on prescription ${prescription.prescriptionNumber}: ${error.message}`);
+
+  if (prescription.ocrPages.length > 0) {
+    await applyOcrResult(prescription, prescription.ocrPages);
+  }
+
+  await releaseToVerification(prescription);
+};
+
+registerJobHandler(PRESCRIPTION_OCR_JOB, processPrescriptionOcrJob, { onFailed: handleOcrJobFailure });
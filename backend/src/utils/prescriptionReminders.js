@@ -0,0 +1,160 @@
+import Prescription from '../models/Prescription.js';
+import Order from '../models/Order.js';
+import { sendEmail } from './email.js';
+import { logger } from './logger.js';
+import { durationToDays } from '@medcare/prescription-parser';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Statuses a prescription can still leave; anything else is already final
+const OPEN_STATUSES = [
+  'pending_upload',
+  'uploaded',
+  'processing',
+  'pending_verification',
+  'awaiting_information',
+  'verified'
+];
+
+const getExpiryReminderDays = () => parseInt(process.env.PRESCRIPTION_EXPIRY_REMINDER_DAYS) || 14;
+const getRefillReminderDays = () => parseInt(process.env.REFILL_REMINDER_LEAD_DAYS) || 3;
+
+const wantsEmail = (patient) => patient?.isActive && patient.preferences?.emailNotifications !== false;
+
+const activeMedications = (prescription) =>
+  prescription.medications.filter(medication => medication.review?.status !== 'rejected');
+
+const prescriptionUrl = (prescription) => `${process.env.FRONTEND_URL}/prescriptions/${prescription._id}`;
+
+// Move prescriptions past their expiry date to `expired`, wherever they are in review.
+// Expired prescriptions drop out of the verification queue and can't be dispensed.
+export const expirePrescriptions = async (now = new Date()) => {
+  const result = await Prescription.updateMany(
+    { status: { $in: OPEN_STATUSES }, expiryDate: { $lte: now } },
+    {
+      $set: { status: 'expired', isValid: false, expiredAt: now },
+      $unset: { claim: 1 }
+    }
+  );
+
+  if (result.modifiedCount > 0) {
+    logger.info(`Expired ${result.modifiedCount} prescriptions`);
+  }
+
+  return { expired: result.modifiedCount };
+};
+
+// Warn patients PRESCRIPTION_EXPIRY_REMINDER_DAYS before a verified prescription
+// they can still order against expires. Sent once per prescription.
+export const sendExpiryReminders = async (now = new Date()) => {
+  const prescriptions = await Prescription.find({
+    status: 'verified',
+    expiryDate: { $gt: now, $lte: new Date(now.getTime() + getExpiryReminderDays() * DAY_MS) },
+    'reminders.expirySentAt': null
+  }).populate('patient', 'firstName email isActive preferences');
+
+  let sent = 0;
+  let skipped = 0;
+
+  for (const prescription of prescriptions) {
+    if (!wantsEmail(prescription.patient)) {
+      skipped += 1;
+      continue;
+    }
+
+    try {
+      await sendEmail({
+        email: prescription.patient.email,
+        template: 'prescriptionExpiring',
+        data: {
+          patientName: prescription.patient.firstName,
+          prescriptionNumber: prescription.prescriptionNumber,
+          doctorName: `Dr. ${prescription.doctor.name}`,
+          expiryDate: prescription.expiryDate,
+          remainingRefills: prescription.orders.length > 0 ? prescription.remainingRefills : null,
+          medications: activeMedications(prescription).map(medication => medication.name),
+          prescriptionUrl: prescriptionUrl(prescription)
+        }
+      });
+    } catch (error) {
+      logger.error(`Failed to send expiry reminder for prescription ${prescription.prescriptionNumber}:`, error);
+      continue;
+    }
+
+    await Prescription.updateOne(
+      { _id: prescription._id },
+      { $set: { 'reminders.expirySentAt': now } }
+    );
+    sent += 1;
+  }
+
+  return { due: prescriptions.length, sent, skipped };
+};
+
+// Remind patients to reorder when the supply from their last order is about to run
+// out. Supply lasts as long as the shortest medication duration on the prescription
+// (open-ended durations are ignored); the reminder goes out REFILL_REMINDER_LEAD_DAYS
+// before that, once per order.
+export const sendRefillReminders = async (now = new Date()) => {
+  const prescriptions = await Prescription.find({
+    status: 'verified',
+    expiryDate: { $gt: now },
+    'orders.0': { $exists: true }
+  }).populate('patient', 'firstName email isActive preferences');
+
+  let due = 0;
+  let sent = 0;
+  let skipped = 0;
+
+  for (const prescription of prescriptions) {
+    if (prescription.remainingRefills === 0) continue;
+
+    const supplyDays = activeMedications(prescription)
+      .map(medication => durationToDays(medication.duration))
+      .filter(Boolean);
+    if (supplyDays.length === 0) continue;
+
+    const lastOrder = await Order.findOne({ _id: { $in: prescription.orders } })
+      .sort({ createdAt: -1 })
+      .select('createdAt');
+    if (!lastOrder || lastOrder._id.equals(prescription.reminders?.refillOrder)) continue;
+
+    const dueAt = new Date(lastOrder.createdAt.getTime() + Math.min(...supplyDays) * DAY_MS);
+    if (now < new Date(dueAt.getTime() - getRefillReminderDays() * DAY_MS)) continue;
+
+    due += 1;
+
+    if (!wantsEmail(prescription.patient)) {
+      skipped += 1;
+      continue;
+    }
+
+    try {
+      await sendEmail({
+        email: prescription.patient.email,
+        template: 'refillReminder',
+        data: {
+          patientName: prescription.patient.firstName,
+          prescriptionNumber: prescription.prescriptionNumber,
+          medications: activeMedications(prescription).map(medication => medication.name),
+          lastOrderedAt: lastOrder.createdAt,
+          dueAt,
+          remainingRefills: prescription.remainingRefills,
+          expiryDate: prescription.expiryDate,
+          prescriptionUrl: prescriptionUrl(prescription)
+        }
+      });
+    } catch (error) {
+      logger.error(`Failed to send refill reminder for prescription ${prescription.prescriptionNumber}:`, error);
+      continue;
+    }
+
+    await Prescription.updateOne(
+      { _id: prescription._id },
+      { $set: { 'reminders.refillOrder': lastOrder._id, 'reminders.refillSentAt': now } }
+    );
+    sent += 1;
+  }
+
+  return { due, sent, skipped };
+};
@@ -0,0 +1,149 @@
+import mongoose from 'mongoose';
+import Prescription from '../models/Prescription.js';
+import User from '../models/User.js';
+import { AppError } from './appError.js';
+import { sendEmail } from './email.js';
+import { logger } from './logger.js';
+
+// Queue statuses a pharmacist can work on
+export const QUEUE_STATUSES = ['pending_verification', 'awaiting_information'];
+
+const PRIORITY_ORDER = ['low', 'normal', 'high', 'urgent'];
+
+export const MEDICATION_REVIEW_FIELDS = ['name', 'dosage', 'frequency', 'duration', 'instructions', 'quantity', 'refills'];
+
+const getClaimExpiry = (now = new Date()) => {
+  const ttlMinutes = parseInt(process.env.PRESCRIPTION_CLAIM_TTL_MINUTES) || 30;
+  return new Date(now.getTime() + ttlMinutes * 60 * 1000);
+};
+
+export const isClaimActive = (prescription, now = new Date()) =>
+  !!prescription.claim?.pharmacist && prescription.claim.expiresAt > now;
+
+// Claim (or extend the caller's claim on) a prescription. The filter only matches when
+// nobody else holds a live claim, so two pharmacists can never hold it at once.
+export const claimPrescription = async (prescriptionId, userId, now = new Date()) => {
+  const prescription = await Prescription.findOneAndUpdate(
+    {
+      _id: prescriptionId,
+      status: { $in: QUEUE_STATUSES },
+      $or: [
+        { 'claim.pharmacist': null },
+        { 'claim.expiresAt': { $lte: now } },
+        { 'claim.pharmacist': userId }
+      ]
+    },
+    [{
+      $set: {
+        'claim.pharmacist': new mongoose.Types.ObjectId(userId),
+        // Keep the original claim time when the caller is only extending it
+        'claim.claimedAt': {
+          $cond: [
+            {
+              $and: [
+                { $eq: ['$claim.pharmacist', new mongoose.Types.ObjectId(userId)] },
+                { $gt: ['$claim.expiresAt', now] }
+              ]
+            },
+            '$claim.claimedAt',
+            now
+          ]
+        },
+        'claim.expiresAt': getClaimExpiry(now)
+      }
+    }],
+    { new: true }
+  );
+
+  if (prescription) return prescription;
+
+  const existing = await Prescription.findById(prescriptionId).select('status claim');
+
+  if (!existing) {
+    throw new AppError('Prescription not found', 404);
+  }
+
+  if (!QUEUE_STATUSES.includes(existing.status)) {
+    throw new AppError(`Prescription is ${existing.status.replace('_', ' ')} and not awaiting review`, 400);
+  }
+
+  throw new AppError('Prescription is being reviewed by another pharmacist', 409);
+};
+
+// Drop a claim. Only the holder may release it unless `force` is set (admins).
+export const releaseClaim = async (prescriptionId, userId, { force = false } = {}) => {
+  const filter = { _id: prescriptionId };
+  if (!force) filter['claim.pharmacist'] = userId;
+
+  return Prescription.findOneAndUpdate(filter, { $unset: { claim: 1 } }, { new: true });
+};
+
+// Page through the verification queue, most urgent and oldest first
+export const getVerificationQueue = async ({ status, claimed, breached, userId, page = 1, limit = 20 }, now = new Date()) => {
+  const match = { status: status || 'pending_verification' };
+
+  if (claimed === 'mine') {
+    match['claim.pharmacist'] = new mongoose.Types.ObjectId(userId);
+    match['claim.expiresAt'] = { $gt: now };
+  } else if (claimed === 'unclaimed') {
+    match.$or = [{ 'claim.pharmacist': null }, { 'claim.expiresAt': { $lte: now } }];
+  }
+
+  if (breached) {
+    match['sla.dueAt'] = { $lt: now };
+    match['sla.pausedAt'] = null;
+  }
+
+  const [results, total] = await Promise.all([
+    Prescription.aggregate([
+      { $match: match },
+      { $addFields: { priorityRank: { $indexOfArray: [PRIORITY_ORDER, '$priority'] } } },
+      { $sort: { priorityRank: -1, 'sla.queuedAt': 1, createdAt: 1 } },
+      { $skip: (page - 1) * limit },
+      { $limit: limit },
+      { $project: { priorityRank: 0 } }
+    ]),
+    Prescription.countDocuments(match)
+  ]);
+
+  const prescriptions = await Prescription.populate(
+    results.map(result => Prescription.hydrate(result)),
+    [
+      { path: 'patient', select: 'firstName lastName email phone' },
+      { path: 'claim.pharmacist', select: 'firstName lastName' }
+    ]
+  );
+
+  return {
+    total,
+    entries: prescriptions.map(prescription => ({
+      ...prescription.toJSON(),
+      slaStatus: prescription.getSlaStatus(now),
+      claimActive: isClaimActive(prescription, now)
+    }))
+  };
+};
+
+// Email every active pharmacist that a prescription joined the verification queue
+export const notifyPharmacistsOfPrescription = async (prescription) => {
+  try {
+    const patient = await User.findById(prescription.patient).select('firstName lastName');
+    const pharmacists = await User.find({ role: 'pharmacist', isActive: true });
+
+    for (const pharmacist of pharmacists) {
+      await sendEmail({
+        email: pharmacist.email,
+        subject: 'New Prescription for Verification - MedCare',
+        template: 'newPrescription',
+        data: {
+          pharmacistName: pharmacist.firstName,
+          patientName: patient ? `${patient.firstName} ${patient.lastName}` : 'Unknown patient',
+          prescriptionId: prescription._id,
+          verificationUrl: `${process.env.ADMIN_URL}/prescriptions/${prescription._id}`
+        }
+      });
+    }
+  } catch (error) {
+    logger.error('Failed to notify pharmacists:', error);
+  }
+};
@@ -0,0 +1,236 @@
+import mongoose from 'mongoose';
+import Product from '../models/Product.js';
+import Supplier from '../models/Supplier.js';
+import PurchaseOrder from '../models/PurchaseOrder.js';
+import StockMovement from '../models/StockMovement.js';
+import { AppError } from './appError.js';
+import { generatePurchaseOrderNumber } from './helpers.js';
+import { receiveStockLot } from './stockLots.js';
+import { runInTransaction } from './transaction.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Purchase orders that still have units on the way
+export const OPEN_PO_STATUSES = ['draft', 'sent', 'partially_received'];
+
+const getVelocityDays = () => parseInt(process.env.REORDER_VELOCITY_DAYS) || 30;
+const getCoverDays = () => parseInt(process.env.REORDER_COVER_DAYS) || 30;
+
+// Units sold per day for each product over the last `days`, from the inventory ledger
+const getSalesVelocity = async (productIds, days, now) => {
+  const sales = await StockMovement.aggregate([
+    {
+      $match: {
+        product: { $in: productIds },
+        reason: 'sale',
+        createdAt: { $gte: new Date(now.getTime() - days * DAY_MS) }
+      }
+    },
+    { $group: { _id: '$product', sold: { $sum: { $multiply: ['$quantityDelta', -1] } } } }
+  ]);
+
+  return new Map(sales.map(entry => [entry._id.toString(), entry.sold / days]));
+};
+
+// Units still to be delivered on open purchase orders, per product
+const getOnOrderQuantities = async (productIds) => {
+  const onOrder = await PurchaseOrder.aggregate([
+    { $match: { status: { $in: OPEN_PO_STATUSES }, 'items.product': { $in: productIds } } },
+    { $unwind: '$items' },
+    { $match: { 'items.product': { $in: productIds } } },
+    {
+      $group: {
+        _id: '$items.product',
+        quantity: { $sum: { $max: [0, { $subtract: ['$items.quantityOrdered', '$items.quantityReceived'] }] } }
+      }
+    }
+  ]);
+
+  return new Map(onOrder.map(entry => [entry._id.toString(), entry.quantity]));
+};
+
+// Products to restock and how many to order. A product needs reordering when the
+// stock free to sell plus what is already on order will not last the supplier's
+// lead time at the recent sales rate, or is at its low-stock threshold. The
+// suggested quantity covers the lead time plus REORDER_COVER_DAYS of sales and
+// tops stock back up to the threshold, rounded up to the supplier's minimum.
+export const buildReorderSuggestions = async ({ supplier: supplierId, category } = {}, now = new Date()) => {
+  const productFilter = { isActive: true };
+  if (category) productFilter.category = category;
+
+  const supplierFilter = { isActive: true };
+  if (supplierId) supplierFilter._id = supplierId;
+
+  const suppliers = await Supplier.find(supplierFilter).select('name code leadTimeDays products');
+
+  // Cheapest active supplier for each product
+  const offers = new Map();
+  for (const supplier of suppliers) {
+    for (const offer of supplier.products) {
+      const key = offer.product.toString();
+      const current = offers.get(key);
+      if (!current || (offer.unitCost ?? Infinity) < (current.offer.unitCost ?? Infinity)) {
+        offers.set(key, { supplier, offer });
+      }
+    }
+  }
+
+  if (supplierId) {
+    productFilter._id = { $in: [...offers.keys()].map(id => new mongoose.Types.ObjectId(id)) };
+  }
+
+  const products = await Product.find(productFilter).select('name sku stock costPrice');
+  const productIds = products.map(product => product._id);
+  const velocityDays = getVelocityDays();
+
+  const [velocity, onOrder] = await Promise.all([
+    getSalesVelocity(productIds, velocityDays, now),
+    getOnOrderQuantities(productIds)
+  ]);
+
+  const suggestions = [];
+
+  for (const product of products) {
+    const key = product._id.toString();
+    const source = offers.get(key);
+    const leadTimeDays = source?.supplier.leadTimeDays ?? 7;
+    const dailySales = velocity.get(key) || 0;
+    const available = Math.max(0, product.stock.quantity - product.stock.reserved);
+    const incoming = onOrder.get(key) || 0;
+    const projected = available + incoming;
+    const reorderPoint = Math.max(product.stock.lowStockThreshold, Math.ceil(dailySales * leadTimeDays));
+
+    if (projected > reorderPoint) continue;
+
+    const target = Math.ceil(dailySales * (leadTimeDays + getCoverDays())) + product.stock.lowStockThreshold;
+    const minOrderQuantity = source?.offer.minOrderQuantity || 1;
+    const quantity = Math.ceil(Math.max(1, target - projected) / minOrderQuantity) * minOrderQuantity;
+
+    suggestions.push({
+      product: { _id: product._id, name: product.name, sku: product.sku },
+      supplier: source ? { _id: source.supplier._id, name: source.supplier.name, code: source.supplier.code } : null,
+      supplierSku: source?.offer.supplierSku,
+      unitCost: source?.offer.unitCost ?? product.costPrice,
+      available,
+      onOrder: incoming,
+      lowStockThreshold: product.stock.lowStockThreshold,
+      dailySales: Math.round(dailySales * 100) / 100,
+      daysOfStock: dailySales > 0 ? Math.floor(projected / dailySales) : null,
+      leadTimeDays,
+      suggestedQuantity: quantity
+    });
+  }
+
+  // Products that will run out soonest first
+  return suggestions.sort((a, b) => (a.daysOfStock ?? Infinity) - (b.daysOfStock ?? Infinity));
+};
+
+// Build purchase order items, filling names, SKUs and costs from the catalog and supplier terms
+export const buildPurchaseOrderItems = async (supplier, items) => {
+  const products = await Product.find({ _id: { $in: items.map(item => item.product) } }).select('name sku costPrice');
+  const productsById = new Map(products.map(product => [product._id.toString(), product]));
+
+  return items.map(item => {
+    const product = productsById.get(item.product.toString());
+    if (!product) {
+      throw new AppError(`Product ${item.product} not found`, 404);
+    }
+
+    const offer = supplier.products.find(entry => entry.product.toString() === item.product.toString());
+
+    return {
+      product: product._id,
+      name: product.name,
+      sku: product.sku,
+      supplierSku: offer?.supplierSku,
+      quantityOrdered: item.quantity,
+      unitCost: item.unitCost ?? offer?.unitCost ?? product.costPrice
+    };
+  });
+};
+
+export const draftPurchaseOrder = async ({ supplier: supplierId, items, expectedAt, notes }, { userId } = {}) => {
+  const supplier = await Supplier.findById(supplierId);
+
+  if (!supplier || !supplier.isActive) {
+    throw new AppError('Supplier not found', 404);
+  }
+
+  return PurchaseOrder.create({
+    poNumber: generatePurchaseOrderNumber(),
+    supplier: supplier._id,
+    items: await buildPurchaseOrderItems(supplier, items),
+    expectedAt: expectedAt || new Date(Date.now() + supplier.leadTimeDays * DAY_MS),
+    notes,
+    createdBy: userId,
+    statusHistory: [{ status: 'draft', note: 'Purchase order created', updatedBy: userId }]
+  });
+};
+
+// Book a delivery against a purchase order. Every line becomes a stock lot (or tops
+// up an existing one) and a receipt in the inventory ledger; the order moves to
+// partially_received or received. Lots, stock and the order commit together.
+export const receiveGoods = (purchaseOrderId, { lines, note }, { userId } = {}) =>
+  runInTransaction(async (session) => {
+    const purchaseOrder = await PurchaseOrder.findById(purchaseOrderId).session(session);
+
+    if (!purchaseOrder) {
+      throw new AppError('Purchase order not found', 404);
+    }
+    if (!['sent', 'partially_received'].includes(purchaseOrder.status)) {
+      throw new AppError(`Cannot receive goods on a ${purchaseOrder.status.replace('_', ' ')} purchase order`, 400);
+    }
+
+    const receiptLines = [];
+
+    for (const line of lines) {
+      const item = purchaseOrder.items.id(line.item);
+
+      if (!item) {
+        throw new AppError(`Item ${line.item} is not on purchase order ${purchaseOrder.poNumber}`, 400);
+      }
+
+      const outstanding = item.quantityOrdered - item.quantityReceived;
+      if (line.quantity > outstanding) {
+        throw new AppError(`Only ${outstanding} units of ${item.name} are outstanding`, 400);
+      }
+
+      const lot = await receiveStockLot({
+        product: item.product,
+        lotNumber: line.lotNumber,
+        expiryDate: line.expiryDate,
+        manufacturingDate: line.manufacturingDate,
+        quantity: line.quantity,
+        costPrice: item.unitCost
+      }, { actor: userId, reference: purchaseOrder.poNumber, session });
+
+      item.quantityReceived += line.quantity;
+      receiptLines.push({
+        item: item._id,
+        product: item.product,
+        lot: lot._id,
+        lotNumber: lot.lotNumber,
+        expiryDate: lot.expiryDate,
+        quantity: line.quantity
+      });
+    }
+
+    const now = new Date();
+    const complete = purchaseOrder.items.every(item => item.quantityReceived >= item.quantityOrdered);
+
+    purchaseOrder.receipts.push({ receivedAt: now, receivedBy: userId, note, lines: receiptLines });
+    purchaseOrder.status = complete ? 'received' : 'partially_received';
+    purchaseOrder.statusHistory.push({
+      status: purchaseOrder.status,
+      timestamp: now,
+      note: note || `Received ${receiptLines.reduce((sum, line) => sum + line.quantity, 0)} units`,
+      updatedBy: userId
+    });
+    if (complete) {
+      purchaseOrder.receivedAt = now;
+    }
+
+    await purchaseOrder.save({ session });
+
+    return purchaseOrder;
+  });
@@ -0,0 +1,319 @@
+import ReturnRequest from '../models/ReturnRequest.js';
+import Product from '../models/Product.js';
+import Category from '../models/Category.js';
+import { AppError } from './appError.js';
+import { sendEmail } from './email.js';
+import { logger } from './logger.js';
+import { isControlled } from './controlledSubstances.js';
+import { restockOrderItems } from './stockReservation.js';
+import { getRefundableAmount, issueRefund } from './payments.js';
+import { transitionOrder, canTransition } from './orderStatus.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+// Return window for categories that do not set one, in days after delivery
+const getDefaultReturnWindow = () => {
+  const days = parseInt(process.env.RETURN_WINDOW_DAYS, 10);
+  return Number.isNaN(days) ? 30 : days;
+};
+
+// Returns still counting against the order's quantities
+const OPEN_RETURN_STATUSES = ['requested', 'approved', 'received', 'completed'];
+
+// Allowed moves between ReturnRequest.status values
+const RETURN_TRANSITIONS = {
+  requested: ['approved', 'rejected', 'cancelled'],
+  approved: ['received', 'cancelled'],
+  received: ['completed']
+};
+
+const PAID_STATUSES = ['completed', 'partially_refunded'];
+
+// Days after delivery a product can be returned: the first window set on its
+// category or the categories above it, else RETURN_WINDOW_DAYS. 0 means never.
+export const getReturnWindow = async (product) => {
+  let categoryId = product.category;
+
+  while (categoryId) {
+    const category = await Category.findById(categoryId).select('returnWindowDays parent');
+    if (!category) break;
+
+    if (category.returnWindowDays != null) {
+      return category.returnWindowDays;
+    }
+    categoryId = category.parent;
+  }
+
+  return getDefaultReturnWindow();
+};
+
+export const getDeliveredAt = (order) =>
+  order.shipping.actualDelivery ||
+  [...order.statusHistory].reverse().find(entry => entry.status === 'delivered')?.timestamp ||
+  null;
+
+// What the customer paid per unit of an order item: its share of the line
+// after the order discount, plus tax. Orders from before per-line tax only
+// have the price.
+const getUnitPaid = (item) =>
+  item.tax?.taxableAmount != null
+    ? (item.tax.taxableAmount + (item.tax.amount || 0)) / item.quantity
+    : item.price;
+
+// Units of each order item already on a return request, keyed by item id
+const getReturnedQuantities = async (orderId) => {
+  const returns = await ReturnRequest.find({
+    order: orderId,
+    status: { $in: OPEN_RETURN_STATUSES }
+  }).select('items.item items.quantity');
+
+  const returned = new Map();
+  for (const returnRequest of returns) {
+    for (const line of returnRequest.items) {
+      const key = line.item.toString();
+      returned.set(key, (returned.get(key) || 0) + line.quantity);
+    }
+  }
+  return returned;
+};
+
+// Units of each order item destroyed at return inspection, keyed by item id.
+// They left stock when sold and must never go back on sale.
+export const getDestroyedQuantities = async (orderId) => {
+  const returns = await ReturnRequest.find({ order: orderId, status: 'completed' })
+    .select('items.item items.quantity items.disposition');
+
+  const destroyed = new Map();
+  for (const returnRequest of returns) {
+    for (const line of returnRequest.items) {
+      if (line.disposition !== 'destroy') continue;
+
+      const key = line.item.toString();
+      destroyed.set(key, (destroyed.get(key) || 0) + line.quantity);
+    }
+  }
+  return destroyed;
+};
+
+// Every line of an order with how many units can still be returned, until when,
+// and why not when they cannot
+export const getReturnableItems = async (order, { now = new Date() } = {}) => {
+  const deliveredAt = getDeliveredAt(order);
+  const returned = await getReturnedQuantities(order._id);
+  const products = await Product.find({ _id: { $in: order.items.map(item => item.product) } })
+    .select('category');
+  const productsById = new Map(products.map(product => [product._id.toString(), product]));
+
+  const lines = [];
+  for (const item of order.items) {
+    const product = productsById.get(item.product.toString());
+    const windowDays = product ? await getReturnWindow(product) : getDefaultReturnWindow();
+    const returnBy = deliveredAt && windowDays > 0 ? new Date(deliveredAt.getTime() + windowDays * DAY_MS) : null;
+    const available = item.quantity - (returned.get(item._id.toString()) || 0);
+
+    let blockedReason = null;
+    if (order.status !== 'delivered') {
+      blockedReason = 'Only delivered orders can be returned';
+    } else if (windowDays === 0) {
+      blockedReason = `${item.name} cannot be returned`;
+    } else if (returnBy && returnBy < now) {
+      blockedReason = `The return window for ${item.name} closed on ${returnBy.toDateString()}`;
+    } else if (available <= 0) {
+      blockedReason = `All units of ${item.name} are already being returned`;
+    }
+
+    lines.push({
+      item: item._id,
+      product: item.product,
+      name: item.name,
+      quantity: item.quantity,
+      available: Math.max(0, available),
+      windowDays,
+      returnBy,
+      restockable: !item.prescriptionRequired && !isControlled(item),
+      unitRefund: roundCurrency(getUnitPaid(item)),
+      returnable: !blockedReason,
+      blockedReason
+    });
+  }
+
+  return lines;
+};
+
+// Build a return request for `lines` ({ item, quantity, reason }) of an order,
+// checking each against what can still be returned. The caller saves it.
+export const buildReturnRequest = async (order, lines, { customer, comments, photos = [], now = new Date() }) => {
+  const returnable = await getReturnableItems(order, { now });
+  const returnableById = new Map(returnable.map(line => [line.item.toString(), line]));
+
+  const items = lines.map(line => {
+    const entry = returnableById.get(line.item.toString());
+
+    if (!entry) {
+      throw new AppError(`Item ${line.item} is not on order ${order.orderNumber}`, 400);
+    }
+    if (!entry.returnable) {
+      throw new AppError(entry.blockedReason, 400);
+    }
+    if (line.quantity > entry.available) {
+      throw new AppError(`Only ${entry.available} units of ${entry.name} can be returned`, 400);
+    }
+
+    const item = order.items.id(line.item);
+    return {
+      item: item._id,
+      product: item.product,
+      name: item.name,
+      quantity: line.quantity,
+      reason: line.reason,
+      restockable: entry.restockable,
+      refundAmount: roundCurrency(getUnitPaid(item) * line.quantity)
+    };
+  });
+
+  if (new Set(items.map(item => item.item.toString())).size !== items.length) {
+    throw new AppError('Each order item can only appear once in a return', 400);
+  }
+
+  return new ReturnRequest({
+    order: order._id,
+    customer,
+    items,
+    comments,
+    photos,
+    statusHistory: [{ status: 'requested', note: comments, updatedBy: customer, timestamp: now }]
+  });
+};
+
+// Move a return request to `status`, rejecting moves the workflow does not allow
+export const setReturnStatus = (returnRequest, status, { actor, note, now = new Date() } = {}) => {
+  if (!RETURN_TRANSITIONS[returnRequest.status]?.includes(status)) {
+    throw new AppError(`A return that is ${returnRequest.status} cannot be ${status}`, 400);
+  }
+
+  returnRequest.status = status;
+  returnRequest.statusHistory.push({
+    status,
+    note,
+    updatedBy: actor,
+    timestamp: now
+  });
+};
+
+// Finish inspecting received goods. `dispositions` ({ item, disposition, note })
+// must cover every returned line; prescription and controlled items can only
+// be destroyed. The refund (the lines' paid amount unless `refundAmount` is
+// given) goes back through the order's payment provider before restocked
+// units go back on sale. Once every unit of the order has come back it moves
+// to `returned`. Saves both the order and the return request.
+export const completeReturn = async (returnRequest, order, {
+  dispositions,
+  refundAmount,
+  note,
+  actor,
+  role,
+  now = new Date()
+}) => {
+  if (!RETURN_TRANSITIONS[returnRequest.status]?.includes('completed')) {
+    throw new AppError(`A return that is ${returnRequest.status} cannot be completed`, 400);
+  }
+
+  const dispositionsById = new Map(dispositions.map(entry => [entry.item.toString(), entry]));
+  for (const line of returnRequest.items) {
+    const entry = dispositionsById.get(line.item.toString());
+
+    if (!entry) {
+      throw new AppError(`A disposition is required for ${line.name}`, 400);
+    }
+    if (entry.disposition === 'restock' && !line.restockable) {
+      throw new AppError(`${line.name} cannot be restocked: returned prescription and controlled medicines are destroyed`, 400);
+    }
+  }
+
+  const paid = PAID_STATUSES.includes(order.payment.status);
+  const refundable = paid ? getRefundableAmount(order) : 0;
+  const amount = refundAmount != null
+    ? roundCurrency(refundAmount)
+    : Math.min(refundable, roundCurrency(returnRequest.items.reduce((total, line) => total + line.refundAmount, 0)));
+
+  if (amount > refundable) {
+    throw new AppError(`Refund amount cannot exceed ${refundable.toFixed(2)}`, 400);
+  }
+
+  if (amount > 0) {
+    const { refund } = await issueRefund(order, {
+      amount,
+      reason: `Return ${returnRequest.returnNumber}`,
+      createdBy: actor,
+      idempotencyKey: `return-${returnRequest._id}`
+    });
+
+    returnRequest.refund = {
+      amount,
+      providerRefundId: refund.id,
+      refundedAt: now
+    };
+  }
+
+  const restockLines = [];
+  for (const line of returnRequest.items) {
+    const entry = dispositionsById.get(line.item.toString());
+    line.disposition = entry.disposition;
+    line.inspectionNote = entry.note;
+
+    if (entry.disposition === 'restock') {
+      restockLines.push({ item: line.item, quantity: line.quantity });
+    }
+  }
+
+  // Destroyed units left stock when they were sold, so only restocks move it
+  if (restockLines.length > 0) {
+    await restockOrderItems(order, restockLines, { actor, note: `Return ${returnRequest.returnNumber}` });
+  }
+
+  returnRequest.inspectedBy = actor;
+  returnRequest.completedAt = now;
+  setReturnStatus(returnRequest, 'completed', { actor, note, now });
+  await returnRequest.save();
+
+  const completed = await ReturnRequest.find({ order: order._id, status: 'completed' }).select('items.quantity');
+  const returnedUnits = completed.reduce(
+    (total, entry) => total + entry.items.reduce((sum, line) => sum + line.quantity, 0),
+    0
+  );
+  const orderedUnits = order.items.reduce((total, item) => total + item.quantity, 0);
+
+  const orderNote = `Items returned under ${returnRequest.returnNumber}`;
+  if (returnedUnits >= orderedUnits && canTransition(order.status, 'returned', role)) {
+    await transitionOrder(order, 'returned', { role, actor, note: orderNote, now });
+  } else if (order.payment.status === 'refunded' && canTransition(order.status, 'refunded', role)) {
+    await transitionOrder(order, 'refunded', { role, actor, note: orderNote, now });
+  } else {
+    order.statusHistory.push({ status: order.status, note: orderNote, updatedBy: actor, timestamp: now });
+    await order.save();
+  }
+
+  return returnRequest;
+};
+
+// Email the customer about their return. Never throws.
+export const sendReturnUpdate = async (returnRequest, { heading, message }) => {
+  try {
+    await returnRequest.populate('customer', 'firstName email');
+
+    await sendEmail({
+      email: returnRequest.customer.email,
+      template: 'returnUpdate',
+      data: {
+        name: returnRequest.customer.firstName,
+        heading,
+        message,
+        returnNumber: returnRequest.returnNumber
+      }
+    });
+  } catch (error) {
+    logger.error(`Failed to email return update for ${returnRequest.returnNumber}:`, error);
+  }
+};
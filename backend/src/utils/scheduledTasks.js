@@ -0,0 +1,54 @@
+import { registerScheduledTask } from './scheduler.js';
+import { releaseExpiredReservations } from './stockReservation.js';
+import { expireStockLots } from './stockLots.js';
+import { sendLowStockDigest } from './lowStockAlerts.js';
+import { expirePrescriptions, sendExpiryReminders, sendRefillReminders } from './prescriptionReminders.js';
+import { sendSubscriptionNotices, runDueSubscriptions } from './subscriptions.js';
+import { cancelUncollectedPickups } from './orderStatus.js';
+import { pollCarrierTracking } from './shipments.js';
+
+// Every recurring task the server runs. Called once at startup, after the
+// environment is loaded, before startScheduler() puts them on the clock.
+export const registerScheduledTasks = () => {
+  registerScheduledTask('release-expired-reservations', '0 0 * * *', () => releaseExpiredReservations(), {
+    description: 'Cancel unpaid orders past their reservation window and release their stock'
+  });
+
+  registerScheduledTask('expire-stock-lots', '0 0 * * *', () => expireStockLots(), {
+    description: 'Write off stock lots past their expiry date'
+  });
+
+  registerScheduledTask('low-stock-alerts', process.env.LOW_STOCK_ALERT_CRON || '0 7 * * *', () => sendLowStockDigest(), {
+    description: 'Email pharmacists and admins a digest of products that have reached their low-stock threshold'
+  });
+
+  registerScheduledTask('expire-prescriptions', '0 0 * * *', () => expirePrescriptions(), {
+    description: 'Move prescriptions past their expiry date to expired'
+  });
+
+  const reminderSchedule = process.env.PRESCRIPTION_REMINDER_CRON || '0 9 * * *';
+
+  registerScheduledTask('prescription-expiry-reminders', reminderSchedule, () => sendExpiryReminders(), {
+    description: 'Email patients whose verified prescriptions expire soon'
+  });
+
+  registerScheduledTask('refill-reminders', reminderSchedule, () => sendRefillReminders(), {
+    description: 'Email patients whose supply from their last order is running out'
+  });
+
+  registerScheduledTask('subscription-notices', reminderSchedule, () => sendSubscriptionNotices(), {
+    description: 'Tell customers about auto-refill orders coming up before they are placed'
+  });
+
+  registerScheduledTask('subscription-refills', process.env.SUBSCRIPTION_REFILL_CRON || '0 6 * * *', () => runDueSubscriptions(), {
+    description: 'Place auto-refill orders that have come due'
+  });
+
+  registerScheduledTask('cancel-uncollected-pickups', '0 * * * *', () => cancelUncollectedPickups(), {
+    description: 'Cancel pickup orders not collected by their collect-by date, refunding them and releasing their stock'
+  });
+
+  registerScheduledTask('poll-carrier-tracking', process.env.CARRIER_TRACKING_CRON || '*/30 * * * *', () => pollCarrierTracking(), {
+    description: 'Fetch new carrier scans for shipped orders and move them to out for delivery and delivered'
+  });
+};
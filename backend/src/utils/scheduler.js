@@ -0,0 +1,88 @@
+import os from 'os';
+import cron from 'node-cron';
+import ScheduledTaskRun from '../models/ScheduledTaskRun.js';
+import { AppError } from './appError.js';
+import { logger } from './logger.js';
+
+// Cron-driven maintenance tasks. Every run is recorded as a ScheduledTaskRun; a
+// scheduled slot can only be claimed once, so when several servers run the
+// scheduler each task still runs once per slot.
+
+const tasks = new Map();
+
+// Register `run` to fire on `schedule` (a cron expression). `run` resolves to a
+// summary that is stored on the run record.
+export const registerScheduledTask = (name, schedule, run, { description } = {}) => {
+  if (!cron.validate(schedule)) {
+    throw new Error(`Invalid cron expression for scheduled task ${name}: ${schedule}`);
+  }
+
+  tasks.set(name, { name, schedule, run, description });
+};
+
+export const getScheduledTasks = () =>
+  [...tasks.values()].map(({ name, schedule, description }) => ({ name, schedule, description }));
+
+const toSlot = (date) => {
+  const slot = new Date(date);
+  slot.setSeconds(0, 0);
+  return slot;
+};
+
+// Run a task now and record the outcome. Returns null when another server has
+// already claimed this scheduled slot.
+export const runScheduledTask = async (name, { trigger = 'schedule', userId, now = new Date() } = {}) => {
+  const task = tasks.get(name);
+
+  if (!task) {
+    throw new AppError(`Unknown scheduled task ${name}`, 404);
+  }
+
+  let run;
+  try {
+    run = await ScheduledTaskRun.create({
+      task: name,
+      trigger,
+      slot: toSlot(now),
+      startedAt: now,
+      triggeredBy: userId,
+      host: `${os.hostname()}:${process.pid}`
+    });
+  } catch (error) {
+    if (error.code === 11000) return null;
+    throw error;
+  }
+
+  try {
+    const result = await task.run();
+
+    run.status = 'succeeded';
+    run.result = result;
+  } catch (error) {
+    logger.error(`Scheduled task ${name} failed:`, error);
+
+    run.status = 'failed';
+    run.error = error.message;
+  }
+
+  run.finishedAt = new Date();
+  run.durationMs = run.finishedAt - run.startedAt;
+  await run.save();
+
+  return run;
+};
+
+// Schedule every registered task. Returns a function that stops them.
+export const startScheduler = () => {
+  const scheduled = [...tasks.values()].map(task =>
+    cron.schedule(task.schedule, () => {
+      runScheduledTask(task.name).catch(error => {
+        logger.error(`Could not record run of scheduled task ${task.name}:`, error);
+      });
+    })
+  );
+
+  logger.info(`Scheduled ${scheduled.length} task(s)`);
+
+  return () => scheduled.forEach(job => job.stop());
+};
@@ -0,0 +1,195 @@
+import Order from '../models/Order.js';
+import { AppError } from './appError.js';
+import { logger } from './logger.js';
+import { getCarrier, getDefaultCarrier } from './carriers/index.js';
+import { transitionOrder, canTransition } from './orderStatus.js';
+
+// Order status each kind of tracking event moves a shipped order to. Label and
+// exception scans only go on the timeline.
+const EVENT_ORDER_STATUSES = {
+  in_transit: 'shipped',
+  out_for_delivery: 'out_for_delivery',
+  delivered: 'delivered'
+};
+
+const DELIVERY_PATH = ['preparing', 'shipped', 'out_for_delivery', 'delivered'];
+
+// Orders whose parcels are still with the carrier
+const TRACKED_STATUSES = ['preparing', 'shipped', 'out_for_delivery'];
+
+const describeEvent = (event) =>
+  event.location ? `${event.description} (${event.location})` : event.description;
+
+// Buy a shipping label for an order being prepared and record its tracking
+// number. The order stays in `preparing` until the carrier scans the parcel.
+export const createShipmentLabel = async (order, { carrier: carrierName, service, actor, now = new Date() } = {}) => {
+  if (order.shipping.method === 'pickup') {
+    throw new AppError('Pickup orders are handed over at the store, not shipped', 400);
+  }
+  if (order.status !== 'preparing') {
+    throw new AppError('Labels can only be created for orders being prepared', 400);
+  }
+  if (order.shipping.label?.createdAt) {
+    throw new AppError(`Order ${order.orderNumber} already has a ${order.shipping.carrier} label (${order.shipping.trackingNumber})`, 400);
+  }
+
+  const carrier = carrierName ? getCarrier(carrierName) : getDefaultCarrier();
+
+  // Retrying after a failed save gets the same label back, not a second one
+  const label = await carrier.createLabel(order, { service, idempotencyKey: `label-${order._id}`, now });
+
+  order.shipping.carrier = carrier.name;
+  order.shipping.trackingNumber = label.trackingNumber;
+  order.shipping.label = {
+    url: label.labelUrl,
+    service: label.service,
+    createdAt: now
+  };
+  if (label.estimatedDelivery) {
+    order.shipping.estimatedDelivery = label.estimatedDelivery;
+  }
+  order.statusHistory.push({
+    status: order.status,
+    note: `Shipping label created with ${carrier.name} (${label.trackingNumber})`,
+    updatedBy: actor,
+    timestamp: now
+  });
+
+  await order.save();
+
+  return order;
+};
+
+// Move an order along the delivery path to where a tracking event says the
+// parcel is. Scans for a stage the order has already passed change nothing;
+// a delivery scan on an order still being prepared ships it first.
+const advanceOrder = async (order, event) => {
+  const target = EVENT_ORDER_STATUSES[event.status];
+  const current = DELIVERY_PATH.indexOf(order.status);
+  if (!target || current === -1 || current >= DELIVERY_PATH.indexOf(target)) return;
+
+  const steps = order.status === 'preparing' && target !== 'shipped' ? ['shipped', target] : [target];
+
+  for (const status of steps) {
+    if (!canTransition(order.status, status, 'system')) return;
+
+    await transitionOrder(order, status, {
+      role: 'system',
+      note: describeEvent(event),
+      now: event.occurredAt
+    });
+  }
+};
+
+// Record tracking events from a carrier on an order and move the order to
+// match. Events already recorded (by carrier event ID) are skipped, so polling
+// and webhooks can report the same scan. Delivery sets shipping.actualDelivery
+// to when the parcel was delivered. Returns the events that were new.
+export const applyTrackingEvents = async (order, events, { now = new Date() } = {}) => {
+  const recorded = new Set(order.shipping.trackingEvents.map(event => event.eventId));
+  const fresh = events
+    .filter(event => !recorded.has(event.eventId))
+    .sort((a, b) => a.occurredAt - b.occurredAt);
+
+  if (fresh.length === 0) return [];
+
+  for (const event of fresh) {
+    order.shipping.trackingEvents.push({
+      eventId: event.eventId,
+      status: event.status,
+      description: event.description,
+      location: event.location,
+      occurredAt: event.occurredAt,
+      recordedAt: now
+    });
+
+    try {
+      await advanceOrder(order, event);
+    } catch (error) {
+      if (!(error instanceof AppError)) throw error;
+
+      // A guard held the order back; the scan stays on the timeline
+      logger.warn(`Tracking event ${event.eventId} did not move order ${order.orderNumber}: ${error.message}`);
+    }
+  }
+
+  await order.save();
+
+  return fresh;
+};
+
+// Carrier scans and status changes of an order in one list, oldest first
+export const getOrderTimeline = (order) => [
+  ...order.statusHistory.map(entry => ({
+    type: 'status',
+    status: entry.status,
+    description: entry.note,
+    timestamp: entry.timestamp
+  })),
+  ...order.shipping.trackingEvents.map(event => ({
+    type: 'tracking',
+    status: event.status,
+    description: event.description,
+    location: event.location,
+    timestamp: event.occurredAt
+  }))
+].sort((a, b) => a.timestamp - b.timestamp);
+
+// Ask each order's carrier for new scans on parcels still out for delivery
+export const pollCarrierTracking = async (now = new Date()) => {
+  const orders = await Order.find({
+    status: { $in: TRACKED_STATUSES },
+    'shipping.label.createdAt': { $ne: null }
+  });
+
+  let updated = 0;
+  let failed = 0;
+
+  for (const order of orders) {
+    try {
+      const carrier = getCarrier(order.shipping.carrier);
+      const events = await carrier.getTracking(order.shipping.trackingNumber, { now });
+
+      if ((await applyTrackingEvents(order, events, { now })).length > 0) {
+        updated += 1;
+      }
+    } catch (error) {
+      logger.error(`Polling tracking for order ${order.orderNumber} failed:`, error);
+      failed += 1;
+    }
+  }
+
+  logger.info(`Polled tracking for ${orders.length} shipments: ${updated} updated, ${failed} failed`);
+
+  return { due: orders.length, updated, failed };
+};
+
+// Apply tracking events a carrier pushed to the orders they belong to. Events
+// for tracking numbers the store does not know are counted and dropped.
+export const ingestTrackingEvents = async (carrier, events, { now = new Date() } = {}) => {
+  const byTrackingNumber = new Map();
+  for (const event of events) {
+    const list = byTrackingNumber.get(event.trackingNumber) || [];
+    list.push(event);
+    byTrackingNumber.set(event.trackingNumber, list);
+  }
+
+  let applied = 0;
+  let unmatched = 0;
+
+  for (const [trackingNumber, list] of byTrackingNumber) {
+    const order = await Order.findOne({
+      'shipping.carrier': carrier.name,
+      'shipping.trackingNumber': trackingNumber
+    });
+
+    if (!order) {
+      unmatched += list.length;
+      continue;
+    }
+
+    applied += (await applyTrackingEvents(order, list, { now })).length;
+  }
+
+  return { applied, unmatched };
+};
@@ -0,0 +1,113 @@
+import ShippingZone from '../models/ShippingZone.js';
+import { AppError } from './appError.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+// Weight assumed for products with no shipping weight on file, in pounds
+const getDefaultItemWeight = () => parseFloat(process.env.DEFAULT_ITEM_WEIGHT_LB) || 0.5;
+
+// Rates used until a zone covers the address: the old flat $5.99 standard
+// shipping, free from $50
+const FALLBACK_ZONE = {
+  name: 'Default',
+  rates: [{ method: 'standard', baseRate: 5.99, includedWeight: 0, perPoundRate: 0, freeShippingThreshold: 50 }],
+  surcharges: { temperatureControlled: 0, specialHandling: 0 },
+  dimDivisor: 139
+};
+
+const specificity = (zone) =>
+  (zone.zipPrefixes.length > 0 ? 2 : 0) + (zone.states.length > 0 ? 1 : 0);
+
+// Zone for an address: the highest priority match, then the most specific
+// (ZIP prefix over state over everywhere)
+export const findShippingZone = async (address, session = null) => {
+  const state = (address?.state || '').trim().toUpperCase();
+  const zipCode = (address?.zipCode || '').trim();
+
+  const zones = await ShippingZone.find({
+    isActive: true,
+    $or: [{ states: state }, { states: { $size: 0 } }]
+  }).session(session);
+
+  return zones
+    .filter(zone => zone.zipPrefixes.length === 0 || zone.zipPrefixes.some(prefix => zipCode.startsWith(prefix)))
+    .sort((a, b) => b.priority - a.priority || specificity(b) - specificity(a))[0] || FALLBACK_ZONE;
+};
+
+// Billable weight of `items` ({ product, quantity }): each unit counts the
+// greater of its actual and dimensional weight, and the total rounds up to
+// the next pound like carriers bill it
+export const getBillableWeight = (items, dimDivisor) => {
+  const weight = items.reduce((total, { product, quantity }) => {
+    const { weight: actual, dimensions } = product.shipping || {};
+    const dimensional = dimensions?.length && dimensions?.width && dimensions?.height
+      ? (dimensions.length * dimensions.width * dimensions.height) / dimDivisor
+      : 0;
+
+    return total + Math.max(actual || getDefaultItemWeight(), dimensional) * quantity;
+  }, 0);
+
+  return Math.ceil(weight);
+};
+
+// Price every method available for `items` ({ product, price, quantity },
+// products with shipping fields loaded) shipped to `address`. Pickup is always
+// offered and always free.
+export const quoteShipping = async (items, { address, session = null, now = new Date() }) => {
+  const zone = await findShippingZone(address, session);
+  const subtotal = items.reduce((total, item) => total + item.price * item.quantity, 0);
+  const billableWeight = getBillableWeight(items, zone.dimDivisor);
+
+  const surcharges = [];
+  if (zone.surcharges.temperatureControlled > 0 &&
+      items.some(item => item.product.shipping?.temperatureControlled)) {
+    surcharges.push({ type: 'temperature_controlled', amount: zone.surcharges.temperatureControlled });
+  }
+  if (zone.surcharges.specialHandling > 0 &&
+      items.some(item => item.product.shipping?.requiresSpecialHandling)) {
+    surcharges.push({ type: 'special_handling', amount: zone.surcharges.specialHandling });
+  }
+  const surchargeTotal = surcharges.reduce((total, surcharge) => total + surcharge.amount, 0);
+
+  const options = zone.rates.map(rate => {
+    const extraWeight = Math.max(0, billableWeight - rate.includedWeight);
+    const freeShipping = rate.freeShippingThreshold != null && subtotal >= rate.freeShippingThreshold;
+    const carriage = freeShipping ? 0 : rate.baseRate + Math.ceil(extraWeight) * rate.perPoundRate;
+
+    return {
+      method: rate.method,
+      cost: roundCurrency(carriage + surchargeTotal),
+      carriage: roundCurrency(carriage),
+      surcharges,
+      freeShipping,
+      freeShippingThreshold: rate.freeShippingThreshold,
+      minDays: rate.minDays,
+      maxDays: rate.maxDays,
+      estimatedDelivery: rate.maxDays != null ? new Date(now.getTime() + rate.maxDays * DAY_MS) : undefined
+    };
+  });
+
+  options.push({
+    method: 'pickup',
+    cost: 0,
+    carriage: 0,
+    surcharges: [],
+    freeShipping: true
+  });
+
+  return { zone: zone.name, billableWeight, options };
+};
+
+// Price one shipping method for an order, failing when the zone does not offer it
+export const calculateShipping = async (items, { address, method = 'standard', session = null, now }) => {
+  const quote = await quoteShipping(items, { address, session, now });
+  const option = quote.options.find(entry => entry.method === method);
+
+  if (!option) {
+    throw new AppError(`${method} shipping is not available to ${address?.state || 'this address'}`, 400);
+  }
+
+  return { ...option, zone: quote.zone, billableWeight: quote.billableWeight };
+};
@@ -0,0 +1,403 @@
+import Product from '../models/Product.js';
+import StockLot from '../models/StockLot.js';
+import StockMovement from '../models/StockMovement.js';
+import { AppError } from './appError.js';
+import { applyStockMovement } from './inventoryLedger.js';
+import { logger } from './logger.js';
+
+// Lot-level inventory. Once a product has lots on record its stock.quantity is the
+// sum of its lots and every order draws from them first-expiry-first-out. Products
+// with no lots keep selling from the untracked stock.quantity as before.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const isLotTracked = async (productId, session = null) =>
+  !!(await StockLot.exists({ product: productId }).session(session));
+
+// Units of a lot that are neither on hold nor past their expiry
+const availableExpr = { $subtract: ['$quantity', '$reserved'] };
+
+// Hand units back to their lots. Units from lots that expired while they were on
+// hold cannot be sold again, so they are written off. Returns the written-off count.
+export const releaseLotAllocations = async (allocations = [], { session = null } = {}) => {
+  let writtenOff = 0;
+
+  for (const allocation of allocations) {
+    const lot = await StockLot.findOneAndUpdate(
+      { _id: allocation.lot },
+      [{
+        $set: {
+          reserved: { $max: [0, { $subtract: ['$reserved', allocation.quantity] }] },
+          quantity: {
+            $cond: [
+              { $eq: ['$status', 'expired'] },
+              { $max: [0, { $subtract: ['$quantity', allocation.quantity] }] },
+              '$quantity'
+            ]
+          },
+          writtenOffQuantity: {
+            $cond: [
+              { $eq: ['$status', 'expired'] },
+              { $add: ['$writtenOffQuantity', allocation.quantity] },
+              '$writtenOffQuantity'
+            ]
+          }
+        }
+      }],
+      { session }
+    );
+
+    if (lot?.status === 'expired') {
+      writtenOff += allocation.quantity;
+    }
+  }
+
+  return writtenOff;
+};
+
+// Take dispensed units out of their lots (payment received / order confirmed)
+export const commitLotAllocations = async (allocations = [], { session = null } = {}) => {
+  for (const allocation of allocations) {
+    await StockLot.updateOne(
+      { _id: allocation.lot },
+      [{
+        $set: {
+          reserved: { $max: [0, { $subtract: ['$reserved', allocation.quantity] }] },
+          quantity: { $max: [0, { $subtract: ['$quantity', allocation.quantity] }] }
+        }
+      }],
+      { session }
+    );
+  }
+};
+
+// Put `quantity` dispensed units back into the lots they were filled from, skipping
+// the first `offset` units of the allocations (already returned). Lots that have
+// expired since cannot take units back. Returns the lot entries restored and the
+// number of units that could not be.
+export const returnToLots = async (allocations = [], quantity, { offset = 0, session = null } = {}) => {
+  const lots = [];
+  let remaining = quantity;
+  let skip = offset;
+  let rejected = 0;
+
+  for (const allocation of allocations) {
+    if (remaining === 0) break;
+
+    const returnable = allocation.quantity - Math.min(skip, allocation.quantity);
+    skip = Math.max(0, skip - allocation.quantity);
+    if (returnable === 0) continue;
+
+    const units = Math.min(remaining, returnable);
+    remaining -= units;
+
+    const lot = await StockLot.findOneAndUpdate(
+      { _id: allocation.lot, status: 'active' },
+      { $inc: { quantity: units } },
+      { session }
+    );
+
+    if (lot) {
+      lots.push({ lot: allocation.lot, lotNumber: allocation.lotNumber, quantity: units });
+    } else {
+      rejected += units;
+    }
+  }
+
+  return { lots, rejected, unallocated: remaining };
+};
+
+// Hold `quantity` units of a product across its in-date lots, earliest expiry first.
+// Each lot update only succeeds while the lot still has the units free.
+export const allocateLots = async (productId, quantity, { name, session = null, now = new Date() } = {}) => {
+  const lots = await StockLot.find(
+    {
+      product: productId,
+      status: 'active',
+      expiryDate: { $gt: now },
+      $expr: { $gt: [availableExpr, 0] }
+    },
+    null,
+    { session }
+  ).sort({ expiryDate: 1, receivedAt: 1 });
+
+  const allocations = [];
+  let remaining = quantity;
+
+  for (const lot of lots) {
+    if (remaining === 0) break;
+
+    const take = Math.min(remaining, lot.quantity - lot.reserved);
+    const held = await StockLot.findOneAndUpdate(
+      {
+        _id: lot._id,
+        status: 'active',
+        expiryDate: { $gt: now },
+        $expr: { $gte: [availableExpr, take] }
+      },
+      { $inc: { reserved: take } },
+      { new: true, session }
+    );
+
+    // Another order took these units first; carry on with the next lot
+    if (!held) continue;
+
+    allocations.push({
+      lot: lot._id,
+      lotNumber: lot.lotNumber,
+      expiryDate: lot.expiryDate,
+      quantity: take
+    });
+    remaining -= take;
+  }
+
+  if (remaining > 0) {
+    // Outside a transaction the partial allocation has to be undone by hand
+    if (!session) {
+      await releaseLotAllocations(allocations);
+    }
+    throw new AppError(`Insufficient in-date stock for ${name || productId}`, 400);
+  }
+
+  return allocations;
+};
+
+// Put a product's untracked units into an opening lot when lot tracking starts.
+// The lot number and expiry default to the batch on the product record; without
+// one (or with an expired one) staff have to give them. Units still on hold for
+// earlier orders stay outside the lot so committing those orders still balances.
+// Stock counts do not change. Returns the lot, or null when there was nothing to move.
+export const openUntrackedStock = async (
+  productId,
+  { lotNumber, expiryDate, manufacturingDate } = {},
+  { actor, session = null, now = new Date() } = {}
+) => {
+  const product = await Product.findById(productId).select('name stock regulatory').session(session);
+  if (!product) {
+    throw new AppError('Product not found', 404);
+  }
+  if (await isLotTracked(productId, session)) {
+    throw new AppError(`${product.name} is already tracked by lot`, 400);
+  }
+
+  const untracked = Math.max(0, product.stock.quantity - product.stock.reserved);
+  if (untracked === 0) return null;
+
+  const number = (lotNumber || product.regulatory?.batchNumber || '').trim().toUpperCase();
+  const expiry = expiryDate ? new Date(expiryDate) : product.regulatory?.expiryDate;
+
+  if (!number || !expiry || expiry <= now) {
+    throw new AppError(
+      `${product.name} has ${untracked} units on hand that are not in a lot and no current batch on record; ` +
+      'record them as an opening lot with their batch number and expiry first',
+      400
+    );
+  }
+
+  // Two first receipts at once create the lot only once
+  const result = await StockLot.findOneAndUpdate(
+    { product: productId, lotNumber: number },
+    {
+      $setOnInsert: {
+        expiryDate: expiry,
+        manufacturingDate: manufacturingDate || product.regulatory?.manufacturingDate,
+        quantity: untracked,
+        receivedQuantity: untracked,
+        receivedAt: now
+      }
+    },
+    { new: true, upsert: true, setDefaultsOnInsert: true, runValidators: true, includeResultMetadata: true, session }
+  );
+  const lot = result.value;
+
+  if (result.lastErrorObject?.updatedExisting) return lot;
+
+  await StockMovement.create([{
+    product: productId,
+    reason: 'opening_balance',
+    quantityAfter: product.stock.quantity,
+    reservedAfter: product.stock.reserved,
+    lots: [{ lot: lot._id, lotNumber: lot.lotNumber, quantity: untracked }],
+    note: `Untracked stock moved into opening lot ${lot.lotNumber}`,
+    actor
+  }], { session });
+
+  logger.info(`Opened lot ${lot.lotNumber} with ${untracked} untracked units of ${product.name}`);
+
+  return lot;
+};
+
+// Record a delivered lot (or more units of a lot already on record) and add it to
+// the product's sellable stock
+export const receiveStockLot = async (
+  { product: productId, lotNumber, expiryDate, manufacturingDate, quantity, costPrice },
+  { actor, reference, session = null, now = new Date() } = {}
+) => {
+  const expiry = new Date(expiryDate);
+  const normalizedLotNumber = lotNumber.trim().toUpperCase();
+
+  if (expiry <= now) {
+    throw new AppError(`Lot ${normalizedLotNumber} is already expired`, 400);
+  }
+
+  const product = await Product.findById(productId).select('name stock').session(session);
+  if (!product) {
+    throw new AppError('Product not found', 404);
+  }
+
+  const existing = await StockLot.findOne({ product: productId, lotNumber: normalizedLotNumber }).session(session);
+
+  if (existing && existing.expiryDate.getTime() !== expiry.getTime()) {
+    throw new AppError(
+      `Lot ${normalizedLotNumber} is already recorded with expiry ${existing.expiryDate.toISOString().slice(0, 10)}`,
+      400
+    );
+  }
+  if (existing?.status === 'expired') {
+    throw new AppError(`Lot ${normalizedLotNumber} has expired`, 400);
+  }
+
+  // Units already on the shelf go into an opening lot before the first delivery
+  // is tracked, so a receipt never takes them off sale
+  if (!existing && !(await isLotTracked(productId, session))) {
+    await openUntrackedStock(productId, {}, { actor, session, now });
+  }
+
+  const lot = await StockLot.findOneAndUpdate(
+    { product: productId, lotNumber: normalizedLotNumber },
+    {
+      $inc: { quantity, receivedQuantity: quantity },
+      $setOnInsert: { expiryDate: expiry, manufacturingDate, costPrice, receivedAt: now }
+    },
+    { new: true, upsert: true, setDefaultsOnInsert: true, runValidators: true, session }
+  );
+
+  await applyStockMovement({
+    product: productId,
+    reason: 'receipt',
+    quantity,
+    lots: [{ lot: lot._id, lotNumber: lot.lotNumber, quantity }],
+    reference,
+    actor
+  }, { session });
+
+  return lot;
+};
+
+// Correct a lot's on-hand count after a stock take, damage or loss
+export const adjustStockLot = async (lotId, quantity, { reason = 'adjustment', note, actor, session = null } = {}) => {
+  const lot = await StockLot.findById(lotId).session(session);
+
+  if (!lot) {
+    throw new AppError('Stock lot not found', 404);
+  }
+  if (lot.status === 'expired') {
+    throw new AppError(`Lot ${lot.lotNumber} has expired and cannot be adjusted`, 400);
+  }
+  if (quantity < lot.reserved) {
+    throw new AppError(`Lot ${lot.lotNumber} has ${lot.reserved} units on hold for orders`, 400);
+  }
+
+  const delta = quantity - lot.quantity;
+
+  // Guarded on the old count so a concurrent allocation or adjustment is not overwritten
+  const updated = await StockLot.findOneAndUpdate(
+    { _id: lot._id, quantity: lot.quantity, reserved: { $lte: quantity }, status: 'active' },
+    { $set: { quantity } },
+    { new: true, session }
+  );
+
+  if (!updated) {
+    throw new AppError(`Lot ${lot.lotNumber} changed while it was being adjusted, please retry`, 409);
+  }
+
+  await applyStockMovement({
+    product: lot.product,
+    reason,
+    quantity: delta,
+    lots: [{ lot: lot._id, lotNumber: lot.lotNumber, quantity: delta }],
+    note,
+    actor
+  }, { session });
+
+  return { lot: updated, delta };
+};
+
+// Mark lots past their expiry date as expired and take their free units out of
+// sellable stock. Units on hold stay until the order commits or releases them.
+export const expireStockLots = async (now = new Date()) => {
+  const lots = await StockLot.find({ status: 'active', expiryDate: { $lte: now } }).select('_id');
+  let expired = 0;
+  let writtenOff = 0;
+
+  for (const { _id } of lots) {
+    // Returns the lot as it was, so the free units can be worked out from it
+    const lot = await StockLot.findOneAndUpdate(
+      { _id, status: 'active' },
+      [{
+        $set: {
+          status: 'expired',
+          expiredAt: now,
+          quantity: { $min: ['$quantity', '$reserved'] },
+          writtenOffQuantity: {
+            $add: ['$writtenOffQuantity', { $max: [0, availableExpr] }]
+          }
+        }
+      }]
+    );
+
+    if (!lot) continue;
+
+    const free = Math.max(0, lot.quantity - lot.reserved);
+    await applyStockMovement({
+      product: lot.product,
+      reason: 'expiry',
+      quantity: -free,
+      lots: [{ lot: lot._id, lotNumber: lot.lotNumber, quantity: -free }]
+    });
+
+    expired += 1;
+    writtenOff += free;
+  }
+
+  logger.info(`Expired ${expired} stock lots and wrote off ${writtenOff} units`);
+
+  return { expired, writtenOff };
+};
+
+// Lots with stock on hand that expire within `days` (optionally already expired ones too)
+export const getNearExpiryLots = async ({ days = 90, includeExpired = false, category } = {}, now = new Date()) => {
+  const filter = {
+    quantity: { $gt: 0 },
+    expiryDate: { $lte: new Date(now.getTime() + days * DAY_MS) }
+  };
+
+  if (!includeExpired) {
+    filter.status = 'active';
+    filter.expiryDate.$gt = now;
+  }
+
+  if (category) {
+    filter.product = { $in: await Product.find({ category }).distinct('_id') };
+  }
+
+  const lots = await StockLot.find(filter)
+    .populate('product', 'name sku manufacturer costPrice')
+    .sort({ expiryDate: 1 });
+
+  return lots.map(lot => {
+    const unitCost = lot.costPrice ?? lot.product?.costPrice ?? 0;
+
+    return {
+      lot: lot._id,
+      lotNumber: lot.lotNumber,
+      product: lot.product,
+      status: lot.status,
+      expiryDate: lot.expiryDate,
+      daysToExpiry: Math.ceil((lot.expiryDate - now) / DAY_MS),
+      quantity: lot.quantity,
+      reserved: lot.reserved,
+      valueAtCost: Math.round(lot.quantity * unitCost * 100) / 100
+    };
+  });
+};
@@ -0,0 +1,264 @@
+import Order from '../models/Order.js';
+import StockReservation from '../models/StockReservation.js';
+import { AppError } from './appError.js';
+import { releaseCoupons } from './couponEngine.js';
+import { unlinkPrescriptionsFromOrder } from './prescriptionFulfillment.js';
+import {
+  isLotTracked,
+  allocateLots,
+  commitLotAllocations,
+  releaseLotAllocations,
+  returnToLots
+} from './stockLots.js';
+import { applyStockMovement } from './inventoryLedger.js';
+import { logger } from './logger.js';
+
+const HOUR = 60 * 60 * 1000;
+
+// How long an unconfirmed order holds its stock, in milliseconds. Card and PayPal
+// payments settle online in minutes and bank transfers take days to arrive. Cash on
+// delivery orders are confirmed by staff when they go out for dispatch.
+const onlinePaymentWindow = () => (parseInt(process.env.STOCK_RESERVATION_TTL_MINUTES) || 60) * 60 * 1000;
+
+const RESERVATION_WINDOWS = {
+  card: onlinePaymentWindow,
+  paypal: onlinePaymentWindow,
+  bank_transfer: () => (parseInt(process.env.BANK_TRANSFER_PAYMENT_WINDOW_DAYS) || 3) * 24 * HOUR,
+  cash_on_delivery: () => (parseInt(process.env.COD_DISPATCH_DEADLINE_HOURS) || 48) * HOUR
+};
+
+export const getReservationExpiry = (paymentMethod, now = new Date()) => {
+  const window = RESERVATION_WINDOWS[paymentMethod];
+  return window ? new Date(now.getTime() + window()) : null;
+};
+
+// Take held units off stock.reserved, and off stock.quantity too when they were sold.
+// `writtenOff` units (held from lots that have since expired) also leave stock.quantity.
+const settleStock = async (entry, { orderId, sold = false, writtenOff = 0, note, session = null }) => {
+  if (sold) {
+    await applyStockMovement({
+      product: entry.product,
+      reason: 'sale',
+      quantity: -entry.quantity,
+      reserved: -entry.quantity,
+      lots: entry.lots,
+      order: orderId
+    }, { session });
+    return;
+  }
+
+  await applyStockMovement({
+    product: entry.product,
+    reason: 'reservation_release',
+    reserved: -entry.quantity,
+    lots: entry.lots,
+    order: orderId,
+    note
+  }, { session });
+
+  if (writtenOff > 0) {
+    await applyStockMovement({
+      product: entry.product,
+      reason: 'expiry',
+      quantity: -writtenOff,
+      order: orderId,
+      note: 'Held units from a lot that expired before the order was filled'
+    }, { session });
+  }
+};
+
+// Reserve stock for every order item. Each product update only succeeds when
+// quantity - reserved still covers the request, so concurrent orders cannot oversell.
+// Lot-tracked products also hold units on their lots, first-expiry-first-out; the
+// returned reservations are in item order and carry those lot allocations.
+export const reserveStock = async (items, { orderId, expiresAt = null, session = null }) => {
+  const reserved = [];
+
+  try {
+    for (const item of items) {
+      const movement = await applyStockMovement({
+        product: item.product,
+        reason: 'reservation',
+        reserved: item.quantity,
+        order: orderId,
+        condition: {
+          isActive: true,
+          $expr: {
+            $gte: [{ $subtract: ['$stock.quantity', '$stock.reserved'] }, item.quantity]
+          }
+        }
+      }, { session });
+
+      if (!movement) {
+        throw new AppError(`Insufficient stock for ${item.name || item.product}`, 400);
+      }
+
+      const entry = { product: item.product, quantity: item.quantity, lots: [] };
+      reserved.push(entry);
+
+      if (await isLotTracked(item.product, session)) {
+        entry.lots = await allocateLots(item.product, item.quantity, { name: item.name, session });
+      }
+    }
+
+    return await StockReservation.insertMany(
+      reserved.map(entry => ({ ...entry, order: orderId, expiresAt })),
+      { session }
+    );
+  } catch (error) {
+    // Outside a transaction the partial reservation has to be undone by hand
+    if (!session) {
+      for (const entry of reserved) {
+        const writtenOff = await releaseLotAllocations(entry.lots);
+        await settleStock(entry, { orderId, writtenOff, note: 'Order could not be placed' });
+      }
+    }
+    throw error;
+  }
+};
+
+// Move active reservations for an order into a terminal state and adjust product stock
+const settleReservations = async (orderId, status, { reason, session = null } = {}) => {
+  const reservations = await StockReservation.find({ order: orderId, status: 'active' }, null, { session });
+  let settled = 0;
+
+  for (const reservation of reservations) {
+    const update = status === 'committed'
+      ? { status, committedAt: new Date() }
+      : { status, releasedAt: new Date(), releaseReason: reason };
+
+    // Claim the reservation first so two callers never adjust stock twice
+    const claimed = await StockReservation.findOneAndUpdate(
+      { _id: reservation._id, status: 'active' },
+      { $set: update },
+      { new: true, session }
+    );
+
+    if (!claimed) continue;
+
+    let writtenOff = 0;
+    if (status === 'committed') {
+      await commitLotAllocations(claimed.lots, { session });
+    } else {
+      writtenOff = await releaseLotAllocations(claimed.lots, { session });
+    }
+
+    await settleStock(claimed, {
+      orderId,
+      sold: status === 'committed',
+      writtenOff,
+      note: reason,
+      session
+    });
+    settled += 1;
+  }
+
+  return settled;
+};
+
+// Turn reserved units into a stock.quantity decrement (payment received / order confirmed)
+export const commitReservation = (orderId, options = {}) =>
+  settleReservations(orderId, 'committed', options);
+
+// Give reserved units back (cancellation, payment failure, refund)
+export const releaseReservation = (orderId, { reason = 'released', session = null } = {}) =>
+  settleReservations(orderId, 'released', { reason, session });
+
+// Put units of a sold order back on sale (refunded before dispatch, or returned in
+// resaleable condition). `lines` are { item, quantity } against the order's items and
+// default to everything not yet restocked. Units go back to the lots they came from;
+// units from lots that have expired since stay off stock. Bumps each item's
+// restockedQuantity, so the caller must save the order.
+export const restockOrderItems = async (order, lines, { actor, note, session = null } = {}) => {
+  const requested = lines || order.items.map(item => ({
+    item: item._id,
+    quantity: item.quantity - item.restockedQuantity
+  }));
+  let restocked = 0;
+  let rejected = 0;
+
+  for (const line of requested) {
+    const item = order.items.id(line.item);
+
+    if (!item) {
+      throw new AppError(`Item ${line.item} is not on order ${order.orderNumber}`, 400);
+    }
+
+    const outstanding = item.quantity - item.restockedQuantity;
+    if (line.quantity > outstanding) {
+      throw new AppError(`Only ${outstanding} units of ${item.name} can be restocked`, 400);
+    }
+    if (line.quantity <= 0) continue;
+
+    const returned = await returnToLots(item.lots, line.quantity, { offset: item.restockedQuantity, session });
+    const quantity = returned.lots.reduce((sum, entry) => sum + entry.quantity, 0) + returned.unallocated;
+
+    if (quantity > 0) {
+      await applyStockMovement({
+        product: item.product,
+        reason: 'return',
+        quantity,
+        lots: returned.lots,
+        order: order._id,
+        note,
+        actor
+      }, { session });
+    }
+
+    item.restockedQuantity += line.quantity;
+    restocked += quantity;
+    rejected += returned.rejected;
+  }
+
+  return { restocked, rejected };
+};
+
+// Release reservations past their expiry and cancel the orders that held them
+// without being paid, or for cash on delivery, without being confirmed for dispatch
+export const releaseExpiredReservations = async (now = new Date()) => {
+  const orderIds = await StockReservation.distinct('order', {
+    status: 'active',
+    expiresAt: { $ne: null, $lte: now }
+  });
+
+  let released = 0;
+  let cancelled = 0;
+
+  for (const orderId of orderIds) {
+    // The pending -> cancelled move of utils/orderStatus.js, made in one update
+    // so a payment landing at the same moment wins
+    const order = await Order.findOneAndUpdate(
+      {
+        _id: orderId,
+        status: 'pending',
+        'payment.status': { $in: ['pending', 'processing', 'failed'] }
+      },
+      {
+        $set: { status: 'cancelled', 'payment.status': 'cancelled' },
+        $push: {
+          statusHistory: {
+            status: 'cancelled',
+            note: 'Stock reservation expired before the order was paid or confirmed',
+            timestamp: now
+          }
+        }
+      },
+      { new: true }
+    );
+
+    if (order) {
+      await releaseCoupons(order._id);
+      await unlinkPrescriptionsFromOrder(order._id);
+      cancelled += 1;
+    }
+
+    // Orders that moved on (e.g. paid late) keep their stock; only abandoned ones release it
+    if (order || !(await Order.exists({ _id: orderId }))) {
+      released += await settleReservations(orderId, 'expired', { reason: 'Reservation expired' });
+    }
+  }
+
+  logger.info(`Released ${released} expired stock reservations and cancelled ${cancelled} unpaid orders`);
+
+  return { released, cancelled };
+};
@@ -0,0 +1,326 @@
+import Subscription from '../models/Subscription.js';
+import Product from '../models/Product.js';
+import Prescription from '../models/Prescription.js';
+import { AppError } from './appError.js';
+import { sendEmail } from './email.js';
+import { logger } from './logger.js';
+import { placeOrder } from './orderPlacement.js';
+import { medicationMatchesProduct } from './prescriptionFulfillment.js';
+import { getScheduleRules, isControlled } from './controlledSubstances.js';
+import { getReservationExpiry } from './stockReservation.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const getNoticeDays = () => parseInt(process.env.SUBSCRIPTION_NOTICE_DAYS) || 3;
+const getPaymentWindowHours = () => parseInt(process.env.SUBSCRIPTION_PAYMENT_WINDOW_HOURS) || 48;
+const getMaxFailedAttempts = () => parseInt(process.env.SUBSCRIPTION_MAX_FAILED_ATTEMPTS) || 3;
+
+const manageUrl = (subscription) => `${process.env.FRONTEND_URL}/account/subscriptions/${subscription._id}`;
+
+// Earliest a refill can be placed when scheduling it now: the customer always
+// gets SUBSCRIPTION_NOTICE_DAYS to skip or cancel before an order is placed.
+export const getEarliestRunAt = (now = new Date()) => new Date(now.getTime() + getNoticeDays() * DAY_MS);
+
+// Why a prescription can no longer back a refill, or null when it still can
+export const getRefillBlocker = (prescription, now = new Date()) => {
+  if (!prescription) {
+    return 'The prescription for this subscription no longer exists';
+  }
+  if (prescription.status !== 'verified') {
+    return `Prescription ${prescription.prescriptionNumber} is ${prescription.status.replace('_', ' ')}`;
+  }
+  if (prescription.expiryDate <= now) {
+    return `Prescription ${prescription.prescriptionNumber} has expired`;
+  }
+  if (prescription.orders.length > 0 && prescription.remainingRefills === 0) {
+    return `Prescription ${prescription.prescriptionNumber} has no refills remaining`;
+  }
+  return null;
+};
+
+// Make sure `items` can be refilled on a schedule for the user: products are active,
+// none is single-fill (Schedule II), and the prescription covers every product that
+// needs one in the requested quantity and can still be refilled.
+export const checkSubscriptionItems = async (userId, { items, prescription: prescriptionId }, now = new Date()) => {
+  const productIds = items.map(item => item.product.toString());
+
+  if (new Set(productIds).size !== productIds.length) {
+    throw new AppError('Each product can only appear once in a subscription', 400);
+  }
+
+  let prescription = null;
+  if (prescriptionId) {
+    prescription = await Prescription.findOne({ _id: prescriptionId, patient: userId });
+    if (!prescription) {
+      throw new AppError('Prescription not found', 404);
+    }
+  }
+
+  const products = await Product.find({ _id: { $in: productIds } })
+    .select('name price isActive prescriptionRequired scheduleType activeIngredient strength');
+  const productsById = new Map(products.map(product => [product._id.toString(), product]));
+
+  for (const item of items) {
+    const product = productsById.get(item.product.toString());
+
+    if (!product || !product.isActive) {
+      throw new AppError(`Product ${item.product} not found or inactive`, 400);
+    }
+
+    const rules = getScheduleRules(product.scheduleType);
+    if (rules && rules.maxRefills === 0) {
+      throw new AppError(`${rules.label} products cannot be refilled automatically (${product.name})`, 400);
+    }
+
+    if (!product.prescriptionRequired && !isControlled(product)) continue;
+
+    if (!prescription) {
+      throw new AppError(`Prescription required for ${product.name}`, 400);
+    }
+
+    const medication = prescription.medications.find(entry => medicationMatchesProduct(entry, product));
+    if (!medication) {
+      throw new AppError(`Prescription ${prescription.prescriptionNumber} does not cover ${product.name}`, 400);
+    }
+    if (item.quantity > medication.quantity) {
+      throw new AppError(
+        `Quantity for ${product.name} exceeds the ${medication.quantity} prescribed on ${prescription.prescriptionNumber}`,
+        400
+      );
+    }
+  }
+
+  if (prescription) {
+    const blocker = getRefillBlocker(prescription, now);
+    if (blocker) {
+      throw new AppError(blocker, 400);
+    }
+  }
+
+  return { products, prescription };
+};
+
+// Notices and status emails are sent whatever the customer's notification
+// preferences: they are the customer's chance to stop an order being placed.
+const sendSubscriptionUpdate = async (subscription, { heading, message }) => {
+  try {
+    await sendEmail({
+      email: subscription.user.email,
+      template: 'subscriptionUpdate',
+      data: {
+        name: subscription.user.firstName,
+        heading,
+        message,
+        manageUrl: manageUrl(subscription)
+      }
+    });
+  } catch (error) {
+    logger.error(`Failed to email subscription update for ${subscription._id}:`, error);
+  }
+};
+
+// Reason the subscription's prescription blocks the next refill, or null
+const checkPrescription = async (subscription, now) => {
+  if (!subscription.prescription) return null;
+  return getRefillBlocker(await Prescription.findById(subscription.prescription), now);
+};
+
+const endSubscription = async (subscription, reason, now) => {
+  subscription.status = 'ended';
+  subscription.endedReason = reason;
+  subscription.history.push({ event: 'ended', note: reason, at: now });
+  await subscription.save();
+
+  await sendSubscriptionUpdate(subscription, {
+    heading: 'Your auto-refill has ended',
+    message: `${reason}, so we won't place any more orders for this subscription. Upload a new prescription to set up a new one.`
+  });
+};
+
+// Tell customers about refills coming up within SUBSCRIPTION_NOTICE_DAYS, once per
+// run date. Subscriptions whose prescription can no longer be refilled end instead.
+export const sendSubscriptionNotices = async (now = new Date()) => {
+  const subscriptions = await Subscription.find({
+    status: 'active',
+    nextRunAt: { $lte: getEarliestRunAt(now) },
+    $expr: { $ne: ['$noticeSentFor', '$nextRunAt'] }
+  })
+    .populate('user', 'firstName email')
+    .populate('items.product', 'name price');
+
+  let sent = 0;
+  let ended = 0;
+
+  for (const subscription of subscriptions) {
+    const blocker = await checkPrescription(subscription, now);
+    if (blocker) {
+      await endSubscription(subscription, blocker, now);
+      ended += 1;
+      continue;
+    }
+
+    const items = subscription.items.filter(item => item.product);
+
+    try {
+      await sendEmail({
+        email: subscription.user.email,
+        template: 'subscriptionReminder',
+        data: {
+          name: subscription.user.firstName,
+          runAt: subscription.nextRunAt,
+          items: items.map(item => ({ name: item.product.name, quantity: item.quantity, price: item.product.price })),
+          subtotal: items.reduce((sum, item) => sum + item.product.price * item.quantity, 0),
+          paymentMethod: subscription.paymentMethod,
+          manageUrl: manageUrl(subscription)
+        }
+      });
+    } catch (error) {
+      logger.error(`Failed to send refill notice for subscription ${subscription._id}:`, error);
+      continue;
+    }
+
+    await Subscription.updateOne(
+      { _id: subscription._id, nextRunAt: subscription.nextRunAt },
+      { $set: { noticeSentFor: subscription.nextRunAt } }
+    );
+    sent += 1;
+  }
+
+  return { due: subscriptions.length, sent, ended };
+};
+
+// Place the order for every subscription whose run date has come, through the same
+// placement as checkout. A run whose notice never went out is pushed back so the
+// customer hears about it first. Failed runs retry daily; after
+// SUBSCRIPTION_MAX_FAILED_ATTEMPTS in a row the subscription is paused.
+// We keep no card details, so refills are not charged: the customer pays each
+// refill order like a checkout order before its stock reservation runs out.
+export const runDueSubscriptions = async (now = new Date()) => {
+  const subscriptions = await Subscription.find({ status: 'active', nextRunAt: { $lte: now } })
+    .populate('user', 'firstName email isActive');
+
+  const summary = { due: subscriptions.length, placed: 0, failed: 0, paused: 0, ended: 0, postponed: 0, skipped: 0 };
+
+  for (const due of subscriptions) {
+    const dueAt = due.nextRunAt;
+
+    if (due.noticeSentFor?.getTime() !== dueAt.getTime()) {
+      const postponed = await Subscription.updateOne(
+        { _id: due._id, nextRunAt: dueAt },
+        { $set: { nextRunAt: getEarliestRunAt(now) } }
+      );
+      summary[postponed.modifiedCount ? 'postponed' : 'skipped'] += 1;
+      continue;
+    }
+
+    if (!due.user?.isActive) {
+      await endSubscription(due, 'The account for this subscription is closed', now);
+      summary.ended += 1;
+      continue;
+    }
+
+    const blocker = await checkPrescription(due, now);
+    if (blocker) {
+      await endSubscription(due, blocker, now);
+      summary.ended += 1;
+      continue;
+    }
+
+    // Stay on the original schedule rather than drifting by however late this run was
+    let nextRunAt = new Date(dueAt);
+    while (nextRunAt <= now) {
+      nextRunAt = new Date(nextRunAt.getTime() + due.intervalDays * DAY_MS);
+    }
+
+    // Claim the run by moving the date on. A run overlapping this one (a manual run
+    // during the scheduled one) finds the date already moved and leaves it alone.
+    const subscription = await Subscription.findOneAndUpdate(
+      { _id: due._id, status: 'active', nextRunAt: dueAt },
+      { $set: { nextRunAt } },
+      { new: true }
+    ).populate('user', 'firstName email isActive');
+
+    if (!subscription) {
+      summary.skipped += 1;
+      continue;
+    }
+
+    const reservationExpiresAt = new Date(Math.max(
+      getReservationExpiry(subscription.paymentMethod, now).getTime(),
+      now.getTime() + getPaymentWindowHours() * 60 * 60 * 1000
+    ));
+
+    let order;
+    try {
+      order = await placeOrder({
+        customerId: subscription.user._id,
+        items: subscription.items.map(item => ({
+          product: item.product,
+          quantity: item.quantity,
+          prescription: subscription.prescription
+        })),
+        shippingAddress: subscription.toObject().shippingAddress,
+        paymentMethod: subscription.paymentMethod,
+        couponCodes: [],
+        customerNotes: 'Auto-refill order',
+        prescriptions: subscription.prescription ? [subscription.prescription] : [],
+        subscription: subscription._id,
+        // Customers are not at the checkout, so give them time to pay
+        reservationExpiresAt
+      });
+    } catch (error) {
+      logger.error(`Auto-refill order for subscription ${subscription._id} failed:`, error);
+
+      // Put the run back so tomorrow's run retries it; its notice has already gone out
+      subscription.nextRunAt = dueAt;
+      subscription.failedAttempts += 1;
+      subscription.lastError = error.message;
+      subscription.history.push({ event: 'order_failed', note: error.message, at: now });
+      summary.failed += 1;
+
+      if (subscription.failedAttempts >= getMaxFailedAttempts()) {
+        subscription.status = 'paused';
+        subscription.history.push({ event: 'paused', note: 'Paused after repeated failed refills', at: now });
+        await subscription.save();
+        await sendSubscriptionUpdate(subscription, {
+          heading: 'Your auto-refill is paused',
+          message: `We couldn't place your refill order: ${error.message}. Resume the subscription once this is sorted out.`
+        });
+        summary.paused += 1;
+      } else {
+        await subscription.save();
+      }
+      continue;
+    }
+
+    subscription.lastRunAt = now;
+    subscription.lastOrder = order._id;
+    subscription.failedAttempts = 0;
+    subscription.lastError = undefined;
+    subscription.history.push({ event: 'order_placed', order: order._id, nextRunAt, at: now });
+    await subscription.save();
+    summary.placed += 1;
+
+    try {
+      await sendEmail({
+        email: subscription.user.email,
+        subject: 'Order Confirmation - MedCare',
+        template: 'orderConfirmation',
+        data: {
+          customerName: subscription.user.firstName,
+          orderNumber: order.orderNumber,
+          total: order.pricing.total,
+          items: order.items,
+          trackingUrl: `${process.env.FRONTEND_URL}/orders/${order._id}`,
+          paymentNote: subscription.paymentMethod === 'cash_on_delivery'
+            ? null
+            : `Please pay for this refill by ${reservationExpiresAt.toLocaleString()}. Refills are not charged automatically, and unpaid refills are cancelled after that.`
+        }
+      });
+    } catch (error) {
+      logger.error('Failed to send order confirmation email:', error);
+    }
+  }
+
+  return summary;
+};
@@ -0,0 +1,79 @@
+import TaxRule from '../models/TaxRule.js';
+import { isControlled } from './controlledSubstances.js';
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+// Rate for lines no rule covers; 8% keeps the old flat rate until tables are set up
+const getDefaultTaxRate = () => {
+  const rate = parseFloat(process.env.DEFAULT_TAX_RATE);
+  return Number.isNaN(rate) ? 0.08 : rate;
+};
+
+export const getProductType = (product) =>
+  product.prescriptionRequired || isControlled(product) ? 'prescription' : 'otc';
+
+const specificity = (rule) =>
+  (rule.zipPrefixes.length > 0 ? 8 : 0) +
+  (rule.state ? 4 : 0) +
+  (rule.category ? 2 : 0) +
+  (rule.productType !== 'any' ? 1 : 0);
+
+const ruleMatches = (rule, { state, zipCode, categoryId, productType }) =>
+  (!rule.state || rule.state === state) &&
+  (rule.zipPrefixes.length === 0 || rule.zipPrefixes.some(prefix => zipCode.startsWith(prefix))) &&
+  (!rule.category || rule.category.toString() === categoryId) &&
+  (rule.productType === 'any' || rule.productType === productType);
+
+// Rule for one line: the highest priority match, then the most specific one
+// (ZIP prefix over state, state over everywhere, category over product type)
+export const findTaxRule = (rules, line) =>
+  rules
+    .filter(rule => ruleMatches(rule, line))
+    .sort((a, b) => b.priority - a.priority || specificity(b) - specificity(a))[0] || null;
+
+// Tax each of `items` ({ product, price, quantity }, products with category and
+// prescription fields loaded) shipped to `address`. The order discount is spread
+// over the lines by value, so each line is taxed on what is actually paid for it.
+// Returns one breakdown per item, in order, and the total.
+export const calculateTax = async (items, { address, discount = 0, session = null }) => {
+  const state = (address?.state || '').trim().toUpperCase();
+  const zipCode = (address?.zipCode || '').trim();
+
+  const rules = await TaxRule.find({ isActive: true, state: { $in: [null, state] } })
+    .session(session);
+
+  const gross = items.reduce((total, item) => total + item.price * item.quantity, 0);
+  let remainingDiscount = roundCurrency(Math.min(discount, gross));
+
+  const lines = items.map((item, index) => {
+    const lineTotal = item.price * item.quantity;
+
+    // The last line takes whatever is left so the shares add up to the discount
+    const share = index === items.length - 1
+      ? remainingDiscount
+      : Math.min(remainingDiscount, roundCurrency(gross > 0 ? discount * lineTotal / gross : 0));
+    remainingDiscount = roundCurrency(remainingDiscount - share);
+
+    const taxableAmount = roundCurrency(Math.max(0, lineTotal - share));
+    const rule = findTaxRule(rules, {
+      state,
+      zipCode,
+      categoryId: (item.product.category?._id || item.product.category)?.toString(),
+      productType: getProductType(item.product)
+    });
+    const rate = rule ? rule.rate : getDefaultTaxRate();
+
+    return {
+      rate,
+      taxableAmount,
+      amount: roundCurrency(taxableAmount * rate),
+      rule: rule?._id,
+      ruleName: rule ? rule.name : 'Default rate'
+    };
+  });
+
+  return {
+    lines,
+    total: roundCurrency(lines.reduce((total, line) => total + line.amount, 0))
+  };
+};
@@ -0,0 +1,58 @@
+import mongoose from 'mongoose';
+import { logger } from './logger.js';
+
+const hasLabel = (error, label) =>
+  typeof error?.hasErrorLabel === 'function' && error.hasErrorLabel(label);
+
+// Commit, retrying while the server reports the outcome as unknown
+const commitWithRetry = async (session, maxAttempts) => {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      await session.commitTransaction();
+      return;
+    } catch (error) {
+      if (hasLabel(error, 'UnknownTransactionCommitResult') && attempt < maxAttempts) {
+        logger.warn(`Retrying transaction commit (attempt ${attempt + 1})`);
+        continue;
+      }
+      throw error;
+    }
+  }
+};
+
+// Run `work(session)` inside a MongoDB transaction. The whole callback is
+// re-run on TransientTransactionError, so it must not have side effects outside
+// the session (emails, payments) - do those after this resolves.
+// Requires MongoDB running as a replica set.
+export const runInTransaction = async (work, { maxAttempts = 3, backoffMs = 50 } = {}) => {
+  const session = await mongoose.startSession();
+
+  try {
+    for (let attempt = 1; ; attempt++) {
+      session.startTransaction({
+        readConcern: { level: 'snapshot' },
+        writeConcern: { w: 'majority' }
+      });
+
+      try {
+        const result = await work(session);
+        await commitWithRetry(session, maxAttempts);
+        return result;
+      } catch (error) {
+        if (session.inTransaction()) {
+          await session.abortTransaction();
+        }
+
+        if (hasLabel(error, 'TransientTransactionError') && attempt < maxAttempts) {
+          logger.warn(`Retrying transaction after transient error (attempt ${attempt + 1}): ${error.message}`);
+          await new Promise(resolve => setTimeout(resolve, backoffMs * Math.pow(2, attempt - 1)));
+          continue;
+        }
+
+        throw error;
+      }
+    }
+  } finally {
+    await session.endSession();
+  }
+};
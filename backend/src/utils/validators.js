@@ -143,7 +143,10 @@ export const orderSchemas = {
       sameAsShipping: Joi.boolean()
     }),
     paymentMethod: Joi.string().valid('card', 'paypal', 'bank_transfer', 'cash_on_delivery').required(),
+    shippingMethod: Joi.string().valid('standard', 'express', 'overnight', 'pickup'),
+    pickupStore: Joi.string().hex().length(24).when('shippingMethod', { is: 'pickup', then: Joi.required() }),
     couponCode: Joi.string().trim().max(50),
+    couponCodes: Joi.array().items(Joi.string().trim().max(50)),
     customerNotes: Joi.string().trim().max(500),
     prescriptions: Joi.array().items(Joi.string().hex().length(24))
   })
@@ -0,0 +1,22 @@
+import mongoose from 'mongoose';
+import { MongoMemoryReplSet } from 'mongodb-memory-server';
+
+let replSet;
+
+// Order placement and refunds run in transactions, which need a replica set
+export const connectTestDatabase = async () => {
+  replSet = await MongoMemoryReplSet.create({ replSet: { count: 1, storageEngine: 'wiredTiger' } });
+  await mongoose.connect(replSet.getUri());
+
+  // Collections and unique indexes exist before any transaction or dedupe check runs
+  await Promise.all(Object.values(mongoose.models).map(model => model.init()));
+};
+
+export const clearTestDatabase = async () => {
+  await Promise.all(Object.values(mongoose.connection.collections).map(collection => collection.deleteMany({})));
+};
+
+export const disconnectTestDatabase = async () => {
+  await mongoose.disconnect();
+  await replSet?.stop();
+};
@@ -0,0 +1,75 @@
+import mongoose from 'mongoose';
+import User from '../../src/models/User.js';
+import Product from '../../src/models/Product.js';
+import Prescription from '../../src/models/Prescription.js';
+import Coupon from '../../src/models/Coupon.js';
+
+let sequence = 0;
+const next = () => ++sequence;
+
+export const shippingAddress = {
+  firstName: 'Test',
+  lastName: 'Customer',
+  street: '1 Main Street',
+  city: 'Springfield',
+  state: 'IL',
+  zipCode: '62701',
+  phone: '555-0100'
+};
+
+export const createUser = (overrides = {}) => User.create({
+  firstName: 'Test',
+  lastName: 'Customer',
+  email: `user${next()}@example.com`,
+  phone: '555-0100',
+  password: 'password123',
+  ...overrides
+});
+
+export const authHeader = (user) => `Bearer ${user.getSignedJwtToken()}`;
+
+export const createProduct = (overrides = {}) => {
+  const n = next();
+
+  return Product.create({
+    name: `Paracetamol 500mg ${n}`,
+    description: 'Pain relief',
+    sku: `SKU-${n}`,
+    category: new mongoose.Types.ObjectId(),
+    manufacturer: 'Generic Labs',
+    activeIngredient: 'Paracetamol',
+    strength: '500mg',
+    dosageForm: 'tablet',
+    packSize: '16 tablets',
+    price: 20,
+    costPrice: 8,
+    stock: { quantity: 10 },
+    ...overrides
+  });
+};
+
+// A verified prescription covering `product`, with no refills
+export const createPrescription = (patient, product, overrides = {}) => Prescription.create({
+  prescriptionNumber: `RX-TEST-${next()}`,
+  patient: patient._id,
+  doctor: { name: 'Dr. Alan Reyes', licenseNumber: 'LIC-12345' },
+  medications: [{
+    name: product.name,
+    dosage: product.strength,
+    frequency: 'Once daily',
+    duration: '30 days',
+    quantity: 30,
+    product: product._id
+  }],
+  status: 'verified',
+  prescriptionDate: new Date(),
+  expiryDate: new Date(Date.now() + 180 * 24 * 60 * 60 * 1000),
+  ...overrides
+});
+
+export const createCoupon = (overrides = {}) => Coupon.create({
+  code: `SAVE${next()}`,
+  type: 'fixed',
+  value: 5,
+  ...overrides
+});
@@ -0,0 +1,121 @@
+import { jest } from '@jest/globals';
+import Order from '../src/models/Order.js';
+import Product from '../src/models/Product.js';
+import Cart from '../src/models/Cart.js';
+import Coupon from '../src/models/Coupon.js';
+import CouponRedemption from '../src/models/CouponRedemption.js';
+import Prescription from '../src/models/Prescription.js';
+import StockReservation from '../src/models/StockReservation.js';
+import StockMovement from '../src/models/StockMovement.js';
+import { placeOrder } from '../src/utils/orderPlacement.js';
+import { connectTestDatabase, clearTestDatabase, disconnectTestDatabase } from './helpers/db.js';
+import {
+  shippingAddress,
+  createUser,
+  createProduct,
+  createPrescription,
+  createCoupon
+} from './helpers/factories.js';
+
+const orderFor = (customer, items, extra = {}) => ({
+  customerId: customer.id,
+  items,
+  shippingAddress,
+  paymentMethod: 'card',
+  ...extra
+});
+
+beforeAll(connectTestDatabase);
+
+afterEach(async () => {
+  jest.restoreAllMocks();
+  await clearTestDatabase();
+});
+
+afterAll(disconnectTestDatabase);
+
+describe('placeOrder', () => {
+  it('does not oversell when orders for the last units are placed at once', async () => {
+    const product = await createProduct({ stock: { quantity: 5 } });
+    const customers = await Promise.all(Array.from({ length: 6 }, () => createUser()));
+
+    const results = await Promise.allSettled(customers.map(customer =>
+      placeOrder(orderFor(customer, [{ product: product.id, quantity: 2 }]))
+    ));
+
+    const placed = results.filter(result => result.status === 'fulfilled');
+    const rejected = results.filter(result => result.status === 'rejected');
+
+    expect(placed.length).toBeGreaterThanOrEqual(1);
+    expect(placed.length).toBeLessThanOrEqual(2);
+
+    // Losers either saw the stock gone or lost every retry of a write conflict
+    for (const { reason } of rejected) {
+      expect(reason.statusCode === 400 || reason.hasErrorLabel?.('TransientTransactionError')).toBe(true);
+    }
+
+    const after = await Product.findById(product._id);
+    expect(after.stock.quantity).toBe(5);
+    expect(after.stock.reserved).toBe(placed.length * 2);
+
+    expect(await Order.countDocuments()).toBe(placed.length);
+    expect(await StockReservation.countDocuments({ status: 'active' })).toBe(placed.length);
+
+    // The ledger agrees with the product document
+    const movements = await StockMovement.find({ product: product._id });
+    expect(movements.reduce((sum, movement) => sum + movement.reservedDelta, 0)).toBe(after.stock.reserved);
+  });
+
+  it('rolls back stock, coupons and the prescription link when placement fails part way', async () => {
+    const customer = await createUser();
+    const otc = await createProduct();
+    const rx = await createProduct({
+      name: 'Amoxicillin 500mg Capsules',
+      activeIngredient: 'Amoxicillin',
+      dosageForm: 'capsule',
+      prescriptionRequired: true
+    });
+    const prescription = await createPrescription(customer, rx);
+    const coupon = await createCoupon();
+
+    const data = orderFor(customer, [
+      { product: otc.id, quantity: 2 },
+      { product: rx.id, quantity: 1 }
+    ], {
+      couponCodes: [coupon.code],
+      prescriptions: [prescription.id]
+    });
+
+    // Clearing the cart is the last write of a placement
+    jest.spyOn(Cart, 'findOneAndUpdate').mockRejectedValueOnce(new Error('Connection lost'));
+
+    await expect(placeOrder(data)).rejects.toThrow('Connection lost');
+
+    expect(await Order.countDocuments()).toBe(0);
+    expect(await StockReservation.countDocuments()).toBe(0);
+    expect(await StockMovement.countDocuments()).toBe(0);
+
+    for (const product of [otc, rx]) {
+      const after = await Product.findById(product._id).lean();
+      expect(after.stock).toMatchObject({ quantity: 10, reserved: 0 });
+    }
+
+    const couponAfter = await Coupon.findById(coupon._id);
+    expect(couponAfter.usedCount).toBe(0);
+    expect(await CouponRedemption.countDocuments()).toBe(0);
+
+    const prescriptionAfter = await Prescription.findById(prescription._id);
+    expect(prescriptionAfter.orders).toHaveLength(0);
+    expect(prescriptionAfter.refillsUsed).toBe(0);
+    expect(prescriptionAfter.status).toBe('verified');
+
+    // The same order goes through once nothing fails, so every hold above was really taken
+    const order = await placeOrder(data);
+
+    expect((await Product.findById(otc._id)).stock.reserved).toBe(2);
+    expect((await Product.findById(rx._id)).stock.reserved).toBe(1);
+    expect((await Coupon.findById(coupon._id)).usedCount).toBe(1);
+    expect(await CouponRedemption.countDocuments({ coupon: coupon._id, order: order._id })).toBe(1);
+    expect((await Prescription.findById(prescription._id)).orders.map(String)).toEqual([order.id]);
+  });
+});
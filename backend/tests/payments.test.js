@@ -0,0 +1,339 @@
+import { jest } from '@jest/globals';
+import express from 'express';
+import cookieParser from 'cookie-parser';
+import request from 'supertest';
+import Order from '../src/models/Order.js';
+import Product from '../src/models/Product.js';
+import PaymentEvent from '../src/models/PaymentEvent.js';
+import AuditLog from '../src/models/AuditLog.js';
+import paymentRoutes from '../src/routes/payments.js';
+import { errorHandler } from '../src/middleware/errorHandler.js';
+import { placeOrder } from '../src/utils/orderPlacement.js';
+import { getFakePayment, signFakeWebhook, resetFakePayments } from '../src/utils/paymentProviders/fake.js';
+import { connectTestDatabase, clearTestDatabase, disconnectTestDatabase } from './helpers/db.js';
+import { shippingAddress, createUser, authHeader, createProduct } from './helpers/factories.js';
+
+// The payment routes as server.js mounts them, webhooks on the raw body
+const app = express();
+app.use('/api/v1/payments/webhook', express.raw({ type: 'application/json' }));
+app.use(express.json());
+app.use(cookieParser());
+app.use('/api/v1/payments', paymentRoutes);
+app.use(errorHandler);
+
+const toCents = (amount) => Math.round(amount * 100);
+
+let eventCount = 0;
+
+const sendWebhook = (type, object, { id = `evt_test_${++eventCount}` } = {}) => {
+  const body = JSON.stringify({ id, type, created: Math.floor(Date.now() / 1000), data: { object } });
+
+  return request(app)
+    .post('/api/v1/payments/webhook/fake')
+    .set('Content-Type', 'application/json')
+    .set('X-Fake-Signature', signFakeWebhook(body))
+    .send(body);
+};
+
+const createIntent = (customer, order, idempotencyKey) => {
+  const req = request(app)
+    .post('/api/v1/payments/create-intent')
+    .set('Authorization', authHeader(customer));
+
+  if (idempotencyKey) req.set('Idempotency-Key', idempotencyKey);
+
+  return req.send({ orderId: order.id, amount: order.pricing.total });
+};
+
+const refund = (admin, body, idempotencyKey) => {
+  const req = request(app)
+    .post('/api/v1/payments/refund')
+    .set('Authorization', authHeader(admin));
+
+  if (idempotencyKey) req.set('Idempotency-Key', idempotencyKey);
+
+  return req.send(body);
+};
+
+let customer;
+let admin;
+let product;
+
+// A card order for two units, with its payment intent created but not yet paid
+const placeCardOrder = async () => {
+  const order = await placeOrder({
+    customerId: customer.id,
+    items: [{ product: product.id, quantity: 2 }],
+    shippingAddress,
+    paymentMethod: 'card'
+  });
+
+  const res = await createIntent(customer, order);
+  expect(res.status).toBe(200);
+
+  return { order, reference: res.body.paymentIntentId };
+};
+
+// The same order once the provider reports the payment succeeded
+const placePaidOrder = async () => {
+  const { order, reference } = await placeCardOrder();
+
+  const res = await sendWebhook('payment_intent.succeeded', { id: reference, object: 'payment_intent' });
+  expect(res.status).toBe(200);
+
+  return { order: await Order.findById(order._id), reference };
+};
+
+const stockOf = async () => (await Product.findById(product._id).lean()).stock;
+
+beforeAll(connectTestDatabase);
+
+beforeEach(async () => {
+  customer = await createUser();
+  admin = await createUser({ role: 'admin' });
+  product = await createProduct({ stock: { quantity: 10 } });
+});
+
+afterEach(async () => {
+  jest.restoreAllMocks();
+  resetFakePayments();
+  await clearTestDatabase();
+});
+
+afterAll(disconnectTestDatabase);
+
+describe('payment webhooks', () => {
+  it('applies a redelivered event once', async () => {
+    const { order, reference } = await placeCardOrder();
+    const intent = { id: reference, object: 'payment_intent' };
+
+    const first = await sendWebhook('payment_intent.succeeded', intent, { id: 'evt_paid' });
+    const second = await sendWebhook('payment_intent.succeeded', intent, { id: 'evt_paid' });
+
+    expect(first.status).toBe(200);
+    expect(first.body.duplicate).toBeUndefined();
+    expect(second.status).toBe(200);
+    expect(second.body.duplicate).toBe(true);
+
+    const paid = await Order.findById(order._id).lean();
+    expect(paid.payment.status).toBe('completed');
+    expect(paid.status).toBe('confirmed');
+    expect(paid.statusHistory.filter(entry => entry.status === 'confirmed')).toHaveLength(1);
+
+    expect(await stockOf()).toMatchObject({ quantity: 8, reserved: 0 });
+
+    const events = await PaymentEvent.find({ eventId: 'evt_paid' }).lean();
+    expect(events).toHaveLength(1);
+    expect(events[0]).toMatchObject({ status: 'processed', attempts: 1 });
+    expect(events[0].order.toString()).toBe(order.id);
+  });
+
+  it('applies a failed event when it is delivered again', async () => {
+    const { order, reference } = await placeCardOrder();
+    const intent = { id: reference, object: 'payment_intent' };
+
+    jest.spyOn(Order, 'findOne').mockImplementationOnce(() => {
+      throw new Error('Database unavailable');
+    });
+
+    const failed = await sendWebhook('payment_intent.succeeded', intent, { id: 'evt_retry' });
+
+    expect(failed.status).toBe(500);
+    expect(await PaymentEvent.findOne({ eventId: 'evt_retry' }).lean())
+      .toMatchObject({ status: 'failed', error: 'Database unavailable', attempts: 1 });
+    expect((await Order.findById(order._id)).payment.status).toBe('processing');
+
+    const retried = await sendWebhook('payment_intent.succeeded', intent, { id: 'evt_retry' });
+
+    expect(retried.status).toBe(200);
+    expect(retried.body.duplicate).toBeUndefined();
+    expect((await Order.findById(order._id)).payment.status).toBe('completed');
+
+    const event = await PaymentEvent.findOne({ eventId: 'evt_retry' }).lean();
+    expect(event).toMatchObject({ status: 'processed', attempts: 2 });
+    expect(event.error).toBeUndefined();
+  });
+
+  it('rejects events with a bad signature', async () => {
+    const { reference } = await placeCardOrder();
+
+    const res = await request(app)
+      .post('/api/v1/payments/webhook/fake')
+      .set('Content-Type', 'application/json')
+      .set('X-Fake-Signature', 'not-a-signature')
+      .send(JSON.stringify({
+        id: 'evt_forged',
+        type: 'payment_intent.succeeded',
+        data: { object: { id: reference, object: 'payment_intent' } }
+      }));
+
+    expect(res.status).toBe(400);
+    expect(await PaymentEvent.countDocuments()).toBe(0);
+  });
+});
+
+describe('refunds', () => {
+  it('refunds part of an order and then the rest', async () => {
+    const { order, reference } = await placePaidOrder();
+    const total = order.pricing.total;
+
+    const partial = await refund(admin, { orderId: order.id, amount: 10, reason: 'One pack damaged' });
+
+    expect(partial.status).toBe(200);
+    expect(partial.body.payment).toMatchObject({ status: 'partially_refunded', refundAmount: 10 });
+
+    let after = await Order.findById(order._id).lean();
+    expect(after.status).toBe('confirmed');
+    expect(await stockOf()).toMatchObject({ quantity: 8 });
+
+    const rest = await refund(admin, { orderId: order.id });
+
+    expect(rest.status).toBe(200);
+    expect(rest.body.refund.amount).toBe(toCents(total) - 1000);
+
+    after = await Order.findById(order._id).lean();
+    expect(after.payment.status).toBe('refunded');
+    expect(after.payment.refundAmount).toBe(total);
+    expect(after.payment.refunds).toHaveLength(2);
+    expect(after.status).toBe('refunded');
+
+    // A full refund of an order that never left the pharmacy puts its stock back
+    expect(await stockOf()).toMatchObject({ quantity: 10, reserved: 0 });
+
+    expect(getFakePayment(reference).refunds.map(entry => entry.amount)).toEqual([1000, toCents(total) - 1000]);
+
+    const more = await refund(admin, { orderId: order.id, amount: 1 });
+    expect(more.status).toBe(400);
+  });
+
+  it('returns the first refund again for a repeated Idempotency-Key', async () => {
+    const { order, reference } = await placePaidOrder();
+
+    const first = await refund(admin, { orderId: order.id, amount: 10 }, 'refund-once');
+    const second = await refund(admin, { orderId: order.id, amount: 10 }, 'refund-once');
+
+    expect(first.status).toBe(200);
+    expect(second.status).toBe(200);
+    expect(second.body.refund.id).toBe(first.body.refund.id);
+
+    const after = await Order.findById(order._id).lean();
+    expect(after.payment.refunds).toHaveLength(1);
+    expect(after.payment.refundAmount).toBe(10);
+    expect(getFakePayment(reference).refunds).toHaveLength(1);
+  });
+
+  it('returns the same payment intent for a retried request', async () => {
+    const order = await placeOrder({
+      customerId: customer.id,
+      items: [{ product: product.id, quantity: 1 }],
+      shippingAddress,
+      paymentMethod: 'card'
+    });
+
+    const first = await createIntent(customer, order, 'checkout-1');
+    const second = await createIntent(customer, order, 'checkout-1');
+
+    expect(second.body.paymentIntentId).toBe(first.body.paymentIntentId);
+  });
+});
+
+describe('charge.refunded', () => {
+  const chargeFor = (reference, refunds) => ({
+    id: `ch_${reference}`,
+    object: 'charge',
+    payment_intent: reference,
+    amount_refunded: refunds.reduce((sum, entry) => sum + entry.amount, 0),
+    refunds: { data: refunds }
+  });
+
+  const dashboardRefund = (id, amount) => ({
+    id,
+    amount,
+    status: 'succeeded',
+    created: Math.floor(Date.now() / 1000)
+  });
+
+  it('records dashboard refunds and restocks once the order is fully refunded', async () => {
+    const { order, reference } = await placePaidOrder();
+    const totalCents = toCents(order.pricing.total);
+    const partial = dashboardRefund('re_dashboard_1', 1000);
+
+    await sendWebhook('charge.refunded', chargeFor(reference, [partial]));
+
+    let after = await Order.findById(order._id).lean();
+    expect(after.payment).toMatchObject({ status: 'partially_refunded', refundAmount: 10 });
+    expect(after.status).toBe('confirmed');
+    expect(await stockOf()).toMatchObject({ quantity: 8 });
+
+    await sendWebhook('charge.refunded', chargeFor(reference, [
+      partial,
+      dashboardRefund('re_dashboard_2', totalCents - 1000)
+    ]));
+
+    after = await Order.findById(order._id).lean();
+    expect(after.payment.status).toBe('refunded');
+    expect(after.payment.refunds.map(entry => entry.providerRefundId)).toEqual(['re_dashboard_1', 're_dashboard_2']);
+    expect(after.status).toBe('refunded');
+    expect(await stockOf()).toMatchObject({ quantity: 10, reserved: 0 });
+  });
+
+  it('leaves stock to whoever issued a refund made through the store', async () => {
+    const { order, reference } = await placePaidOrder();
+
+    const res = await refund(admin, { orderId: order.id, restock: false });
+    expect(res.status).toBe(200);
+
+    // The provider reports the refund the store just made
+    await sendWebhook('charge.refunded', chargeFor(reference, [res.body.refund]));
+
+    const after = await Order.findById(order._id).lean();
+    expect(after.payment.refunds).toHaveLength(1);
+    expect(after.payment.status).toBe('refunded');
+    expect(await stockOf()).toMatchObject({ quantity: 8 });
+  });
+
+  it('does not restock a dashboard refund of an order already being dispensed', async () => {
+    const { order, reference } = await placePaidOrder();
+    await Order.updateOne({ _id: order._id }, { status: 'preparing' });
+
+    await sendWebhook('charge.refunded', chargeFor(reference, [
+      dashboardRefund('re_dashboard', toCents(order.pricing.total))
+    ]));
+
+    const after = await Order.findById(order._id).lean();
+    expect(after.payment.status).toBe('refunded');
+    expect(after.status).toBe('refunded');
+    expect(await stockOf()).toMatchObject({ quantity: 8 });
+  });
+});
+
+describe('charge.dispute.created', () => {
+  it('records the dispute on the order and in the audit log', async () => {
+    const { order, reference } = await placePaidOrder();
+    const totalCents = toCents(order.pricing.total);
+
+    const res = await sendWebhook('charge.dispute.created', {
+      id: 'dp_test',
+      object: 'dispute',
+      payment_intent: reference,
+      amount: totalCents,
+      reason: 'product_not_received',
+      status: 'needs_response',
+      created: Math.floor(Date.now() / 1000)
+    });
+
+    expect(res.status).toBe(200);
+
+    const after = await Order.findById(order._id).lean();
+    expect(after.payment.dispute).toMatchObject({
+      providerDisputeId: 'dp_test',
+      amount: order.pricing.total,
+      reason: 'product_not_received',
+      status: 'needs_response'
+    });
+    expect(after.statusHistory.at(-1).note).toContain('product not received');
+
+    const audit = await AuditLog.findOne({ action: 'payment.dispute', entityId: order._id }).lean();
+    expect(audit.metadata).toMatchObject({ orderNumber: order.orderNumber, disputeId: 'dp_test' });
+  });
+});
@@ -0,0 +1,115 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parsePrescriptionText, durationToDays, formatMedication } from '@medcare/prescription-parser';
+
+// Each <name>.txt under fixtures/prescriptions is OCR output for a prescription;
+// <name>.json is what the parser should read from it, leaving out confidences
+const fixtureDir = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'prescriptions');
+const readFixture = (file) => fs.readFileSync(path.join(fixtureDir, file), 'utf8');
+
+const catalog = JSON.parse(readFixture('catalog.json'));
+const corpus = fs.readdirSync(fixtureDir)
+  .filter(file => file.endsWith('.txt'))
+  .map(file => path.basename(file, '.txt'));
+
+const withoutConfidence = ({ confidence, medications, ...header }) => ({
+  ...header,
+  medications: medications.map(({ confidence: _, raw, ...medication }) => medication)
+});
+
+describe('parsePrescriptionText', () => {
+  it.each(corpus)('reads the %s fixture', (name) => {
+    const parsed = parsePrescriptionText(readFixture(`${name}.txt`), { catalog });
+
+    expect(withoutConfidence(parsed)).toEqual(JSON.parse(readFixture(`${name}.json`)));
+  });
+
+  it.each(corpus)('gives a 0-1 confidence for every field read from the %s fixture', (name) => {
+    const parsed = parsePrescriptionText(readFixture(`${name}.txt`), { catalog });
+
+    for (const [field, score] of Object.entries(parsed.confidence)) {
+      expect(parsed[field]).not.toBeNull();
+      expect(score).toBeGreaterThan(0);
+      expect(score).toBeLessThanOrEqual(1);
+    }
+    for (const medication of parsed.medications) {
+      expect(medication.confidence.overall).toBeGreaterThan(0);
+      expect(medication.confidence.overall).toBeLessThanOrEqual(1);
+    }
+  });
+
+  it('reads #30 quantities inline and on their own line', () => {
+    const inline = parsePrescriptionText('Amoxicillin 500mg caps #30', { catalog });
+    const ownLine = parsePrescriptionText('Amoxicillin 500mg caps\n#30\nSig: 1 cap tid', { catalog });
+    const spaced = parsePrescriptionText('Amoxicillin 500mg caps\nDisp: # 14', { catalog });
+
+    expect(inline.medications[0].quantity).toBe(30);
+    expect(ownLine.medications[0].quantity).toBe(30);
+    expect(spaced.medications[0].quantity).toBe(14);
+  });
+
+  it('prefers a written quantity over one worked out from the sig', () => {
+    const parsed = parsePrescriptionText('Amoxicillin 500mg caps #30\nSig: 1 cap PO TID x 5 days', { catalog });
+
+    expect(parsed.medications[0].quantity).toBe(30);
+    expect(parsed.medications[0].confidence.quantity).toBe(0.9);
+  });
+
+  it('works out the quantity from dose, frequency and duration', () => {
+    const parsed = parsePrescriptionText('Amoxicillin 500mg caps\nSig: 2 caps bd x 5 days', { catalog });
+
+    expect(parsed.medications[0].quantity).toBe(20);
+    expect(parsed.medications[0].confidence.quantity).toBe(0.6);
+  });
+
+  it('scales confidence down with poor OCR', () => {
+    const text = readFixture('us-refills.txt');
+    const clear = parsePrescriptionText(text, { catalog, ocrConfidence: 95 });
+    const poor = parsePrescriptionText(text, { catalog, ocrConfidence: 40 });
+
+    expect(poor.confidence.doctorName).toBeLessThan(clear.confidence.doctorName);
+    expect(poor.medications[0].confidence.overall).toBeLessThan(clear.medications[0].confidence.overall);
+  });
+
+  it('leaves drugs that are not in the catalog unmatched', () => {
+    const parsed = parsePrescriptionText('Rx: Levothyroxine 50mcg tab\nSig: 1 tab od', { catalog });
+
+    expect(parsed.medications[0]).toMatchObject({ name: 'Levothyroxine', strength: '50mcg', product: null });
+  });
+
+  it('returns empty results for empty text', () => {
+    const parsed = parsePrescriptionText('');
+
+    expect(parsed.medications).toEqual([]);
+    expect(parsed.doctorName).toBeNull();
+    expect(parsed.confidence).toEqual({});
+  });
+});
+
+describe('durationToDays', () => {
+  it.each([
+    ['30 days', 30],
+    ['1 day', 1],
+    ['for 2 weeks', 14],
+    ['x 10 days', 10],
+    ['3 months', 90],
+    ['7/7', 7],
+    ['2/52', 14],
+    ['3/12', 90]
+  ])('reads %s as %i days', (duration, days) => {
+    expect(durationToDays(duration)).toBe(days);
+  });
+
+  it.each(['ongoing', 'as directed', '', null, undefined])('returns null for %p', (duration) => {
+    expect(durationToDays(duration)).toBeNull();
+  });
+});
+
+describe('formatMedication', () => {
+  it('summarises a parsed medication on one line', () => {
+    const [medication] = parsePrescriptionText(readFixture('uk-fractions.txt'), { catalog }).medications;
+
+    expect(formatMedication(medication)).toBe('Amoxicillin 500mg capsule - 1 capsule, Three times daily, for 7 days');
+  });
+});
@@ -0,0 +1,8 @@
+// Environment for every test file: card payments go through the fake provider
+// and parcels through the simulated carrier
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.JWT_EXPIRE = '1h';
+process.env.CARD_PAYMENT_PROVIDER = 'fake';
+process.env.FAKE_PAYMENT_WEBHOOK_SECRET = 'test-webhook-secret';
+process.env.SIMULATED_CARRIER_WEBHOOK_SECRET = 'test-carrier-secret';
@@ -0,0 +1,447 @@
+// Prescription text parser shared by the backend OCR pipeline and the upload page,
+// which both depend on this package.
+// Pure functions only (no Node or browser APIs) so both bundles can import it.
+//
+// parsePrescriptionText(text, { catalog, ocrConfidence }) returns header fields,
+// structured medications matched against the product catalog, and a 0-1
+// confidence for every field it filled in.
+
+// Frequency abbreviations used in the signa ("sig") of a prescription
+export const SIG_ABBREVIATIONS = {
+  od: { label: 'Once daily', timesPerDay: 1 },
+  qd: { label: 'Once daily', timesPerDay: 1 },
+  bd: { label: 'Twice daily', timesPerDay: 2 },
+  bid: { label: 'Twice daily', timesPerDay: 2 },
+  tds: { label: 'Three times daily', timesPerDay: 3 },
+  tid: { label: 'Three times daily', timesPerDay: 3 },
+  qds: { label: 'Four times daily', timesPerDay: 4 },
+  qid: { label: 'Four times daily', timesPerDay: 4 },
+  qhs: { label: 'At bedtime', timesPerDay: 1 },
+  hs: { label: 'At bedtime', timesPerDay: 1 },
+  qam: { label: 'Every morning', timesPerDay: 1 },
+  qpm: { label: 'Every evening', timesPerDay: 1 },
+  stat: { label: 'Immediately, once', timesPerDay: null }
+};
+
+const ROUTES = {
+  po: 'By mouth',
+  sl: 'Under the tongue',
+  top: 'Apply to the skin',
+  im: 'Intramuscular injection',
+  iv: 'Intravenous',
+  sc: 'Subcutaneous injection',
+  inh: 'Inhaled',
+  pr: 'Rectally'
+};
+
+const MEAL_TIMING = {
+  ac: 'Before meals',
+  pc: 'After meals'
+};
+
+const DOSAGE_FORMS = {
+  tablet: ['tab', 'tabs', 'tablet', 'tablets'],
+  capsule: ['cap', 'caps', 'capsule', 'capsules'],
+  syrup: ['syp', 'syr', 'syrup'],
+  suspension: ['susp', 'suspension'],
+  injection: ['inj', 'injection'],
+  cream: ['cream'],
+  ointment: ['oint', 'ointment'],
+  drops: ['gtt', 'gtts', 'drop', 'drops'],
+  inhaler: ['inhaler', 'puff', 'puffs'],
+  patch: ['patch', 'patches'],
+  solution: ['sol', 'soln', 'solution'],
+  gel: ['gel'],
+  lotion: ['lotion'],
+  spray: ['spray'],
+  sachet: ['sachet', 'sachets'],
+  lozenge: ['lozenge', 'lozenges']
+};
+
+const FORM_BY_WORD = Object.fromEntries(
+  Object.entries(DOSAGE_FORMS).flatMap(([form, words]) => words.map(word => [word, form]))
+);
+
+const NUMBER_WORDS = { half: 0.5, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6 };
+
+const DOSE_UNITS = {
+  tab: 'tablet', tabs: 'tablet', tablet: 'tablet', tablets: 'tablet',
+  cap: 'capsule', caps: 'capsule', capsule: 'capsule', capsules: 'capsule',
+  puff: 'puff', puffs: 'puff',
+  drop: 'drop', drops: 'drop', gtt: 'drop', gtts: 'drop',
+  sachet: 'sachet', sachets: 'sachet',
+  ml: 'ml'
+};
+
+const MATCH_THRESHOLD = 0.72;
+
+const STRENGTH_PATTERN = /(\d+(?:\.\d+)?)\s*(mg|mcg|µg|ug|g|iu|units?|%)(?:\s*\/\s*(\d+(?:\.\d+)?)?\s*(ml))?(?![a-z])/i;
+const DATE_PATTERN = /\b(\d{1,2}[/.-]\d{1,2}[/.-]\d{2,4}|\d{4}-\d{2}-\d{2}|\d{1,2}\s+(?:jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.?\s+\d{2,4})\b/i;
+const HEADER_PATTERN = /^\s*(?:dr\b|doctor|patient|name|pt\b|date|dated|diagnosis|dx\b|condition|complaint|address|phone|tel\b|age\b|sex\b|reg|lic|dea\b|clinic|hospital)/i;
+const CONTINUATION_PATTERN = /^\s*(?:sig|disp(?:ense)?|qty|quantity|refills?|rf\b|repeats?|take|apply|use|inhale|instil|instill|#)/i;
+const LIST_PREFIX_PATTERN = /^\s*(?:\d+\s*[.)]|[-*•]|rx\s*:?|℞)\s*/i;
+
+const normalize = (value) => (value || '').toLowerCase().replace(/[^a-z0-9%./ -]+/g, ' ').replace(/\s+/g, ' ').trim();
+const lettersOnly = (value) => (value || '').toLowerCase().replace(/[^a-z ]+/g, ' ').replace(/\s+/g, ' ').trim();
+const words = (line) => normalize(line).split(' ').filter(Boolean);
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Levenshtein distance, used for fuzzy drug name matching
+const editDistance = (a, b) => {
+  const previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const above = previous[j];
+      previous[j] = Math.min(
+        previous[j] + 1,
+        previous[j - 1] + 1,
+        diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      diagonal = above;
+    }
+  }
+
+  return previous[b.length];
+};
+
+const similarity = (a, b) => {
+  if (!a || !b) return 0;
+  return 1 - editDistance(a, b) / Math.max(a.length, b.length);
+};
+
+export const normalizeStrength = (value) => {
+  const match = (value || '').match(STRENGTH_PATTERN);
+  if (!match) return null;
+
+  const unit = match[2].toLowerCase().replace('µg', 'mcg').replace('ug', 'mcg').replace(/^units?$/, 'units');
+  return match[4]
+    ? `${match[1]}${unit}/${match[3] || ''}${match[4].toLowerCase()}`
+    : `${match[1]}${unit}`;
+};
+
+// Product name without strength or dosage form words, e.g. "Amoxicillin 500mg Capsules" -> "amoxicillin"
+const productBaseName = (name) => lettersOnly((name || '').replace(STRENGTH_PATTERN, ' '))
+  .split(' ')
+  .filter(word => !FORM_BY_WORD[word] && !['mg', 'mcg', 'ml', 'iu'].includes(word))
+  .join(' ');
+
+// Score a parsed name against one catalog term. Also compares against the leading words
+// of the term so "augmentin" still matches "augmentin duo".
+const scoreTerm = (query, term) => {
+  if (!query || !term) return 0;
+
+  const queryWordCount = query.split(' ').length;
+  const termPrefix = term.split(' ').slice(0, queryWordCount).join(' ');
+
+  return Math.max(similarity(query, term), similarity(query, termPrefix) - 0.05);
+};
+
+// Best catalog product for a parsed drug name. Catalog entries need `name` and may carry
+// `_id`/`id`, `activeIngredient`, `strength` and `dosageForm`.
+export const matchProduct = (name, strength, catalog = []) => {
+  const query = lettersOnly(name);
+  if (query.length < 3) return null;
+
+  let best = null;
+
+  for (const product of catalog) {
+    let score = Math.max(
+      scoreTerm(query, productBaseName(product.name)),
+      scoreTerm(query, lettersOnly(product.activeIngredient))
+    );
+
+    // Among equally named products prefer the one at the prescribed strength
+    if (strength && product.strength) {
+      score += normalizeStrength(product.strength) === strength ? 0.05 : -0.1;
+    }
+
+    score = Math.min(1, score);
+
+    if (score >= MATCH_THRESHOLD && (!best || score > best.score)) {
+      best = { product, score };
+    }
+  }
+
+  return best;
+};
+
+const findDosageForm = (line) => {
+  const form = words(line).map(word => FORM_BY_WORD[word.replace(/\.$/, '')]).find(Boolean);
+  return form || null;
+};
+
+const findFrequency = (line) => {
+  const tokens = words(line).map(word => word.replace(/\.$/, ''));
+  const text = ` ${normalize(line)} `;
+
+  const abbreviation = tokens.find(token => SIG_ABBREVIATIONS[token.replace(/\./g, '')]);
+  if (abbreviation) {
+    return { ...SIG_ABBREVIATIONS[abbreviation.replace(/\./g, '')], confidence: 0.9 };
+  }
+
+  const interval = text.match(/\b(?:q|every\s*)(\d{1,2})\s*h(?:ours?|rs?)?\b/);
+  if (interval) {
+    const hours = parseInt(interval[1]);
+    return { label: `Every ${hours} hours`, timesPerDay: Math.floor(24 / hours), confidence: 0.85 };
+  }
+
+  const times = text.match(/\b(once|twice|thrice|two|three|four|\d)\s*(?:times?\s*)?(?:a\s+day|daily|per\s+day|\/\s*day)\b/);
+  if (times) {
+    const count = { once: 1, twice: 2, thrice: 3 }[times[1]] || NUMBER_WORDS[times[1]] || parseInt(times[1]);
+    const label = { 1: 'Once daily', 2: 'Twice daily', 3: 'Three times daily', 4: 'Four times daily' }[count] ||
+      `${count} times daily`;
+    return { label, timesPerDay: count, confidence: 0.8 };
+  }
+
+  // Morning-noon-night notation, e.g. 1-0-1
+  const pattern = text.match(/\b([0-2])\s*-\s*([0-2])\s*-\s*([0-2])\b/);
+  if (pattern) {
+    const count = pattern.slice(1).filter(dose => dose !== '0').length;
+    return { label: `${pattern[1]}-${pattern[2]}-${pattern[3]}`, timesPerDay: count, confidence: 0.75 };
+  }
+
+  if (/\bat\s+(?:bed\s*time|night)\b/.test(text)) {
+    return { label: 'At bedtime', timesPerDay: 1, confidence: 0.75 };
+  }
+
+  return null;
+};
+
+const findDuration = (line) => {
+  const text = normalize(line);
+
+  const explicit = text.match(/(?:\bfor\b|\bx\b|×)\s*(\d+)\s*(days?|d\b|weeks?|wks?|w\b|months?|mo\b)/);
+  if (explicit) {
+    const unit = explicit[2].startsWith('d') ? 'day' : explicit[2].startsWith('w') ? 'week' : 'month';
+    const count = parseInt(explicit[1]);
+    return { value: `${count} ${unit}${count === 1 ? '' : 's'}`, days: count * { day: 1, week: 7, month: 30 }[unit], confidence: 0.85 };
+  }
+
+  // UK notation: 7/7 is seven days, 2/52 two weeks, 3/12 three months
+  const fraction = text.match(/\b(\d+)\/(7|52|12)\b/);
+  if (fraction) {
+    const count = parseInt(fraction[1]);
+    const unit = { 7: 'day', 52: 'week', 12: 'month' }[fraction[2]];
+    return { value: `${count} ${unit}${count === 1 ? '' : 's'}`, days: count * { day: 1, week: 7, month: 30 }[unit], confidence: 0.75 };
+  }
+
+  return null;
+};
+
+// Amount taken per administration, e.g. "2 puffs". Bracketed pack sizes and list
+// numbers ("2) Cap ...") are not doses.
+const findDose = (line) => {
+  const match = normalize(line.replace(LIST_PREFIX_PATTERN, '').replace(/\([^)]*\)/g, ' '))
+    .match(/\b(\d+(?:\.\d+)?|half|one|two|three|four|five|six)\s*(tabs?|tablets?|caps?|capsules?|puffs?|drops?|gtts?|ml|sachets?)\b/);
+  if (!match) return null;
+
+  const amount = NUMBER_WORDS[match[1]] ?? parseFloat(match[1]);
+  const unit = DOSE_UNITS[match[2]];
+  return { amount, unit: amount === 1 || unit === 'ml' ? unit : `${unit}s` };
+};
+
+const findQuantity = (line) => {
+  const text = normalize(line);
+
+  // normalize() drops "#", so the #30 notation is read from the line as written
+  const labelled = text.match(/(?:\bqty\b|\bquantity\b|\bdisp(?:ense)?\b)\s*[:.]?\s*(\d+)/) ||
+    line.match(/#\s*(\d+)/);
+  if (labelled) return { value: parseInt(labelled[1]), confidence: 0.9 };
+
+  const bracketed = line.match(/\(\s*(\d+)\s*(?:tabs?|tablets?|caps?|capsules?|sachets?)\s*\)/i);
+  if (bracketed) return { value: parseInt(bracketed[1]), confidence: 0.8 };
+
+  return null;
+};
+
+const findRefills = (line) => {
+  const text = normalize(line);
+
+  if (/\bno\s+(?:refills?|repeats?)\b|\b(?:refills?|repeats?)\s*[:.]?\s*(?:none|nil|no)\b/.test(text)) {
+    return { value: 0, confidence: 0.9 };
+  }
+
+  const labelled = text.match(/\b(?:refills?|rf|repeats?)\s*[:.]?\s*(?:x\s*)?(\d+)\b/) ||
+    text.match(/\b(\d+)\s*(?:refills?|repeats?)\b/);
+  if (labelled) return { value: parseInt(labelled[1]), confidence: 0.9 };
+
+  return null;
+};
+
+// Drug name: the words before the strength, dosage form or first number on the line
+const findName = (line) => {
+  let text = line.replace(LIST_PREFIX_PATTERN, '');
+
+  // Leading form prefixes such as "Tab." or "Cap"
+  text = text.replace(/^\s*([a-z]+)\.?\s+/i, (prefix, word) => (FORM_BY_WORD[word.toLowerCase()] ? '' : prefix));
+
+  const stop = text.search(/\d|\(|\s-\s|:/);
+  const head = stop === -1 ? text : text.slice(0, stop);
+
+  const name = head
+    .split(/\s+/)
+    .filter(word => word && !FORM_BY_WORD[word.toLowerCase().replace(/\.$/, '')] &&
+      !SIG_ABBREVIATIONS[word.toLowerCase()] && !ROUTES[word.toLowerCase()])
+    .join(' ')
+    .replace(/[^A-Za-z0-9 '-]+/g, '')
+    .trim();
+
+  return name.length >= 3 ? name : null;
+};
+
+const isMedicationLine = (line, catalog) => {
+  if (HEADER_PATTERN.test(line) || CONTINUATION_PATTERN.test(line)) return false;
+  if (STRENGTH_PATTERN.test(line) || findDosageForm(line)) return true;
+
+  // A bare drug name on a numbered or Rx line still counts when it is in the catalog
+  return LIST_PREFIX_PATTERN.test(line) && !!matchProduct(findName(line), null, catalog);
+};
+
+const buildMedication = (lines, { catalog, ocrFactor }) => {
+  const [first] = lines;
+  const text = lines.join(' ');
+  const confidence = {};
+  const set = (field, value, score) => {
+    if (value === null || value === undefined) return null;
+    confidence[field] = round(score * ocrFactor);
+    return value;
+  };
+
+  const rawName = findName(first);
+  const strength = normalizeStrength(first) || normalizeStrength(text);
+  const match = matchProduct(rawName, strength, catalog);
+  const frequency = findFrequency(text);
+  const duration = findDuration(text);
+  const dose = findDose(text);
+  const tokens = words(text).map(word => word.replace(/\.$/, ''));
+  const asNeeded = tokens.includes('prn') || /\bas\s+needed\b/i.test(text);
+  const route = tokens.map(token => ROUTES[token]).find(Boolean) || null;
+  const mealTiming = tokens.map(token => MEAL_TIMING[token]).find(Boolean) || null;
+
+  let quantity = findQuantity(text);
+  // Work the quantity out from the sig when it is not written down
+  if (!quantity && dose && frequency?.timesPerDay && duration && !asNeeded) {
+    quantity = { value: Math.ceil(dose.amount * frequency.timesPerDay * duration.days), confidence: 0.6 };
+  }
+
+  const formFromText = findDosageForm(text);
+  const form = formFromText || match?.product.dosageForm || null;
+
+  const frequencyLabel = frequency
+    ? `${frequency.label}${asNeeded ? ', as needed' : ''}`
+    : asNeeded ? 'As needed' : null;
+
+  const medication = {
+    name: set('name', rawName, match ? match.score : 0.4),
+    strength: set('strength', strength || match?.product.strength || null, strength ? 0.95 : 0.5),
+    dosageForm: set('dosageForm', form, formFromText ? 0.9 : 0.6),
+    dose: set('dose', dose ? `${dose.amount} ${dose.unit}` : null, 0.8),
+    frequency: set('frequency', frequencyLabel, frequency ? frequency.confidence : 0.7),
+    timesPerDay: frequency?.timesPerDay ?? null,
+    asNeeded,
+    route,
+    duration: set('duration', duration?.value ?? null, duration?.confidence),
+    quantity: set('quantity', quantity?.value ?? null, quantity?.confidence),
+    refills: set('refills', findRefills(text)?.value ?? null, findRefills(text)?.confidence),
+    instructions: [route, mealTiming].filter(Boolean).join(', ') || null,
+    product: match ? (match.product._id ?? match.product.id ?? null) : null,
+    productName: match ? match.product.name : null,
+    raw: text.trim()
+  };
+
+  if (medication.product !== null) confidence.product = round(match.score * ocrFactor);
+
+  const scores = Object.values(confidence);
+  confidence.overall = scores.length ? round(scores.reduce((sum, score) => sum + score, 0) / scores.length) : 0;
+  medication.confidence = confidence;
+
+  return medication;
+};
+
+const findHeaderField = (lines, pattern, score) => {
+  for (const line of lines) {
+    const match = line.match(pattern);
+    const value = match?.[1]?.replace(/\s+/g, ' ').trim();
+    if (value) return { value, score };
+  }
+  return null;
+};
+
+// Parse OCR (or typed) prescription text into structured data
+export const parsePrescriptionText = (text, { catalog = [], ocrConfidence = null } = {}) => {
+  const lines = (text || '').split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+
+  // Poor OCR drags every field's confidence down with it
+  const ocrFactor = ocrConfidence === null || ocrConfidence === undefined
+    ? 1
+    : Math.min(1, Math.max(0.3, ocrConfidence / 100));
+
+  const confidence = {};
+  const header = (field, found) => {
+    if (!found) return null;
+    confidence[field] = round(found.score * ocrFactor);
+    return found.value;
+  };
+
+  const doctorName = header('doctorName',
+    findHeaderField(lines, /\b(?:dr\.?|doctor|prescriber)\s*:?\s+([a-z][a-z .'-]*[a-z])/i, 0.85));
+  const dateLine = findHeaderField(lines, /\b(?:date|dated)\s*[:-]?\s*(.+)/i, 0.85);
+  const anyDate = findHeaderField(lines, DATE_PATTERN, 0.6);
+
+  const parsed = {
+    doctorName: doctorName && doctorName.replace(/\s*,?\s*\b(?:md|mbbs|do|ms|mrcgp|facp)\b\.?/gi, '').trim(),
+    doctorLicenseNumber: header('doctorLicenseNumber',
+      findHeaderField(lines, /\b(?:lic(?:ense|ence)?|reg(?:istration)?|dea)\s*(?:no\.?|number|#)?\s*[:-]?\s*([a-z0-9][a-z0-9-]{3,})/i, 0.8)),
+    patientName: header('patientName',
+      // Single spaces only, so a column gap before "Age:" ends the name
+      findHeaderField(lines, /\b(?:patient(?:\s*name)?|pt|name)\s*[:-]\s*([a-z][a-z.'-]*(?: [a-z.'-]+)*[a-z])/i, 0.8)),
+    date: header('date', dateLine
+      ? { value: dateLine.value.match(DATE_PATTERN)?.[1] || dateLine.value, score: dateLine.score }
+      : anyDate),
+    diagnosis: header('diagnosis',
+      findHeaderField(lines, /\b(?:diagnosis|dx|condition|complaint)\s*[:-]\s*(.+)/i, 0.75)),
+    instructions: header('instructions',
+      findHeaderField(lines, /\b(?:instructions|directions|advice|notes?)\s*[:-]\s*(.+)/i, 0.7)),
+    medications: []
+  };
+
+  // Group each medication line with the sig/quantity/refill lines that follow it
+  const groups = [];
+  for (const line of lines) {
+    if (isMedicationLine(line, catalog)) {
+      groups.push([line]);
+    } else if (groups.length > 0 && CONTINUATION_PATTERN.test(line)) {
+      groups[groups.length - 1].push(line);
+    }
+  }
+
+  parsed.medications = groups
+    .map(group => buildMedication(group, { catalog, ocrFactor }))
+    .filter(medication => medication.name);
+
+  parsed.confidence = confidence;
+
+  return parsed;
+};
+
+// Days of supply in a medication's duration, e.g. "30 days", "for 2 weeks", "7/7".
+// Returns null for open-ended or unreadable durations such as "ongoing".
+export const durationToDays = (duration) => {
+  const text = normalize(duration);
+  const found = findDuration(text) || findDuration(`for ${text}`);
+  return found ? found.days : null;
+};
+
+// One-line summary of a parsed medication, e.g. "Amoxicillin 500mg capsule - Three times daily"
+export const formatMedication = (medication) => {
+  const name = [medication.name, medication.strength, medication.dosageForm].filter(Boolean).join(' ');
+  const details = [medication.dose, medication.frequency, medication.duration && `for ${medication.duration}`]
+    .filter(Boolean)
+    .join(', ');
+  return details ? `${name} - ${details}` : name;
+};
@@ -1,11 +1,14 @@
 import React from 'react'
 import { Link } from 'react-router-dom'
-import { ShoppingCart, Heart, Star, AlertCircle } from 'lucide-react'
+import { ShoppingCart, Heart, AlertCircle } from 'lucide-react'
 import { useApp } from '../../context/AppContext'
+import StarRating from './StarRating'
 import toast from 'react-hot-toast'
 
 export default function ProductCard({ product, viewMode = 'grid' }) {
   const { addToCart, isAuthenticated } = useApp()
+  // Kept on the product by the backend as reviews are approved or removed
+  const { average = 0, count = 0 } = product.rating || {}
 
   const handleAddToCart = (e) => {
     e.preventDefault()
@@ -71,19 +74,8 @@ export default function ProductCard({ product, viewMode = 'grid' }) {
 
             {/* Rating */}
             <div className="flex items-center space-x-2">
-              <div className="flex items-center">
-                {[...Array(5)].map((_, i) => (
-                  <Star
-                    key={i}
-                    className={`w-4 h-4 ${
-                      i < Math.floor(product.rating)
-                        ? 'text-yellow-400 fill-current'
-                        : 'text-gray-300'
-                    }`}
-                  />
-                ))}
-              </div>
-              <span className="text-sm text-gray-600">({product.reviews} reviews)</span>
+              <StarRating rating={average} />
+              <span className="text-sm text-gray-600">({count} {count === 1 ? 'review' : 'reviews'})</span>
             </div>
 
             {/* Price and Actions */}
@@ -182,19 +174,8 @@ export default function ProductCard({ product, viewMode = 'grid' }) {
 
           {/* Rating */}
           <div className="flex items-center space-x-1">
-            <div className="flex items-center">
-              {[...Array(5)].map((_, i) => (
-                <Star
-                  key={i}
-                  className={`w-4 h-4 ${
-                    i < Math.floor(product.rating)
-                      ? 'text-yellow-400 fill-current'
-                      : 'text-gray-300'
-                  }`}
-                />
-              ))}
-            </div>
-            <span className="text-sm text-gray-600">({product.reviews})</span>
+            <StarRating rating={average} />
+            <span className="text-sm text-gray-600">({count})</span>
           </div>
 
           {/* Price */}
@@ -0,0 +1,15 @@
+import React from 'react'
+import { Star } from 'lucide-react'
+
+export default function StarRating({ rating = 0, size = 'w-4 h-4' }) {
+  return (
+    <div className="flex items-center space-x-0.5">
+      {[...Array(5)].map((_, i) => (
+        <Star
+          key={i}
+          className={`${size} ${i < Math.floor(rating) ? 'text-yellow-400 fill-current' : 'text-gray-300'}`}
+        />
+      ))}
+    </div>
+  )
+}
@@ -0,0 +1,174 @@
+import React, { useEffect, useState } from 'react'
+import { ThumbsUp, CheckCircle } from 'lucide-react'
+import StarRating from '../common/StarRating'
+import { getProductReviews } from '../../services/api'
+
+const PAGE_SIZE = 10
+
+export default function ProductReviews({ product, onSummary }) {
+  const [sort, setSort] = useState('newest')
+  const [ratingFilter, setRatingFilter] = useState('')
+  const [verifiedOnly, setVerifiedOnly] = useState(false)
+  const [page, setPage] = useState(1)
+  const [reviews, setReviews] = useState([])
+  const [summary, setSummary] = useState({ average: 0, count: 0, distribution: {} })
+  const [hasMore, setHasMore] = useState(false)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    let cancelled = false
+    setLoading(true)
+    setError(null)
+
+    getProductReviews(product.id, {
+      page,
+      limit: PAGE_SIZE,
+      sort,
+      rating: ratingFilter,
+      verified: verifiedOnly || undefined
+    })
+      .then(data => {
+        if (cancelled) return
+        setReviews(current => (page === 1 ? data.reviews : [...current, ...data.reviews]))
+        setSummary(data.summary)
+        setHasMore(data.pagination.hasNext)
+        onSummary?.(data.summary)
+      })
+      .catch(err => {
+        if (!cancelled) setError(err.message)
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false)
+      })
+
+    return () => {
+      cancelled = true
+    }
+  }, [product.id, page, sort, ratingFilter, verifiedOnly])
+
+  // A new sort or filter starts again from the first page
+  const updateQuery = (setter) => (value) => {
+    setter(value)
+    setPage(1)
+  }
+
+  const distribution = [5, 4, 3, 2, 1].map(rating => ({
+    rating,
+    count: summary.distribution[rating] || 0
+  }))
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+      {/* Summary */}
+      <div className="space-y-4">
+        <div className="flex items-center space-x-3">
+          <span className="text-4xl font-bold text-gray-900">{summary.average}</span>
+          <div>
+            <StarRating rating={summary.average} size="w-5 h-5" />
+            <p className="text-sm text-gray-600">
+              {summary.count} {summary.count === 1 ? 'review' : 'reviews'}
+            </p>
+          </div>
+        </div>
+        <div className="space-y-2">
+          {distribution.map(({ rating, count }) => (
+            <button
+              key={rating}
+              onClick={() => updateQuery(setRatingFilter)(ratingFilter === String(rating) ? '' : String(rating))}
+              className={`w-full flex items-center space-x-2 text-sm ${
+                ratingFilter === String(rating) ? 'text-primary-600 font-medium' : 'text-gray-700'
+              }`}
+            >
+              <span className="w-12 text-left">{rating} star</span>
+              <div className="flex-1 h-2 bg-gray-200 rounded-full overflow-hidden">
+                <div
+                  className="h-full bg-yellow-400"
+                  style={{ width: `${summary.count ? (count / summary.count) * 100 : 0}%` }}
+                />
+              </div>
+              <span className="w-6 text-right">{count}</span>
+            </button>
+          ))}
+        </div>
+        <p className="text-xs text-gray-500">
+          Only customers with a delivered order can review this product. Reviews are checked before they appear.
+        </p>
+      </div>
+
+      {/* Review list */}
+      <div className="lg:col-span-2 space-y-4">
+        <div className="flex flex-wrap items-center gap-4">
+          <select
+            value={sort}
+            onChange={(e) => updateQuery(setSort)(e.target.value)}
+            className="input-field w-auto"
+          >
+            <option value="newest">Newest</option>
+            <option value="oldest">Oldest</option>
+            <option value="highest">Highest rated</option>
+            <option value="lowest">Lowest rated</option>
+            <option value="helpful">Most helpful</option>
+          </select>
+          <label className="flex items-center space-x-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={verifiedOnly}
+              onChange={(e) => updateQuery(setVerifiedOnly)(e.target.checked)}
+              className="rounded border-gray-300 text-primary-600"
+            />
+            <span>Verified purchases only</span>
+          </label>
+        </div>
+
+        {error ? (
+          <p className="text-gray-600">Reviews could not be loaded: {error}</p>
+        ) : !loading && reviews.length === 0 ? (
+          <p className="text-gray-600">No reviews match these filters yet.</p>
+        ) : (
+          reviews.map((review) => (
+            <div key={review._id} className="border-b border-gray-100 pb-4">
+              <div className="flex items-center justify-between">
+                <div className="flex items-center space-x-3">
+                  <StarRating rating={review.rating} />
+                  <h4 className="font-semibold text-gray-900">{review.title}</h4>
+                </div>
+                <span className="text-sm text-gray-500">
+                  {new Date(review.createdAt).toLocaleDateString()}
+                </span>
+              </div>
+              <div className="flex items-center space-x-2 mt-1 text-sm text-gray-600">
+                <span>{review.user ? `${review.user.firstName} ${review.user.lastName.charAt(0)}.` : 'Customer'}</span>
+                {review.isVerifiedPurchase && (
+                  <span className="flex items-center text-green-600">
+                    <CheckCircle className="w-4 h-4 mr-1" />
+                    Verified purchase
+                  </span>
+                )}
+              </div>
+              <p className="text-gray-700 mt-2">{review.comment}</p>
+              {review.helpfulVotes > 0 && (
+                <p className="flex items-center space-x-1 mt-3 text-sm text-gray-500">
+                  <ThumbsUp className="w-4 h-4" />
+                  <span>
+                    {review.helpfulVotes} {review.helpfulVotes === 1 ? 'person' : 'people'} found this helpful
+                  </span>
+                </p>
+              )}
+            </div>
+          ))
+        )}
+
+        {hasMore && !error && (
+          <button
+            onClick={() => setPage(page + 1)}
+            disabled={loading}
+            className="btn-secondary"
+          >
+            {loading ? 'Loading...' : 'Show more reviews'}
+          </button>
+        )}
+      </div>
+    </div>
+  )
+}
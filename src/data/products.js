@@ -8,8 +8,6 @@ export const products = [
     originalPrice: 15.99,
     discount: 20,
     image: "https://images.pexels.com/photos/3683074/pexels-photo-3683074.jpeg?auto=compress&cs=tinysrgb&w=400",
-    rating: 4.5,
-    reviews: 128,
     inStock: true,
     prescriptionRequired: false,
     category: "Pain Relief",
@@ -27,8 +25,6 @@ export const products = [
     description: "Essential vitamin for bone health and immune system support.",
     price: 24.99,
     image: "https://images.pexels.com/photos/3683074/pexels-photo-3683074.jpeg?auto=compress&cs=tinysrgb&w=400",
-    rating: 4.8,
-    reviews: 89,
     inStock: true,
     prescriptionRequired: false,
     category: "Vitamins",
@@ -46,8 +42,6 @@ export const products = [
     description: "Antibiotic for treating bacterial infections including respiratory tract infections.",
     price: 18.99,
     image: "https://images.pexels.com/photos/3683074/pexels-photo-3683074.jpeg?auto=compress&cs=tinysrgb&w=400",
-    rating: 4.6,
-    reviews: 67,
     inStock: true,
     prescriptionRequired: true,
     category: "Antibiotics",
@@ -67,8 +61,6 @@ export const products = [
     originalPrice: 34.99,
     discount: 15,
     image: "https://images.pexels.com/photos/3683074/pexels-photo-3683074.jpeg?auto=compress&cs=tinysrgb&w=400",
-    rating: 4.7,
-    reviews: 156,
     inStock: true,
     prescriptionRequired: false,
     category: "Supplements",
@@ -86,8 +78,6 @@ export const products = [
     description: "Anti-inflammatory pain reliever for muscle pain and inflammation.",
     price: 16.99,
     image: "https://images.pexels.com/photos/3683074/pexels-photo-3683074.jpeg?auto=compress&cs=tinysrgb&w=400",
-    rating: 4.4,
-    reviews: 203,
     inStock: true,
     prescriptionRequired: false,
     category: "Pain Relief",
@@ -107,8 +97,6 @@ export const products = [
     originalPrice: 39.99,
     discount: 18,
     image: "https://images.pexels.com/photos/3683074/pexels-photo-3683074.jpeg?auto=compress&cs=tinysrgb&w=400",
-    rating: 4.6,
-    reviews: 94,
     inStock: true,
     prescriptionRequired: false,
     category: "Vitamins",
@@ -126,8 +114,6 @@ export const products = [
     description: "Antihistamine for allergy relief including hay fever and urticaria.",
     price: 14.99,
     image: "https://images.pexels.com/photos/3683074/pexels-photo-3683074.jpeg?auto=compress&cs=tinysrgb&w=400",
-    rating: 4.5,
-    reviews: 112,
     inStock: true,
     prescriptionRequired: false,
     category: "Allergy",
@@ -145,8 +131,6 @@ export const products = [
     description: "Diabetes medication for controlling blood sugar levels in type 2 diabetes.",
     price: 22.99,
     image: "https://images.pexels.com/photos/3683074/pexels-photo-3683074.jpeg?auto=compress&cs=tinysrgb&w=400",
-    rating: 4.3,
-    reviews: 78,
     inStock: true,
     prescriptionRequired: true,
     category: "Diabetes",
@@ -168,4 +152,4 @@ export const categories = [
   { id: 5, name: "Supplements", slug: "supplements" },
   { id: 6, name: "Allergy", slug: "allergy" },
   { id: 7, name: "Diabetes", slug: "diabetes" }
-]
\ No newline at end of file
+]
@@ -23,8 +23,6 @@ const featuredProducts = [
     originalPrice: 15.99,
     discount: 20,
     image: "https://images.pexels.com/photos/3683074/pexels-photo-3683074.jpeg?auto=compress&cs=tinysrgb&w=400",
-    rating: 4.5,
-    reviews: 128,
     inStock: true,
     prescriptionRequired: false
   },
@@ -34,8 +32,6 @@ const featuredProducts = [
     description: "Bone health supplement",
     price: 24.99,
     image: "https://images.pexels.com/photos/3683074/pexels-photo-3683074.jpeg?auto=compress&cs=tinysrgb&w=400",
-    rating: 4.8,
-    reviews: 89,
     inStock: true,
     prescriptionRequired: false
   },
@@ -45,8 +41,6 @@ const featuredProducts = [
     description: "Antibiotic for bacterial infections",
     price: 18.99,
     image: "https://images.pexels.com/photos/3683074/pexels-photo-3683074.jpeg?auto=compress&cs=tinysrgb&w=400",
-    rating: 4.6,
-    reviews: 67,
     inStock: true,
     prescriptionRequired: true
   },
@@ -58,8 +52,6 @@ const featuredProducts = [
     originalPrice: 34.99,
     discount: 15,
     image: "https://images.pexels.com/photos/3683074/pexels-photo-3683074.jpeg?auto=compress&cs=tinysrgb&w=400",
-    rating: 4.7,
-    reviews: 156,
     inStock: true,
     prescriptionRequired: false
   }
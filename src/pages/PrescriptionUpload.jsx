@@ -4,6 +4,19 @@ import { useApp } from '../context/AppContext'
 import { createWorker } from 'tesseract.js'
 import toast from 'react-hot-toast'
 import LoadingSpinner from '../components/common/LoadingSpinner'
+import { products } from '../data/products'
+import { parsePrescriptionText, formatMedication } from '@medcare/prescription-parser'
+
+// Catalog the parser matches drug names against
+const productCatalog = products.map(product => ({
+  id: product.id,
+  name: product.name,
+  activeIngredient: product.activeIngredient,
+  strength: product.dosage
+}))
+
+// Fields below this confidence are highlighted for the user to check
+const LOW_CONFIDENCE = 0.6
 
 export default function PrescriptionUpload() {
   const { addPrescription, isAuthenticated } = useApp()
@@ -53,18 +66,22 @@ export default function PrescriptionUpload() {
     try {
       const worker = await createWorker('eng')
       let allText = ''
+      let totalConfidence = 0
 
       for (const fileData of files) {
-        const { data: { text } } = await worker.recognize(fileData.file)
+        const { data: { text, confidence } } = await worker.recognize(fileData.file)
         allText += text + '\n\n'
+        totalConfidence += confidence
       }
 
       await worker.terminate()
       
       setExtractedText(allText)
       
-      // Parse prescription data (simplified parsing)
-      const parsedData = parsePrescriptionText(allText)
+      const parsedData = parsePrescriptionText(allText, {
+        catalog: productCatalog,
+        ocrConfidence: totalConfidence / files.length
+      })
       setPrescriptionData(parsedData)
       
       setStep(2)
@@ -77,45 +94,29 @@ export default function PrescriptionUpload() {
     }
   }
 
-  const parsePrescriptionText = (text) => {
-    // Simple parsing logic - in a real app, this would be more sophisticated
-    const lines = text.split('\n').filter(line => line.trim())
-    
-    return {
-      doctorName: extractField(lines, ['dr', 'doctor', 'physician']),
-      patientName: extractField(lines, ['patient', 'name']),
-      date: extractField(lines, ['date']),
-      medications: extractMedications(lines),
-      diagnosis: extractField(lines, ['diagnosis', 'condition']),
-      instructions: extractField(lines, ['instructions', 'directions'])
-    }
+  const updateField = (field, value) => {
+    setPrescriptionData(prev => ({
+      ...prev,
+      [field]: value,
+      // A value the user typed in is no longer a guess
+      confidence: { ...prev.confidence, [field]: 1 }
+    }))
   }
 
-  const extractField = (lines, keywords) => {
-    for (const line of lines) {
-      const lowerLine = line.toLowerCase()
-      for (const keyword of keywords) {
-        if (lowerLine.includes(keyword)) {
-          return line.replace(/^[^:]*:?\s*/, '').trim()
-        }
-      }
-    }
-    return 'Not detected'
+  const updateMedication = (index, field, value) => {
+    setPrescriptionData(prev => ({
+      ...prev,
+      medications: prev.medications.map((medication, i) => (
+        i === index
+          ? { ...medication, [field]: value, confidence: { ...medication.confidence, [field]: 1 } }
+          : medication
+      ))
+    }))
   }
 
-  const extractMedications = (lines) => {
-    const medications = []
-    const medicationKeywords = ['tablet', 'capsule', 'syrup', 'mg', 'ml', 'dose']
-    
-    for (const line of lines) {
-      const lowerLine = line.toLowerCase()
-      if (medicationKeywords.some(keyword => lowerLine.includes(keyword))) {
-        medications.push(line.trim())
-      }
-    }
-    
-    return medications.length > 0 ? medications : ['No medications detected']
-  }
+  const confidenceClass = (score) => (
+    score === undefined || score < LOW_CONFIDENCE ? 'border-orange-300 bg-orange-50' : ''
+  )
 
   const confirmPrescription = () => {
     const prescription = {
@@ -326,12 +327,9 @@ export default function PrescriptionUpload() {
                     </label>
                     <input
                       type="text"
-                      value={prescriptionData.doctorName}
-                      onChange={(e) => setPrescriptionData(prev => ({
-                        ...prev,
-                        doctorName: e.target.value
-                      }))}
-                      className="input-field"
+                      value={prescriptionData.doctorName ?? ''}
+                      onChange={(e) => updateField('doctorName', e.target.value)}
+                      className={`input-field ${confidenceClass(prescriptionData.confidence.doctorName)}`}
                     />
                   </div>
                   <div>
@@ -340,12 +338,9 @@ export default function PrescriptionUpload() {
                     </label>
                     <input
                       type="text"
-                      value={prescriptionData.patientName}
-                      onChange={(e) => setPrescriptionData(prev => ({
-                        ...prev,
-                        patientName: e.target.value
-                      }))}
-                      className="input-field"
+                      value={prescriptionData.patientName ?? ''}
+                      onChange={(e) => updateField('patientName', e.target.value)}
+                      className={`input-field ${confidenceClass(prescriptionData.confidence.patientName)}`}
                     />
                   </div>
                   <div>
@@ -354,12 +349,9 @@ export default function PrescriptionUpload() {
                     </label>
                     <input
                       type="text"
-                      value={prescriptionData.date}
-                      onChange={(e) => setPrescriptionData(prev => ({
-                        ...prev,
-                        date: e.target.value
-                      }))}
-                      className="input-field"
+                      value={prescriptionData.date ?? ''}
+                      onChange={(e) => updateField('date', e.target.value)}
+                      className={`input-field ${confidenceClass(prescriptionData.confidence.date)}`}
                     />
                   </div>
                 </div>
@@ -371,12 +363,9 @@ export default function PrescriptionUpload() {
                     </label>
                     <input
                       type="text"
-                      value={prescriptionData.diagnosis}
-                      onChange={(e) => setPrescriptionData(prev => ({
-                        ...prev,
-                        diagnosis: e.target.value
-                      }))}
-                      className="input-field"
+                      value={prescriptionData.diagnosis ?? ''}
+                      onChange={(e) => updateField('diagnosis', e.target.value)}
+                      className={`input-field ${confidenceClass(prescriptionData.confidence.diagnosis)}`}
                     />
                   </div>
                   <div>
@@ -384,13 +373,10 @@ export default function PrescriptionUpload() {
                       Instructions
                     </label>
                     <textarea
-                      value={prescriptionData.instructions}
-                      onChange={(e) => setPrescriptionData(prev => ({
-                        ...prev,
-                        instructions: e.target.value
-                      }))}
+                      value={prescriptionData.instructions ?? ''}
+                      onChange={(e) => updateField('instructions', e.target.value)}
                       rows={3}
-                      className="input-field"
+                      className={`input-field ${confidenceClass(prescriptionData.confidence.instructions)}`}
                     />
                   </div>
                 </div>
@@ -401,22 +387,30 @@ export default function PrescriptionUpload() {
                 <label className="block text-sm font-medium text-gray-700 mb-2">
                   Medications
                 </label>
-                <div className="space-y-2">
+                <div className="space-y-3">
+                  {prescriptionData.medications.length === 0 && (
+                    <p className="text-sm text-gray-500">No medications detected</p>
+                  )}
                   {prescriptionData.medications.map((medication, index) => (
-                    <input
-                      key={index}
-                      type="text"
-                      value={medication}
-                      onChange={(e) => {
-                        const newMedications = [...prescriptionData.medications]
-                        newMedications[index] = e.target.value
-                        setPrescriptionData(prev => ({
-                          ...prev,
-                          medications: newMedications
-                        }))
-                      }}
-                      className="input-field"
-                    />
+                    <div key={index} className="border border-gray-200 rounded-lg p-3 space-y-2">
+                      <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
+                        {['name', 'strength', 'frequency', 'quantity'].map(field => (
+                          <input
+                            key={field}
+                            type="text"
+                            placeholder={field.charAt(0).toUpperCase() + field.slice(1)}
+                            value={medication[field] ?? ''}
+                            onChange={(e) => updateMedication(index, field, e.target.value)}
+                            className={`input-field ${confidenceClass(medication.confidence[field])}`}
+                          />
+                        ))}
+                      </div>
+                      <p className="text-xs text-gray-500">
+                        {medication.productName
+                          ? `Matched to ${medication.productName} (${Math.round(medication.confidence.product * 100)}% confidence)`
+                          : 'Not matched to a product in our catalog'}
+                      </p>
+                    </div>
                   ))}
                 </div>
               </div>
@@ -490,7 +484,7 @@ export default function PrescriptionUpload() {
                   <span className="font-medium text-gray-700">Medications:</span>
                   <ul className="mt-1 space-y-1">
                     {prescriptionData.medications.map((medication, index) => (
-                      <li key={index} className="text-gray-900 ml-4">• {medication}</li>
+                      <li key={index} className="text-gray-900 ml-4">• {formatMedication(medication)}</li>
                     ))}
                   </ul>
                 </div>
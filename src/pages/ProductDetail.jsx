@@ -1,9 +1,8 @@
-import React, { useState } from 'react'
+import React, { useEffect, useState } from 'react'
 import { useParams, Link } from 'react-router-dom'
 import { 
   ShoppingCart, 
   Heart, 
-  Star, 
   Minus, 
   Plus, 
   ArrowLeft,
@@ -16,6 +15,9 @@ import {
 } from 'lucide-react'
 import { useApp } from '../context/AppContext'
 import { products } from '../data/products'
+import ProductReviews from '../components/product/ProductReviews'
+import StarRating from '../components/common/StarRating'
+import { getProductReviews } from '../services/api'
 import toast from 'react-hot-toast'
 
 export default function ProductDetail() {
@@ -24,8 +26,17 @@ export default function ProductDetail() {
   const [quantity, setQuantity] = useState(1)
   const [activeTab, setActiveTab] = useState('description')
 
+  const [reviewSummary, setReviewSummary] = useState({ average: 0, count: 0 })
+
   const product = products.find(p => p.id === parseInt(id))
 
+  useEffect(() => {
+    if (!product) return
+    getProductReviews(product.id, { limit: 1 })
+      .then(data => setReviewSummary(data.summary))
+      .catch(() => setReviewSummary({ average: 0, count: 0 }))
+  }, [product?.id])
+
   if (!product) {
     return (
       <div className="min-h-screen bg-gray-50 flex items-center justify-center">
@@ -136,20 +147,14 @@ export default function ProductDetail() {
 
             {/* Rating */}
             <div className="flex items-center space-x-4">
-              <div className="flex items-center space-x-1">
-                {[...Array(5)].map((_, i) => (
-                  <Star
-                    key={i}
-                    className={`w-5 h-5 ${
-                      i < Math.floor(product.rating)
-                        ? 'text-yellow-400 fill-current'
-                        : 'text-gray-300'
-                    }`}
-                  />
-                ))}
-              </div>
-              <span className="text-lg font-medium text-gray-900">{product.rating}</span>
-              <span className="text-gray-600">({product.reviews} reviews)</span>
+              <StarRating rating={reviewSummary.average} size="w-5 h-5" />
+              <span className="text-lg font-medium text-gray-900">{reviewSummary.average}</span>
+              <button
+                onClick={() => setActiveTab('reviews')}
+                className="text-gray-600 hover:text-primary-600 hover:underline"
+              >
+                ({reviewSummary.count} {reviewSummary.count === 1 ? 'review' : 'reviews'})
+              </button>
             </div>
 
             {/* Price */}
@@ -242,7 +247,8 @@ export default function ProductDetail() {
                 { id: 'description', label: 'Description' },
                 { id: 'details', label: 'Details' },
                 { id: 'usage', label: 'Usage & Dosage' },
-                { id: 'warnings', label: 'Warnings' }
+                { id: 'warnings', label: 'Warnings' },
+                { id: 'reviews', label: 'Reviews' }
               ].map((tab) => (
                 <button
                   key={tab.id}
@@ -380,6 +386,8 @@ export default function ProductDetail() {
                 </div>
               </div>
             )}
+
+            {activeTab === 'reviews' && <ProductReviews product={product} onSummary={setReviewSummary} />}
           </div>
         </div>
 
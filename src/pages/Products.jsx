@@ -33,7 +33,7 @@ export default function Products() {
         case 'price-high':
           return b.price - a.price
         case 'rating':
-          return b.rating - a.rating
+          return (b.rating?.average || 0) - (a.rating?.average || 0)
         case 'name':
         default:
           return a.name.localeCompare(b.name)
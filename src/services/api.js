@@ -0,0 +1,24 @@
+// Base URL of the MedCare API; set VITE_API_URL when it is not on localhost:5000
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api/v1'
+
+async function request(path, { params, ...options } = {}) {
+  const query = params
+    ? `?${new URLSearchParams(Object.entries(params).filter(([, value]) => value !== '' && value != null))}`
+    : ''
+
+  const response = await fetch(`${API_URL}${path}${query}`, {
+    headers: { 'Content-Type': 'application/json' },
+    ...options
+  })
+  const data = await response.json().catch(() => ({}))
+
+  if (!response.ok || data.success === false) {
+    throw new Error(data.message || `Request failed (${response.status})`)
+  }
+
+  return data
+}
+
+// Approved reviews for a product, plus the rating summary the backend keeps on it
+export const getProductReviews = (productId, { page, limit, sort, rating, verified } = {}) =>
+  request(`/products/${productId}/reviews`, { params: { page, limit, sort, rating, verified } })